@@ -0,0 +1,2639 @@
+const express = require("express");
+const axios = require("axios");
+const cors = require("cors");
+
+const { pickFirst, toNumberLoose, round2, median, monthsSince } = require("./lib/util");
+const { haversineMiles, isValidCoord } = require("./lib/geo");
+const cache = require("./lib/cache");
+const { valueFromComps, arvOptionsFrom } = require("./lib/arv");
+const { computeInvestmentSummary, expenseInputsFrom } = require("./lib/underwriting");
+const { computeProForma, proFormaOptionsFrom } = require("./lib/proforma");
+const { computeFlip, computeBrrrr, strategyOptionsFrom } = require("./lib/strategies");
+const { solveMaxOffer, targetsFrom } = require("./lib/solver");
+const { sensitivityGrid, runScenarios } = require("./lib/sensitivity");
+const { withRateLimit } = require("./lib/rateLimit");
+const { createUpstreamClient, withDeadline, createStepTimer } = require("./lib/upstream");
+const { mapWithConcurrency, createJob, getJob, jobSummary } = require("./lib/batch");
+const { resolveColumns, panelAsRow, rowsToCsv, rowsToXlsx, parseAddressCsv, COLUMN_KEYS } = require("./lib/export");
+const properties = require("./lib/properties");
+const { flushAll } = require("./lib/jsonStore");
+const history = require("./lib/history");
+const { createWatcher } = require("./lib/watcher");
+const {
+  createGeocoder,
+  nominatimProvider,
+  censusGeocoderProvider,
+  censusFipsLookup,
+  offlineZipProvider,
+} = require("./lib/geocode");
+const { acsYearFrom, variableChunks, geographyFor, profileFromRow, yearOverYear } = require("./lib/acs");
+const { marketStats } = require("./lib/market");
+const { RENT_COMP_DEFAULTS, rentCompFiltersFrom, analyzeRentComps } = require("./lib/rentComps");
+const { strOptionsFrom, resolveStrInputs, computeStrSummary, compareLtrStr, createStrProvider } = require("./lib/str");
+const { mergePropertyRecords, expenseRecordsFromProperty } = require("./lib/propertyModel");
+const { parseAddress, parseStreetLine, formatStreet } = require("./lib/address");
+const { createProviders } = require("./lib/providers");
+const { reportModel, renderReportHtml, renderReportPdf } = require("./lib/report");
+const s = require("./lib/schema");
+const {
+  ADDRESS_FIELDS,
+  PRICE_FIELDS,
+  FINANCING_FIELDS,
+  EXPENSE_FIELDS,
+  PROFORMA_FIELDS,
+  STRATEGY_FIELDS,
+  REHAB_FIELDS,
+  ARV_FIELDS,
+  STR_FIELDS,
+  RENT_COMP_FILTER_FIELDS,
+  ACS_FIELDS,
+  EXPORT_FIELDS,
+  TARGETS,
+  SENSITIVITY_AXIS,
+  SCENARIO,
+  orderedPairs,
+} = require("./lib/requestSchemas");
+const { apiError, upstreamApiError, upstreamReason, missingCredentials, errorHandler } = require("./lib/errors");
+const { createApiRoutes, openApiDocument } = require("./lib/openapi");
+const apiKeys = require("./lib/apiKeys");
+const { version: APP_VERSION } = require("./package.json");
+const {
+  runWithUsage,
+  currentUsage,
+  meter,
+  recordRequest,
+  countsFor,
+  usageReport,
+  SYSTEM_KEY_ID,
+} = require("./lib/usage");
+const { logger, withRequestContext, requestContext, requestIdFrom } = require("./lib/logger");
+const { createRegistry } = require("./lib/metrics");
+const { NOT_ATTEMPTED, createUpstreamTracker, probe, upstreamHealth } = require("./lib/health");
+
+const app = express();
+
+// ==============================
+// Request IDs, access logs + metrics
+// ==============================
+// Every request gets an ID (the caller's X-Request-Id when it looks like one)
+// that is echoed back, stamped on every log line and sent to the providers.
+const metrics = createRegistry();
+
+const httpRequestDuration = metrics.histogram({
+  name: "http_request_duration_seconds",
+  help: "API request latency by route template and status",
+  labelNames: ["method", "route", "status"],
+});
+const upstreamRequestDuration = metrics.histogram({
+  name: "upstream_request_duration_seconds",
+  help: "Upstream attempt latency by source, endpoint, outcome and HTTP status",
+  labelNames: ["source", "endpoint", "outcome", "status"],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20],
+});
+const upstreamRejected = metrics.counter({
+  name: "upstream_rejected_total",
+  help: "Upstream calls not attempted (circuit open, request deadline exceeded or quota used up)",
+  labelNames: ["source", "endpoint", "reason"],
+});
+const quotaRequests = metrics.counter({
+  name: "quota_requests_total",
+  help: "API requests booked against each key's quota",
+  labelNames: ["key_id"],
+});
+const quotaUpstreamCalls = metrics.counter({
+  name: "quota_upstream_calls_total",
+  help: "Billable upstream calls booked against each key's quota (cache hits are free)",
+  labelNames: ["key_id", "source"],
+});
+
+function routeLabel(req) {
+  return req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+}
+
+// Health checks and scrapes are logged at debug so they don't drown the access log.
+const QUIET_PATHS = ["/", "/ping", "/health", "/metrics"];
+
+app.use((req, res, next) => {
+  const requestId = requestIdFrom(req.get("X-Request-Id"));
+  const started = process.hrtime.bigint();
+  req.id = requestId;
+  res.setHeader("X-Request-Id", requestId);
+
+  res.on("finish", () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    const route = routeLabel(req);
+    httpRequestDuration.observe({ method: req.method, route, status: res.statusCode }, seconds);
+
+    const level = QUIET_PATHS.includes(req.path) ? "debug" : res.statusCode >= 500 ? "error" : "info";
+    logger[level]("request", {
+      requestId,
+      method: req.method,
+      path: req.path,
+      route,
+      status: res.statusCode,
+      ms: Math.round(seconds * 1000),
+      keyId: req.apiKey?.id,
+    });
+  });
+
+  withRequestContext({ requestId }, () => next());
+});
+
+// CORS_ORIGINS: comma-separated allow-list; unset allows any origin.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "")
+  .split(",")
+  .map((o) => o.trim())
+  .filter(Boolean);
+
+app.use(
+  cors({
+    origin: CORS_ORIGINS.length && !CORS_ORIGINS.includes("*") ? CORS_ORIGINS : true,
+    allowedHeaders: ["Content-Type", "Authorization", "X-Api-Key", "X-Request-Id"],
+    exposedHeaders: [
+      "X-Request-Id",
+      "X-Cache",
+      "X-Normalized-Address",
+      "X-Job-Status",
+      "X-RateLimit-Limit",
+      "X-RateLimit-Remaining",
+      "Retry-After",
+    ],
+    maxAge: 600,
+  })
+);
+app.use(express.json());
+
+// Every /api route is registered through `api` (schema validation + OpenAPI).
+const api = createApiRoutes(app);
+
+// Public, so clients can generate bindings before they have a key.
+app.get("/api/openapi.json", (req, res) => {
+  res.json(
+    openApiDocument(api.routes, {
+      title: "RentCast backend",
+      version: APP_VERSION,
+      description: "Errors use one envelope: { ok: false, code, error, details }. See components.schemas.Error.",
+    })
+  );
+});
+
+// ==============================
+// API keys, quotas + usage metering
+// ==============================
+// Every /api route needs a key. AUTH_DISABLED=1 (local development) runs all
+// requests as an anonymous admin.
+const AUTH_DISABLED = isTruthyFlag(process.env.AUTH_DISABLED);
+const ANONYMOUS_KEY = { id: "anonymous", name: "anonymous (AUTH_DISABLED)", role: "admin", limits: {} };
+
+function secondsUntilUtc(boundary) {
+  return Math.max(1, Math.ceil((boundary - Date.now()) / 1000));
+}
+
+function quotaExceeded(key) {
+  const { requestsPerDay } = key.limits || {};
+  const now = new Date();
+
+  if (requestsPerDay != null && countsFor(key.id).requestsToday >= requestsPerDay) {
+    return {
+      error: `Daily request quota exceeded (${requestsPerDay})`,
+      retryAfterSeconds: secondsUntilUtc(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)),
+    };
+  }
+  return upstreamQuotaExceeded(key.id, key.limits);
+}
+
+function upstreamQuotaExceeded(keyId, { upstreamCallsPerMonth } = {}) {
+  if (upstreamCallsPerMonth == null || countsFor(keyId).upstreamCallsThisMonth < upstreamCallsPerMonth) return null;
+  const now = new Date();
+  return {
+    error: `Monthly upstream call quota exceeded (${upstreamCallsPerMonth})`,
+    retryAfterSeconds: secondsUntilUtc(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)),
+  };
+}
+
+function authenticate(req, res, next) {
+  const key = AUTH_DISABLED ? ANONYMOUS_KEY : apiKeys.findKey(apiKeys.keyFromRequest(req));
+  if (!key) {
+    const hint = apiKeys.hasAnyKey() ? "" : " No keys are configured yet; set ADMIN_API_KEY.";
+    return next(apiError("UNAUTHORIZED", `Missing or invalid API key (send X-Api-Key or Authorization: Bearer).${hint}`));
+  }
+
+  const rate = apiKeys.takeRequest(key);
+  if (rate.limit !== null) {
+    res.setHeader("X-RateLimit-Limit", rate.limit);
+    res.setHeader("X-RateLimit-Remaining", rate.remaining);
+  }
+  if (!rate.allowed) {
+    res.setHeader("Retry-After", rate.retryAfterSeconds);
+    return next(apiError("RATE_LIMITED", `Rate limit exceeded (${rate.limit} requests/minute)`));
+  }
+
+  const quota = quotaExceeded(key);
+  if (quota) {
+    res.setHeader("Retry-After", quota.retryAfterSeconds);
+    return next(apiError("QUOTA_EXCEEDED", quota.error));
+  }
+
+  req.apiKey = key;
+  res.on("finish", () => {
+    recordRequest(key.id, { error: res.statusCode >= 400 });
+    quotaRequests.inc({ key_id: key.id });
+  });
+  runWithUsage({ keyId: key.id, limits: key.limits }, () => next());
+}
+
+function requireAdmin(req, res, next) {
+  if (req.apiKey?.role !== "admin") return next(apiError("FORBIDDEN", "Admin API key required"));
+  next();
+}
+
+// Batch jobs, saved properties and watches belong to the key that created
+// them. Other clients get a 404, as if the ID didn't exist; admins see all.
+function ownerScope(req) {
+  return req.apiKey?.role === "admin" ? null : req.apiKey?.id;
+}
+
+function canAccess(req, ownerKeyId) {
+  const scope = ownerScope(req);
+  return scope == null || ownerKeyId === scope;
+}
+
+app.use("/api", authenticate);
+app.use("/api/admin", requireAdmin);
+
+// ==============================
+// Health checks
+// ==============================
+app.get("/", (req, res) => res.send("Backend is running"));
+// Liveness only; /health reports the upstreams.
+app.get("/ping", (req, res) => res.json({ ok: true, time: new Date().toISOString() }));
+
+// Upstream reachability and breaker states. Always 200 while the process is
+// up; `status` is "degraded" when a configured upstream is unreachable or
+// its circuit isn't closed. probe=1 also HEADs each provider's base URL
+// (not metered, not billable). Since that makes the server send requests, it
+// needs an admin API key or the metrics token, and one probe result is
+// shared for PROBE_CACHE_MS.
+const PROBE_CACHE_MS = 30 * 1000;
+let lastProbe = null;
+
+function canProbe(req) {
+  if (AUTH_DISABLED) return true;
+  if (METRICS_TOKEN && apiKeys.safeEqual(req.get("Authorization") || "", `Bearer ${METRICS_TOKEN}`)) return true;
+  return apiKeys.findKey(apiKeys.keyFromRequest(req))?.role === "admin";
+}
+
+function probeUpstreams() {
+  if (!lastProbe || Date.now() - lastProbe.at > PROBE_CACHE_MS) {
+    const result = probe(providers.sources, { http: (config) => axios.request(config) });
+    lastProbe = { at: Date.now(), result };
+  }
+  return lastProbe.result;
+}
+
+app.get("/health", async (req, res) => {
+  const wantsProbe = isTruthyFlag(req.query.probe);
+  if (wantsProbe && !canProbe(req)) {
+    throw apiError("UNAUTHORIZED", "probe=1 needs an admin API key or the metrics token");
+  }
+
+  const probes = wantsProbe ? await probeUpstreams() : null;
+  const { status, upstreams } = upstreamHealth({
+    sources: providers.sources,
+    breakers: upstream.status(),
+    activity: upstreamActivity.snapshot(),
+    probes,
+  });
+
+  res.json({
+    ok: true,
+    status,
+    version: APP_VERSION,
+    providers: providers.name,
+    uptimeSeconds: Math.round(process.uptime()),
+    time: new Date().toISOString(),
+    upstreams,
+  });
+});
+
+// ==============================
+// Prometheus /metrics
+// ==============================
+// METRICS_TOKEN, when set, must be sent as Authorization: Bearer <token>;
+// unset, the endpoint is open (keep it off the public internet).
+const METRICS_TOKEN = process.env.METRICS_TOKEN || "";
+const CIRCUIT_STATE_VALUES = { closed: 0, half_open: 1, open: 2 };
+
+metrics.gauge({
+  name: "upstream_circuit_state",
+  help: "Circuit breaker state per upstream (0 closed, 1 half-open, 2 open)",
+  labelNames: ["source"],
+  collect: () => {
+    const breakers = upstream.status();
+    return Object.keys(providers.sources).map((source) => ({
+      labels: { source },
+      value: CIRCUIT_STATE_VALUES[breakers[source]?.state ?? "closed"],
+    }));
+  },
+});
+metrics.gauge({
+  name: "upstream_reachable",
+  help: "1 when the last upstream attempt got an HTTP answer, 0 after a network failure",
+  labelNames: ["source"],
+  collect: () =>
+    Object.entries(upstreamActivity.snapshot())
+      .filter(([, t]) => t.reachable !== null)
+      .map(([source, t]) => ({ labels: { source }, value: t.reachable ? 1 : 0 })),
+});
+
+// Current quota windows: requests today and upstream calls this month (UTC).
+function quotaSeries(pick) {
+  return apiKeys
+    .listKeys()
+    .filter((k) => !k.revokedAt)
+    .flatMap((k) => {
+      const counts = countsFor(k.id);
+      return [
+        {
+          labels: { key_id: k.id, quota: "requests_per_day" },
+          value: pick(counts.requestsToday, k.limits?.requestsPerDay),
+        },
+        {
+          labels: { key_id: k.id, quota: "upstream_calls_per_month" },
+          value: pick(counts.upstreamCallsThisMonth, k.limits?.upstreamCallsPerMonth),
+        },
+      ];
+    })
+    .filter((series) => series.value !== null && series.value !== undefined);
+}
+
+metrics.gauge({
+  name: "quota_used",
+  help: "Quota consumed in the current window per API key",
+  labelNames: ["key_id", "quota"],
+  collect: () => quotaSeries((used) => used),
+});
+metrics.gauge({
+  name: "quota_limit",
+  help: "Quota limit per API key (absent when unlimited)",
+  labelNames: ["key_id", "quota"],
+  collect: () => quotaSeries((used, limit) => limit),
+});
+metrics.gauge({
+  name: "process_uptime_seconds",
+  help: "Seconds since the process started",
+  collect: () => [{ labels: {}, value: Math.round(process.uptime()) }],
+});
+metrics.gauge({
+  name: "process_resident_memory_bytes",
+  help: "Resident set size",
+  collect: () => [{ labels: {}, value: process.memoryUsage().rss }],
+});
+metrics.gauge({
+  name: "nodejs_heap_used_bytes",
+  help: "V8 heap in use",
+  collect: () => [{ labels: {}, value: process.memoryUsage().heapUsed }],
+});
+
+app.get("/metrics", (req, res, next) => {
+  if (METRICS_TOKEN && !apiKeys.safeEqual(req.get("Authorization") || "", `Bearer ${METRICS_TOKEN}`)) {
+    return next(apiError("UNAUTHORIZED", "Missing or invalid metrics token"));
+  }
+  res.type(metrics.contentType).send(metrics.render());
+});
+
+// ✅ Debug: verify env is loaded on Render (admin keys only)
+api.get("/api/debug/env", { summary: "Which upstream keys are configured", tags: ["admin"] }, requireAdmin, (req, res) => {
+  res.json({
+    ok: true,
+    providers: providers.name,
+    hasRentcastKey: Boolean(process.env.RENTCAST_API_KEY),
+    hasRealieKey: Boolean(process.env.REALIE_API_KEY),
+    hasCensusKey: Boolean(process.env.CENSUS_API_KEY),
+    hasNominatimUA: Boolean(process.env.NOMINATIM_USER_AGENT),
+    realieBaseUrl: providers.realie.baseUrl,
+    time: new Date().toISOString(),
+  });
+});
+
+// ==============================
+// Helpers
+// ==============================
+function normalizeComp(c) {
+  const addr =
+    pickFirst(c, ["formattedAddress", "address", "fullAddress"]) ||
+    pickFirst(c?.property, ["formattedAddress", "address"]) ||
+    "";
+
+  const rentRaw =
+    pickFirst(c, [
+      "listedRent",
+      "rent",
+      "price",
+      "monthlyRent",
+      "rentEstimate",
+      "listPrice",
+      "listingPrice",
+      "listRent",
+      "rentAmount",
+    ]) ??
+    pickFirst(c?.pricing, ["rent", "price", "monthlyRent", "listPrice", "listingPrice"]) ??
+    pickFirst(c?.listing, ["rent", "price", "monthlyRent", "listPrice", "listingPrice"]) ??
+    pickFirst(c?.avm, ["rent", "rentEstimate"]);
+
+  const listedRent = toNumberLoose(rentRaw);
+
+  const sqftRaw =
+    pickFirst(c, [
+      "squareFeet",
+      "sqft",
+      "livingArea",
+      "area",
+      "sizeSqft",
+      "buildingSize",
+      "squareFootage",
+      "livingAreaSquareFeet",
+    ]) ??
+    pickFirst(c?.property, ["squareFeet", "sqft", "livingArea", "area", "sizeSqft"]) ??
+    pickFirst(c?.listing, ["squareFeet", "sqft", "livingArea", "area", "sizeSqft"]) ??
+    pickFirst(c?.features, ["squareFeet", "sqft", "livingArea"]);
+
+  const sqft = toNumberLoose(sqftRaw);
+
+  const bedsRaw =
+    pickFirst(c, ["bedrooms", "beds", "bed"]) ??
+    pickFirst(c?.property, ["bedrooms", "beds"]) ??
+    pickFirst(c?.features, ["bedrooms", "beds"]);
+
+  const bathsRaw =
+    pickFirst(c, ["bathrooms", "baths", "bath"]) ??
+    pickFirst(c?.property, ["bathrooms", "baths"]) ??
+    pickFirst(c?.features, ["bathrooms", "baths"]);
+
+  const beds = toNumberLoose(bedsRaw);
+  const baths = toNumberLoose(bathsRaw);
+
+  const distance = toNumberLoose(pickFirst(c, ["distance", "dist"])) ?? null;
+  const similarity = toNumberLoose(pickFirst(c, ["similarity", "score"])) ?? null;
+
+  const type =
+    pickFirst(c, ["propertyType", "type"]) ??
+    pickFirst(c?.property, ["propertyType", "type"]) ??
+    null;
+
+  const lastSeen =
+    pickFirst(c, ["lastSeen", "lastSeenDate", "lastSeenAt", "lastUpdated", "updatedAt"]) ??
+    null;
+
+  return { address: addr, listedRent, distance, similarity, beds, baths, sqft, type, lastSeen };
+}
+
+// Books a billable upstream call to the calling key's usage ledger and quota
+// counter. The monthly quota is checked again on every call (not only when the
+// request starts), so a batch or async job stops once it is used up.
+function meterUpstream(source, endpoint) {
+  const ctx = currentUsage();
+  const keyId = ctx?.keyId || SYSTEM_KEY_ID;
+  const quota = upstreamQuotaExceeded(keyId, ctx?.limits);
+  if (quota) {
+    if (ctx) ctx.quotaRefused = quota.error;
+    throw apiError("QUOTA_EXCEEDED", quota.error, { retryAfterSeconds: quota.retryAfterSeconds });
+  }
+  meter(source, endpoint);
+  quotaUpstreamCalls.inc({ key_id: keyId, source });
+}
+
+const upstreamActivity = createUpstreamTracker();
+
+// Every upstream attempt (live or fixture): latency histogram, /health
+// reachability and a log line tagged with the request ID.
+function observeUpstream({ source, endpoint, attempt, outcome, status, ms, retrying, error }) {
+  upstreamActivity.record({ source, outcome, status, ms });
+  if (NOT_ATTEMPTED.includes(outcome)) {
+    upstreamRejected.inc({ source, endpoint, reason: outcome });
+  } else {
+    upstreamRequestDuration.observe({ source, endpoint, outcome, status: status ?? "" }, ms / 1000);
+  }
+
+  const fields = { source, endpoint, attempt, outcome, status, ms, retrying, err: error?.message };
+  if (outcome === "ok") logger.debug("upstream call", fields);
+  // Not-found style answers are routine (unknown address, no comps).
+  else if (outcome === "http_error" && status < 500 && status !== 429) logger.info("upstream call failed", fields);
+  else logger.warn("upstream call failed", fields);
+}
+
+// Shared upstream client: rate limit, retries with backoff, per-source circuit
+// breaker and the request deadline. Every attempt is booked to the calling
+// API key's usage ledger and carries the request ID.
+const upstream = createUpstreamClient({
+  http: (config) => axios.request(config),
+  limit: withRateLimit,
+  meter: meterUpstream,
+  observe: observeUpstream,
+  requestId: () => requestContext()?.requestId ?? null,
+});
+
+function upstreamGet(source, endpoint, url, config = {}) {
+  return upstream.request(source, endpoint, { ...config, url });
+}
+
+// PROVIDERS=mock swaps every upstream for the fixtures in fixtures/mock (tests, offline work).
+const providers = createProviders(process.env.PROVIDERS, {
+  get: upstreamGet,
+  meter: meterUpstream,
+  observe: observeUpstream,
+});
+
+// ==============================
+// FREE Helpers: Geocode + Census
+// ==============================
+// GEOCODER_ORDER picks and orders the providers (default census,nominatim,offline).
+// Nominatim keeps its process-wide 1 req/s limit; GEOCODER_ZCTA_FILE points the
+// offline provider at a Census Gazetteer ZCTA file instead of the bundled dataset.
+const geocoder = createGeocoder({
+  providers: [
+    censusGeocoderProvider({ census: providers.census }),
+    nominatimProvider({ nominatim: providers.nominatim }),
+    offlineZipProvider({ gazetteerFile: process.env.GEOCODER_ZCTA_FILE || null }),
+  ],
+  order: process.env.GEOCODER_ORDER,
+  lookup: (provider, address) =>
+    provider.cacheSource
+      ? cache.getOrFetch(provider.cacheSource, address, () => provider.geocode(address), { address })
+      : provider.geocode(address).then((value) => ({ value, cached: false, fetchedAt: new Date().toISOString() })),
+});
+
+const CENSUS_ACS_YEAR = acsYearFrom(process.env.CENSUS_ACS_YEAR);
+
+const fipsAt = censusFipsLookup({ census: providers.census });
+
+// One merged ACS row ({ NAME, <var>E, <var>M, ... }) for a geography; the
+// variable list is split across calls to stay under the API limit.
+async function fetchAcsRow(geography, year) {
+  const row = {};
+
+  try {
+    for (const chunk of variableChunks()) {
+      const rows = await providers.census.acs(year, { fields: ["NAME", ...chunk], geography: geography.params });
+      if (!Array.isArray(rows) || rows.length < 2) return null;
+
+      rows[0].forEach((h, i) => (row[h] = rows[1][i]));
+    }
+    return row;
+  } catch (err) {
+    logger.warn("Census ACS lookup failed", { year, level: geography.level, err });
+    return null;
+  }
+}
+
+const ZIP = s.string({ pattern: /^\d{5}$/, patternMessage: "must be a 5-digit ZIP", example: "44128" });
+
+const censusPingQuery = s.object({
+  zip: { ...ZIP, required: true },
+  acsYear: ACS_FIELDS.acsYear,
+  compare: s.boolean({ default: false, description: "Include the year-over-year comparison" }),
+});
+
+api.get(
+  "/api/census/ping",
+  { summary: "ACS demographics for a ZIP (ZCTA)", tags: ["census"], query: censusPingQuery },
+  async (req, res) => {
+    const { zip, acsYear, compare } = req.valid.query;
+    const year = acsYearFrom(acsYear, CENSUS_ACS_YEAR);
+    const entry = await cachedCensusByZip(zip, { year, compare: compare === true });
+    res.json({
+      ok: Boolean(entry?.value),
+      zip,
+      year,
+      hasKey: providers.census.hasKey,
+      cached: entry?.cached ?? false,
+      fetchedAt: entry?.fetchedAt ?? null,
+      demographics: entry?.value ?? null,
+    });
+  }
+);
+
+const neighborhoodQuery = s.object(
+  {
+    address: s.string({ maxLength: 200, description: "Geocoded first; otherwise pass lat and lon" }),
+    lat: s.number({ min: -90, max: 90 }),
+    lon: s.number({ min: -180, max: 180 }),
+    acsYear: ACS_FIELDS.acsYear,
+    compare: ACS_FIELDS.acsCompare,
+  },
+  { check: (q) => (q.address || (q.lat !== undefined && q.lon !== undefined) ? null : "provide address, or lat and lon") }
+);
+
+// Tract + block group for a point (?lat=&lon=) or an address (geocoded first).
+api.get(
+  "/api/census/neighborhood",
+  { summary: "ACS demographics for the tract and block group at a point or address", tags: ["census"], query: neighborhoodQuery },
+  async (req, res) => {
+    const { address, lat, lon, acsYear, compare } = req.valid.query;
+    const year = acsYearFrom(acsYear, CENSUS_ACS_YEAR);
+
+    let geo = null;
+    if (address) {
+      geo = (await cachedGeocode(address)).value;
+      if (!geo) throw apiError("NOT_FOUND", "Could not geocode address");
+    } else {
+      geo = { lat, lon };
+      if (!isValidCoord(geo)) throw apiError("VALIDATION_ERROR", "lat/lon is not a valid coordinate");
+    }
+
+    const entry = await cachedNeighborhood(geo, { year, compare: compare ?? true, address: address || null });
+    if (!entry) throw apiError("NOT_FOUND", "No census tract found for this location");
+
+    res.json({ ok: true, year, lat: geo.lat, lon: geo.lon, cached: entry.cached, fetchedAt: entry.fetchedAt, ...entry.value });
+  }
+);
+
+// ==============================
+// Simple AVM + ARV
+// ==============================
+function computeSimpleAVM({
+  subjectSqft,
+  subjectBeds,
+  subjectBaths,
+  saleComps = [],
+  rentEstimateMonthly,
+  capRatePercent = 8.0,
+  arvOptions = {},
+}) {
+  const valuation = valueFromComps({
+    subject: { sqft: subjectSqft, beds: subjectBeds, baths: subjectBaths },
+    comps: saleComps,
+    options: arvOptions,
+  });
+
+  if (valuation.ok) {
+    return {
+      method: "Weighted, adjusted sale comps × subject sqft",
+      estimatedMarketValue: valuation.value,
+      range: valuation.range,
+      inputs: {
+        subjectSqft: Number(subjectSqft),
+        compsUsed: valuation.compsUsed,
+        avgPricePerSqft: Math.round(valuation.pricePerSqft),
+      },
+      confidence: valuation.confidence.label,
+      confidenceScore: valuation.confidence.score,
+      label: "Estimate (Algorithmic)",
+    };
+  }
+
+  const rent = Number(rentEstimateMonthly);
+  const cap = Number(capRatePercent);
+  if (Number.isFinite(rent) && rent > 0 && Number.isFinite(cap) && cap > 0) {
+    const noiAnnual = rent * 12;
+    const avm = Math.round(noiAnnual / (cap / 100));
+    return {
+      method: "Rent estimate annualized ÷ cap rate",
+      estimatedMarketValue: avm,
+      inputs: { rentEstimateMonthly: rent, capRatePercent: cap },
+      confidence: "low",
+      label: "Estimate (Algorithmic)",
+    };
+  }
+
+  return { method: "Insufficient inputs", estimatedMarketValue: null, confidence: "none", label: "Estimate (Algorithmic)" };
+}
+
+// ==============================
+// Upstream fetchers (cached)
+// ==============================
+function cachedRentcastRentalListings(args) {
+  const key = [args.zip, args.propertyType, args.limit].join("|");
+  return cache.getOrFetch("rentcast_listings", key, () => providers.rentcast.rentalListings(args));
+}
+
+// Same { value, cached, fetchedAt } shape as the other cached lookups, plus the provider attempts.
+async function cachedGeocode(address) {
+  const { result, cached, fetchedAt, attempts } = await geocoder.geocode(address);
+  return { value: result, cached, fetchedAt, attempts };
+}
+
+function cachedAcsRow(geography, year, { address } = {}) {
+  return cache.getOrFetch("census", `${year}|${geography.id}`, () => fetchAcsRow(geography, year), { address });
+}
+
+// ACS profile for a geography, with the year-over-year block unless compare is off.
+async function cachedAcsProfile(geography, { year = CENSUS_ACS_YEAR, compare = true, address } = {}) {
+  if (!geography) return null;
+
+  const entry = await cachedAcsRow(geography, year, { address });
+  if (!entry.value) return { ...entry, value: null };
+
+  const profile = profileFromRow(entry.value, geography, year);
+  if (compare) {
+    const prior = await cachedAcsRow(geography, year - 1, { address });
+    if (prior.value) profile.yearOverYear = yearOverYear(profile, profileFromRow(prior.value, geography, year - 1));
+  }
+  return { ...entry, value: profile };
+}
+
+function cachedCensusByZip(zip, options = {}) {
+  return cachedAcsProfile(geographyFor("zcta", { zip }), options);
+}
+
+// Tract FIPS come with Census geocoder hits; other providers need a point lookup.
+async function fipsForGeo(geo, { address } = {}) {
+  if (geo?.fips?.state && geo.fips.county && geo.fips.tract) return geo.fips;
+  if (!isValidCoord(geo)) return null;
+
+  const key = `${geo.lat.toFixed(5)},${geo.lon.toFixed(5)}`;
+  try {
+    const entry = await cache.getOrFetch("census_geocoder", `coords:${key}`, () => fipsAt(geo.lat, geo.lon), { address });
+    return entry.value;
+  } catch (e) {
+    logger.warn("Census coordinates lookup failed", { err: e });
+    return null;
+  }
+}
+
+// Tract and block-group profiles around a geocoded point; cache info follows the tract lookup.
+async function cachedNeighborhood(geo, { year, compare, address } = {}) {
+  const fips = await fipsForGeo(geo, { address });
+  if (!fips) return null;
+
+  const tract = await cachedAcsProfile(geographyFor("tract", { fips }), { year, compare, address });
+  const blockGroup = await cachedAcsProfile(geographyFor("blockGroup", { fips }), { year, compare, address });
+
+  return {
+    value: { fips, tract: tract?.value ?? null, blockGroup: blockGroup?.value ?? null },
+    cached: Boolean(tract?.cached),
+    fetchedAt: tract?.fetchedAt ?? null,
+  };
+}
+
+// RentCast / Realie adapters throw on upstream errors, so failures are never cached.
+function cachedRentcastProperties(address) {
+  return cache.getOrFetch("rentcast", address, () => providers.rentcast.properties(address), { address });
+}
+
+function cachedRentcastRentEstimate(args) {
+  const key = [args.address, args.radius, args.limit].join("|");
+  return cache.getOrFetch("rentcast_rent", key, () => providers.rentcast.rentEstimate(args), { address: args.address });
+}
+
+function cachedRealieProperty(params, { address } = {}) {
+  const key = [params.state, params.addressLine1, params.unitNumberStripped, params.city, params.county]
+    .map((v) => v || "")
+    .join("|");
+  return cache.getOrFetch("realie", key, () => providers.realie.propertyByAddress(params), {
+    address: address || params.addressLine1,
+  });
+}
+
+function cachedRealieSaleComps(args, { address } = {}) {
+  const coord = (v) => (Number.isFinite(v) ? v.toFixed(4) : "");
+  const key = [
+    args.state,
+    args.county,
+    args.subjectSqft ?? "",
+    args.limit ?? "",
+    coord(args.lat),
+    coord(args.lon),
+    args.radiusMiles ?? "",
+    args.soldWithinMonths ?? "",
+  ].join("|");
+  return cache.getOrFetch("realie_comps", key, () => fetchRealieSaleComps(args), {
+    address,
+    shouldCache: (v) => Boolean(v?.ok),
+  });
+}
+
+function cacheMarker(entry) {
+  return entry ? { cached: entry.cached, fetchedAt: entry.fetchedAt } : null;
+}
+
+// ==============================
+// Address normalization (debug)
+// ==============================
+const ADDRESS_QUERY = s.object({ address: { ...ADDRESS_FIELDS.fullAddress, required: true } });
+
+api.get(
+  "/api/address/normalize",
+  { summary: "Parse and normalize a one-line address", tags: ["address"], query: ADDRESS_QUERY },
+  (req, res) => {
+    res.json(parseAddress(req.valid.query.address));
+  }
+);
+
+// ==============================
+// RentCast endpoints
+// ==============================
+api.get(
+  "/api/property",
+  { summary: "RentCast property record(s) for an address", tags: ["rentcast"], query: ADDRESS_QUERY },
+  async (req, res) => {
+    if (!providers.rentcast.configured) throw missingCredentials("RENTCAST_API_KEY");
+
+    const raw = req.valid.query.address;
+    const parsed = parseAddress(raw);
+    const address = parsed.ok ? parsed.formatted : raw;
+
+    let entry;
+    try {
+      entry = await cachedRentcastProperties(address);
+    } catch (e) {
+      throw upstreamApiError(e, { provider: "rentcast", action: "Failed to fetch property data" });
+    }
+
+    res.setHeader("X-Normalized-Address", address);
+    res.setHeader("X-Cache", entry.cached ? "HIT" : "MISS");
+    res.json(entry.value);
+  }
+);
+
+// RentCast rent AVM + its rental comparables. "Not found" style responses
+// come back as an empty result; other upstream errors are thrown.
+async function fetchNearbyRentals({ address, radius = 0.5, limit = 10 }) {
+  try {
+    const { value: data, cached, fetchedAt } = await cachedRentcastRentEstimate({ address, radius, limit });
+
+    const rawComps = data?.comparables || data?.comps || [];
+    const comps = rawComps.map(normalizeComp);
+
+    return {
+      ok: true,
+      address,
+      radius,
+      limit,
+      rentEstimate: toNumberLoose(data?.rent),
+      rentRangeLow: toNumberLoose(data?.rentRangeLow),
+      rentRangeHigh: toNumberLoose(data?.rentRangeHigh),
+      count: comps.length,
+      comps,
+      cached,
+      fetchedAt,
+    };
+  } catch (error) {
+    const status = error.response?.status;
+    if (![400, 404, 422].includes(status)) throw error;
+
+    return { ok: true, address, radius, limit, count: 0, comps: [], note: "No comps found", rentcastStatus: status };
+  }
+}
+
+// Subject beds/baths/sqft/type for comp scoring, from RentCast's property record.
+async function rentSubjectFor(address) {
+  try {
+    const { value } = await cachedRentcastProperties(address);
+    const p = Array.isArray(value) ? value[0] : value;
+    if (!p) return null;
+    const property = mergePropertyRecords({ rentcast: p });
+    return { beds: property.beds, baths: property.baths, sqft: property.sqft, type: property.propertyType };
+  } catch (e) {
+    logger.warn("RentCast subject lookup failed", { err: e });
+    return null;
+  }
+}
+
+const NEARBY_RENTALS_MAX = 25;
+
+const nearbyRentalsQuery = s.object(
+  {
+    address: { ...ADDRESS_FIELDS.fullAddress, required: true },
+    radius: s.number({ exclusiveMin: 0, max: 50, default: 0.5, description: "Search radius (miles)" }),
+    limit: s.integer({ min: 1, max: NEARBY_RENTALS_MAX, default: 10, description: "Comparables to request" }),
+    topN: s.integer({ min: 1, max: NEARBY_RENTALS_MAX, default: RENT_COMP_DEFAULTS.topN, description: "Comps behind the derived estimate" }),
+    ...RENT_COMP_FILTER_FIELDS,
+  },
+  {
+    check: orderedPairs([
+      ["minBeds", "maxBeds"],
+      ["minBaths", "maxBaths"],
+      ["minSqft", "maxSqft"],
+    ]),
+  }
+);
+
+api.get(
+  "/api/nearby-rentals",
+  { summary: "Scored rental comps and a derived rent estimate", tags: ["rentcast"], query: nearbyRentalsQuery },
+  async (req, res) => {
+    const query = req.valid.query;
+    const radius = query.radius ?? 0.5;
+    const limit = query.limit ?? 10;
+    const topN = Math.min(query.topN ?? RENT_COMP_DEFAULTS.topN, limit);
+    const filters = rentCompFiltersFrom(query);
+
+    if (!providers.rentcast.configured) throw missingCredentials("RENTCAST_API_KEY");
+
+    let nearby;
+    try {
+      nearby = await fetchNearbyRentals({ address: query.address, radius, limit });
+    } catch (e) {
+      throw upstreamApiError(e, { provider: "rentcast", action: "Failed to fetch nearby rentals" });
+    }
+
+    const { rentEstimate, rentRangeLow, rentRangeHigh, comps: rawComps, ...result } = nearby;
+    const subject = rawComps.length ? await rentSubjectFor(query.address) : null;
+    const { comps, excluded, estimate } = analyzeRentComps(rawComps, { subject, filters, topN });
+
+    res.json({
+      ...result,
+      count: comps.length,
+      filters,
+      excluded,
+      subject,
+      rentcastEstimate: { rent: rentEstimate ?? null, rangeLow: rentRangeLow ?? null, rangeHigh: rentRangeHigh ?? null },
+      derivedEstimate: estimate,
+      comps,
+    });
+  }
+);
+
+// ==============================
+// Rental market by ZIP
+// ==============================
+const MARKET_LISTING_LIMIT = 500;
+
+const marketQuery = s.object({
+  zip: s.string({
+    required: true,
+    pattern: /^\d{5}(-\d{4})?$/,
+    patternMessage: "must be a 5-digit ZIP (ZIP+4 is accepted)",
+    example: "75201",
+  }),
+  propertyType: s.string({ maxLength: 100 }),
+  limit: s.integer({ min: 1, max: MARKET_LISTING_LIMIT, default: MARKET_LISTING_LIMIT, description: "Listings to pull" }),
+  rent: s.number({ exclusiveMin: 0, description: "Subject rent to place against the market" }),
+  beds: s.number({ min: 0, max: 20, description: "Subject beds (with rent)" }),
+});
+
+api.get(
+  "/api/market",
+  { summary: "Rental market stats for a ZIP from active listings", tags: ["rentcast"], query: marketQuery },
+  async (req, res) => {
+    const { rent, beds } = req.valid.query;
+    const zip = req.valid.query.zip.slice(0, 5);
+    const propertyType = req.valid.query.propertyType || null;
+    const limit = req.valid.query.limit ?? MARKET_LISTING_LIMIT;
+
+    if (!providers.rentcast.configured) throw missingCredentials("RENTCAST_API_KEY");
+
+    let listingsEntry;
+    try {
+      listingsEntry = await cachedRentcastRentalListings({ zip, propertyType, limit });
+    } catch (e) {
+      if (![400, 404, 422].includes(e.response?.status)) {
+        throw upstreamApiError(e, { provider: "rentcast", action: "Failed to fetch rental listings" });
+      }
+      listingsEntry = { value: [], cached: false, fetchedAt: null };
+    }
+
+    const raw = Array.isArray(listingsEntry.value) ? listingsEntry.value : [];
+    const listings = raw.map((l) => ({ ...normalizeComp(l), daysOnMarket: toNumberLoose(l?.daysOnMarket) }));
+    const censusEntry = await cachedCensusByZip(zip, { compare: false });
+
+    res.json({
+      ok: true,
+      zip,
+      propertyType,
+      ...marketStats(listings, { census: censusEntry?.value ?? null, subject: rent ? { rent, beds } : null }),
+      cache: { listings: cacheMarker(listingsEntry), census: cacheMarker(censusEntry) },
+    });
+  }
+);
+
+// ==============================
+// Realie endpoints
+// ==============================
+api.get("/api/realie/ping", { summary: "Whether the Realie key is configured", tags: ["realie"] }, (req, res) => {
+  res.json({
+    ok: true,
+    hasKey: providers.realie.configured,
+    baseUrl: providers.realie.baseUrl,
+    time: new Date().toISOString(),
+  });
+});
+
+const realieLookupQuery = s.object({
+  address: s.string({ maxLength: 200, description: "One line; fills in whichever separate fields are missing" }),
+  state: ADDRESS_FIELDS.state,
+  addressLine1: ADDRESS_FIELDS.addressLine1,
+  city: ADDRESS_FIELDS.city,
+  county: ADDRESS_FIELDS.county,
+  unitNumberStripped: s.string({ maxLength: 20, description: "Unit number without the designator (e.g. 4B)" }),
+});
+
+api.get(
+  "/api/realie/address-lookup",
+  { summary: "Realie parcel record for an address", tags: ["realie"], query: realieLookupQuery },
+  async (req, res) => {
+    if (!providers.realie.configured) throw missingCredentials("REALIE_API_KEY");
+
+    const query = req.valid.query;
+    // `address` (one line) fills in whichever of the separate fields are missing.
+    const parsed = query.address ? parseAddress(query.address) : null;
+    const fromParsed = parsed?.ok ? parsed : {};
+
+    const state = (query.state || fromParsed.state || "").toUpperCase();
+    const city = query.city || fromParsed.city || "";
+    const county = query.county || "";
+
+    const street = query.addressLine1 ? parseStreetLine(query.addressLine1) : parsed?.ok ? parsed : null;
+    const addressLine1 =
+      street?.number && street?.streetName ? formatStreet(street, { withUnit: false }) : query.addressLine1 || "";
+    const unitNumberStripped = query.unitNumberStripped || street?.unit || "";
+
+    if (!state) throw apiError("VALIDATION_ERROR", "state is required (e.g., OH)");
+    if (!addressLine1) throw apiError("VALIDATION_ERROR", "addressLine1 (street line 1 only) or address is required");
+
+    let entry;
+    try {
+      entry = await cachedRealieProperty({ state, addressLine1, city, county, unitNumberStripped });
+    } catch (e) {
+      throw upstreamApiError(e, { provider: "realie", action: "Realie address lookup failed" });
+    }
+
+    const data = entry.value;
+    res.json({
+      ok: true,
+      cached: entry.cached,
+      fetchedAt: entry.fetchedAt,
+      lookup: { state, addressLine1, unitNumberStripped: unitNumberStripped || null, city, county },
+      property: data?.property ?? data ?? null,
+      raw: data,
+    });
+  }
+);
+
+// ==============================
+// Realie sale comps helpers
+// ==============================
+function normalizeSaleComp(x) {
+  const price =
+    toNumberLoose(pickFirst(x, ["salePrice", "lastSalePrice", "transferPrice", "price"])) ?? null;
+
+  const sqft =
+    toNumberLoose(pickFirst(x, ["buildingArea", "livingArea", "squareFeet", "sqft"])) ?? null;
+
+  const soldDate =
+    pickFirst(x, ["saleDate", "lastSaleDate", "transferDate", "recordingDate"]) ?? null;
+
+  const address =
+    pickFirst(x, ["address", "formattedAddress", "addressFull", "addressFullUSPS"]) ?? "";
+
+  const beds = toNumberLoose(pickFirst(x, ["bedrooms", "totalBedrooms", "beds"])) ?? null;
+  const baths = toNumberLoose(pickFirst(x, ["bathrooms", "totalBathrooms", "baths"])) ?? null;
+
+  // Realie returns latitude/longitude and a GeoJSON point ([lon, lat]).
+  const coords = x?.location?.coordinates;
+  const lat = toNumberLoose(pickFirst(x, ["latitude", "lat"])) ?? (Array.isArray(coords) ? toNumberLoose(coords[1]) : null);
+  const lon =
+    toNumberLoose(pickFirst(x, ["longitude", "lon", "lng"])) ?? (Array.isArray(coords) ? toNumberLoose(coords[0]) : null);
+
+  return {
+    address,
+    price,
+    sqft,
+    beds,
+    baths,
+    lat,
+    lon,
+    soldDate,
+    ppsf: price && sqft ? round2(price / sqft) : null,
+    raw: x,
+  };
+}
+
+const SALE_COMP_DEFAULT_RADIUS_MILES = 1;
+const SALE_COMP_MAX_RADIUS_MILES = 25;
+const SALE_COMP_DEFAULT_MONTHS = 12;
+const SALE_COMP_MAX_MONTHS = 60;
+const SALE_COMP_MAX_LIMIT = 20;
+
+// Property panel inputs: the GET /api/property-panel query, batch assumptions,
+// saved properties and watches. panelInputFrom() applies the defaults.
+const PANEL_FIELDS = {
+  ...ADDRESS_FIELDS,
+  cap: s.number({ exclusiveMin: 0, max: 100, default: 8, description: "Cap rate % for the income approach" }),
+  purchasePrice: PRICE_FIELDS.purchasePrice,
+  ...FINANCING_FIELDS,
+  saleCompLimit: s.integer({ min: 1, max: SALE_COMP_MAX_LIMIT, default: 10 }),
+  saleCompRadius: s.number({
+    exclusiveMin: 0,
+    max: SALE_COMP_MAX_RADIUS_MILES,
+    default: SALE_COMP_DEFAULT_RADIUS_MILES,
+    description: "Sale comp radius (miles)",
+  }),
+  saleCompMonths: s.integer({ min: 1, max: SALE_COMP_MAX_MONTHS, default: SALE_COMP_DEFAULT_MONTHS }),
+  ...ARV_FIELDS,
+  ...EXPENSE_FIELDS,
+  proforma: s.boolean({ description: "Add the multi-year pro forma" }),
+  ...PROFORMA_FIELDS,
+  rehabBudget: REHAB_FIELDS.rehabBudget,
+  ...STRATEGY_FIELDS,
+  str: s.boolean({ description: "Add the short-term rental summary" }),
+  ...STR_FIELDS,
+  ...ACS_FIELDS,
+  includeRaw: s.boolean({ description: "Include the raw vendor payloads" }),
+};
+
+function requirePanelAddress(src) {
+  return src.fullAddress || src.address || (src.state && src.addressLine1)
+    ? null
+    : "provide either fullAddress OR (state + addressLine1)";
+}
+
+// With a subject location: keep comps inside the radius and sold-within window,
+// nearest first. Without one we can only rank by sqft similarity.
+function selectSaleComps(comps, { subjectSqft, center, radiusMiles, soldWithinMonths, limit }) {
+  const excluded = { noLocation: 0, outsideRadius: 0, noSaleDate: 0, tooOld: 0 };
+  const sqft = Number(subjectSqft);
+  const sqftDiff = (c) => (Number.isFinite(sqft) && sqft > 0 ? Math.abs(c.sqft - sqft) : 0);
+
+  let out = comps.map((c) => ({
+    ...c,
+    distanceMiles: center ? round2(haversineMiles(center, { lat: c.lat, lon: c.lon })) : null,
+    monthsSinceSale: round2(monthsSince(c.soldDate)),
+  }));
+
+  const exclude = (reason) => {
+    excluded[reason]++;
+    return false;
+  };
+
+  if (soldWithinMonths) {
+    out = out.filter((c) => {
+      if (c.monthsSinceSale === null) return exclude("noSaleDate");
+      if (c.monthsSinceSale > soldWithinMonths) return exclude("tooOld");
+      return true;
+    });
+  }
+
+  if (center) {
+    out = out
+      .filter((c) => {
+        if (c.distanceMiles === null) return exclude("noLocation");
+        if (c.distanceMiles > radiusMiles) return exclude("outsideRadius");
+        return true;
+      })
+      .sort((a, b) => a.distanceMiles - b.distanceMiles || sqftDiff(a) - sqftDiff(b));
+  } else {
+    out = out.sort((a, b) => sqftDiff(a) - sqftDiff(b));
+  }
+
+  return { comps: out.slice(0, limit), excluded };
+}
+
+async function fetchRealieSaleComps({
+  state,
+  county,
+  subjectSqft,
+  limit = 10,
+  lat = null,
+  lon = null,
+  radiusMiles = SALE_COMP_DEFAULT_RADIUS_MILES,
+  soldWithinMonths = SALE_COMP_DEFAULT_MONTHS,
+}) {
+  if (!providers.realie.configured || !state || !county) return { ok: false, comps: [], source: null };
+
+  const center = isValidCoord({ lat, lon }) ? { lat, lon } : null;
+  const filters = { center, radiusMiles: center ? radiusMiles : null, soldWithinMonths };
+  const select = (rows) =>
+    selectSaleComps(
+      (Array.isArray(rows) ? rows : []).map(normalizeSaleComp).filter((c) => c.price && c.sqft),
+      { subjectSqft, center, radiusMiles, soldWithinMonths, limit }
+    );
+
+  // 1) Try premium comparables (location-aware when we have the subject's coordinates)
+  try {
+    const data = await providers.realie.comparables({
+      state,
+      county,
+      limit: Math.max(limit * 3, 25),
+      center,
+      radiusMiles,
+      soldWithinMonths,
+    });
+
+    const { comps, excluded } = select(data?.comparables || data?.data || data || []);
+    if (comps.length) return { ok: true, comps, source: "realie_premium_comparables", filters, excluded };
+  } catch (e) {
+    // fallback
+  }
+
+  // 2) Fallback search (county-wide; radius/recency applied locally)
+  try {
+    const data = await providers.realie.search({ state, county, limit: Math.max(limit * 5, 50) });
+
+    const { comps, excluded } = select(data?.results || data?.data || data?.properties || data || []);
+    return { ok: true, comps, source: "realie_county_search_fallback", filters, excluded };
+  } catch (e) {
+    return { ok: false, comps: [], source: null };
+  }
+}
+
+function computeARVFromComps({ subjectSqft, subjectBeds, subjectBaths, saleComps, arvOptions = {} }) {
+  const valuation = valueFromComps({
+    subject: { sqft: subjectSqft, beds: subjectBeds, baths: subjectBaths },
+    comps: saleComps,
+    options: arvOptions,
+  });
+
+  if (!valuation.ok) {
+    return {
+      ok: false,
+      arv: null,
+      avgPpsf: null,
+      compsUsed: 0,
+      reason: valuation.reason,
+      adjustmentGrid: valuation.adjustmentGrid,
+    };
+  }
+
+  return {
+    ok: true,
+    arv: valuation.value,
+    avgPpsf: valuation.pricePerSqft,
+    range: valuation.range,
+    confidence: valuation.confidence,
+    compsUsed: valuation.compsUsed,
+    compsExcluded: valuation.compsExcluded,
+    method: "weighted, similarity-adjusted comps (distance, recency, size, beds/baths)",
+    options: valuation.options,
+    adjustmentGrid: valuation.adjustmentGrid,
+  };
+}
+
+// ==============================
+// STR market data
+// ==============================
+// STR_PROVIDER=fixture reads STR_FIXTURE_FILE (default fixtures/str-markets.json).
+const strProvider = createStrProvider(process.env.STR_PROVIDER, { file: process.env.STR_FIXTURE_FILE || undefined });
+
+async function strMarketFor(subject) {
+  if (!strProvider) return null;
+  try {
+    const estimate = await strProvider.estimate(subject);
+    return estimate ? { provider: strProvider.name, ...estimate } : null;
+  } catch (e) {
+    logger.warn("STR provider failed", { provider: strProvider.name, err: e });
+    return null;
+  }
+}
+
+// ==============================
+// Underwriting endpoints
+// ==============================
+function isTruthyFlag(v) {
+  return ["1", "true", "yes"].includes(String(v ?? "").toLowerCase());
+}
+
+// Purchase, rent and financing inputs shared by the underwriting endpoints.
+function underwritingInputsFrom(body = {}) {
+  return {
+    purchasePrice: toNumberLoose(body.purchasePrice),
+    monthlyRent: toNumberLoose(body.monthlyRent),
+    vacancyPercent: toNumberLoose(body.vacancyPercent) ?? 5,
+    expensePercent: toNumberLoose(body.expensePercent) ?? 35,
+    downPaymentPercent: toNumberLoose(body.downPaymentPercent) ?? 20,
+    interestRatePercent: toNumberLoose(body.interestRatePercent) ?? 7.5,
+    loanYears: toNumberLoose(body.loanYears) ?? 30,
+    expenses: expenseInputsFrom(body),
+  };
+}
+
+// Model results are { ok: false, error } when the inputs don't add up.
+function modelError({ ok, error, ...details }) {
+  return apiError("VALIDATION_ERROR", error, Object.keys(details).length ? details : undefined);
+}
+
+const UNDERWRITING_FIELDS = { ...PRICE_FIELDS, ...FINANCING_FIELDS, ...EXPENSE_FIELDS };
+
+api.post(
+  "/api/underwrite/proforma",
+  {
+    summary: "Multi-year pro forma (cash flows, equity, IRR)",
+    tags: ["underwriting"],
+    body: s.object({ ...UNDERWRITING_FIELDS, ...PROFORMA_FIELDS }),
+  },
+  (req, res) => {
+    const body = req.valid.body;
+    const result = computeProForma({ ...underwritingInputsFrom(body), ...proFormaOptionsFrom(body) });
+
+    if (!result.ok) throw modelError(result);
+    res.json(result);
+  }
+);
+
+// STR summary from explicit inputs; with monthlyRent the long-term summary is compared too.
+api.post(
+  "/api/underwrite/str",
+  {
+    summary: "Short-term rental summary, optionally compared with long-term",
+    tags: ["underwriting"],
+    body: s.object({ ...UNDERWRITING_FIELDS, ...STR_FIELDS }),
+  },
+  (req, res) => {
+    const body = req.valid.body;
+    const { purchasePrice, monthlyRent, downPaymentPercent, interestRatePercent, loanYears, expenses, ...ltrInputs } =
+      underwritingInputsFrom(body);
+    const financing = { purchasePrice, downPaymentPercent, interestRatePercent, loanYears, expenses };
+
+    const result = computeStrSummary({ ...financing, ...resolveStrInputs(strOptionsFrom(body)).options });
+    if (!result.ok) throw modelError(result);
+
+    const ltr = monthlyRent ? computeInvestmentSummary({ ...financing, ...ltrInputs, monthlyRent }) : null;
+    res.json({ ...result, ltr, comparison: compareLtrStr(ltr, result) });
+  }
+);
+
+api.post(
+  "/api/underwrite/flip",
+  {
+    summary: "Fix-and-flip profit with hard money financing",
+    tags: ["underwriting"],
+    body: s.object({ purchasePrice: PRICE_FIELDS.purchasePrice, ...REHAB_FIELDS, ...STRATEGY_FIELDS }),
+  },
+  (req, res) => {
+    const body = req.valid.body;
+    const result = computeFlip({
+      purchasePrice: toNumberLoose(body.purchasePrice),
+      arv: toNumberLoose(body.arv),
+      rehabBudget: toNumberLoose(body.rehabBudget),
+      ...strategyOptionsFrom(body),
+    });
+
+    if (!result.ok) throw modelError(result);
+    res.json(result);
+  }
+);
+
+api.post(
+  "/api/underwrite/brrrr",
+  {
+    summary: "BRRRR: rehab, rent, refinance, repeat",
+    tags: ["underwriting"],
+    body: s.object({ ...UNDERWRITING_FIELDS, ...REHAB_FIELDS, ...STRATEGY_FIELDS }),
+  },
+  (req, res) => {
+    const body = req.valid.body;
+    const { purchasePrice, monthlyRent, vacancyPercent, expensePercent, expenses } = underwritingInputsFrom(body);
+
+    const result = computeBrrrr({
+      purchasePrice,
+      arv: toNumberLoose(body.arv),
+      rehabBudget: toNumberLoose(body.rehabBudget),
+      monthlyRent,
+      vacancyPercent,
+      expensePercent,
+      expenses,
+      ...strategyOptionsFrom(body),
+    });
+
+    if (!result.ok) throw modelError(result);
+    res.json(result);
+  }
+);
+
+// Rent may be given directly or taken from the panel's rent estimate for an address.
+api.post(
+  "/api/underwrite/max-offer",
+  {
+    summary: "Highest price that still meets the return targets",
+    tags: ["underwriting"],
+    body: s.object({ ...PANEL_FIELDS, monthlyRent: PRICE_FIELDS.monthlyRent, targets: { ...TARGETS, required: true } }),
+  },
+  async (req, res) => {
+    const body = req.valid.body;
+    const targets = targetsFrom(body.targets);
+
+    let monthlyRent = body.monthlyRent ?? null;
+    let expenseRecords = null;
+    let rentSource = monthlyRent ? "input" : null;
+
+    if (!monthlyRent && !requirePanelAddress(body)) {
+      const panel = await buildPropertyPanel(panelInputFrom(body));
+      monthlyRent = panel.subject.rentEstimateMonthly;
+      expenseRecords = expenseRecordsFromProperty(panel.property);
+      rentSource = monthlyRent ? "rentcast_rent_estimate" : null;
+      if (!monthlyRent) {
+        throw apiError("VALIDATION_ERROR", "monthlyRent missing and the panel has no rent estimate for this address", {
+          warnings: panel.warnings,
+        });
+      }
+    }
+
+    const { purchasePrice, ...financing } = underwritingInputsFrom(body);
+    const result = solveMaxOffer({ ...financing, targets, monthlyRent, expenseRecords });
+
+    if (!result.ok) throw modelError(result);
+    res.json({ ...result, monthlyRent, rentSource });
+  }
+);
+
+// Two-way grid: { ...base inputs, x: { variable, from, to, step }, y: { variable, values } }
+api.post(
+  "/api/underwrite/sensitivity",
+  {
+    summary: "Two-way sensitivity grid over the underwriting inputs",
+    tags: ["underwriting"],
+    body: s.object({
+      ...UNDERWRITING_FIELDS,
+      x: { ...SENSITIVITY_AXIS, required: true },
+      y: { ...SENSITIVITY_AXIS, required: true },
+    }),
+  },
+  (req, res) => {
+    const body = req.valid.body;
+    const result = sensitivityGrid({ base: underwritingInputsFrom(body), x: body.x, y: body.y });
+
+    if (!result.ok) throw modelError(result);
+    res.json(result);
+  }
+);
+
+// Named scenarios side by side; defaults to bear/base/bull when none are given.
+api.post(
+  "/api/underwrite/scenarios",
+  {
+    summary: "Named scenarios side by side (default bear/base/bull)",
+    tags: ["underwriting"],
+    body: s.object({ ...UNDERWRITING_FIELDS, scenarios: s.array(SCENARIO, { maxItems: 10 }) }),
+  },
+  (req, res) => {
+    const body = req.valid.body;
+    const result = runScenarios({ base: underwritingInputsFrom(body), scenarios: body.scenarios });
+
+    if (!result.ok) throw modelError(result);
+    res.json(result);
+  }
+);
+
+// ==============================
+// CSV / XLSX export
+// ==============================
+// "csv" | "xlsx", or null for JSON (the default). `format` is already validated.
+function exportFormat(format) {
+  return format === "csv" || format === "xlsx" ? format : null;
+}
+
+function unknownColumnsError(unknown) {
+  return apiError("VALIDATION_ERROR", `Unknown columns: ${unknown.join(", ")}`, { availableColumns: COLUMN_KEYS });
+}
+
+async function sendExport(res, rows, { format, columns, filename }) {
+  const resolved = resolveColumns(columns);
+  if (resolved.unknown.length) throw unknownColumnsError(resolved.unknown);
+
+  if (format === "xlsx") {
+    const buffer = await rowsToXlsx(rows, resolved.columns);
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}.xlsx"`);
+    return res.send(Buffer.from(buffer));
+  }
+
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}.csv"`);
+  res.send(rowsToCsv(rows, resolved.columns));
+}
+
+// ==============================
+// ✅ Property Panel (MASTER)
+// ==============================
+// Accepts req.query or a JSON object (batch rows), so values may be strings or numbers.
+function panelInputFrom(src = {}) {
+  const str = (v) => (v === undefined || v === null ? "" : String(v)).trim();
+
+  return {
+    fullAddress: str(src.fullAddress || src.address),
+    capRatePercent: toNumberLoose(src.cap) ?? 8,
+    state: str(src.state).toUpperCase(),
+    addressLine1: str(src.addressLine1),
+    city: str(src.city),
+    county: str(src.county),
+    purchasePrice: toNumberLoose(src.purchasePrice),
+    vacancyPercent: toNumberLoose(src.vacancyPercent) ?? 5,
+    expensePercent: toNumberLoose(src.expensePercent) ?? 35,
+    downPaymentPercent: toNumberLoose(src.downPaymentPercent) ?? 20,
+    interestRatePercent: toNumberLoose(src.interestRatePercent) ?? 7.5,
+    loanYears: toNumberLoose(src.loanYears) ?? 30,
+    saleCompLimit: Math.min(toNumberLoose(src.saleCompLimit) ?? 10, SALE_COMP_MAX_LIMIT),
+    saleCompRadiusMiles: Math.min(
+      toNumberLoose(src.saleCompRadius) || SALE_COMP_DEFAULT_RADIUS_MILES,
+      SALE_COMP_MAX_RADIUS_MILES
+    ),
+    saleCompMonths: Math.min(toNumberLoose(src.saleCompMonths) || SALE_COMP_DEFAULT_MONTHS, SALE_COMP_MAX_MONTHS),
+    arvOptions: arvOptionsFrom(src),
+    expenses: expenseInputsFrom(src),
+    proforma: isTruthyFlag(src.proforma) ? proFormaOptionsFrom(src) : null,
+    rehabBudget: toNumberLoose(src.rehabBudget),
+    strategyOptions: strategyOptionsFrom(src),
+    str: isTruthyFlag(src.str) ? strOptionsFrom(src) : null,
+    acsYear: acsYearFrom(src.acsYear, CENSUS_ACS_YEAR),
+    acsCompare: src.acsCompare === undefined ? true : isTruthyFlag(src.acsCompare),
+    includeRaw: isTruthyFlag(src.includeRaw),
+  };
+}
+
+function panelInputError(input) {
+  if (!input.fullAddress && !(input.state && input.addressLine1)) {
+    return "Provide either fullAddress OR (state + addressLine1).";
+  }
+  return null;
+}
+
+function displayAddress(input) {
+  return input.fullAddress || [input.addressLine1, input.city, input.state].filter(Boolean).join(", ");
+}
+
+// Upstream calls made while building one panel share this deadline (0 = none).
+const PANEL_DEADLINE_MS = toNumberLoose(process.env.PANEL_DEADLINE_MS) ?? 30000;
+
+function buildPropertyPanel(input) {
+  return withDeadline(PANEL_DEADLINE_MS, () => assemblePropertyPanel(input));
+}
+
+async function assemblePropertyPanel(input) {
+  const {
+    fullAddress,
+    capRatePercent,
+    purchasePrice,
+    vacancyPercent,
+    expensePercent,
+    downPaymentPercent,
+    interestRatePercent,
+    loanYears,
+    acsYear = CENSUS_ACS_YEAR,
+    acsCompare = true,
+  } = input;
+  let { state, addressLine1, city, county } = input;
+  let unit = null;
+
+  const warnings = [];
+
+  const cacheInfo = { geocoding: null, demographics: null, neighborhood: null, rentcast: null, realie: null, saleComps: null };
+
+  // Parse the one-line address; explicitly passed state/city/addressLine1 still win.
+  const parsed = fullAddress ? parseAddress(fullAddress) : null;
+  if (parsed && !parsed.ok) warnings.push(`Could not parse fullAddress: ${parsed.warnings.join(" ")}`);
+  if (parsed?.ok) {
+    state ||= parsed.state || "";
+    city ||= parsed.city || "";
+  }
+
+  // Realie wants the standardized street line with the unit passed separately.
+  const street = addressLine1 ? parseStreetLine(addressLine1) : parsed?.ok ? parsed : null;
+  if (!addressLine1 && street) warnings.push("addressLine1 was not provided; derived from fullAddress.");
+  if (street?.number && street?.streetName) {
+    addressLine1 = formatStreet(street, { withUnit: false });
+    unit = street.unit;
+  }
+
+  // Geocoders match better without the unit; RentCast accepts it.
+  const geocodeAddress = parsed?.ok ? parsed.formattedWithoutUnit : fullAddress;
+  const rentcastAddress = parsed?.ok ? parsed.formatted : fullAddress;
+
+  // Geocoding and the RentCast record only need the address, so they start
+  // together; Census, the neighborhood and Realie wait for the geocode (ZIP,
+  // point, county) and then run side by side.
+  const timer = createStepTimer();
+
+  let rentcastTask = null;
+  if (!providers.rentcast.configured) timer.skip("rentcast", "RENTCAST_API_KEY missing");
+  else if (!fullAddress) timer.skip("rentcast", "no fullAddress");
+  else rentcastTask = timer.run("rentcast", () => cachedRentcastProperties(rentcastAddress));
+
+  // Geocode
+  const geoEntry = geocodeAddress ? (await timer.run("geocode", () => cachedGeocode(geocodeAddress))).value : null;
+  const geo = geoEntry?.value ?? null;
+  const zip = geo?.zip || parsed?.zip || null;
+  cacheInfo.geocoding = cacheMarker(geoEntry);
+
+  // A ZIP/city centroid says nothing about the block group the property is in.
+  const pointGeo = geo && !String(geo.precision).endsWith("centroid") ? geo : null;
+  const acsOptions = { year: acsYear, compare: acsCompare, address: fullAddress };
+
+  // Derive county/city from geo if missing (Realie matches better with them)
+  const countyFromGeo = !county && Boolean(geo?.county);
+  if (countyFromGeo) county = geo.county;
+  if (!city) city = geo?.city || city;
+
+  let realieTask = null;
+  if (!providers.realie.configured) timer.skip("realie", "REALIE_API_KEY missing");
+  else if (!(state && addressLine1)) timer.skip("realie", "state + addressLine1 missing");
+  else {
+    realieTask = timer.run("realie", () =>
+      cachedRealieProperty({ state, addressLine1, city, county, unitNumberStripped: unit }, { address: fullAddress })
+    );
+  }
+
+  const [censusStep, neighborhoodStep, rentcastStep, realieStep] = await Promise.all([
+    zip ? timer.run("census", () => cachedCensusByZip(zip, acsOptions)) : null,
+    pointGeo ? timer.run("neighborhood", () => cachedNeighborhood(pointGeo, acsOptions)) : null,
+    rentcastTask,
+    realieTask,
+  ]);
+
+  if (fullAddress && !geo) warnings.push(`Geocoding failed (tried: ${geocoder.order.join(", ")}). Check the address format.`);
+  if (!zip && fullAddress) warnings.push("No ZIP from the address or geocoding; demographics skipped.");
+
+  // Census (ZIP level, plus tract / block group around the geocoded point)
+  const censusEntry = censusStep?.value ?? null;
+  const demographics = censusEntry?.value ?? null;
+  cacheInfo.demographics = cacheMarker(censusEntry);
+
+  const neighborhoodEntry = neighborhoodStep?.value ?? null;
+  const neighborhood = neighborhoodEntry?.value ?? null;
+  cacheInfo.neighborhood = cacheMarker(neighborhoodEntry);
+  if (geo && !pointGeo) warnings.push("Geocode is only a centroid; tract/block-group demographics skipped.");
+  else if (pointGeo && !neighborhood?.tract) warnings.push("No tract-level demographics for the geocoded point.");
+
+  if (countyFromGeo) warnings.push("county was not provided; derived from geocoding result.");
+
+  // RentCast
+  let rentcastData = null;
+  let rentcastProp = null;
+
+  if (!providers.rentcast.configured) {
+    warnings.push("RENTCAST_API_KEY missing. RentCast calls skipped.");
+  } else if (!fullAddress) {
+    warnings.push("No fullAddress provided, so RentCast lookup skipped.");
+  } else if (rentcastStep.ok) {
+    const rentcastEntry = rentcastStep.value;
+    cacheInfo.rentcast = cacheMarker(rentcastEntry);
+
+    rentcastData = rentcastEntry.value;
+    rentcastProp = Array.isArray(rentcastData) ? rentcastData[0] : rentcastData;
+
+    if (!rentcastProp) warnings.push("RentCast returned no property for this address.");
+  } else {
+    warnings.push(`RentCast /v1/properties failed: ${upstreamReason(rentcastStep.error)}`);
+  }
+
+  // Realie
+  let realie = null;
+  if (!providers.realie.configured) {
+    warnings.push("REALIE_API_KEY missing. Realie calls skipped.");
+  } else if (!realieStep) {
+    warnings.push("state + addressLine1 missing; Realie lookup skipped.");
+  } else if (realieStep.ok) {
+    const realieEntry = realieStep.value;
+    cacheInfo.realie = cacheMarker(realieEntry);
+
+    realie = realieEntry.value?.property ?? realieEntry.value ?? null;
+    if (!realie) warnings.push("Realie returned no property record for this address.");
+  } else {
+    warnings.push(`Realie address lookup failed: ${upstreamReason(realieStep.error)}`);
+  }
+
+  // Canonical property record (RentCast + Realie, with provenance)
+  const property = mergePropertyRecords({ rentcast: rentcastProp, realie });
+  if (property.conflicts.length) {
+    warnings.push(
+      `RentCast and Realie disagree on ${property.conflicts.map((c) => c.field).join(", ")}; see property.conflicts.`
+    );
+  }
+
+  const subjectSqft = property.sqft;
+  const subjectBeds = property.beds;
+  const subjectBaths = property.baths;
+
+  // Rent estimate
+  const rentEstimateMonthly =
+    toNumberLoose(pickFirst(rentcastProp, ["rentEstimate", "rent", "estimatedRent", "rentEstimateMonthly"])) ??
+    null;
+
+  // Sold comps (Realie needs state+county; radius filtering needs the subject's
+  // coordinates). A rooftop/street geocode or the provider's own point beats a
+  // ZIP/city centroid, which is only the last resort.
+  const subjectLat = pointGeo?.lat ?? property.location?.lat ?? geo?.lat ?? null;
+  const subjectLon = pointGeo?.lon ?? property.location?.lon ?? geo?.lon ?? null;
+
+  const saleCompsStep = await timer.run("saleComps", () =>
+    cachedRealieSaleComps(
+      {
+        state,
+        county,
+        subjectSqft,
+        limit: input.saleCompLimit,
+        lat: subjectLat,
+        lon: subjectLon,
+        radiusMiles: input.saleCompRadiusMiles,
+        soldWithinMonths: input.saleCompMonths,
+      },
+      { address: fullAddress || addressLine1 }
+    )
+  );
+  const saleCompsEntry = saleCompsStep.value ?? { value: { ok: false, comps: [], source: null }, cached: false, fetchedAt: null };
+  const saleCompsResp = saleCompsEntry.value;
+  cacheInfo.saleComps = cacheMarker(saleCompsEntry);
+  const saleComps = saleCompsResp.ok ? saleCompsResp.comps : [];
+  if (!saleCompsResp.ok) warnings.push("Sold comps unavailable (Realie requires BOTH state + county).");
+  if (saleCompsResp.ok && !saleCompsResp.filters?.center) {
+    warnings.push("Subject coordinates unknown; sale comps are county-wide and ranked by sqft only.");
+  }
+  if (saleCompsResp.ok && saleCompsResp.filters?.center && !pointGeo && property.location?.lat == null) {
+    const area = geo.precision === "zip_centroid" ? "ZIP" : "city";
+    warnings.push(`Subject located only by its ${area} centroid; sale-comp distances are measured from there.`);
+  }
+
+  // ARV
+  const arv = computeARVFromComps({
+    subjectSqft,
+    subjectBeds,
+    subjectBaths,
+    saleComps,
+    arvOptions: input.arvOptions,
+  });
+
+  // AVM
+  const avm = computeSimpleAVM({
+    subjectSqft,
+    subjectBeds,
+    subjectBaths,
+    rentEstimateMonthly,
+    capRatePercent,
+    saleComps,
+    arvOptions: input.arvOptions,
+  });
+
+  // Purchase price fallback
+  const fallbackPrice = purchasePrice ?? property.lastSale?.price ?? property.marketValue ?? null;
+
+  // Investment summary
+  const expenseRecords = expenseRecordsFromProperty(property);
+  const investment =
+    fallbackPrice && rentEstimateMonthly
+      ? computeInvestmentSummary({
+          purchasePrice: fallbackPrice,
+          monthlyRent: rentEstimateMonthly,
+          vacancyPercent,
+          expensePercent,
+          downPaymentPercent,
+          interestRatePercent,
+          loanYears,
+          expenses: input.expenses,
+          expenseRecords,
+        })
+      : {
+          ok: false,
+          reason: "Need purchase price + monthly rent estimate.",
+          purchasePrice: fallbackPrice ?? null,
+          monthlyRent: rentEstimateMonthly ?? null,
+        };
+
+  // Optional multi-year pro forma (same purchase/rent/financing as the summary)
+  let proforma;
+  if (input.proforma) {
+    proforma =
+      fallbackPrice && rentEstimateMonthly
+        ? computeProForma({
+            purchasePrice: fallbackPrice,
+            monthlyRent: rentEstimateMonthly,
+            vacancyPercent,
+            expensePercent,
+            downPaymentPercent,
+            interestRatePercent,
+            loanYears,
+            expenses: input.expenses,
+            expenseRecords,
+            ...input.proforma,
+          })
+        : { ok: false, reason: "Need purchase price + monthly rent estimate." };
+  }
+
+  // Optional short-term rental summary, side by side with the long-term one
+  let str;
+  if (input.str) {
+    const market = await strMarketFor({ zip, beds: subjectBeds, lat: subjectLat, lon: subjectLon });
+    const { options, sources } = resolveStrInputs(input.str, market);
+    const summary = fallbackPrice
+      ? computeStrSummary({
+          purchasePrice: fallbackPrice,
+          downPaymentPercent,
+          interestRatePercent,
+          loanYears,
+          expenses: input.expenses,
+          expenseRecords,
+          ...options,
+        })
+      : { ok: false, reason: "Need purchase price." };
+    str = { ...summary, sources, market, comparison: compareLtrStr(investment, summary) };
+  }
+
+  // Optional flip / BRRRR sections, driven by the comps ARV
+  let strategies;
+  if (input.rehabBudget !== null && input.rehabBudget !== undefined) {
+    if (!arv.ok || !fallbackPrice) {
+      const reason = "Need purchase price + ARV from sale comps.";
+      strategies = { flip: { ok: false, reason }, brrrr: { ok: false, reason } };
+    } else {
+      const common = { purchasePrice: fallbackPrice, arv: arv.arv, rehabBudget: input.rehabBudget };
+      strategies = {
+        flip: computeFlip({ ...common, ...input.strategyOptions }),
+        brrrr: rentEstimateMonthly
+          ? computeBrrrr({
+              ...common,
+              monthlyRent: rentEstimateMonthly,
+              vacancyPercent,
+              expensePercent,
+              expenses: input.expenses,
+              expenseRecords,
+              ...input.strategyOptions,
+            })
+          : { ok: false, reason: "Need monthly rent estimate." },
+      };
+    }
+  }
+
+  return {
+    ok: true,
+    warnings,
+    inputs: {
+      fullAddress,
+      normalizedAddress: parsed?.ok ? parsed.formatted : null,
+      state,
+      addressLine1,
+      unit,
+      city,
+      county,
+      zip,
+    },
+    geocoding: geo
+      ? {
+          provider: geo.provider,
+          precision: geo.precision,
+          lat: geo.lat,
+          lon: geo.lon,
+          zip: geo.zip,
+          city: geo.city,
+          county: geo.county,
+          state: geo.state,
+          matchedAddress: geo.matchedAddress,
+          fips: geo.fips ?? null,
+          attempts: geoEntry.attempts,
+          ...(input.includeRaw ? { raw: geo.raw } : {}),
+        }
+      : null,
+    demographics,
+    neighborhood,
+    property,
+    ...(input.includeRaw ? { rentcast: rentcastData, realie } : {}),
+    saleComps: {
+      ok: saleCompsResp.ok,
+      source: saleCompsResp.source,
+      filters: saleCompsResp.filters ?? null,
+      excluded: saleCompsResp.excluded ?? null,
+      count: saleComps.length,
+      comps: saleComps.map((c) => ({
+        address: c.address,
+        price: c.price,
+        sqft: c.sqft,
+        beds: c.beds,
+        baths: c.baths,
+        ppsf: c.ppsf,
+        soldDate: c.soldDate,
+        distanceMiles: c.distanceMiles,
+        monthsSinceSale: c.monthsSinceSale,
+      })),
+    },
+    subject: {
+      sqft: subjectSqft,
+      beds: subjectBeds,
+      baths: subjectBaths,
+      rentEstimateMonthly,
+      purchasePriceUsed: fallbackPrice,
+    },
+    arv,
+    avm,
+    investment,
+    proforma,
+    str,
+    strategies,
+    cache: cacheInfo,
+    timings: { deadlineMs: PANEL_DEADLINE_MS, ...timer.report() },
+  };
+}
+
+const panelQuery = s.object({ ...PANEL_FIELDS, ...EXPORT_FIELDS }, { check: requirePanelAddress });
+
+api.get(
+  "/api/property-panel",
+  {
+    summary: "Everything about one address: record, rent, comps, ARV/AVM, underwriting, demographics",
+    tags: ["property panel"],
+    query: panelQuery,
+  },
+  async (req, res) => {
+    const query = req.valid.query;
+    const panel = await buildPropertyPanel(panelInputFrom(query));
+    res.setHeader("Cache-Control", "public, max-age=60");
+
+    const format = exportFormat(query.format);
+    if (format) {
+      return sendExport(res, [panelAsRow(panel)], { format, columns: query.columns, filename: "property-panel" });
+    }
+    res.json(panel);
+  }
+);
+
+// ==============================
+// Property Panel: deal report
+// ==============================
+const reportQuery = s.object(
+  {
+    ...PANEL_FIELDS,
+    format: s.string({ lowercase: true, enum: ["pdf", "html"], default: "pdf" }),
+    download: s.boolean({ description: "Send as an attachment instead of inline" }),
+  },
+  { check: requirePanelAddress }
+);
+
+// "123 Main St, Dallas, TX 75201" -> "deal-report-123-main-st-dallas-tx-75201"
+function reportFilename(title) {
+  const slug = String(title || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 80);
+  return slug ? `deal-report-${slug}` : "deal-report";
+}
+
+api.get(
+  "/api/property-panel/report",
+  {
+    summary: "Branded one-page deal report (PDF or HTML) built from the property panel",
+    tags: ["property panel"],
+    query: reportQuery,
+    responseDescription: "application/pdf or text/html document",
+  },
+  async (req, res) => {
+    const query = req.valid.query;
+    const panel = await buildPropertyPanel(panelInputFrom(query));
+    const model = reportModel(panel);
+    const format = query.format === "html" ? "html" : "pdf";
+
+    res.setHeader("Cache-Control", "private, max-age=60");
+    res.setHeader(
+      "Content-Disposition",
+      `${query.download ? "attachment" : "inline"}; filename="${reportFilename(model.title)}.${format}"`
+    );
+    if (format === "html") return res.type("html").send(renderReportHtml(model));
+    res.type("application/pdf").send(renderReportPdf(model));
+  }
+);
+
+// ==============================
+// Property Panel: batch
+// ==============================
+const BATCH_MAX_ADDRESSES = Number(process.env.BATCH_MAX_ADDRESSES) || 200;
+const BATCH_SYNC_MAX = 10;
+const BATCH_MAX_CONCURRENCY = 8;
+const BATCH_DEFAULT_CONCURRENCY = 4;
+
+// A row is either an address string or an object with the same fields as the
+// panel query (fullAddress/address, state, addressLine1, city, county, purchasePrice).
+function batchRowInput(row, assumptions) {
+  const fields = typeof row === "string" ? { fullAddress: row } : row && typeof row === "object" ? row : {};
+  return panelInputFrom({ ...assumptions, ...fields });
+}
+
+async function runBatchRow(row, index, assumptions) {
+  const input = batchRowInput(row, assumptions);
+  const address = displayAddress(input);
+
+  const inputError = panelInputError(input);
+  if (inputError) return { index, address, ok: false, error: inputError, warnings: [], panel: null };
+
+  // Each row gets its own usage context so a quota refusal fails only the rows it hit.
+  return runWithUsage({ ...currentUsage(), quotaRefused: null }, async () => {
+    try {
+      const panel = await buildPropertyPanel(input);
+      const refused = currentUsage().quotaRefused;
+      if (refused) return { index, address, ok: false, error: refused, warnings: panel.warnings, panel };
+      return { index, address, ok: true, error: null, warnings: panel.warnings, panel };
+    } catch (e) {
+      logger.error("Batch row failed", { index, err: e });
+      return { index, address, ok: false, error: e.message, warnings: [], panel: null };
+    }
+  });
+}
+
+const BATCH_RUN_FIELDS = {
+  concurrency: s.integer({ min: 1, max: BATCH_MAX_CONCURRENCY, default: BATCH_DEFAULT_CONCURRENCY }),
+  async: s.boolean({ description: `Run as a background job (default: when there are more than ${BATCH_SYNC_MAX} rows)` }),
+};
+
+const batchBody = s.object({
+  addresses: s.array(
+    s.anyOf([s.string({ maxLength: 200 }), s.object(PANEL_FIELDS)], {
+      message: "must be an address string or an object of panel fields",
+    }),
+    { required: true, minItems: 1, maxItems: BATCH_MAX_ADDRESSES }
+  ),
+  assumptions: s.object(PANEL_FIELDS, { description: "Panel parameters shared by every row" }),
+  ...BATCH_RUN_FIELDS,
+  ...EXPORT_FIELDS,
+});
+
+api.post(
+  "/api/property-panel/batch",
+  { summary: "Property panels for many addresses", tags: ["property panel"], body: batchBody },
+  async (req, res) => {
+    const body = req.valid.body;
+    await runBatch(res, body.addresses, body.assumptions || {}, {
+      concurrency: body.concurrency,
+      async: body.async,
+      format: exportFormat(body.format),
+      columns: body.columns,
+      keyId: req.apiKey.id,
+    });
+  }
+);
+
+async function runBatch(res, rows, assumptions, { concurrency, async, format, columns, keyId }) {
+  const workers = concurrency ?? BATCH_DEFAULT_CONCURRENCY;
+  const runAsJob = async === true || (async !== false && rows.length > BATCH_SYNC_MAX);
+
+  if (format) {
+    const { unknown } = resolveColumns(columns);
+    if (unknown.length) throw unknownColumnsError(unknown);
+  }
+
+  const run = (row, i) => runBatchRow(row, i, assumptions);
+
+  if (runAsJob) {
+    const job = createJob(rows, run, { concurrency: workers, meta: { assumptions, keyId } });
+
+    const exportQuery = new URLSearchParams();
+    if (format) exportQuery.set("format", format);
+    if (format && columns) exportQuery.set("columns", columns.join(","));
+    const qs = exportQuery.toString();
+
+    return res.status(202).json({
+      ok: true,
+      jobId: job.id,
+      status: job.status,
+      total: job.total,
+      statusUrl: `/api/property-panel/batch/${job.id}`,
+      downloadUrl: qs ? `/api/property-panel/batch/${job.id}?${qs}` : undefined,
+    });
+  }
+
+  const results = await mapWithConcurrency(rows, workers, run);
+  if (format) return sendExport(res, results, { format, columns, filename: "property-panel-batch" });
+
+  const failed = results.filter((r) => !r.ok).length;
+  res.json({ ok: true, total: results.length, completed: results.length, failed, assumptions, results });
+}
+
+const ASSUMPTION_KEYS = [
+  "cap",
+  "vacancyPercent",
+  "expensePercent",
+  "downPaymentPercent",
+  "interestRatePercent",
+  "loanYears",
+  "saleCompLimit",
+];
+
+const batchCsvQuery = s.object({
+  ...Object.fromEntries(ASSUMPTION_KEYS.map((k) => [k, PANEL_FIELDS[k]])),
+  ...BATCH_RUN_FIELDS,
+  ...EXPORT_FIELDS,
+  format: { ...EXPORT_FIELDS.format, default: "csv" },
+});
+
+// CSV upload: the body is the CSV itself; shared assumptions and export options
+// come from the query string.
+api.post(
+  "/api/property-panel/batch/csv",
+  {
+    summary: "Batch property panels from an uploaded CSV of addresses",
+    tags: ["property panel"],
+    query: batchCsvQuery,
+    body: s.string({ description: "CSV with an address column (or addressLine1, city, state)" }),
+    bodyType: "text/csv",
+  },
+  express.text({ type: ["text/csv", "text/plain", "application/csv"], limit: "1mb" }),
+  async (req, res) => {
+    const query = req.valid.query;
+    if (!req.valid.body) throw apiError("VALIDATION_ERROR", "Send the CSV as the request body (Content-Type: text/csv)");
+
+    const rows = parseAddressCsv(req.valid.body);
+    if (!rows.length) throw apiError("VALIDATION_ERROR", "CSV contained no address rows");
+    if (rows.length > BATCH_MAX_ADDRESSES) {
+      throw apiError("VALIDATION_ERROR", `At most ${BATCH_MAX_ADDRESSES} addresses per batch`);
+    }
+
+    const assumptions = {};
+    for (const k of ASSUMPTION_KEYS) if (query[k] !== undefined) assumptions[k] = query[k];
+
+    await runBatch(res, rows, assumptions, {
+      concurrency: query.concurrency,
+      async: query.async,
+      format: exportFormat(query.format ?? "csv"),
+      columns: query.columns,
+      keyId: req.apiKey.id,
+    });
+  }
+);
+
+api.get(
+  "/api/property-panel/batch/:jobId",
+  {
+    summary: "Batch job status, results or export",
+    tags: ["property panel"],
+    params: s.object({ jobId: s.string({ maxLength: 100 }) }),
+    query: s.object({
+      ...EXPORT_FIELDS,
+      includeResults: s.boolean({ default: true, description: "Include per-row results in the JSON" }),
+    }),
+  },
+  async (req, res) => {
+    const query = req.valid.query;
+    const job = getJob(req.valid.params.jobId);
+    if (!job || !canAccess(req, job.meta.keyId)) throw apiError("NOT_FOUND", "Batch job not found (jobs expire 1 hour after finishing)");
+
+    const format = exportFormat(query.format);
+    if (format) {
+      res.setHeader("X-Job-Status", job.status);
+      return sendExport(res, job.results.filter(Boolean), {
+        format,
+        columns: query.columns,
+        filename: `property-panel-batch-${job.id}`,
+      });
+    }
+
+    res.json({ ok: true, job: jobSummary(job, { includeResults: query.includeResults ?? true }) });
+  }
+);
+
+// ==============================
+// Saved properties (deal pipeline)
+// ==============================
+// Everything in the body other than notes/status is kept as the panel
+// parameters (same names as the /api/property-panel query) for re-runs.
+const PROPERTY_FIELDS = ["notes", "status"];
+
+function savedParamsFrom(body = {}) {
+  const params = {};
+  for (const [k, v] of Object.entries(body)) {
+    if (PROPERTY_FIELDS.includes(k) || v === undefined || v === null || typeof v === "object") continue;
+    params[k] = v;
+  }
+  return params;
+}
+
+const ID_PARAMS = s.object({ id: s.string({ maxLength: 100 }) });
+
+function ownedProperty(req) {
+  const record = properties.getProperty(req.valid.params.id);
+  if (!record || !canAccess(req, record.ownerKeyId)) throw apiError("NOT_FOUND", "Saved property not found");
+  return record;
+}
+
+const STATUS = s.string({
+  normalize: (v) => properties.normalizeStatus(v) ?? v,
+  enum: properties.STATUSES,
+  description: "Pipeline status",
+});
+const STATUS_FILTER = s.array(STATUS, { csv: true, description: "Pipeline statuses (comma-separated)" });
+const NOTES = s.string({ maxLength: 10000 });
+
+api.post(
+  "/api/properties",
+  {
+    summary: "Save a property: runs the panel and stores its parameters and snapshot",
+    tags: ["saved properties"],
+    body: s.object({ ...PANEL_FIELDS, notes: NOTES, status: STATUS }, { check: requirePanelAddress }),
+    status: 201,
+  },
+  async (req, res) => {
+    const body = req.valid.body;
+    const params = savedParamsFrom(body);
+    const input = panelInputFrom(params);
+
+    const panel = await buildPropertyPanel(input);
+    const result = properties.createProperty({
+      address: displayAddress(input),
+      params,
+      notes: body.notes,
+      status: body.status,
+      panel,
+      ownerKeyId: req.apiKey.id,
+    });
+    if (!result.ok) throw apiError("VALIDATION_ERROR", result.error);
+    res.status(201).json({ ok: true, property: properties.summarize(result.property) });
+  }
+);
+
+api.get(
+  "/api/properties",
+  {
+    summary: "List saved properties with pipeline counts",
+    tags: ["saved properties"],
+    query: s.object({
+      status: STATUS_FILTER,
+      q: s.string({ maxLength: 200, description: "Matches address and notes" }),
+      sort: s.string({ enum: properties.SORT_KEYS, default: "updatedAt" }),
+      order: s.string({ lowercase: true, enum: ["asc", "desc"] }),
+    }),
+  },
+  (req, res) => {
+    const { status, q, sort = "updatedAt", order } = req.valid.query;
+    const ownerKeyId = ownerScope(req);
+    const list = properties.listProperties({ status: status?.join(","), q, sort, order, ownerKeyId });
+    res.json({ ok: true, count: list.length, pipeline: properties.pipelineCounts(ownerKeyId), properties: list });
+  }
+);
+
+api.get(
+  "/api/properties/:id",
+  {
+    summary: "One saved property, with its last panel snapshot",
+    tags: ["saved properties"],
+    params: ID_PARAMS,
+    query: s.object({ includePanel: s.boolean({ default: true }) }),
+  },
+  (req, res) => {
+    const record = ownedProperty(req);
+
+    const includePanel = req.valid.query.includePanel ?? true;
+    res.json({ ok: true, property: includePanel ? record : properties.summarize(record) });
+  }
+);
+
+api.patch(
+  "/api/properties/:id",
+  {
+    summary: "Update notes, status or saved panel parameters",
+    tags: ["saved properties"],
+    params: ID_PARAMS,
+    body: s.object({ notes: NOTES, status: STATUS, params: s.object(PANEL_FIELDS) }),
+  },
+  (req, res) => {
+    const body = req.valid.body;
+    const result = properties.updateProperty(ownedProperty(req).id, {
+      notes: body.notes,
+      status: body.status,
+      params: body.params,
+    });
+
+    if (!result.ok) throw apiError(result.notFound ? "NOT_FOUND" : "VALIDATION_ERROR", result.error);
+    res.json({ ok: true, property: properties.summarize(result.property) });
+  }
+);
+
+api.delete(
+  "/api/properties/:id",
+  { summary: "Delete a saved property", tags: ["saved properties"], params: ID_PARAMS },
+  (req, res) => {
+    const record = ownedProperty(req);
+    properties.deleteProperty(record.id);
+    res.json({ ok: true, deleted: record.id });
+  }
+);
+
+// Re-runs the panel with the saved parameters and diffs it against the
+// snapshot; save=1 makes the new run the snapshot.
+const SAVE_FLAG = s.boolean({ description: "Make the new run the snapshot" });
+
+api.post(
+  "/api/properties/:id/refresh",
+  {
+    summary: "Re-run the panel and diff it against the saved snapshot",
+    tags: ["saved properties"],
+    params: ID_PARAMS,
+    query: s.object({ save: SAVE_FLAG }),
+    body: s.object({ save: SAVE_FLAG }),
+  },
+  async (req, res) => {
+    const record = ownedProperty(req);
+
+    const input = panelInputFrom(record.params);
+    const inputError = panelInputError(input);
+    if (inputError) throw apiError("VALIDATION_ERROR", `Saved parameters are incomplete: ${inputError}`);
+
+    const panel = await buildPropertyPanel(input);
+    const diff = properties.diffSnapshots(record.snapshot, properties.snapshotOf(panel));
+    const saved = (req.valid.query.save ?? req.valid.body.save) === true;
+    if (saved) properties.replaceSnapshot(record.id, panel);
+
+    res.json({ ok: true, id: record.id, address: record.address, saved, diff, panel });
+  }
+);
+
+// ==============================
+// Watchlist + history
+// ==============================
+const ALERT_WEBHOOK_URL = process.env.ALERT_WEBHOOK_URL;
+const WATCH_SCHEDULER_DISABLED = isTruthyFlag(process.env.WATCH_SCHEDULER_DISABLED);
+
+// Market data a watch tracks. Geocoding and census entries are reused as cached.
+const WATCH_SAMPLED_SOURCES = ["rentcast", "rentcast_rent", "rentcast_listings", "realie", "realie_comps"];
+
+// One history point: RentCast rent AVM + nearby rentals, and the panel's ARV/AVM.
+// Cached market data older than the watch interval is refetched, so each point
+// is a new reading rather than the copy the previous sample stored.
+// Samples are billed to (and limited by) the key that owns the watch; watches
+// without an owner stay on the system ledger.
+function sampleWatch(watch) {
+  const maxAgeSeconds = (watch.intervalHours || history.DEFAULT_INTERVAL_HOURS) * 60 * 60;
+  const owner = watch.ownerKeyId === ANONYMOUS_KEY.id ? ANONYMOUS_KEY : apiKeys.getKey(watch.ownerKeyId);
+  const usage = watch.ownerKeyId ? { keyId: watch.ownerKeyId, limits: owner?.limits } : { keyId: SYSTEM_KEY_ID };
+  return runWithUsage(usage, () =>
+    cache.withMaxAge(maxAgeSeconds, () => sampleWatchNow(watch), WATCH_SAMPLED_SOURCES)
+  );
+}
+
+async function sampleWatchNow(watch) {
+  const input = panelInputFrom(watch.params);
+  const panel = await buildPropertyPanel(input);
+
+  let nearby = null;
+  if (providers.rentcast.configured && input.fullAddress) {
+    try {
+      nearby = await fetchNearbyRentals({ address: input.fullAddress });
+    } catch (e) {
+      panel.warnings.push(`RentCast rent estimate failed: ${upstreamReason(e)}`);
+    }
+  }
+
+  const rents = (nearby?.comps || []).map((c) => c.listedRent).filter((v) => v > 0);
+
+  return {
+    rentEstimateMonthly: nearby?.rentEstimate ?? panel.subject.rentEstimateMonthly,
+    rentEstimateSource: nearby?.rentEstimate != null ? "rentcast avm" : "rentcast property record",
+    rentRangeLow: nearby?.rentRangeLow ?? null,
+    rentRangeHigh: nearby?.rentRangeHigh ?? null,
+    nearbyRentalsCount: nearby?.count ?? 0,
+    nearbyRentMedian: median(rents),
+    nearbyRentAverage: rents.length ? Math.round(rents.reduce((a, b) => a + b, 0) / rents.length) : null,
+    arv: panel.arv?.arv ?? null,
+    arvLow: panel.arv?.range?.low ?? null,
+    arvHigh: panel.arv?.range?.high ?? null,
+    avm: panel.avm?.estimatedMarketValue ?? null,
+    saleCompsCount: panel.saleComps?.count ?? 0,
+    warnings: panel.warnings,
+  };
+}
+
+async function postAlertWebhook(payload) {
+  await axios.post(ALERT_WEBHOOK_URL, { ...payload, sentAt: new Date().toISOString() }, { timeout: 10000 });
+}
+
+const watcher = createWatcher({ sample: sampleWatch, notify: ALERT_WEBHOOK_URL ? postAlertWebhook : null });
+
+api.post(
+  "/api/watchlist",
+  {
+    summary: "Watch an address: sample rent/ARV on a schedule and alert on moves",
+    tags: ["watchlist"],
+    body: s.object(
+      {
+        ...PANEL_FIELDS,
+        rentThresholdPercent: s.number({ min: 0, max: 100, description: "Alert when the rent estimate moves this much" }),
+        arvThresholdPercent: s.number({ min: 0, max: 100, description: "Alert when ARV moves this much" }),
+        intervalHours: s.number({ min: 1, max: 24 * 365, default: history.DEFAULT_INTERVAL_HOURS }),
+      },
+      { check: requirePanelAddress }
+    ),
+    status: 201,
+  },
+  async (req, res) => {
+    const body = req.valid.body;
+    const { rentThresholdPercent, arvThresholdPercent, intervalHours, ...rest } = body;
+    const params = savedParamsFrom(rest);
+    const input = panelInputFrom(params);
+
+    const added = history.addWatch({
+      address: displayAddress(input),
+      params,
+      intervalHours,
+      thresholds: history.thresholdsFrom(body),
+      ownerKeyId: req.apiKey.id,
+    });
+    if (!added.ok) throw apiError("CONFLICT", added.error);
+
+    // Take the first sample right away so the series has a baseline.
+    const first = await watcher.runWatch(added.watch);
+    res.status(201).json({ ok: true, watch: added.watch, firstRun: first });
+  }
+);
+
+function ownedWatch(req) {
+  const watch = history.getWatch(req.valid.params.id);
+  if (!watch || !canAccess(req, watch.ownerKeyId)) throw apiError("NOT_FOUND", "Watch not found");
+  return watch;
+}
+
+api.get("/api/watchlist", { summary: "Watched addresses and scheduler state", tags: ["watchlist"] }, (req, res) => {
+  const watches = history.listWatches(ownerScope(req));
+  res.json({
+    ok: true,
+    scheduler: { running: watcher.isRunning(), webhookConfigured: Boolean(ALERT_WEBHOOK_URL) },
+    count: watches.length,
+    watches,
+  });
+});
+
+api.delete(
+  "/api/watchlist/:id",
+  { summary: "Stop watching an address", tags: ["watchlist"], params: ID_PARAMS },
+  (req, res) => {
+    const watch = ownedWatch(req);
+    history.removeWatch(watch.id);
+    res.json({ ok: true, deleted: watch.id });
+  }
+);
+
+api.post(
+  "/api/watchlist/:id/run",
+  { summary: "Take a sample now", tags: ["watchlist"], params: ID_PARAMS },
+  async (req, res) => {
+    res.json(await watcher.runWatch(ownedWatch(req)));
+  }
+);
+
+api.get(
+  "/api/history",
+  {
+    summary: "Sampled rent/ARV series and trend for an address",
+    tags: ["watchlist"],
+    query: s.object({
+      address: { ...ADDRESS_FIELDS.fullAddress, required: true },
+      limit: s.integer({ min: 1, description: "Most recent samples only" }),
+    }),
+  },
+  (req, res) => {
+    const { address, limit } = req.valid.query;
+    // Clients only see the series of an address they watch.
+    const watch = history.findWatchByAddress(address, ownerScope(req));
+    if (!watch && ownerScope(req) != null) throw apiError("NOT_FOUND", "Address is not on your watchlist");
+
+    const series = history.getSeries(address);
+    const samples = limit ? series.slice(-limit) : series;
+
+    res.json({
+      ok: true,
+      address,
+      watch,
+      count: series.length,
+      trend: history.trendOf(series),
+      samples,
+    });
+  }
+);
+
+// ==============================
+// Usage + API key admin
+// ==============================
+const DAY = s.string({ pattern: /^\d{4}-\d{2}-\d{2}$/, patternMessage: "must be YYYY-MM-DD" });
+
+// Clients see their own usage; admins may pass keyId (or omit it for every key).
+api.get(
+  "/api/usage",
+  {
+    summary: "Requests and upstream calls per key per day",
+    tags: ["usage"],
+    query: s.object({
+      keyId: s.string({ maxLength: 100, description: "Admins only; defaults to every key" }),
+      from: DAY,
+      to: DAY,
+    }),
+  },
+  (req, res) => {
+    const { from, to } = req.valid.query;
+    const isAdmin = req.apiKey.role === "admin";
+    const keyId = isAdmin ? req.valid.query.keyId : req.apiKey.id;
+
+    const report = usageReport({ keyId, from, to });
+    const keys = report.keys.map((k) => {
+      const info = k.keyId === SYSTEM_KEY_ID ? { name: "background jobs" } : apiKeys.getKey(k.keyId);
+      return {
+        ...k,
+        name: info?.name ?? null,
+        limits: info?.limits ?? null,
+        current: countsFor(k.keyId),
+      };
+    });
+
+    res.json({ ok: true, from: report.from, to: report.to, keys });
+  }
+);
+
+const LIMIT = s.integer({ min: 0, nullable: true, description: "null = unlimited" });
+const KEY_LIMITS = s.object(Object.fromEntries(Object.keys(apiKeys.DEFAULT_LIMITS).map((k) => [k, LIMIT])));
+
+api.get("/api/admin/keys", { summary: "List API keys", tags: ["admin"] }, (req, res) => {
+  const keys = apiKeys.listKeys();
+  res.json({ ok: true, defaults: apiKeys.DEFAULT_LIMITS, count: keys.length, keys });
+});
+
+// The plain key is only returned here.
+api.post(
+  "/api/admin/keys",
+  {
+    summary: "Create an API key (the plain key is only returned here)",
+    tags: ["admin"],
+    body: s.object({
+      name: s.string({ required: true, maxLength: 100 }),
+      role: s.string({ enum: apiKeys.ROLES, default: "client" }),
+      limits: KEY_LIMITS,
+    }),
+    status: 201,
+  },
+  (req, res) => {
+    const body = req.valid.body;
+    const result = apiKeys.createKey({ name: body.name, role: body.role, limits: body.limits });
+    if (!result.ok) throw apiError("VALIDATION_ERROR", result.error);
+    res.status(201).json(result);
+  }
+);
+
+api.patch(
+  "/api/admin/keys/:id",
+  {
+    summary: "Rename an API key or change its role or limits",
+    tags: ["admin"],
+    params: ID_PARAMS,
+    body: s.object({ name: s.string({ maxLength: 100 }), role: s.string({ enum: apiKeys.ROLES }), limits: KEY_LIMITS }),
+  },
+  (req, res) => {
+    const body = req.valid.body;
+    const result = apiKeys.updateKey(req.valid.params.id, { name: body.name, role: body.role, limits: body.limits });
+    if (!result.ok) throw apiError(result.notFound ? "NOT_FOUND" : "VALIDATION_ERROR", result.error);
+    res.json(result);
+  }
+);
+
+api.delete("/api/admin/keys/:id", { summary: "Revoke an API key", tags: ["admin"], params: ID_PARAMS }, (req, res) => {
+  const revoked = apiKeys.revokeKey(req.valid.params.id);
+  if (!revoked) throw apiError("NOT_FOUND", "API key not found");
+  res.json({ ok: true, apiKey: revoked });
+});
+
+// ==============================
+// Admin: upstream circuit breakers
+// ==============================
+api.get("/api/admin/upstream", { summary: "Upstream client options and breaker states", tags: ["admin"] }, (req, res) => {
+  res.json({ ok: true, options: upstream.options, panelDeadlineMs: PANEL_DEADLINE_MS, breakers: upstream.status() });
+});
+
+// ==============================
+// Admin: upstream cache
+// ==============================
+const CACHE_FILTER_FIELDS = {
+  source: s.string({ lowercase: true, enum: cache.SOURCES }),
+  address: s.string({ maxLength: 200 }),
+};
+
+// The address goes through the same parser the cache tags entries with, so any
+// form of it (abbreviated or not, with or without the unit) finds them.
+function cacheFilterFrom({ source, address }) {
+  return { source: source || undefined, address: address ? cache.canonicalAddress(address) : undefined };
+}
+
+api.get(
+  "/api/admin/cache",
+  { summary: "Cache stats and entries", tags: ["admin"], query: s.object(CACHE_FILTER_FIELDS) },
+  (req, res) => {
+    const filter = cacheFilterFrom(req.valid.query);
+    const entries = cache.list(filter);
+    res.json({ ok: true, stats: cache.stats(), filter, count: entries.length, entries });
+  }
+);
+
+api.delete(
+  "/api/admin/cache",
+  {
+    summary: "Purge cache entries by source and/or address",
+    tags: ["admin"],
+    query: s.object(
+      { ...CACHE_FILTER_FIELDS, all: s.boolean({ description: "Purge everything" }) },
+      { check: (q) => (q.source || q.address || q.all ? null : "provide source and/or address, or all=1 to purge everything") }
+    ),
+  },
+  (req, res) => {
+    const filter = cacheFilterFrom(req.valid.query);
+    const removed = cache.purge(filter);
+    res.json({ ok: true, filter, removed });
+  }
+);
+
+// ==============================
+// Errors
+// ==============================
+app.use("/api", (req, res, next) => next(apiError("NOT_FOUND", `No route for ${req.method} ${req.baseUrl}${req.path}`)));
+app.use(errorHandler);
+
+// ==============================
+// Lifecycle (server.js)
+// ==============================
+function startBackgroundJobs() {
+  if (!WATCH_SCHEDULER_DISABLED) watcher.start();
+}
+
+function flushStores() {
+  cache.flushNow();
+  flushAll();
+}
+
+module.exports = { app, providers, startBackgroundJobs, flushStores };
@@ -0,0 +1,272 @@
+const { round2 } = require("./util");
+
+// ==============================
+// ACS 5-year profiles
+// ==============================
+// One variable list is pulled for every geography level (ZCTA, tract, block
+// group) so the profiles line up. Every estimate comes back as
+// { value, moe } where moe is the Census 90% margin of error; derived shares
+// use the Census approximation formulas for sums and proportions.
+
+const DEFAULT_YEAR = 2022;
+const MIN_YEAR = 2011;
+
+// The API rejects more than 50 variables per call (NAME included).
+const MAX_VARIABLES_PER_CALL = 48;
+
+const VARIABLES = [
+  "B01003_001", // total population
+  "B19013_001", // median household income
+  "B25064_001", // median gross rent
+  "B25077_001", // median home value
+  "B25002_001", // housing units
+  "B25004_001", // vacant units
+  "B25003_001", // occupied units
+  "B25003_002", // owner occupied
+  "B25003_003", // renter occupied
+  "B25035_001", // median year structure built
+  "B25071_001", // median gross rent as % of household income
+  "B25070_001", // renter households (gross rent as % of income)
+  "B25070_007", // 30.0-34.9%
+  "B25070_008", // 35.0-39.9%
+  "B25070_009", // 40.0-49.9%
+  "B25070_010", // 50% or more
+  "B25070_011", // not computed
+  "C17002_001", // population with poverty status determined
+  "C17002_002", // income/poverty ratio under .50
+  "C17002_003", // .50 to .99
+  "B23025_003", // civilian labor force
+  "B23025_005", // unemployed
+  "B25041_001", // housing units (bedrooms)
+  "B25041_002", // no bedroom
+  "B25041_003", // 1 bedroom
+  "B25041_004", // 2 bedrooms
+  "B25041_005", // 3 bedrooms
+  "B25041_006", // 4 bedrooms
+  "B25041_007", // 5 or more bedrooms
+];
+
+const BEDROOM_BUCKETS = [
+  ["studio", "B25041_002"],
+  ["1", "B25041_003"],
+  ["2", "B25041_004"],
+  ["3", "B25041_005"],
+  ["4", "B25041_006"],
+  ["5+", "B25041_007"],
+];
+
+const LEVELS = ["zcta", "tract", "blockGroup"];
+
+const LEVEL_LABELS = { zcta: "ZCTA", tract: "tract", blockGroup: "block group" };
+
+// Metrics compared against the prior vintage. `kind: "percent"` changes are
+// reported in percentage points rather than as a relative change.
+const YOY_METRICS = [
+  ["population", "count"],
+  ["medianHouseholdIncome", "dollars"],
+  ["medianGrossRent", "dollars"],
+  ["medianHomeValue", "dollars"],
+  ["vacancyRatePercent", "percent"],
+  ["renterOccupiedSharePercent", "percent"],
+  ["rentBurdenedSharePercent", "percent"],
+  ["povertyRatePercent", "percent"],
+  ["unemploymentRatePercent", "percent"],
+];
+
+function acsYearFrom(v, fallback = DEFAULT_YEAR) {
+  const n = Number(v);
+  if (!Number.isInteger(n)) return fallback;
+  return n >= MIN_YEAR && n <= new Date().getFullYear() - 1 ? n : fallback;
+}
+
+// Estimate + MOE field names split into API-sized chunks.
+function variableChunks() {
+  const fields = VARIABLES.flatMap((v) => [`${v}E`, `${v}M`]);
+  const out = [];
+  for (let i = 0; i < fields.length; i += MAX_VARIABLES_PER_CALL) out.push(fields.slice(i, i + MAX_VARIABLES_PER_CALL));
+  return out;
+}
+
+// { level, id, params: { for, in } } for the ACS query, or null when the
+// needed codes are missing. fips = { state, county, tract, blockGroup }.
+function geographyFor(level, { zip, fips } = {}) {
+  if (level === "zcta") {
+    const zip5 = String(zip ?? "").trim().slice(0, 5);
+    if (!/^\d{5}$/.test(zip5)) return null;
+    return { level, id: zip5, params: { for: `zip code tabulation area:${zip5}` } };
+  }
+
+  const { state, county, tract, blockGroup } = fips || {};
+  if (!state || !county || !tract) return null;
+
+  if (level === "tract") {
+    return { level, id: `${state}${county}${tract}`, params: { for: `tract:${tract}`, in: `state:${state} county:${county}` } };
+  }
+
+  if (level === "blockGroup") {
+    if (!blockGroup) return null;
+    return {
+      level,
+      id: `${state}${county}${tract}${blockGroup}`,
+      params: { for: `block group:${blockGroup}`, in: `state:${state} county:${county} tract:${tract}` },
+    };
+  }
+
+  return null;
+}
+
+// The API encodes "not available" as large negative sentinels; MOE -555555555
+// means the estimate is controlled (no sampling error).
+function readEstimate(row, code) {
+  const e = Number(row?.[`${code}E`]);
+  const m = Number(row?.[`${code}M`]);
+  const value = Number.isFinite(e) && e > -100000000 ? e : null;
+  let moe = null;
+  if (m === -555555555) moe = 0;
+  else if (Number.isFinite(m) && m >= 0) moe = m;
+  return { value, moe: value === null ? null : moe };
+}
+
+function sumOf(parts) {
+  if (parts.some((p) => p.value === null)) return { value: null, moe: null };
+  const value = parts.reduce((s, p) => s + p.value, 0);
+  const moe = parts.some((p) => p.moe === null) ? null : Math.sqrt(parts.reduce((s, p) => s + p.moe ** 2, 0));
+  return { value, moe };
+}
+
+function differenceOf(a, b) {
+  if (a.value === null || b.value === null) return { value: null, moe: null };
+  const moe = a.moe === null || b.moe === null ? null : Math.sqrt(a.moe ** 2 + b.moe ** 2);
+  return { value: a.value - b.value, moe };
+}
+
+// Share of `whole` in percent. Falls back to the ratio formula when the
+// proportion formula's radicand goes negative (Census guidance).
+function percentOf(part, whole) {
+  if (part.value === null || !whole.value) return { value: null, moe: null };
+  const p = part.value / whole.value;
+  let moe = null;
+  if (part.moe !== null && whole.moe !== null) {
+    let radicand = part.moe ** 2 - p ** 2 * whole.moe ** 2;
+    if (radicand < 0) radicand = part.moe ** 2 + p ** 2 * whole.moe ** 2;
+    moe = Math.sqrt(radicand) / whole.value;
+  }
+  return { value: round2(p * 100), moe: moe === null ? null : round2(moe * 100) };
+}
+
+function rounded(est) {
+  return { value: est.value === null ? null : round2(est.value), moe: est.moe === null ? null : round2(est.moe) };
+}
+
+function estimatesFrom(row) {
+  const v = (code) => readEstimate(row, code);
+
+  const renterHouseholds = differenceOf(v("B25070_001"), v("B25070_011"));
+  const burdened = sumOf(["B25070_007", "B25070_008", "B25070_009", "B25070_010"].map(v));
+  const inPoverty = sumOf([v("C17002_002"), v("C17002_003")]);
+  const bedroomTotal = v("B25041_001");
+
+  const bedrooms = BEDROOM_BUCKETS.map(([label, code]) => ({
+    bedrooms: label,
+    units: v(code),
+    sharePercent: percentOf(v(code), bedroomTotal),
+  }));
+
+  return {
+    population: v("B01003_001"),
+    medianHouseholdIncome: v("B19013_001"),
+    medianGrossRent: v("B25064_001"),
+    medianHomeValue: v("B25077_001"),
+    medianYearBuilt: v("B25035_001"),
+    totalHousingUnits: v("B25002_001"),
+    vacantHousingUnits: v("B25004_001"),
+    vacancyRatePercent: percentOf(v("B25004_001"), v("B25002_001")),
+    ownerOccupiedUnits: v("B25003_002"),
+    renterOccupiedUnits: v("B25003_003"),
+    ownerOccupiedSharePercent: percentOf(v("B25003_002"), v("B25003_001")),
+    renterOccupiedSharePercent: percentOf(v("B25003_003"), v("B25003_001")),
+    medianRentAsPercentOfIncome: v("B25071_001"),
+    rentBurdenedSharePercent: percentOf(burdened, renterHouseholds),
+    severelyRentBurdenedSharePercent: percentOf(v("B25070_010"), renterHouseholds),
+    povertyRatePercent: percentOf(inPoverty, v("C17002_001")),
+    laborForce: v("B23025_003"),
+    unemploymentRatePercent: percentOf(v("B23025_005"), v("B23025_003")),
+    bedrooms: { totalUnits: bedroomTotal, distribution: bedrooms },
+  };
+}
+
+// `row` is the merged API row ({ NAME, B01003_001E, B01003_001M, ... }).
+// The flat fields are the original ZCTA summary and stay for existing clients.
+function profileFromRow(row, geography, year) {
+  const estimates = estimatesFrom(row);
+  const val = (k) => estimates[k].value;
+
+  const profile = {
+    geography: { level: geography.level, id: geography.id, name: row?.NAME || null },
+    population: val("population"),
+    medianHouseholdIncome: val("medianHouseholdIncome"),
+    medianGrossRent: val("medianGrossRent"),
+    medianHomeValueAreaProxy: val("medianHomeValue"),
+    totalHousingUnits: val("totalHousingUnits"),
+    vacantHousingUnits: val("vacantHousingUnits"),
+    vacancyRatePercent: val("vacancyRatePercent"),
+    ownerOccupiedUnits: val("ownerOccupiedUnits"),
+    renterOccupiedUnits: val("renterOccupiedUnits"),
+    ownerOccupiedSharePercent: val("ownerOccupiedSharePercent"),
+    renterOccupiedSharePercent: val("renterOccupiedSharePercent"),
+    estimates: {
+      ...Object.fromEntries(Object.entries(estimates).filter(([k]) => k !== "bedrooms").map(([k, e]) => [k, rounded(e)])),
+      bedrooms: estimates.bedrooms,
+    },
+    yearOverYear: null,
+    source: `US Census ACS 5-year (${LEVEL_LABELS[geography.level]})`,
+    year,
+  };
+
+  return geography.level === "zcta" ? { zip: geography.id, ...profile } : profile;
+}
+
+// Change vs. the prior vintage. A change is flagged significant (90%) when it
+// exceeds the MOE of the difference. Dollar figures are nominal, and
+// consecutive 5-year vintages share four years of sample.
+function yearOverYear(current, prior) {
+  const metrics = {};
+  for (const [key, kind] of YOY_METRICS) {
+    const a = current.estimates[key];
+    const b = prior.estimates[key];
+    if (a.value === null || b.value === null) {
+      metrics[key] = null;
+      continue;
+    }
+
+    const diff = differenceOf(a, b);
+    metrics[key] = {
+      current: a.value,
+      prior: b.value,
+      change: round2(diff.value),
+      changeMoe: diff.moe === null ? null : round2(diff.moe),
+      changePercent: kind !== "percent" && b.value ? round2((diff.value / b.value) * 100) : null,
+      unit: kind === "percent" ? "percentage_points" : kind,
+      significant: diff.moe === null ? null : Math.abs(diff.value) > diff.moe,
+    };
+  }
+
+  return {
+    year: current.year,
+    priorYear: prior.year,
+    note: "Nominal dollars; overlapping 5-year samples.",
+    metrics,
+  };
+}
+
+module.exports = {
+  DEFAULT_YEAR,
+  MIN_YEAR,
+  LEVELS,
+  VARIABLES,
+  acsYearFrom,
+  variableChunks,
+  geographyFor,
+  profileFromRow,
+  yearOverYear,
+};
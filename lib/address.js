@@ -0,0 +1,328 @@
+// ==============================
+// US address parsing + normalization
+// ==============================
+// Splits a one-line US address into street number, directionals, street
+// name, USPS suffix, unit, city, state and ZIP, and standardizes each part
+// (USPS Publication 28 abbreviations). Commas help but are not required: a
+// comma-less address is split before the longest trailing run of words that
+// is a known city in the state or, failing that, after the street suffix.
+
+const STATES = {
+  AL: "Alabama", AK: "Alaska", AZ: "Arizona", AR: "Arkansas", CA: "California", CO: "Colorado",
+  CT: "Connecticut", DE: "Delaware", DC: "District of Columbia", FL: "Florida", GA: "Georgia",
+  HI: "Hawaii", ID: "Idaho", IL: "Illinois", IN: "Indiana", IA: "Iowa", KS: "Kansas",
+  KY: "Kentucky", LA: "Louisiana", ME: "Maine", MD: "Maryland", MA: "Massachusetts",
+  MI: "Michigan", MN: "Minnesota", MS: "Mississippi", MO: "Missouri", MT: "Montana",
+  NE: "Nebraska", NV: "Nevada", NH: "New Hampshire", NJ: "New Jersey", NM: "New Mexico",
+  NY: "New York", NC: "North Carolina", ND: "North Dakota", OH: "Ohio", OK: "Oklahoma",
+  OR: "Oregon", PA: "Pennsylvania", RI: "Rhode Island", SC: "South Carolina", SD: "South Dakota",
+  TN: "Tennessee", TX: "Texas", UT: "Utah", VT: "Vermont", VA: "Virginia", WA: "Washington",
+  WV: "West Virginia", WI: "Wisconsin", WY: "Wyoming", PR: "Puerto Rico",
+};
+
+const STATE_BY_NAME = Object.fromEntries(Object.entries(STATES).map(([abbr, name]) => [name.toUpperCase(), abbr]));
+
+const DIRECTIONALS = {
+  N: "N", NORTH: "N", S: "S", SOUTH: "S", E: "E", EAST: "E", W: "W", WEST: "W",
+  NE: "NE", NORTHEAST: "NE", NW: "NW", NORTHWEST: "NW", SE: "SE", SOUTHEAST: "SE", SW: "SW", SOUTHWEST: "SW",
+};
+
+// Standard abbreviation -> accepted spellings (the full name first).
+const SUFFIXES = {
+  ALY: ["ALLEY", "ALLEE", "ALLY"],
+  ANX: ["ANNEX", "ANEX", "ANNX"],
+  AVE: ["AVENUE", "AV", "AVEN", "AVENU", "AVN", "AVNUE"],
+  BLF: ["BLUFF", "BLUF"],
+  BLVD: ["BOULEVARD", "BOUL", "BOULV"],
+  BND: ["BEND"],
+  BR: ["BRANCH", "BRNCH"],
+  BRG: ["BRIDGE", "BRDGE"],
+  BRK: ["BROOK"],
+  BYP: ["BYPASS", "BYPA", "BYPAS", "BYPS"],
+  CIR: ["CIRCLE", "CIRC", "CIRCL", "CRCL", "CRCLE"],
+  CLF: ["CLIFF"],
+  CMN: ["COMMON"],
+  COR: ["CORNER"],
+  CSWY: ["CAUSEWAY", "CAUSWA"],
+  CT: ["COURT", "CRT"],
+  CTR: ["CENTER", "CEN", "CENT", "CENTR", "CENTRE", "CNTER", "CNTR"],
+  CV: ["COVE"],
+  CRK: ["CREEK"],
+  CRES: ["CRESCENT", "CRSENT", "CRSNT"],
+  CYN: ["CANYON", "CANYN", "CNYN"],
+  DR: ["DRIVE", "DRIV", "DRV"],
+  EST: ["ESTATE"],
+  ESTS: ["ESTATES"],
+  EXPY: ["EXPRESSWAY", "EXP", "EXPR", "EXPRESS", "EXPW"],
+  EXT: ["EXTENSION", "EXTN", "EXTNSN"],
+  FLD: ["FIELD"],
+  FLDS: ["FIELDS"],
+  FLS: ["FALLS"],
+  FRD: ["FORD"],
+  FRST: ["FOREST", "FORESTS"],
+  FRY: ["FERRY", "FRRY"],
+  FWY: ["FREEWAY", "FREEWY", "FRWAY", "FRWY"],
+  GDN: ["GARDEN", "GARDN", "GRDEN", "GRDN"],
+  GDNS: ["GARDENS", "GRDNS"],
+  GLN: ["GLEN"],
+  GRN: ["GREEN"],
+  GRV: ["GROVE", "GROV"],
+  GTWY: ["GATEWAY", "GATEWY", "GATWAY", "GTWAY"],
+  HBR: ["HARBOR", "HARB", "HARBR", "HRBOR"],
+  HL: ["HILL"],
+  HLS: ["HILLS"],
+  HOLW: ["HOLLOW", "HLLW", "HOLLOWS", "HOLWS"],
+  HTS: ["HEIGHTS", "HT"],
+  HVN: ["HAVEN"],
+  HWY: ["HIGHWAY", "HIGHWY", "HIWAY", "HIWY", "HWAY"],
+  JCT: ["JUNCTION", "JCTION", "JCTN", "JUNCTN", "JUNCTON"],
+  KNL: ["KNOLL", "KNOL"],
+  LK: ["LAKE"],
+  LKS: ["LAKES"],
+  LN: ["LANE"],
+  LNDG: ["LANDING", "LNDNG"],
+  LOOP: ["LOOPS"],
+  MDW: ["MEADOW"],
+  MDWS: ["MEADOWS", "MEDOWS"],
+  ML: ["MILL"],
+  MNR: ["MANOR"],
+  MTN: ["MOUNTAIN", "MNTAIN", "MNTN", "MOUNTIN", "MTIN"],
+  PARK: ["PRK"],
+  PASS: [],
+  PATH: ["PATHS"],
+  PIKE: ["PIKES"],
+  PKWY: ["PARKWAY", "PARKWY", "PKWAY", "PKY"],
+  PL: ["PLACE"],
+  PLZ: ["PLAZA", "PLZA"],
+  PT: ["POINT"],
+  RDG: ["RIDGE", "RDGE"],
+  RD: ["ROAD"],
+  RNCH: ["RANCH", "RANCHES", "RNCHS"],
+  ROW: [],
+  RTE: ["ROUTE"],
+  RUN: [],
+  SQ: ["SQUARE", "SQR", "SQRE", "SQU"],
+  ST: ["STREET", "STR", "STRT"],
+  STA: ["STATION", "STATN", "STN"],
+  TER: ["TERRACE", "TERR"],
+  TPKE: ["TURNPIKE", "TRNPK", "TURNPK"],
+  TRCE: ["TRACE", "TRACES"],
+  TRL: ["TRAIL", "TRAILS", "TRLS"],
+  VIS: ["VISTA", "VIST", "VST", "VSTA"],
+  VLG: ["VILLAGE", "VILL", "VILLAG", "VILLG", "VILLIAGE"],
+  VLY: ["VALLEY", "VALLY", "VLLY"],
+  VW: ["VIEW"],
+  WALK: ["WALKS"],
+  WAY: ["WY"],
+  XING: ["CROSSING", "CRSSNG"],
+};
+
+const SUFFIX_LOOKUP = {};
+for (const [abbr, spellings] of Object.entries(SUFFIXES)) {
+  SUFFIX_LOOKUP[abbr] = abbr;
+  for (const s of spellings) SUFFIX_LOOKUP[s] = abbr;
+}
+
+const UNIT_TYPES = {
+  APT: "APT", APARTMENT: "APT", UNIT: "UNIT", STE: "STE", SUITE: "STE", BLDG: "BLDG", BUILDING: "BLDG",
+  FL: "FL", FLOOR: "FL", RM: "RM", ROOM: "RM", LOT: "LOT", TRLR: "TRLR", TRAILER: "TRLR",
+  SPC: "SPC", SPACE: "SPC", DEPT: "DEPT", PH: "PH", PENTHOUSE: "PH", OFC: "OFC", OFFICE: "OFC", "#": "#",
+};
+
+const HOUSE_NUMBER = /^\d+[A-Z]?(-\d+[A-Z]?)?$/;
+
+function titleCase(word) {
+  if (/\d/.test(word)) return word.toLowerCase();
+  return word.charAt(0) + word.slice(1).toLowerCase();
+}
+
+function words(text) {
+  return String(text ?? "")
+    .toUpperCase()
+    .replace(/\./g, "")
+    .replace(/#\s*/g, "# ")
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+// Pulls a trailing "APT 4B" / "# 4B" / "UNIT 4" off the street tokens.
+function takeUnit(tokens) {
+  for (let i = tokens.length - 2; i >= 1; i--) {
+    const type = UNIT_TYPES[tokens[i]];
+    if (!type) continue;
+    let id = tokens.slice(i + 1);
+    if (id[0] === "#") id = id.slice(1);
+    if (!id.length) continue;
+    return { rest: tokens.slice(0, i), unitType: type, unit: id.join(" ") };
+  }
+  return { rest: tokens, unitType: null, unit: null };
+}
+
+// Street line only: "123 N Main Street Apt 4" -> parts.
+function parseStreetLine(text) {
+  const all = words(text);
+  const { rest, unitType, unit } = takeUnit(all);
+  const tokens = [...rest];
+  const out = {
+    number: null,
+    preDirectional: null,
+    streetName: null,
+    suffix: null,
+    postDirectional: null,
+    unitType,
+    unit,
+  };
+
+  if (tokens.length && HOUSE_NUMBER.test(tokens[0])) {
+    out.number = tokens.shift();
+    if (tokens[0] === "1/2") out.number += ` ${tokens.shift()}`;
+  }
+
+  // A leading directional is a prefix when a street name follows it: "N Main St" and "N Park Ave"
+  // (a suffix-like name before the real suffix), but not "North St".
+  if (DIRECTIONALS[tokens[0]] && (tokens.length >= 3 || (tokens.length === 2 && !SUFFIX_LOOKUP[tokens[1]]))) {
+    out.preDirectional = DIRECTIONALS[tokens.shift()];
+  }
+
+  if (tokens.length > 1 && DIRECTIONALS[tokens.at(-1)]) {
+    out.postDirectional = DIRECTIONALS[tokens.pop()];
+  }
+
+  if (tokens.length > 1 && SUFFIX_LOOKUP[tokens.at(-1)]) {
+    out.suffix = SUFFIX_LOOKUP[tokens.pop()];
+  }
+
+  out.streetName = tokens.length ? tokens.map(titleCase).join(" ") : null;
+  return out;
+}
+
+function formatStreet(p, { withUnit = true } = {}) {
+  const line1 = [p.number, p.preDirectional, p.streetName, p.suffix && titleCase(p.suffix), p.postDirectional]
+    .filter(Boolean)
+    .join(" ");
+  if (!withUnit || !p.unit) return line1;
+  return p.unitType === "#" ? `${line1} # ${p.unit}` : `${line1} ${titleCase(p.unitType)} ${p.unit}`;
+}
+
+function stateFromWords(tokens) {
+  for (let n = Math.min(3, tokens.length); n >= 1; n--) {
+    const name = tokens.slice(-n).join(" ");
+    if (STATE_BY_NAME[name]) return { state: STATE_BY_NAME[name], rest: tokens.slice(0, -n) };
+  }
+  const last = tokens.at(-1);
+  if (last && STATES[last]) return { state: last, rest: tokens.slice(0, -1) };
+  return { state: null, rest: tokens };
+}
+
+let zipcodes = null;
+function isKnownCity(city, state) {
+  zipcodes ||= require("zipcodes");
+  return zipcodes.lookupByName(city, state).length > 0;
+}
+
+// Comma-less "123 Main St Fort Worth": split before the longest trailing run of words that is a
+// known city in the state, else after the suffix (and any post-directional / unit).
+function splitStreetAndCity(tokens, state) {
+  if (state) {
+    for (let start = 1; start < tokens.length; start++) {
+      if (isKnownCity(tokens.slice(start).join(" "), state)) {
+        return { street: tokens.slice(0, start), city: tokens.slice(start) };
+      }
+    }
+  }
+
+  let cut = -1;
+  for (let i = 2; i < tokens.length; i++) {
+    if (SUFFIX_LOOKUP[tokens[i]]) {
+      cut = i + 1;
+      break;
+    }
+  }
+  // "123 N Park Ave ...": after a pre-directional, "Park" is the name and "Ave" the suffix.
+  if (cut === 3 && DIRECTIONALS[tokens[1]] && SUFFIX_LOOKUP[tokens[3]]) cut = 4;
+  if (cut === -1) return { street: tokens, city: [] };
+
+  if (DIRECTIONALS[tokens[cut]] && cut + 1 < tokens.length) cut++;
+  const unitType = UNIT_TYPES[tokens[cut]];
+  if (unitType) {
+    cut++;
+    if (tokens[cut] === "#") cut++;
+    cut++;
+  }
+  return { street: tokens.slice(0, cut), city: tokens.slice(cut) };
+}
+
+function parseAddress(input) {
+  const text = String(input ?? "").trim();
+  const warnings = [];
+  if (!text) return { ok: false, input: text, error: "address is empty" };
+
+  // ZIP (+4) and an optional trailing country
+  let rest = text.replace(/[\s,]*(USA|US|UNITED STATES(?: OF AMERICA)?)\.?\s*$/i, "");
+  let zip = null;
+  let zip4 = null;
+  const zipMatch = rest.match(/[\s,]+(\d{5})(?:-?(\d{4}))?\s*$/);
+  if (zipMatch) {
+    zip = zipMatch[1];
+    zip4 = zipMatch[2] || null;
+    rest = rest.slice(0, zipMatch.index);
+  }
+
+  const segments = rest.split(",").map((s) => s.trim()).filter(Boolean);
+
+  // State is the tail of the last segment
+  const tail = stateFromWords(words(segments.at(-1) || ""));
+  const state = tail.state;
+  if (state) {
+    if (tail.rest.length) segments[segments.length - 1] = tail.rest.join(" ");
+    else segments.pop();
+  }
+
+  let streetText;
+  let cityText = null;
+
+  if (segments.length > 1) {
+    streetText = segments[0];
+    let next = 1;
+    // "123 Main St, Apt 4, Dallas" keeps the unit with the street
+    if (segments.length > 2 && UNIT_TYPES[words(segments[1])[0]]) {
+      streetText += ` ${segments[1]}`;
+      next = 2;
+    }
+    cityText = segments.slice(next).join(" ");
+  } else {
+    const { street, city } = splitStreetAndCity(words(segments[0] || ""), state);
+    streetText = street.join(" ");
+    cityText = city.length ? city.join(" ") : null;
+  }
+
+  const street = parseStreetLine(streetText);
+  if (!street.number) warnings.push("No house number found.");
+  if (!street.suffix) warnings.push("No street suffix found.");
+  if (!state) warnings.push("No state found.");
+  if (!cityText) warnings.push("No city found.");
+  if (!zip) warnings.push("No ZIP found.");
+
+  const city = cityText ? words(cityText).map(titleCase).join(" ") : null;
+  const line1 = formatStreet(street, { withUnit: false }) || null;
+  const addressLine1 = formatStreet(street) || null;
+  const cityStateZip = [city, [state, zip].filter(Boolean).join(" ")].filter(Boolean).join(", ");
+
+  return {
+    ok: Boolean(street.number && street.streetName),
+    input: text,
+    ...street,
+    city,
+    state,
+    zip,
+    zip4,
+    // line1 has no unit (what Realie wants with unitNumberStripped); addressLine1 keeps it.
+    line1,
+    addressLine1,
+    formatted: [addressLine1, cityStateZip].filter(Boolean).join(", "),
+    formattedWithoutUnit: [line1, cityStateZip].filter(Boolean).join(", "),
+    warnings,
+  };
+}
+
+module.exports = { STATES, SUFFIXES, parseAddress, parseStreetLine, formatStreet };
@@ -0,0 +1,191 @@
+const crypto = require("crypto");
+const path = require("path");
+const { toNumberLoose } = require("./util");
+const { createJsonStore } = require("./jsonStore");
+
+// ==============================
+// API keys (our own clients)
+// ==============================
+// Keys are stored as SHA-256 hashes; the plain key is only returned when it
+// is created. ADMIN_API_KEY (env) is an extra admin key with no quotas.
+
+const API_KEYS_FILE = process.env.API_KEYS_FILE || path.join(process.cwd(), "data", "api-keys.json");
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || "";
+
+const ROLES = ["client", "admin"];
+
+// null = unlimited
+const DEFAULT_LIMITS = {
+  requestsPerMinute: toNumberLoose(process.env.API_KEY_DEFAULT_PER_MINUTE) ?? 60,
+  requestsPerDay: toNumberLoose(process.env.API_KEY_DEFAULT_PER_DAY) ?? 1000,
+  upstreamCallsPerMonth: toNumberLoose(process.env.API_KEY_DEFAULT_UPSTREAM_PER_MONTH) ?? null,
+};
+
+const store = createJsonStore(API_KEYS_FILE, { empty: () => ({ version: 1, keys: [] }), label: "API keys" });
+
+function keys() {
+  const data = store.load();
+  if (!Array.isArray(data.keys)) data.keys = [];
+  return data.keys;
+}
+
+function hashKey(plain) {
+  return crypto.createHash("sha256").update(String(plain)).digest("hex");
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+const ENV_ADMIN = {
+  id: "env-admin",
+  name: "ADMIN_API_KEY",
+  role: "admin",
+  limits: { requestsPerMinute: null, requestsPerDay: null, upstreamCallsPerMonth: null },
+};
+
+// Public view of a stored key (never the hash).
+function describe(k) {
+  const { hash, ...rest } = k;
+  return rest;
+}
+
+function hasAnyKey() {
+  return Boolean(ADMIN_API_KEY) || keys().some((k) => !k.revokedAt);
+}
+
+function findKey(plain) {
+  if (!plain) return null;
+  if (ADMIN_API_KEY && safeEqual(plain, ADMIN_API_KEY)) return ENV_ADMIN;
+
+  const hash = hashKey(plain);
+  const k = keys().find((x) => x.hash === hash);
+  return k && !k.revokedAt ? k : null;
+}
+
+// Accepts `X-Api-Key: <key>` or `Authorization: Bearer <key>`.
+function keyFromRequest(req) {
+  const header = req.get("x-api-key");
+  if (header) return header.trim();
+  const auth = req.get("authorization") || "";
+  const m = auth.match(/^Bearer\s+(.+)$/i);
+  return m ? m[1].trim() : null;
+}
+
+function limitsFrom(src = {}, base = DEFAULT_LIMITS) {
+  const out = { ...base };
+  for (const k of Object.keys(DEFAULT_LIMITS)) {
+    if (src[k] === undefined) continue;
+    if (src[k] === null) out[k] = null;
+    else {
+      const v = toNumberLoose(src[k]);
+      if (v === null || v < 0) return { error: `${k} must be a non-negative number or null` };
+      out[k] = v;
+    }
+  }
+  return { limits: out };
+}
+
+function createKey({ name, role = "client", limits = {} }) {
+  if (!String(name || "").trim()) return { ok: false, error: "name is required" };
+  if (!ROLES.includes(role)) return { ok: false, error: `role must be one of: ${ROLES.join(", ")}` };
+
+  const resolved = limitsFrom(limits);
+  if (resolved.error) return { ok: false, error: resolved.error };
+
+  const plain = `rk_${crypto.randomBytes(24).toString("hex")}`;
+  const record = {
+    id: crypto.randomUUID(),
+    name: String(name).trim(),
+    role,
+    prefix: plain.slice(0, 7),
+    hash: hashKey(plain),
+    limits: resolved.limits,
+    createdAt: new Date().toISOString(),
+    revokedAt: null,
+  };
+
+  keys().push(record);
+  store.changed();
+  return { ok: true, key: plain, apiKey: describe(record) };
+}
+
+function updateKey(id, { name, role, limits }) {
+  const record = keys().find((k) => k.id === id);
+  if (!record) return { ok: false, notFound: true, error: "API key not found" };
+  if (role !== undefined && !ROLES.includes(role)) return { ok: false, error: `role must be one of: ${ROLES.join(", ")}` };
+
+  if (limits) {
+    const resolved = limitsFrom(limits, record.limits);
+    if (resolved.error) return { ok: false, error: resolved.error };
+    record.limits = resolved.limits;
+  }
+  if (name !== undefined && String(name).trim()) record.name = String(name).trim();
+  if (role !== undefined) record.role = role;
+
+  store.changed();
+  return { ok: true, apiKey: describe(record) };
+}
+
+function revokeKey(id) {
+  const record = keys().find((k) => k.id === id);
+  if (!record) return null;
+  if (!record.revokedAt) {
+    record.revokedAt = new Date().toISOString();
+    store.changed();
+  }
+  return describe(record);
+}
+
+function listKeys() {
+  return keys().map(describe);
+}
+
+function getKey(id) {
+  if (id === ENV_ADMIN.id && ADMIN_API_KEY) return ENV_ADMIN;
+  const k = keys().find((x) => x.id === id);
+  return k ? describe(k) : null;
+}
+
+// ---------- per-minute rate limit ----------
+
+const WINDOW_MS = 60 * 1000;
+const windows = new Map();
+
+// Sliding one-minute window; returns { allowed, limit, remaining, retryAfterSeconds }.
+function takeRequest(key, now = Date.now()) {
+  const limit = key.limits?.requestsPerMinute ?? null;
+  if (limit === null) return { allowed: true, limit: null, remaining: null };
+
+  const hits = (windows.get(key.id) || []).filter((t) => now - t < WINDOW_MS);
+  if (hits.length >= limit) {
+    windows.set(key.id, hits);
+    return {
+      allowed: false,
+      limit,
+      remaining: 0,
+      retryAfterSeconds: Math.max(1, Math.ceil((hits[0] + WINDOW_MS - now) / 1000)),
+    };
+  }
+
+  hits.push(now);
+  windows.set(key.id, hits);
+  return { allowed: true, limit, remaining: limit - hits.length };
+}
+
+module.exports = {
+  ROLES,
+  DEFAULT_LIMITS,
+  hasAnyKey,
+  findKey,
+  keyFromRequest,
+  createKey,
+  updateKey,
+  revokeKey,
+  listKeys,
+  getKey,
+  takeRequest,
+  safeEqual,
+};
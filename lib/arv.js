@@ -0,0 +1,213 @@
+const { round2, monthsSince, quantile } = require("./util");
+
+// ==============================
+// Comp adjustment engine (ARV / AVM)
+// ==============================
+// Every valid sale comp is (1) screened for $/sqft outliers, (2) adjusted
+// toward the subject (time of sale, beds, baths; size via $/sqft), and
+// (3) weighted by distance, recency, size and bed/bath similarity. The value
+// range and confidence come from the weighted dispersion of the indications.
+
+const ARV_DEFAULTS = {
+  trim: "iqr", // iqr | mad | none
+  adjustmentPerBed: 7500,
+  adjustmentPerBath: 5000,
+  appreciationPercentAnnual: 4,
+  distanceScaleMiles: 1,
+  recencyScaleMonths: 12,
+  sizeScalePercent: 25,
+};
+
+const UNKNOWN_FACTOR_WEIGHT = 0.5;
+
+function num(v) {
+  const n = Number(v);
+  return v !== null && v !== undefined && v !== "" && Number.isFinite(n) ? n : null;
+}
+
+// Returns a predicate telling whether a $/sqft value is an outlier.
+function outlierTest(values, method) {
+  if (method === "none" || values.length < 4) return () => false;
+
+  const sorted = [...values].sort((a, b) => a - b);
+
+  if (method === "mad") {
+    const median = quantile(sorted, 0.5);
+    const deviations = sorted.map((v) => Math.abs(v - median)).sort((a, b) => a - b);
+    const mad = quantile(deviations, 0.5);
+    if (!mad) return () => false;
+    // Modified z-score (Iglewicz & Hoaglin), cut-off 3.5
+    return (v) => Math.abs((0.6745 * (v - median)) / mad) > 3.5;
+  }
+
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  const iqr = q3 - q1;
+  return (v) => v < q1 - 1.5 * iqr || v > q3 + 1.5 * iqr;
+}
+
+function resolveOptions(options = {}) {
+  const o = { ...ARV_DEFAULTS };
+  for (const [k, v] of Object.entries(options)) {
+    if (k === "trim") {
+      if (["iqr", "mad", "none"].includes(String(v).toLowerCase())) o.trim = String(v).toLowerCase();
+    } else if (k in ARV_DEFAULTS && num(v) !== null) {
+      o[k] = num(v);
+    }
+  }
+  return o;
+}
+
+function weightedStats(values, weights) {
+  const total = weights.reduce((a, b) => a + b, 0);
+  if (!total) return { mean: null, sd: null };
+  const mean = values.reduce((sum, v, i) => sum + v * weights[i], 0) / total;
+  const variance = values.reduce((sum, v, i) => sum + weights[i] * (v - mean) ** 2, 0) / total;
+  return { mean, sd: Math.sqrt(variance) };
+}
+
+function confidenceFromDispersion(cv, compsUsed) {
+  if (!Number.isFinite(cv) || !compsUsed) return { score: 0, label: "none" };
+  const dispersionScore = Math.max(0, 1 - cv / 0.25);
+  const depthScore = Math.min(1, compsUsed / 5);
+  const score = Math.round(100 * dispersionScore * depthScore);
+  const label = score >= 70 ? "high" : score >= 40 ? "medium" : "low";
+  return { score, label };
+}
+
+// subject: { sqft, beds, baths }
+// comps:   [{ address, price, sqft, beds, baths, soldDate, distanceMiles }]
+function valueFromComps({ subject = {}, comps = [], options = {}, asOf = new Date() }) {
+  const o = resolveOptions(options);
+  const subjectSqft = num(subject.sqft);
+
+  if (!subjectSqft || subjectSqft <= 0) {
+    return { ok: false, reason: "subjectSqft missing", options: o };
+  }
+
+  const valid = (comps || [])
+    .map((c) => ({ ...c, price: num(c.price), sqft: num(c.sqft) }))
+    .filter((c) => c.price > 0 && c.sqft > 0);
+
+  if (!valid.length) {
+    return { ok: false, reason: "no valid sale comps", options: o };
+  }
+
+  const isOutlier = outlierTest(
+    valid.map((c) => c.price / c.sqft),
+    o.trim
+  );
+
+  const subjectBeds = num(subject.beds);
+  const subjectBaths = num(subject.baths);
+  const appreciation = o.appreciationPercentAnnual / 100;
+
+  const grid = valid.map((c) => {
+    const ppsf = c.price / c.sqft;
+    const beds = num(c.beds);
+    const baths = num(c.baths);
+    const distanceMiles = num(c.distanceMiles);
+    const months = monthsSince(c.soldDate, asOf);
+
+    const timeAdj = months !== null ? c.price * ((1 + appreciation) ** (months / 12) - 1) : 0;
+    const bedAdj = subjectBeds !== null && beds !== null ? (subjectBeds - beds) * o.adjustmentPerBed : 0;
+    const bathAdj = subjectBaths !== null && baths !== null ? (subjectBaths - baths) * o.adjustmentPerBath : 0;
+
+    const sizeValue = ((c.price + timeAdj) / c.sqft) * subjectSqft;
+    const sizeAdj = sizeValue - (c.price + timeAdj);
+    const indicatedValue = sizeValue + bedAdj + bathAdj;
+
+    const sizeDiffPct = (Math.abs(c.sqft - subjectSqft) / subjectSqft) * 100;
+    const roomDiff =
+      subjectBeds !== null && beds !== null && subjectBaths !== null && baths !== null
+        ? Math.abs(subjectBeds - beds) + 0.5 * Math.abs(subjectBaths - baths)
+        : null;
+
+    const factors = {
+      distance: distanceMiles !== null ? Math.exp(-distanceMiles / o.distanceScaleMiles) : UNKNOWN_FACTOR_WEIGHT,
+      recency: months !== null ? Math.exp(-months / o.recencyScaleMonths) : UNKNOWN_FACTOR_WEIGHT,
+      size: Math.exp(-sizeDiffPct / o.sizeScalePercent),
+      rooms: roomDiff !== null ? 1 / (1 + roomDiff) : UNKNOWN_FACTOR_WEIGHT,
+    };
+
+    const excluded = isOutlier(ppsf);
+
+    return {
+      address: c.address ?? null,
+      price: c.price,
+      sqft: c.sqft,
+      beds,
+      baths,
+      soldDate: c.soldDate ?? null,
+      distanceMiles,
+      monthsSinceSale: months !== null ? round2(months) : null,
+      ppsf: round2(ppsf),
+      adjustments: {
+        time: Math.round(timeAdj),
+        size: Math.round(sizeAdj),
+        beds: Math.round(bedAdj),
+        baths: Math.round(bathAdj),
+        net: Math.round(sizeAdj + timeAdj + bedAdj + bathAdj),
+      },
+      indicatedValue: Math.round(indicatedValue),
+      factors: Object.fromEntries(Object.entries(factors).map(([k, v]) => [k, round2(v)])),
+      rawWeight: excluded ? 0 : factors.distance * factors.recency * factors.size * factors.rooms,
+      excluded,
+      excludeReason: excluded ? `$/sqft outlier (${o.trim})` : null,
+    };
+  });
+
+  const used = grid.filter((g) => !g.excluded && g.rawWeight > 0);
+  if (!used.length) {
+    return { ok: false, reason: "all sale comps were excluded", options: o, adjustmentGrid: grid };
+  }
+
+  const totalWeight = used.reduce((sum, g) => sum + g.rawWeight, 0);
+  const { mean, sd } = weightedStats(
+    used.map((g) => g.indicatedValue),
+    used.map((g) => g.rawWeight / totalWeight)
+  );
+
+  for (const g of grid) {
+    g.weight = g.excluded ? 0 : Math.round((g.rawWeight / totalWeight) * 10000) / 10000;
+    delete g.rawWeight;
+  }
+
+  const cv = mean ? sd / mean : null;
+  const confidence = confidenceFromDispersion(cv, used.length);
+
+  return {
+    ok: true,
+    value: Math.round(mean),
+    range: {
+      low: Math.round(mean - sd),
+      mid: Math.round(mean),
+      high: Math.round(mean + sd),
+    },
+    pricePerSqft: round2(mean / subjectSqft),
+    compsUsed: used.length,
+    compsExcluded: grid.length - used.length,
+    confidence: { ...confidence, coefficientOfVariation: cv !== null ? round2(cv) : null },
+    options: o,
+    adjustmentGrid: grid,
+  };
+}
+
+// Reads engine options from query-style params (strings allowed).
+function arvOptionsFrom(src = {}) {
+  const map = {
+    arvTrim: "trim",
+    adjPerBed: "adjustmentPerBed",
+    adjPerBath: "adjustmentPerBath",
+    appreciationPercent: "appreciationPercentAnnual",
+    distanceScaleMiles: "distanceScaleMiles",
+    recencyScaleMonths: "recencyScaleMonths",
+  };
+  const out = {};
+  for (const [from, to] of Object.entries(map)) {
+    if (src[from] !== undefined && src[from] !== "") out[to] = src[from];
+  }
+  return out;
+}
+
+module.exports = { ARV_DEFAULTS, valueFromComps, arvOptionsFrom };
@@ -0,0 +1,92 @@
+const crypto = require("crypto");
+
+// ==============================
+// Bounded concurrency
+// ==============================
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+
+  const n = Math.max(1, Math.min(Number(concurrency) || 1, items.length));
+  await Promise.all(Array.from({ length: n }, worker));
+  return results;
+}
+
+// ==============================
+// Batch jobs (in-memory)
+// ==============================
+// Jobs are kept for JOB_TTL_MS after they finish so clients can poll the
+// final result; they do not survive a restart.
+
+const JOB_TTL_MS = 60 * 60 * 1000;
+const jobs = new Map();
+
+function pruneJobs(now = Date.now()) {
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && now - Date.parse(job.finishedAt) > JOB_TTL_MS) jobs.delete(id);
+  }
+}
+
+// `run(item, index)` must not throw; it returns the per-item result object.
+function createJob(items, run, { concurrency = 4, meta = {} } = {}) {
+  pruneJobs();
+
+  const job = {
+    id: crypto.randomUUID(),
+    status: "queued",
+    total: items.length,
+    completed: 0,
+    failed: 0,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    meta,
+    results: new Array(items.length).fill(null),
+  };
+  jobs.set(job.id, job);
+
+  setImmediate(async () => {
+    job.status = "running";
+    job.startedAt = new Date().toISOString();
+
+    try {
+      await mapWithConcurrency(items, concurrency, async (item, i) => {
+        const result = await run(item, i);
+        job.results[i] = result;
+        job.completed++;
+        if (!result?.ok) job.failed++;
+      });
+      job.status = "completed";
+    } catch (err) {
+      job.status = "failed";
+      job.error = err.message;
+    } finally {
+      job.finishedAt = new Date().toISOString();
+    }
+  });
+
+  return job;
+}
+
+function getJob(id) {
+  pruneJobs();
+  return jobs.get(id) || null;
+}
+
+function jobSummary(job, { includeResults = true } = {}) {
+  const { results, ...rest } = job;
+  return {
+    ...rest,
+    progressPercent: job.total ? Math.round((job.completed / job.total) * 100) : 100,
+    results: includeResults ? results.filter(Boolean) : undefined,
+  };
+}
+
+module.exports = { mapWithConcurrency, createJob, getJob, jobSummary };
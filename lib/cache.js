@@ -0,0 +1,239 @@
+const fs = require("fs");
+const path = require("path");
+const { AsyncLocalStorage } = require("async_hooks");
+const { logger } = require("./logger");
+const { parseAddress } = require("./address");
+
+// ==============================
+// Upstream response cache
+// ==============================
+// Entries live in memory and are flushed to a JSON file so they survive
+// restarts. TTLs are per source (seconds) and can be overridden with
+// CACHE_TTL_<SOURCE>, e.g. CACHE_TTL_REALIE_COMPS=3600. withMaxAge() tightens
+// them for one call tree (e.g. a watch sample that must not reuse the copy
+// fetched for the previous sample).
+//
+// Expired entries are dropped when the file is loaded and before each flush,
+// and at most CACHE_MAX_ENTRIES (default 10000) are kept: the oldest fetches
+// go first.
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+const DEFAULT_TTLS = {
+  nominatim: 30 * DAY,
+  census_geocoder: 30 * DAY,
+  census: 28 * DAY,
+  rentcast: 1 * DAY,
+  rentcast_rent: 12 * HOUR,
+  rentcast_listings: 12 * HOUR,
+  realie: 3 * DAY,
+  realie_comps: 6 * HOUR,
+};
+
+const CACHE_FILE = process.env.CACHE_FILE || path.join(process.cwd(), "data", "upstream-cache.json");
+const CACHE_DISABLED = ["1", "true", "yes"].includes(String(process.env.CACHE_DISABLED || "").toLowerCase());
+const MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES) || 10000;
+const FLUSH_DELAY_MS = 250;
+
+let entries = null;
+let flushTimer = null;
+const freshness = new AsyncLocalStorage();
+
+function ttlFor(source) {
+  const override = Number(process.env[`CACHE_TTL_${String(source).toUpperCase()}`]);
+  if (Number.isFinite(override) && override >= 0) return override;
+  return DEFAULT_TTLS[source] ?? 1 * DAY;
+}
+
+function normalizeKey(v) {
+  return String(v ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+}
+
+// Entries are tagged with one form of their address (parsed, without the unit)
+// whichever form the fetcher was called with, so a lookup by "123 Main Street
+// Dallas TX" finds the entry RentCast cached as "123 Main St, Dallas, TX 75201".
+function canonicalAddress(address) {
+  const parsed = parseAddress(address);
+  return normalizeKey(parsed.ok ? parsed.formattedWithoutUnit : address);
+}
+
+function entryId(source, key) {
+  return `${source}::${normalizeKey(key)}`;
+}
+
+function isExpired(entry, now = Date.now()) {
+  return !entry || Date.parse(entry.expiresAt) <= now;
+}
+
+// Runs fn with entries older than maxAgeSeconds treated as misses (refetched
+// and replaced). `sources` limits it to those sources; null means all.
+function withMaxAge(maxAgeSeconds, fn, sources = null) {
+  return freshness.run({ maxAgeSeconds, sources }, fn);
+}
+
+function tooOld(entry, source, now = Date.now()) {
+  const limit = freshness.getStore();
+  if (!limit || (limit.sources && !limit.sources.includes(source))) return false;
+  return now - Date.parse(entry.fetchedAt) >= limit.maxAgeSeconds * 1000;
+}
+
+// The Map is kept in fetch order (refetched entries are re-inserted), so the
+// entries past the cap are the first ones.
+function prune(now = Date.now()) {
+  let removed = 0;
+  for (const [id, e] of entries) {
+    if (isExpired(e, now)) {
+      entries.delete(id);
+      removed++;
+    }
+  }
+  for (const id of entries.keys()) {
+    if (entries.size <= MAX_ENTRIES) break;
+    entries.delete(id);
+    removed++;
+  }
+  return removed;
+}
+
+function load() {
+  if (entries) return entries;
+  entries = new Map();
+
+  try {
+    const raw = JSON.parse(fs.readFileSync(CACHE_FILE, "utf8"));
+    const loaded = (Array.isArray(raw?.entries) ? raw.entries : [])
+      .filter((e) => e?.source && e?.key)
+      .sort((a, b) => String(a.fetchedAt).localeCompare(String(b.fetchedAt)));
+    for (const e of loaded) entries.set(entryId(e.source, e.key), e);
+    if (prune()) scheduleFlush();
+  } catch (err) {
+    if (err.code !== "ENOENT") logger.warn("Cache load failed", { err });
+  }
+
+  return entries;
+}
+
+function flushNow() {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+  if (!entries) return;
+  prune();
+
+  try {
+    fs.mkdirSync(path.dirname(CACHE_FILE), { recursive: true });
+    const tmp = `${CACHE_FILE}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ version: 1, entries: [...entries.values()] }));
+    fs.renameSync(tmp, CACHE_FILE);
+  } catch (err) {
+    logger.warn("Cache flush failed", { err });
+  }
+}
+
+function scheduleFlush() {
+  if (flushTimer) return;
+  flushTimer = setTimeout(flushNow, FLUSH_DELAY_MS);
+  flushTimer.unref?.();
+}
+
+// Returns { value, cached, fetchedAt }. Only non-null values are stored, so
+// failed lookups (which our helpers report as null / ok:false) are retried.
+async function getOrFetch(source, key, fetcher, { address = null, shouldCache = (v) => v != null } = {}) {
+  if (CACHE_DISABLED || !normalizeKey(key)) {
+    const value = await fetcher();
+    return { value, cached: false, fetchedAt: new Date().toISOString() };
+  }
+
+  const store = load();
+  const id = entryId(source, key);
+  const hit = store.get(id);
+
+  if (hit && !isExpired(hit) && !tooOld(hit, source)) {
+    return { value: hit.value, cached: true, fetchedAt: hit.fetchedAt };
+  }
+
+  const value = await fetcher();
+  const now = Date.now();
+  const fetchedAt = new Date(now).toISOString();
+
+  if (shouldCache(value)) {
+    store.delete(id);
+    store.set(id, {
+      source,
+      key: normalizeKey(key),
+      address: address ? canonicalAddress(address) : null,
+      fetchedAt,
+      expiresAt: new Date(now + ttlFor(source) * 1000).toISOString(),
+      value,
+    });
+    if (store.size > MAX_ENTRIES) prune(now);
+    scheduleFlush();
+  } else if (hit) {
+    store.delete(id);
+    scheduleFlush();
+  }
+
+  return { value, cached: false, fetchedAt };
+}
+
+// An address matches the canonical address an entry was stored for (or the
+// whole key of an entry stored without one); never a substring or a key part,
+// so "1 Main" or "TX" doesn't match every address containing it.
+function matcher({ source, address } = {}) {
+  const canonical = address ? canonicalAddress(address) : null;
+  const key = address ? normalizeKey(address) : null;
+  return (entry) =>
+    (!source || entry.source === source) && (!address || (entry.address ? entry.address === canonical : entry.key === key));
+}
+
+function list(filter = {}) {
+  const now = Date.now();
+  const matches = matcher(filter);
+  return [...load().values()]
+    .filter((e) => !isExpired(e, now) && matches(e))
+    .map(({ value, ...meta }) => meta);
+}
+
+function purge(filter = {}) {
+  const store = load();
+  const matches = matcher(filter);
+  let removed = 0;
+  for (const [id, e] of store) {
+    if (matches(e)) {
+      store.delete(id);
+      removed++;
+    }
+  }
+  if (removed) scheduleFlush();
+  return removed;
+}
+
+function stats() {
+  const bySource = {};
+  for (const e of list()) bySource[e.source] = (bySource[e.source] || 0) + 1;
+  return {
+    enabled: !CACHE_DISABLED,
+    file: CACHE_FILE,
+    entries: Object.values(bySource).reduce((a, b) => a + b, 0),
+    maxEntries: MAX_ENTRIES,
+    bySource,
+    ttlSeconds: Object.fromEntries(Object.keys(DEFAULT_TTLS).map((s) => [s, ttlFor(s)])),
+  };
+}
+
+module.exports = {
+  getOrFetch,
+  withMaxAge,
+  list,
+  purge,
+  stats,
+  flushNow,
+  normalizeKey,
+  canonicalAddress,
+  SOURCES: Object.keys(DEFAULT_TTLS),
+};
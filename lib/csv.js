@@ -0,0 +1,60 @@
+// ==============================
+// CSV (RFC 4180) helpers
+// ==============================
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  const s = String(text ?? "").replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+
+    if (inQuotes) {
+      if (ch === '"' && s[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && s[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((v) => v.trim() !== ""));
+}
+
+function escapeCsvValue(v) {
+  if (v === undefined || v === null) return "";
+  const str = Array.isArray(v) ? v.join("; ") : String(v);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toCsv(header, rows) {
+  return [header, ...rows].map((r) => r.map(escapeCsvValue).join(",")).join("\r\n") + "\r\n";
+}
+
+module.exports = { parseCsv, toCsv };
@@ -0,0 +1,163 @@
+const { retryAfterMs } = require("./upstream");
+const { logger } = require("./logger");
+
+// ==============================
+// API errors
+// ==============================
+// Every error response has the same envelope:
+//
+//   { ok: false, code: "VALIDATION_ERROR", error: "query.radius must be a number", details: {...} }
+//
+// `code` is stable (clients branch on it), `error` is for humans and may
+// change. Upstream failures are mapped to UPSTREAM_* codes here; the
+// provider's response body is logged, never sent to the client.
+
+const ERROR_STATUS = {
+  VALIDATION_ERROR: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  CONFLICT: 409,
+  PAYLOAD_TOO_LARGE: 413,
+  RATE_LIMITED: 429,
+  QUOTA_EXCEEDED: 429,
+  INTERNAL_ERROR: 500,
+  // Our side is missing an upstream API key.
+  MISSING_CREDENTIALS: 503,
+  UPSTREAM_NOT_FOUND: 404,
+  // The provider refused the input (400/422), e.g. an address it can't parse.
+  UPSTREAM_REJECTED: 422,
+  UPSTREAM_RATE_LIMITED: 503,
+  // The provider refused our API key.
+  UPSTREAM_AUTH_FAILED: 502,
+  UPSTREAM_ERROR: 502,
+  // Circuit open, deadline exceeded or the provider unreachable.
+  UPSTREAM_UNAVAILABLE: 503,
+};
+
+const ERROR_CODES = Object.keys(ERROR_STATUS);
+
+function apiError(code, message, details) {
+  if (!ERROR_STATUS[code]) throw new Error(`Unknown API error code: ${code}`);
+  return Object.assign(new Error(message), { name: "ApiError", code, status: ERROR_STATUS[code], details });
+}
+
+function isApiError(e) {
+  return e?.name === "ApiError";
+}
+
+function validationError(issues) {
+  const [first] = issues;
+  const where = first.path ? `${first.path} ` : "";
+  const more = issues.length > 1 ? ` (and ${issues.length - 1} more)` : "";
+  return apiError("VALIDATION_ERROR", `${where}${first.message}${more}`, { issues });
+}
+
+// ---------- upstream errors ----------
+
+function isUpstreamError(e) {
+  return Boolean(e?.response || e?.upstream || e?.code === "CIRCUIT_OPEN" || e?.code === "DEADLINE_EXCEEDED");
+}
+
+// One-line reason for warnings and step reports: "404 <message>" or the
+// message; never the provider's body.
+function upstreamReason(e) {
+  const message = e?.message || String(e);
+  return e?.response?.status ? `${e.response.status} ${message}` : message;
+}
+
+// Maps a provider failure to an API error (the original is kept as `cause`
+// for logging). `provider` names the upstream when the error doesn't (fixture
+// providers throw bare axios-style errors).
+function upstreamApiError(e, options) {
+  return Object.assign(mapUpstreamError(e, options), { cause: e });
+}
+
+function mapUpstreamError(e, { provider, action = "Upstream request failed" } = {}) {
+  const source = e.upstream?.source ?? e.source ?? provider ?? null;
+  const status = e.response?.status ?? null;
+  const details = { provider: source, upstreamStatus: status };
+  const who = source || "the provider";
+
+  if (e.code === "CIRCUIT_OPEN") {
+    return apiError("UPSTREAM_UNAVAILABLE", `${action}: ${who} is temporarily unavailable (circuit open)`, details);
+  }
+  if (e.code === "DEADLINE_EXCEEDED") {
+    return apiError("UPSTREAM_UNAVAILABLE", `${action}: ${who} did not answer before the request deadline`, details);
+  }
+  if (status === 404) return apiError("UPSTREAM_NOT_FOUND", `${action}: ${who} has no record for this request`, details);
+  if (status === 429) {
+    const wait = retryAfterMs(e);
+    return apiError("UPSTREAM_RATE_LIMITED", `${action}: ${who} is rate limiting requests`, {
+      ...details,
+      retryAfterSeconds: wait !== null ? Math.ceil(wait / 1000) : null,
+    });
+  }
+  if (status === 401 || status === 403) {
+    return apiError("UPSTREAM_AUTH_FAILED", `${action}: ${who} rejected the configured API key`, details);
+  }
+  if (status === 400 || status === 422) return apiError("UPSTREAM_REJECTED", `${action}: ${who} rejected the request`, details);
+  if (status) return apiError("UPSTREAM_ERROR", `${action}: ${who} returned HTTP ${status}`, details);
+  return apiError("UPSTREAM_UNAVAILABLE", `${action}: could not reach ${who}`, details);
+}
+
+function missingCredentials(envVar) {
+  return apiError("MISSING_CREDENTIALS", `${envVar} is not set on the server`, { env: envVar });
+}
+
+// ---------- responses ----------
+
+function errorBody(err) {
+  const body = { ok: false, code: err.code, error: err.message };
+  if (err.details !== undefined) body.details = err.details;
+  return body;
+}
+
+// Anything that isn't an ApiError becomes one; unknown errors are logged and
+// reported as INTERNAL_ERROR without their message.
+function toApiError(err) {
+  if (isApiError(err)) return err;
+  if (err?.type === "entity.parse.failed") return apiError("VALIDATION_ERROR", "Request body is not valid JSON");
+  if (err?.type === "entity.too.large") return apiError("PAYLOAD_TOO_LARGE", "Request body is too large");
+  if (isUpstreamError(err)) return upstreamApiError(err);
+  return apiError("INTERNAL_ERROR", "Internal server error");
+}
+
+function sendError(res, err) {
+  const apiErr = toApiError(err);
+  const retryAfter = apiErr.details?.retryAfterSeconds;
+  if (retryAfter) res.setHeader("Retry-After", retryAfter);
+  res.status(apiErr.status).json(errorBody(apiErr));
+}
+
+// Final Express error handler.
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  const cause = isApiError(err) ? err.cause : err;
+  if (isUpstreamError(cause)) {
+    logger.warn("upstream failed", {
+      method: req.method,
+      path: req.path,
+      source: cause.upstream?.source ?? cause.source,
+      err: cause,
+      upstreamBody: cause.response?.data,
+    });
+  } else if (!isApiError(err) && !err?.type) {
+    logger.error("unhandled error", { method: req.method, path: req.path, err });
+  }
+  sendError(res, err);
+}
+
+module.exports = {
+  ERROR_STATUS,
+  ERROR_CODES,
+  apiError,
+  isApiError,
+  validationError,
+  upstreamReason,
+  upstreamApiError,
+  missingCredentials,
+  errorBody,
+  sendError,
+  errorHandler,
+};
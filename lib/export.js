@@ -0,0 +1,149 @@
+const ExcelJS = require("exceljs");
+const { parseCsv, toCsv } = require("./csv");
+
+// ==============================
+// Panel flattening (one row per property)
+// ==============================
+// Each column reads from a batch row ({ address, ok, error, panel }) so the
+// same definitions serve single panels and batch results.
+const PANEL_COLUMNS = [
+  { key: "address", header: "Address", get: (r) => r.address },
+  { key: "ok", header: "OK", get: (r) => r.ok },
+  { key: "zip", header: "ZIP", get: (r) => r.panel?.geocoding?.zip },
+  { key: "subjectSqft", header: "Subject Sqft", get: (r) => r.panel?.subject?.sqft },
+  { key: "rentEstimateMonthly", header: "Rent Estimate (Monthly)", get: (r) => r.panel?.subject?.rentEstimateMonthly },
+  { key: "purchasePriceUsed", header: "Purchase Price Used", get: (r) => r.panel?.subject?.purchasePriceUsed },
+  { key: "arv", header: "ARV", get: (r) => r.panel?.arv?.arv },
+  { key: "arvPricePerSqft", header: "ARV $/Sqft", get: (r) => r.panel?.arv?.avgPpsf },
+  { key: "saleCompsCount", header: "Sale Comps", get: (r) => r.panel?.saleComps?.count },
+  { key: "avm", header: "AVM", get: (r) => r.panel?.avm?.estimatedMarketValue },
+  { key: "avmMethod", header: "AVM Method", get: (r) => r.panel?.avm?.method },
+  {
+    key: "operatingExpensesAnnual",
+    header: "Operating Expenses (Annual)",
+    get: (r) => r.panel?.investment?.noi?.operatingExpensesAnnual,
+  },
+  { key: "noiAnnual", header: "NOI (Annual)", get: (r) => r.panel?.investment?.noi?.noiAnnual },
+  { key: "capRatePercent", header: "Cap Rate %", get: (r) => r.panel?.investment?.metrics?.capRatePercent },
+  { key: "cashOnCashPercent", header: "Cash-on-Cash %", get: (r) => r.panel?.investment?.metrics?.cashOnCashPercent },
+  { key: "grm", header: "GRM", get: (r) => r.panel?.investment?.metrics?.grm },
+  { key: "monthlyPaymentPI", header: "Monthly P&I", get: (r) => r.panel?.investment?.debt?.monthlyPaymentPI },
+  { key: "cashFlowMonthly", header: "Cash Flow (Monthly)", get: (r) => r.panel?.investment?.cashFlow?.monthly },
+  { key: "population", header: "Population", get: (r) => r.panel?.demographics?.population },
+  { key: "medianHouseholdIncome", header: "Median Household Income", get: (r) => r.panel?.demographics?.medianHouseholdIncome },
+  { key: "medianGrossRent", header: "Median Gross Rent", get: (r) => r.panel?.demographics?.medianGrossRent },
+  { key: "medianHomeValue", header: "Median Home Value", get: (r) => r.panel?.demographics?.medianHomeValueAreaProxy },
+  { key: "vacancyRatePercent", header: "Vacancy Rate %", get: (r) => r.panel?.demographics?.vacancyRatePercent },
+  { key: "renterOccupiedSharePercent", header: "Renter-Occupied %", get: (r) => r.panel?.demographics?.renterOccupiedSharePercent },
+  { key: "warnings", header: "Warnings", get: (r) => r.warnings },
+  { key: "error", header: "Error", get: (r) => r.error },
+];
+
+const COLUMN_KEYS = PANEL_COLUMNS.map((c) => c.key);
+
+// `columns` is a comma-separated list or array of column keys; unknown keys
+// are reported so callers can return a 400.
+function resolveColumns(columns) {
+  const requested = (Array.isArray(columns) ? columns : String(columns ?? "").split(","))
+    .map((c) => String(c).trim())
+    .filter(Boolean);
+
+  if (!requested.length) return { columns: PANEL_COLUMNS, unknown: [] };
+
+  const unknown = requested.filter((k) => !COLUMN_KEYS.includes(k));
+  const picked = requested.map((k) => PANEL_COLUMNS.find((c) => c.key === k)).filter(Boolean);
+  return { columns: picked, unknown };
+}
+
+function flattenRow(row, columns = PANEL_COLUMNS) {
+  return columns.map((c) => {
+    const v = c.get(row);
+    if (Array.isArray(v)) return v.join("; ");
+    return v === undefined ? null : v;
+  });
+}
+
+function panelAsRow(panel) {
+  return {
+    address: panel?.inputs?.fullAddress || panel?.inputs?.addressLine1 || "",
+    ok: Boolean(panel?.ok),
+    error: null,
+    warnings: panel?.warnings || [],
+    panel,
+  };
+}
+
+// Text starting with one of these is a formula to Excel and Sheets when a CSV
+// is opened. Vendor text (owner names, addresses, warnings) gets a leading "'"
+// so it stays text. XLSX needs no escaping: ExcelJS writes strings as text cells.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function spreadsheetSafe(v) {
+  return typeof v === "string" && FORMULA_PREFIX.test(v) ? `'${v}` : v;
+}
+
+// Both formats use the column headers; `columns=` takes the keys.
+function rowsToCsv(rows, columns = PANEL_COLUMNS) {
+  return toCsv(
+    columns.map((c) => c.header),
+    rows.map((r) => flattenRow(r, columns).map(spreadsheetSafe))
+  );
+}
+
+async function rowsToXlsx(rows, columns = PANEL_COLUMNS, { sheetName = "Properties" } = {}) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName);
+
+  sheet.columns = columns.map((c) => ({ header: c.header, key: c.key, width: Math.max(12, c.header.length + 2) }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: "frozen", ySplit: 1 }];
+
+  for (const r of rows) sheet.addRow(flattenRow(r, columns));
+
+  return workbook.xlsx.writeBuffer();
+}
+
+// ==============================
+// CSV address upload
+// ==============================
+const INPUT_HEADERS = {
+  address: "fullAddress",
+  fulladdress: "fullAddress",
+  state: "state",
+  addressline1: "addressLine1",
+  city: "city",
+  county: "county",
+  purchaseprice: "purchasePrice",
+};
+
+// Rows with a recognised header line become objects keyed by panel input
+// names; a header-less file is read as one address per line (unquoted commas
+// inside the address are rejoined).
+function parseAddressCsv(text) {
+  const rows = parseCsv(text);
+  if (!rows.length) return [];
+
+  const headerKeys = rows[0].map((h) => INPUT_HEADERS[h.trim().toLowerCase().replace(/[\s_-]/g, "")] || null);
+  if (!headerKeys.some(Boolean)) {
+    return rows.map((r) => ({ fullAddress: r.map((v) => v.trim()).filter(Boolean).join(", ") }));
+  }
+
+  return rows.slice(1).map((r) => {
+    const obj = {};
+    headerKeys.forEach((k, i) => {
+      if (k && r[i] !== undefined && r[i].trim() !== "") obj[k] = r[i].trim();
+    });
+    return obj;
+  });
+}
+
+module.exports = {
+  PANEL_COLUMNS,
+  COLUMN_KEYS,
+  resolveColumns,
+  flattenRow,
+  panelAsRow,
+  rowsToCsv,
+  rowsToXlsx,
+  parseAddressCsv,
+};
@@ -0,0 +1,28 @@
+// ==============================
+// Geo helpers
+// ==============================
+const EARTH_RADIUS_MILES = 3958.8;
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+function isValidCoord(p) {
+  return (
+    p &&
+    Number.isFinite(p.lat) &&
+    Number.isFinite(p.lon) &&
+    Math.abs(p.lat) <= 90 &&
+    Math.abs(p.lon) <= 180 &&
+    !(p.lat === 0 && p.lon === 0)
+  );
+}
+
+function haversineMiles(a, b) {
+  if (!isValidCoord(a) || !isValidCoord(b)) return null;
+
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+module.exports = { haversineMiles, isValidCoord };
@@ -0,0 +1,261 @@
+const fs = require("fs");
+const { logger } = require("./logger");
+
+// ==============================
+// Geocoder providers
+// ==============================
+// A provider is { name, cacheSource, geocode(address) } where geocode resolves
+// to a normalized result or null when it has no match:
+//   { zip, lat, lon, city, county, state, matchedAddress, precision, raw }
+// Providers are tried in order; the first result with a ZIP wins, otherwise
+// the first partial result (coordinates only) is returned.
+
+const DEFAULT_ORDER = ["census", "nominatim", "offline"];
+
+function num(v) {
+  const n = Number(v);
+  return v !== null && v !== undefined && v !== "" && Number.isFinite(n) ? n : null;
+}
+
+function zip5(v) {
+  const m = String(v ?? "").match(/\b(\d{5})(?:-\d{4})?\b/);
+  return m ? m[1] : null;
+}
+
+function stripCounty(v) {
+  return v ? String(v).replace(/\s+(County|Parish|Borough)$/i, "").trim() : null;
+}
+
+// `nominatim` / `census` are the provider adapters (lib/providers.js); they
+// return the raw response bodies normalized here.
+function nominatimProvider({ nominatim }) {
+  return {
+    name: "nominatim",
+    cacheSource: "nominatim",
+    async geocode(address) {
+      const data = await nominatim.search(address);
+
+      const hit = data?.[0];
+      if (!hit) return null;
+
+      const a = hit.address || {};
+      return {
+        zip: zip5(a.postcode),
+        lat: num(hit.lat),
+        lon: num(hit.lon),
+        city: a.city || a.town || a.village || a.hamlet || null,
+        county: stripCounty(a.county),
+        state: a.state || null,
+        matchedAddress: hit.display_name || null,
+        precision: a.house_number ? "rooftop" : "street",
+        raw: a,
+      };
+    },
+  };
+}
+
+function fipsOf(geographies) {
+  const g = geographies || {};
+  const county = g.Counties?.[0];
+  const tract = g["Census Tracts"]?.[0];
+  const blockGroup = g["Census Block Groups"]?.[0];
+  return {
+    state: county?.STATE || tract?.STATE || null,
+    county: county?.COUNTY || tract?.COUNTY || null,
+    tract: tract?.TRACT || null,
+    blockGroup: blockGroup?.BLKGRP || null,
+  };
+}
+
+// US Census geocoder (geographies endpoint, so county/tract come back too).
+function censusGeocoderProvider({ census }) {
+  return {
+    name: "census",
+    cacheSource: "census_geocoder",
+    async geocode(address) {
+      const data = await census.geocodeAddress(address);
+
+      const match = data?.result?.addressMatches?.[0];
+      if (!match) return null;
+
+      const c = match.addressComponents || {};
+      const g = match.geographies || {};
+      const county = g.Counties?.[0];
+      const tract = g["Census Tracts"]?.[0];
+
+      return {
+        zip: zip5(c.zip),
+        lat: num(match.coordinates?.y),
+        lon: num(match.coordinates?.x),
+        city: c.city || null,
+        county: stripCounty(county?.BASENAME || county?.NAME),
+        state: c.state || null,
+        matchedAddress: match.matchedAddress || null,
+        precision: "address_range",
+        fips: fipsOf(g),
+        raw: { addressComponents: c, county: county?.NAME || null, tract: tract?.GEOID || null },
+      };
+    },
+  };
+}
+
+// Point -> FIPS codes (coordinates endpoint), for results from providers that
+// don't return census geographies. Resolves to null outside the US.
+function censusFipsLookup({ census }) {
+  return async function fipsAt(lat, lon) {
+    const data = await census.geographiesAt(lat, lon);
+    const fips = fipsOf(data?.result?.geographies);
+    return fips.state && fips.county && fips.tract ? fips : null;
+  };
+}
+
+// Census Gazetteer ZCTA file (tab-separated, GEOID ... INTPTLAT INTPTLONG).
+function loadGazetteer(file) {
+  const lines = fs.readFileSync(file, "utf8").split(/\r?\n/).filter(Boolean);
+  const header = lines[0].split("\t").map((h) => h.trim().toUpperCase());
+  const iZip = header.indexOf("GEOID");
+  const iLat = header.indexOf("INTPTLAT");
+  const iLon = header.indexOf("INTPTLONG");
+  if (iZip === -1 || iLat === -1 || iLon === -1) throw new Error(`${file}: not a Gazetteer ZCTA file`);
+
+  const out = new Map();
+  for (const line of lines.slice(1)) {
+    const cols = line.split("\t");
+    const lat = num(cols[iLat]?.trim());
+    const lon = num(cols[iLon]?.trim());
+    if (lat !== null && lon !== null) out.set(cols[iZip].trim(), { lat, lon });
+  }
+  return out;
+}
+
+// Offline ZIP centroids: the bundled `zipcodes` dataset, optionally overridden
+// by a Census Gazetteer ZCTA file. Needs a ZIP in the address, or an exact
+// "City, ST" match (which only yields a ZIP when the city has one).
+function offlineZipProvider({ gazetteerFile = null } = {}) {
+  let dataset = null;
+  let gazetteer = null;
+
+  function load() {
+    if (dataset) return;
+    dataset = require("zipcodes");
+    if (gazetteerFile) {
+      try {
+        gazetteer = loadGazetteer(gazetteerFile);
+      } catch (e) {
+        logger.warn("ZCTA gazetteer load failed", { err: e });
+        gazetteer = null;
+      }
+    }
+  }
+
+  return {
+    name: "offline",
+    cacheSource: null,
+    async geocode(address) {
+      load();
+      const text = String(address ?? "");
+      const zip = zip5(text.match(/\b\d{5}(?:-\d{4})?\s*$/)?.[0] || text.match(/\b[A-Z]{2}\s+(\d{5})\b/i)?.[1]);
+
+      if (zip) {
+        const z = dataset.lookup(zip);
+        const centroid = gazetteer?.get(zip) || (z ? { lat: z.latitude, lon: z.longitude } : null);
+        if (!centroid) return null;
+        return {
+          zip,
+          lat: centroid.lat,
+          lon: centroid.lon,
+          city: z?.city || null,
+          county: null,
+          state: z?.state || null,
+          matchedAddress: null,
+          precision: "zip_centroid",
+          raw: null,
+        };
+      }
+
+      const parts = text.split(",").map((p) => p.trim()).filter(Boolean);
+      const state = parts.at(-1)?.match(/^([A-Z]{2})$/i)?.[1];
+      const city = parts.at(-2);
+      if (!state || !city) return null;
+
+      const matches = dataset.lookupByName(city, state.toUpperCase());
+      if (!matches.length) return null;
+
+      const lat = matches.reduce((s, m) => s + m.latitude, 0) / matches.length;
+      const lon = matches.reduce((s, m) => s + m.longitude, 0) / matches.length;
+      return {
+        zip: matches.length === 1 ? matches[0].zip : null,
+        lat,
+        lon,
+        city: matches[0].city,
+        county: null,
+        state: matches[0].state,
+        matchedAddress: null,
+        precision: matches.length === 1 ? "zip_centroid" : "city_centroid",
+        raw: null,
+      };
+    },
+  };
+}
+
+// GEOCODER_ORDER style list ("census,nominatim,offline"); unknown names are dropped.
+function parseOrder(value, available) {
+  const names = String(value || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter((s) => available.includes(s));
+  return names.length ? [...new Set(names)] : DEFAULT_ORDER.filter((s) => available.includes(s));
+}
+
+// lookup(provider, address) lets the caller wrap each provider call (e.g. caching);
+// it resolves to { value, cached, fetchedAt }.
+function createGeocoder({ providers, order, lookup }) {
+  const byName = Object.fromEntries(providers.map((p) => [p.name, p]));
+  const chain = parseOrder(order, Object.keys(byName)).map((n) => byName[n]);
+  const run =
+    lookup || (async (provider, address) => ({ value: await provider.geocode(address), cached: false, fetchedAt: null }));
+
+  async function geocode(address) {
+    const attempts = [];
+    let partial = null;
+
+    for (const provider of chain) {
+      let entry;
+      try {
+        entry = await run(provider, address);
+      } catch (e) {
+        attempts.push({ provider: provider.name, ok: false, reason: e.response?.status ? `HTTP ${e.response.status}` : e.message });
+        continue;
+      }
+
+      const value = entry?.value;
+      if (!value || value.lat === null || value.lon === null) {
+        attempts.push({ provider: provider.name, ok: false, reason: "no match" });
+        continue;
+      }
+
+      const hit = { result: { ...value, provider: provider.name }, cached: entry.cached, fetchedAt: entry.fetchedAt };
+      if (value.zip) {
+        attempts.push({ provider: provider.name, ok: true });
+        return { ...hit, attempts };
+      }
+
+      attempts.push({ provider: provider.name, ok: false, reason: "no ZIP" });
+      partial ||= hit;
+    }
+
+    return partial ? { ...partial, attempts } : { result: null, cached: false, fetchedAt: null, attempts };
+  }
+
+  return { geocode, order: chain.map((p) => p.name) };
+}
+
+module.exports = {
+  DEFAULT_ORDER,
+  nominatimProvider,
+  censusGeocoderProvider,
+  censusFipsLookup,
+  offlineZipProvider,
+  createGeocoder,
+  loadGazetteer,
+};
@@ -0,0 +1,76 @@
+// ==============================
+// Upstream health
+// ==============================
+// Reachability is passive by default: the tracker remembers the last attempt
+// the upstream client observed for each source. probe() actively sends one
+// HEAD request per provider base URL, outside the upstream client (no
+// retries, breaker, metering or quota), so it never costs billable calls.
+
+// Outcomes that say nothing about reachability (we didn't try).
+const NOT_ATTEMPTED = ["circuit_open", "deadline", "refused"];
+
+function createUpstreamTracker(now = () => Date.now()) {
+  const bySource = new Map();
+
+  function record({ source, outcome, status, ms }) {
+    const t = bySource.get(source) || { lastAttemptAt: null, lastSuccessAt: null, lastFailureAt: null, reachable: null };
+    const at = new Date(now()).toISOString();
+    t.lastOutcome = outcome;
+    if (!NOT_ATTEMPTED.includes(outcome)) {
+      t.lastAttemptAt = at;
+      t.lastStatus = status;
+      t.lastMs = ms;
+      t.reachable = outcome !== "network_error";
+    }
+    if (outcome === "ok") t.lastSuccessAt = at;
+    else t.lastFailureAt = at;
+    bySource.set(source, t);
+  }
+
+  function snapshot() {
+    return Object.fromEntries([...bySource].map(([source, t]) => [source, { ...t }]));
+  }
+
+  return { record, snapshot };
+}
+
+// http(config) is axios-style. Any HTTP answer counts as reachable.
+async function probe(sources, { http, timeoutMs = 3000, now = () => Date.now() }) {
+  const entries = await Promise.all(
+    Object.entries(sources)
+      .filter(([, s]) => s.probeUrl)
+      .map(async ([source, { probeUrl }]) => {
+        const started = now();
+        try {
+          const r = await http({ method: "head", url: probeUrl, timeout: timeoutMs, validateStatus: () => true });
+          return [source, { reachable: true, status: r.status, ms: now() - started }];
+        } catch (e) {
+          return [source, { reachable: false, error: e.code || e.message, ms: now() - started }];
+        }
+      })
+  );
+  return Object.fromEntries(entries);
+}
+
+// sources: { name: { configured, probeUrl } }; breakers: upstream client
+// status(); activity: tracker snapshot(); probes: probe() results or null.
+// Degraded when a configured upstream's circuit isn't closed or it is known
+// to be unreachable.
+function upstreamHealth({ sources, breakers = {}, activity = {}, probes = null }) {
+  const upstreams = {};
+  let degraded = false;
+
+  for (const [source, { configured }] of Object.entries(sources)) {
+    const circuit = breakers[source] || { state: "closed", consecutiveFailures: 0, openedAt: null, retryAt: null };
+    const seen = activity[source] || null;
+    const probed = probes?.[source] || null;
+    const reachable = probed ? probed.reachable : seen?.reachable ?? null;
+
+    if (configured && (circuit.state !== "closed" || reachable === false)) degraded = true;
+    upstreams[source] = { configured, reachable, circuit, lastActivity: seen, probe: probed };
+  }
+
+  return { status: degraded ? "degraded" : "ok", upstreams };
+}
+
+module.exports = { NOT_ATTEMPTED, createUpstreamTracker, probe, upstreamHealth };
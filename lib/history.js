@@ -0,0 +1,205 @@
+const crypto = require("crypto");
+const path = require("path");
+const { round2, toNumberLoose } = require("./util");
+const { createJsonStore } = require("./jsonStore");
+const { normalizeKey } = require("./cache");
+
+// ==============================
+// Watchlist + rent/value history
+// ==============================
+// Watched addresses are re-sampled on an interval; each sample (rent
+// estimate, nearby rentals, ARV) is appended to a per-address series.
+// Watches belong to the API key that created them (ownerKeyId); the series is
+// market data, so watches on the same address share it.
+
+const HISTORY_FILE = process.env.HISTORY_FILE || path.join(process.cwd(), "data", "history.json");
+const MAX_SAMPLES_PER_ADDRESS = Number(process.env.HISTORY_MAX_SAMPLES) || 500;
+
+const DEFAULT_INTERVAL_HOURS = 24;
+const MIN_INTERVAL_HOURS = 1;
+
+const TRACKED_METRICS = {
+  rentEstimateMonthly: "Rent estimate (monthly)",
+  nearbyRentMedian: "Nearby rentals median rent",
+  arv: "ARV",
+  avm: "AVM",
+};
+
+// Percent moves (absolute) between consecutive samples that raise an alert.
+function defaultThresholds() {
+  return {
+    rentEstimateMonthly: toNumberLoose(process.env.ALERT_RENT_CHANGE_PERCENT) ?? 5,
+    arv: toNumberLoose(process.env.ALERT_ARV_CHANGE_PERCENT) ?? 5,
+  };
+}
+
+const store = createJsonStore(HISTORY_FILE, {
+  empty: () => ({ version: 1, watchlist: [], series: {} }),
+  label: "History",
+});
+
+function data() {
+  const d = store.load();
+  if (!Array.isArray(d.watchlist)) d.watchlist = [];
+  if (!d.series || typeof d.series !== "object") d.series = {};
+  return d;
+}
+
+// ---------- watchlist ----------
+
+// ownerKeyId null lists every key's watches.
+function listWatches(ownerKeyId = null) {
+  const all = data().watchlist;
+  return ownerKeyId == null ? all : all.filter((w) => w.ownerKeyId === ownerKeyId);
+}
+
+function getWatch(id) {
+  return listWatches().find((w) => w.id === id) || null;
+}
+
+function findWatchByAddress(address, ownerKeyId = null) {
+  const key = normalizeKey(address);
+  return listWatches(ownerKeyId).find((w) => normalizeKey(w.address) === key) || null;
+}
+
+function thresholdsFrom(src = {}) {
+  const out = {};
+  const rent = toNumberLoose(src.rentThresholdPercent);
+  const arv = toNumberLoose(src.arvThresholdPercent);
+  if (rent !== null) out.rentEstimateMonthly = rent;
+  if (arv !== null) out.arv = arv;
+  return out;
+}
+
+function addWatch({ address, params, intervalHours, thresholds = {}, ownerKeyId = null }, now = Date.now()) {
+  if (findWatchByAddress(address, ownerKeyId)) return { ok: false, error: "Address is already on the watchlist" };
+
+  const hours = toNumberLoose(intervalHours) ?? DEFAULT_INTERVAL_HOURS;
+  if (hours < MIN_INTERVAL_HOURS) return { ok: false, error: `intervalHours must be at least ${MIN_INTERVAL_HOURS}` };
+
+  const watch = {
+    id: crypto.randomUUID(),
+    ownerKeyId,
+    address,
+    params,
+    intervalHours: hours,
+    thresholds: { ...defaultThresholds(), ...thresholds },
+    createdAt: new Date(now).toISOString(),
+    lastRunAt: null,
+    nextRunAt: new Date(now).toISOString(),
+    lastError: null,
+  };
+
+  listWatches().push(watch);
+  store.changed();
+  return { ok: true, watch };
+}
+
+function removeWatch(id) {
+  const list = listWatches();
+  const i = list.findIndex((w) => w.id === id);
+  if (i === -1) return false;
+  list.splice(i, 1);
+  store.changed();
+  return true;
+}
+
+function dueWatches(now = Date.now()) {
+  return listWatches().filter((w) => Date.parse(w.nextRunAt) <= now);
+}
+
+function markRun(watch, { error = null } = {}, now = Date.now()) {
+  watch.lastRunAt = new Date(now).toISOString();
+  watch.nextRunAt = new Date(now + watch.intervalHours * 60 * 60 * 1000).toISOString();
+  watch.lastError = error;
+  store.changed();
+}
+
+// ---------- series ----------
+
+function getSeries(address) {
+  return data().series[normalizeKey(address)] || [];
+}
+
+function recordSample(address, sample) {
+  const key = normalizeKey(address);
+  const series = (data().series[key] ||= []);
+  series.push(sample);
+  if (series.length > MAX_SAMPLES_PER_ADDRESS) series.splice(0, series.length - MAX_SAMPLES_PER_ADDRESS);
+  store.changed();
+  return series;
+}
+
+function changeBetween(before, after) {
+  const a = toNumberLoose(before);
+  const b = toNumberLoose(after);
+  if (a === null || b === null) return { change: null, changePercent: null };
+  return { change: round2(b - a), changePercent: a ? round2(((b - a) / Math.abs(a)) * 100) : null };
+}
+
+// First vs. latest plus min/max for every tracked metric.
+function trendOf(series) {
+  const trend = {};
+  for (const [metric, label] of Object.entries(TRACKED_METRICS)) {
+    const points = series.filter((s) => toNumberLoose(s[metric]) !== null);
+    if (!points.length) {
+      trend[metric] = { label, samples: 0 };
+      continue;
+    }
+
+    const values = points.map((s) => toNumberLoose(s[metric]));
+    const first = points[0];
+    const latest = points[points.length - 1];
+
+    trend[metric] = {
+      label,
+      samples: points.length,
+      first: { at: first.at, value: values[0] },
+      latest: { at: latest.at, value: values[values.length - 1] },
+      min: Math.min(...values),
+      max: Math.max(...values),
+      ...changeBetween(values[0], values[values.length - 1]),
+    };
+  }
+  return trend;
+}
+
+// Alerts for metrics that moved more than their threshold since `previous`.
+function alertsFor(previous, sample, thresholds = {}) {
+  if (!previous) return [];
+
+  const alerts = [];
+  for (const [metric, threshold] of Object.entries(thresholds)) {
+    const { change, changePercent } = changeBetween(previous[metric], sample[metric]);
+    if (changePercent === null || Math.abs(changePercent) < Number(threshold)) continue;
+    alerts.push({
+      metric,
+      label: TRACKED_METRICS[metric] || metric,
+      before: toNumberLoose(previous[metric]),
+      after: toNumberLoose(sample[metric]),
+      change,
+      changePercent,
+      thresholdPercent: Number(threshold),
+      previousAt: previous.at,
+      at: sample.at,
+    });
+  }
+  return alerts;
+}
+
+module.exports = {
+  TRACKED_METRICS,
+  DEFAULT_INTERVAL_HOURS,
+  listWatches,
+  getWatch,
+  findWatchByAddress,
+  thresholdsFrom,
+  addWatch,
+  removeWatch,
+  dueWatches,
+  markRun,
+  getSeries,
+  recordSample,
+  trendOf,
+  alertsFor,
+};
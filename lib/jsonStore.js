@@ -0,0 +1,63 @@
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("./logger");
+
+// ==============================
+// JSON file persistence
+// ==============================
+// Small local stores (saved properties, ...) keep their data in memory and
+// write it back to a JSON file after changes, debounced and atomically.
+
+const FLUSH_DELAY_MS = 250;
+const stores = new Set();
+
+function createJsonStore(file, { empty = () => ({}), label = "Store" } = {}) {
+  let data = null;
+  let flushTimer = null;
+
+  function load() {
+    if (data) return data;
+
+    try {
+      data = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") logger.warn(`${label} load failed`, { file, err });
+      data = empty();
+    }
+
+    return data;
+  }
+
+  function flushNow() {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    if (!data) return;
+
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(data));
+      fs.renameSync(tmp, file);
+    } catch (err) {
+      logger.warn(`${label} flush failed`, { file, err });
+    }
+  }
+
+  function changed() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(flushNow, FLUSH_DELAY_MS);
+    flushTimer.unref?.();
+  }
+
+  const store = { file, load, changed, flushNow };
+  stores.add(store);
+  return store;
+}
+
+function flushAll() {
+  for (const store of stores) store.flushNow();
+}
+
+module.exports = { createJsonStore, flushAll };
@@ -0,0 +1,78 @@
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+// ==============================
+// Structured logs + request context
+// ==============================
+// One JSON object per line on stdout (warn/error on stderr):
+//
+//   {"time":"...","level":"warn","msg":"Census lookup failed","requestId":"...","source":"census","status":503}
+//
+// Each request runs inside a context carrying its request ID, so every line
+// logged while serving it (including upstream calls and async batch jobs it
+// started) is tagged without threading the ID through. LOG_LEVEL picks the
+// minimum level (debug, info, warn, error, silent; default info).
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const context = new AsyncLocalStorage();
+
+function withRequestContext(ctx, fn) {
+  return context.run(ctx, fn);
+}
+
+function requestContext() {
+  return context.getStore() || null;
+}
+
+// Client-supplied IDs are kept when they look like IDs; anything else is replaced.
+function requestIdFrom(header) {
+  const id = typeof header === "string" ? header.trim() : "";
+  return /^[\w.:-]{1,128}$/.test(id) ? id : crypto.randomUUID();
+}
+
+// Errors become { message, code, status }; the stack is kept for non-HTTP
+// errors only (an upstream 404 doesn't need one). Upstream bodies are left out.
+function serializeError(err) {
+  if (!(err instanceof Error)) return err;
+  const out = { message: err.message };
+  if (err.code) out.code = err.code;
+  if (err.response?.status) out.status = err.response.status;
+  else if (err.status) out.status = err.status;
+  if (!out.status && err.stack) out.stack = err.stack;
+  return out;
+}
+
+// Without an explicit `level`, LOG_LEVEL is read on each call so it can be set
+// after the shared logger is created (tests).
+function createLogger({ level, fields = {}, write } = {}) {
+  const min = () => LEVELS[String(level || process.env.LOG_LEVEL || "info").toLowerCase()] ?? LEVELS.info;
+  const out =
+    write ||
+    ((lvl, line) => (LEVELS[lvl] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`));
+
+  function log(lvl, msg, extra = {}) {
+    if (LEVELS[lvl] < min()) return;
+    const entry = { time: new Date().toISOString(), level: lvl, msg };
+    const requestId = requestContext()?.requestId;
+    if (requestId) entry.requestId = requestId;
+    for (const [k, v] of Object.entries({ ...fields, ...extra })) {
+      if (v !== undefined) entry[k] = k === "err" ? serializeError(v) : v;
+    }
+    out(lvl, JSON.stringify(entry));
+  }
+
+  return {
+    debug: (msg, extra) => log("debug", msg, extra),
+    info: (msg, extra) => log("info", msg, extra),
+    warn: (msg, extra) => log("warn", msg, extra),
+    error: (msg, extra) => log("error", msg, extra),
+    // Logger whose lines all carry `extra` (e.g. { component: "watcher" }).
+    child: (extra) => createLogger({ level, fields: { ...fields, ...extra }, write: out }),
+    enabled: (lvl) => LEVELS[lvl] >= min(),
+  };
+}
+
+const logger = createLogger();
+
+module.exports = { logger, createLogger, withRequestContext, requestContext, requestIdFrom, serializeError };
@@ -0,0 +1,119 @@
+const { round2, quantile } = require("./util");
+
+// ==============================
+// ZIP-level rental market stats
+// ==============================
+// Aggregates rental listings ({ listedRent, sqft, beds, daysOnMarket, ... })
+// into rent and $/sqft distributions, overall and per bedroom count, and
+// places a given rent within them.
+
+const PERCENTILES = [10, 25, 50, 75, 90];
+
+// 0 = studio; everything from 5 up shares one bucket.
+const BEDROOM_BUCKETS = ["studio", "1", "2", "3", "4", "5+"];
+
+function bedroomBucket(beds) {
+  if (beds === null || beds === undefined || !Number.isFinite(beds) || beds < 0) return null;
+  if (beds >= 5) return "5+";
+  return beds < 1 ? "studio" : String(Math.floor(beds));
+}
+
+function distribution(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const out = { min: round2(sorted[0]) };
+  for (const p of PERCENTILES) out[`p${p}`] = round2(quantile(sorted, p / 100));
+  out.max = round2(sorted.at(-1));
+  out.mean = round2(sorted.reduce((s, v) => s + v, 0) / sorted.length);
+  return out;
+}
+
+function statsFor(listings) {
+  const rents = listings.map((l) => l.listedRent);
+  const ppsf = listings.filter((l) => l.sqft > 0).map((l) => l.listedRent / l.sqft);
+  const dom = listings.map((l) => l.daysOnMarket).filter((d) => Number.isFinite(d) && d >= 0);
+
+  return {
+    count: listings.length,
+    medianRent: distribution(rents)?.p50 ?? null,
+    medianRentPerSqft: distribution(ppsf)?.p50 ?? null,
+    rent: distribution(rents),
+    rentPerSqft: distribution(ppsf),
+    daysOnMarket: dom.length ? { count: dom.length, ...distribution(dom) } : null,
+  };
+}
+
+// Share of listings renting for less than `rent` (ties count half).
+function percentileRank(rents, rent) {
+  if (!rents.length) return null;
+  const below = rents.filter((r) => r < rent).length;
+  const equal = rents.filter((r) => r === rent).length;
+  return round2(((below + equal / 2) / rents.length) * 100);
+}
+
+function positionOf(rank) {
+  if (rank === null) return null;
+  if (rank >= 60) return "above";
+  if (rank <= 40) return "below";
+  return "at";
+}
+
+// Where `rent` falls in the ZIP, preferring the matching bedroom bucket when
+// it has enough listings to say anything.
+function compareRent({ rent, beds, listings, byBedrooms, minListings = 3 }) {
+  const bucket = bedroomBucket(beds);
+  const pool =
+    bucket && (byBedrooms[bucket]?.count || 0) >= minListings
+      ? listings.filter((l) => bedroomBucket(l.beds) === bucket)
+      : listings;
+  const basis = pool === listings ? "all" : bucket;
+
+  const rents = pool.map((l) => l.listedRent);
+  const median = distribution(rents)?.p50 ?? null;
+  const rank = percentileRank(rents, rent);
+
+  return {
+    rent,
+    beds: beds ?? null,
+    basis,
+    marketMedianRent: median,
+    differenceFromMedian: median !== null ? round2(rent - median) : null,
+    differenceFromMedianPercent: median ? round2(((rent - median) / median) * 100) : null,
+    percentileRank: rank,
+    position: positionOf(rank),
+  };
+}
+
+// census: the ZCTA profile (for medianGrossRent). subject: { rent, beds } to place.
+function marketStats(listings, { census = null, subject = null } = {}) {
+  const usable = listings.filter((l) => l.listedRent > 0);
+
+  const byBedrooms = {};
+  for (const label of BEDROOM_BUCKETS) {
+    const group = usable.filter((l) => bedroomBucket(l.beds) === label);
+    if (group.length) byBedrooms[label] = statsFor(group);
+  }
+
+  const overall = statsFor(usable);
+  const censusRent = census?.medianGrossRent ?? null;
+
+  return {
+    listingCount: listings.length,
+    excluded: listings.length - usable.length,
+    overall,
+    byBedrooms,
+    census: census
+      ? {
+          year: census.year,
+          medianGrossRent: censusRent,
+          medianGrossRentMoe: census.estimates?.medianGrossRent?.moe ?? null,
+          listingMedianVsCensusPercent:
+            censusRent && overall.medianRent !== null ? round2(((overall.medianRent - censusRent) / censusRent) * 100) : null,
+          note: "Census gross rent covers all occupied rentals (incl. utilities); listings are current asking rents.",
+        }
+      : null,
+    subject: subject?.rent > 0 ? compareRent({ ...subject, listings: usable, byBedrooms }) : null,
+  };
+}
+
+module.exports = { PERCENTILES, BEDROOM_BUCKETS, bedroomBucket, marketStats };
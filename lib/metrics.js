@@ -0,0 +1,137 @@
+// ==============================
+// Prometheus metrics
+// ==============================
+// A small in-process registry rendering the Prometheus text format (0.0.4):
+// counters, gauges and histograms with labels. Gauges can be computed at
+// scrape time with collect(), e.g. breaker states or quota usage.
+//
+// Label values must stay low-cardinality: route templates, sources, status
+// codes and API key IDs, never raw paths or addresses.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return "";
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}`;
+}
+
+function formatValue(n) {
+  if (n === Infinity) return "+Inf";
+  if (n === -Infinity) return "-Inf";
+  return Number.isNaN(n) ? "NaN" : String(n);
+}
+
+// Series are keyed by their label values in labelNames order.
+function seriesKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name] ?? "")));
+}
+
+function labelsFromKey(labelNames, key) {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, i) => [name, values[i]]));
+}
+
+function createRegistry({ prefix = "" } = {}) {
+  const metrics = [];
+
+  function register(metric) {
+    metrics.push({ ...metric, name: `${prefix}${metric.name}` });
+    return metric.api;
+  }
+
+  function counter({ name, help, labelNames = [] }) {
+    const series = new Map();
+    return register({
+      name,
+      help,
+      type: "counter",
+      lines: (full) =>
+        [...series].map(([key, value]) => `${full}${formatLabels(labelsFromKey(labelNames, key))} ${formatValue(value)}`),
+      api: {
+        inc(labels, by = 1) {
+          const key = seriesKey(labelNames, labels);
+          series.set(key, (series.get(key) || 0) + by);
+        },
+        get: (labels) => series.get(seriesKey(labelNames, labels)) || 0,
+      },
+    });
+  }
+
+  // collect() -> [{ labels, value }] replaces the stored series at scrape time.
+  function gauge({ name, help, labelNames = [], collect }) {
+    const series = new Map();
+    return register({
+      name,
+      help,
+      type: "gauge",
+      lines: (full) => {
+        if (collect) {
+          series.clear();
+          for (const { labels, value } of collect()) series.set(seriesKey(labelNames, labels), value);
+        }
+        return [...series].map(
+          ([key, value]) => `${full}${formatLabels(labelsFromKey(labelNames, key))} ${formatValue(value)}`
+        );
+      },
+      api: {
+        set(labels, value) {
+          series.set(seriesKey(labelNames, labels), value);
+        },
+        get: (labels) => series.get(seriesKey(labelNames, labels)),
+      },
+    });
+  }
+
+  function histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const series = new Map();
+
+    return register({
+      name,
+      help,
+      type: "histogram",
+      lines: (full) =>
+        [...series].flatMap(([key, h]) => {
+          const labels = labelsFromKey(labelNames, key);
+          return [
+            ...bounds.map((le, i) => `${full}_bucket${formatLabels({ ...labels, le: formatValue(le) })} ${h.counts[i]}`),
+            `${full}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${h.count}`,
+            `${full}_sum${formatLabels(labels)} ${formatValue(h.sum)}`,
+            `${full}_count${formatLabels(labels)} ${h.count}`,
+          ];
+        }),
+      api: {
+        observe(labels, value) {
+          const key = seriesKey(labelNames, labels);
+          if (!series.has(key)) series.set(key, { counts: bounds.map(() => 0), sum: 0, count: 0 });
+          const h = series.get(key);
+          bounds.forEach((le, i) => {
+            if (value <= le) h.counts[i]++;
+          });
+          h.sum += value;
+          h.count++;
+        },
+        get: (labels) => series.get(seriesKey(labelNames, labels)) || null,
+      },
+    });
+  }
+
+  function render() {
+    const out = [];
+    for (const m of metrics) {
+      out.push(`# HELP ${m.name} ${m.help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`);
+      out.push(`# TYPE ${m.name} ${m.type}`);
+      out.push(...m.lines(m.name));
+    }
+    return `${out.join("\n")}\n`;
+  }
+
+  return { counter, gauge, histogram, render, contentType: "text/plain; version=0.0.4; charset=utf-8" };
+}
+
+module.exports = { createRegistry, DEFAULT_BUCKETS };
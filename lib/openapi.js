@@ -0,0 +1,132 @@
+const { parse, toJSONSchema } = require("./schema");
+const { ERROR_CODES, validationError } = require("./errors");
+
+// ==============================
+// Validated routes + OpenAPI
+// ==============================
+// api.get/post/patch/delete(path, spec, ...handlers) registers an Express
+// route and records it for the OpenAPI document. spec:
+//   { summary, tags, params, query, body, bodyType, status, public }
+// params/query/body are schema.object()s (body may be any schema); the parsed
+// values land on req.valid.{ params, query, body } and a failed parse is
+// passed on as a VALIDATION_ERROR. Validation runs right before the last
+// handler, so earlier middleware (body parsers, auth) sees the raw request.
+
+const PARTS = ["params", "query", "body"];
+
+function validateRequest(spec) {
+  return (req, res, next) => {
+    const issues = [];
+    const valid = {};
+    for (const part of PARTS) {
+      if (!spec[part]) continue;
+      // A JSON route called without a body gets {} so required fields are reported by name.
+      const raw = req[part] ?? (spec[part].kind === "object" ? {} : undefined);
+      const result = parse(spec[part], raw, part);
+      issues.push(...result.issues);
+      valid[part] = result.value;
+    }
+    if (issues.length) return next(validationError(issues));
+    req.valid = valid;
+    next();
+  };
+}
+
+function createApiRoutes(app) {
+  const routes = [];
+
+  function register(method, path, spec, handlers) {
+    routes.push({ method, path, spec });
+    const last = handlers[handlers.length - 1];
+    app[method](path, ...handlers.slice(0, -1), validateRequest(spec), last);
+  }
+
+  return {
+    routes,
+    get: (path, spec, ...handlers) => register("get", path, spec, handlers),
+    post: (path, spec, ...handlers) => register("post", path, spec, handlers),
+    patch: (path, spec, ...handlers) => register("patch", path, spec, handlers),
+    delete: (path, spec, ...handlers) => register("delete", path, spec, handlers),
+  };
+}
+
+// ---------- document ----------
+
+function parametersFor(schema, location) {
+  if (!schema) return [];
+  return Object.entries(schema.fields).map(([name, field]) => {
+    const { description, ...fieldSchema } = toJSONSchema(field);
+    const param = { name, in: location, required: location === "path" || Boolean(field.required), schema: fieldSchema };
+    if (description) param.description = description;
+    return param;
+  });
+}
+
+function operationFor({ method, path, spec }) {
+  const op = {
+    operationId: `${method}${path}`.replace(/[^A-Za-z0-9]+/g, "_"),
+    summary: spec.summary,
+    tags: spec.tags,
+    parameters: [...parametersFor(spec.params, "path"), ...parametersFor(spec.query, "query")],
+    responses: {
+      [spec.status || 200]: { description: spec.responseDescription || "Success" },
+      default: { $ref: "#/components/responses/Error" },
+    },
+  };
+  if (spec.description) op.description = spec.description;
+  if (!op.parameters.length) delete op.parameters;
+  if (spec.body) {
+    const hasRequired = spec.body.kind !== "object" || Object.values(spec.body.fields).some((f) => f.required);
+    op.requestBody = {
+      required: Boolean(spec.body.required) || hasRequired,
+      content: { [spec.bodyType || "application/json"]: { schema: toJSONSchema(spec.body) } },
+    };
+  }
+  if (spec.public) op.security = [];
+  return op;
+}
+
+function openApiDocument(routes, { title, version, description } = {}) {
+  const paths = {};
+  for (const route of routes) {
+    const key = route.path.replace(/:(\w+)/g, "{$1}");
+    paths[key] = paths[key] || {};
+    paths[key][route.method] = operationFor(route);
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: { title, version, ...(description ? { description } : {}) },
+    security: [{ apiKey: [] }, { bearer: [] }],
+    paths,
+    components: {
+      securitySchemes: {
+        apiKey: { type: "apiKey", in: "header", name: "X-Api-Key" },
+        bearer: { type: "http", scheme: "bearer" },
+      },
+      schemas: {
+        Error: {
+          type: "object",
+          required: ["ok", "code", "error"],
+          properties: {
+            ok: { const: false },
+            code: { type: "string", enum: ERROR_CODES },
+            error: { type: "string", description: "Human-readable message; may change between releases." },
+            details: {
+              type: "object",
+              description: "Code-specific context, e.g. `issues` for VALIDATION_ERROR or `provider` for UPSTREAM_* codes.",
+            },
+          },
+        },
+      },
+      responses: {
+        Error: {
+          description: "Error envelope",
+          content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+        },
+      },
+    },
+  };
+}
+
+module.exports = { createApiRoutes, validateRequest, openApiDocument };
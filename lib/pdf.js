@@ -0,0 +1,217 @@
+const zlib = require("zlib");
+
+// ==============================
+// Minimal PDF writer
+// ==============================
+// Just enough PDF 1.4 for generated reports: pages of text in the standard
+// Helvetica faces (no embedded fonts), filled/stroked rectangles and lines.
+// Coordinates are in points from the TOP-left corner of the page; the writer
+// flips them to PDF's bottom-left origin. Text is WinAnsi-encoded, so
+// characters outside it print as "?".
+
+const PAGE_SIZES = { letter: [612, 792], a4: [595.28, 841.89] };
+
+const FONTS = { regular: { id: "F1", base: "Helvetica" }, bold: { id: "F2", base: "Helvetica-Bold" } };
+
+// Advance widths (1/1000 em) for ASCII 32..126, from the Adobe core font metrics.
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556,
+    556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833,
+    722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556,
+    556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334,
+    260, 334, 584,
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556,
+    556, 556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833,
+    722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556, 333, 556, 611, 556, 611,
+    556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389,
+    280, 389, 584,
+  ],
+};
+
+// WinAnsi code points that differ from Latin-1.
+const WIN_ANSI = {
+  "€": 0x80,
+  "…": 0x85,
+  "‘": 0x91,
+  "’": 0x92,
+  "“": 0x93,
+  "”": 0x94,
+  "•": 0x95,
+  "–": 0x96,
+  "—": 0x97,
+};
+
+function encodeText(str) {
+  const bytes = [];
+  for (const ch of String(str)) {
+    const code = ch.codePointAt(0);
+    if (WIN_ANSI[ch]) bytes.push(WIN_ANSI[ch]);
+    else if (code >= 32 && code <= 126) bytes.push(code);
+    else if (code >= 160 && code <= 255) bytes.push(code);
+    else bytes.push(63); // "?"
+  }
+  return Buffer.from(bytes);
+}
+
+function textWidth(str, size, font = "regular") {
+  const widths = WIDTHS[font] || WIDTHS.regular;
+  let units = 0;
+  for (const byte of encodeText(str)) units += byte >= 32 && byte <= 126 ? widths[byte - 32] : 556;
+  return (units * size) / 1000;
+}
+
+// Shortens `str` with "..." until it fits `maxWidth`.
+function fitText(str, maxWidth, size, font = "regular") {
+  const s = String(str);
+  if (textWidth(s, size, font) <= maxWidth) return s;
+  let cut = s.length;
+  while (cut > 0 && textWidth(`${s.slice(0, cut)}...`, size, font) > maxWidth) cut--;
+  return `${s.slice(0, cut).trimEnd()}...`;
+}
+
+// "#1f4e79" -> "0.122 0.306 0.475"
+function rgb(hex) {
+  const m = /^#?([0-9a-f]{6})$/i.exec(String(hex || ""));
+  const n = m ? parseInt(m[1], 16) : 0;
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255].map((c) => (c / 255).toFixed(3)).join(" ");
+}
+
+function num(n) {
+  return Number(n.toFixed(2)).toString();
+}
+
+function escapeString(buf) {
+  let out = "";
+  for (const byte of buf) {
+    if (byte === 0x28 || byte === 0x29 || byte === 0x5c) out += `\\${String.fromCharCode(byte)}`;
+    else if (byte < 32 || byte > 126) out += `\\${byte.toString(8).padStart(3, "0")}`;
+    else out += String.fromCharCode(byte);
+  }
+  return out;
+}
+
+function createPdf({ size = "letter", title = "", author = "" } = {}) {
+  const [width, height] = PAGE_SIZES[size] || PAGE_SIZES.letter;
+  const pages = [];
+  let ops = null;
+
+  function addPage() {
+    ops = [];
+    pages.push(ops);
+  }
+  addPage();
+
+  const page = {
+    width,
+    height,
+    addPage,
+    pageCount: () => pages.length,
+
+    // opts: font (regular|bold), size, color, align (left|right|center), maxWidth (truncates)
+    text(x, y, str, { font = "regular", size: fontSize = 10, color = "#000000", align = "left", maxWidth } = {}) {
+      const s = maxWidth ? fitText(str, maxWidth, fontSize, font) : String(str);
+      const w = textWidth(s, fontSize, font);
+      const left = align === "right" ? x - w : align === "center" ? x - w / 2 : x;
+      // y is the top of the line box; the baseline sits about 0.8em below it.
+      const baseline = height - y - fontSize * 0.8;
+      ops.push(
+        `BT /${FONTS[font].id} ${num(fontSize)} Tf ${rgb(color)} rg ${num(left)} ${num(baseline)} Td ` +
+          `(${escapeString(encodeText(s))}) Tj ET`
+      );
+      return w;
+    },
+
+    rect(x, y, w, h, { fill, stroke, lineWidth = 1 } = {}) {
+      const path = `${num(x)} ${num(height - y - h)} ${num(w)} ${num(h)} re`;
+      if (fill && stroke) ops.push(`${rgb(fill)} rg ${rgb(stroke)} RG ${num(lineWidth)} w ${path} B`);
+      else if (fill) ops.push(`${rgb(fill)} rg ${path} f`);
+      else ops.push(`${rgb(stroke || "#000000")} RG ${num(lineWidth)} w ${path} S`);
+    },
+
+    line(x1, y1, x2, y2, { color = "#000000", lineWidth = 1, dash } = {}) {
+      const pattern = dash ? `[${dash.join(" ")}] 0 d` : "[] 0 d";
+      const path = `${num(x1)} ${num(height - y1)} m ${num(x2)} ${num(height - y2)} l`;
+      ops.push(`${rgb(color)} RG ${num(lineWidth)} w ${pattern} ${path} S`);
+    },
+  };
+
+  // Serializes to a Buffer: catalog, page tree, fonts, one compressed content
+  // stream per page, info dictionary, xref table.
+  function toBuffer() {
+    const objects = [];
+    const add = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = add(null);
+    const pagesId = add(null);
+    const fontIds = Object.fromEntries(
+      Object.entries(FONTS).map(([key, f]) => [
+        key,
+        add(`<< /Type /Font /Subtype /Type1 /BaseFont /${f.base} /Encoding /WinAnsiEncoding >>`),
+      ])
+    );
+    const fontRefs = Object.entries(FONTS)
+      .map(([key, f]) => `/${f.id} ${fontIds[key]} 0 R`)
+      .join(" ");
+
+    const pageIds = pages.map((pageOps) => {
+      const content = zlib.deflateSync(Buffer.from(pageOps.join("\n"), "latin1"));
+      const streamId = add(
+        Buffer.concat([
+          Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`, "latin1"),
+          content,
+          Buffer.from("\nendstream", "latin1"),
+        ])
+      );
+      return add(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] ` +
+          `/Resources << /Font << ${fontRefs} >> >> /Contents ${streamId} 0 R >>`
+      );
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    const kids = pageIds.map((id) => `${id} 0 R`).join(" ");
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${kids}] /Count ${pageIds.length} >>`;
+    const infoId = add(
+      `<< /Title (${escapeString(encodeText(title))}) /Author (${escapeString(encodeText(author))}) ` +
+        `/Producer (rentcast-backend) >>`
+    );
+
+    const chunks = [Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1")];
+    let offset = chunks[0].length;
+    const offsets = [];
+    objects.forEach((body, i) => {
+      const buf = Buffer.concat([
+        Buffer.from(`${i + 1} 0 obj\n`, "latin1"),
+        Buffer.isBuffer(body) ? body : Buffer.from(body, "latin1"),
+        Buffer.from("\nendobj\n", "latin1"),
+      ]);
+      offsets.push(offset);
+      offset += buf.length;
+      chunks.push(buf);
+    });
+
+    const xref = [
+      "xref",
+      `0 ${objects.length + 1}`,
+      "0000000000 65535 f ",
+      ...offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n `),
+      "trailer",
+      `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+      "startxref",
+      String(offset),
+      "%%EOF",
+    ];
+    chunks.push(Buffer.from(`${xref.join("\n")}\n`, "latin1"));
+    return Buffer.concat(chunks);
+  }
+
+  return { ...page, toBuffer };
+}
+
+module.exports = { createPdf, textWidth, fitText, PAGE_SIZES };
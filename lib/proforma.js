@@ -0,0 +1,242 @@
+const { round2 } = require("./util");
+const { monthlyPayment, operatingExpensesFor } = require("./underwriting");
+
+// ==============================
+// Multi-year pro forma + IRR
+// ==============================
+const PROFORMA_DEFAULTS = {
+  holdYears: 10,
+  rentGrowthPercent: 3,
+  expenseGrowthPercent: 3,
+  appreciationPercent: 3,
+  sellingCostPercent: 6,
+  closingCostPercent: 0,
+};
+
+const MIN_HOLD_YEARS = 1;
+const MAX_HOLD_YEARS = 30;
+
+// Net present value of cash flows at `rate`, flows[0] at t=0, annual periods.
+function npv(rate, flows) {
+  return flows.reduce((sum, cf, t) => sum + cf / (1 + rate) ** t, 0);
+}
+
+// IRR by bisection on [-99%, 1000%]; returns null when there is no sign change.
+function irr(flows) {
+  let lo = -0.99;
+  let hi = 10;
+  let fLo = npv(lo, flows);
+  const fHi = npv(hi, flows);
+  if (!Number.isFinite(fLo) || !Number.isFinite(fHi) || fLo * fHi > 0) return null;
+
+  for (let i = 0; i < 200; i++) {
+    const mid = (lo + hi) / 2;
+    const fMid = npv(mid, flows);
+    if (Math.abs(fMid) < 1e-7 || hi - lo < 1e-10) return mid;
+    if (fLo * fMid < 0) {
+      hi = mid;
+    } else {
+      lo = mid;
+      fLo = fMid;
+    }
+  }
+  return (lo + hi) / 2;
+}
+
+// Year-by-year loan amortization (from a monthly schedule).
+function amortizationByYear(loanAmount, interestRatePercent, loanYears, years) {
+  const payment = monthlyPayment(loanAmount, interestRatePercent, loanYears);
+  const monthlyRate = (Number(interestRatePercent) / 100) / 12;
+  let balance = loanAmount;
+  const rows = [];
+
+  for (let y = 1; y <= years; y++) {
+    const beginningBalance = balance;
+    let principal = 0;
+    let interest = 0;
+
+    for (let m = 0; m < 12 && balance > 0; m++) {
+      const i = balance * monthlyRate;
+      const p = Math.min(payment - i, balance);
+      interest += i;
+      principal += p;
+      balance -= p;
+    }
+
+    rows.push({
+      year: y,
+      beginningBalance,
+      principal,
+      interest,
+      debtService: principal + interest,
+      endingBalance: Math.max(0, balance),
+    });
+  }
+
+  return rows;
+}
+
+function computeProForma({
+  purchasePrice,
+  monthlyRent,
+  vacancyPercent = 5,
+  expensePercent = 35,
+  downPaymentPercent = 20,
+  interestRatePercent = 7.5,
+  loanYears = 30,
+  holdYears = PROFORMA_DEFAULTS.holdYears,
+  rentGrowthPercent = PROFORMA_DEFAULTS.rentGrowthPercent,
+  expenseGrowthPercent = PROFORMA_DEFAULTS.expenseGrowthPercent,
+  appreciationPercent = PROFORMA_DEFAULTS.appreciationPercent,
+  sellingCostPercent = PROFORMA_DEFAULTS.sellingCostPercent,
+  closingCostPercent = PROFORMA_DEFAULTS.closingCostPercent,
+  expenses = null,
+  expenseRecords = null,
+}) {
+  const P = Number(purchasePrice);
+  const R = Number(monthlyRent);
+  const N = Math.round(Number(holdYears));
+
+  if (!Number.isFinite(P) || P <= 0) return { ok: false, error: "purchasePrice missing/invalid" };
+  if (!Number.isFinite(R) || R <= 0) return { ok: false, error: "monthlyRent missing/invalid" };
+  if (!Number.isFinite(N) || N < MIN_HOLD_YEARS || N > MAX_HOLD_YEARS) {
+    return { ok: false, error: `holdYears must be between ${MIN_HOLD_YEARS} and ${MAX_HOLD_YEARS}` };
+  }
+
+  const vacancy = Number(vacancyPercent) / 100;
+  const dp = Number(downPaymentPercent) / 100;
+  const rentGrowth = Number(rentGrowthPercent) / 100;
+  const expenseGrowth = Number(expenseGrowthPercent) / 100;
+  const appreciation = Number(appreciationPercent) / 100;
+
+  const loanAmount = P * (1 - dp);
+  const closingCosts = P * (Number(closingCostPercent) / 100);
+  const initialCash = P * dp + closingCosts;
+
+  const amortization = amortizationByYear(loanAmount, interestRatePercent, loanYears, N);
+
+  // Year-1 operating expenses match the single-year summary (itemized or flat %).
+  // After that, lines set as a percent of effective gross (management,
+  // maintenance, CapEx, or the flat expensePercent) follow each year's EGI;
+  // the fixed lines (tax, insurance, HOA, utilities) grow at expenseGrowth.
+  const effectiveGrossYear1 = R * 12 * (1 - vacancy);
+  const opexYear1 = operatingExpensesFor({
+    purchasePrice: P,
+    effectiveGross: effectiveGrossYear1,
+    expensePercent,
+    expenses,
+    expenseRecords,
+  });
+  const egiShare = opexYear1.percentOfEffectiveGross / 100;
+  const fixedOpexYear1 = opexYear1.total - effectiveGrossYear1 * egiShare;
+
+  const years = [];
+  let cumulativeCashFlow = 0;
+
+  for (let y = 1; y <= N; y++) {
+    const grossRent = R * 12 * (1 + rentGrowth) ** (y - 1);
+    const vacancyLoss = grossRent * vacancy;
+    const effectiveGross = grossRent - vacancyLoss;
+    const operatingExpenses = fixedOpexYear1 * (1 + expenseGrowth) ** (y - 1) + effectiveGross * egiShare;
+    const noi = effectiveGross - operatingExpenses;
+    const loan = amortization[y - 1];
+    const cashFlow = noi - loan.debtService;
+    cumulativeCashFlow += cashFlow;
+
+    const propertyValue = P * (1 + appreciation) ** y;
+    const equity = propertyValue - loan.endingBalance;
+
+    years.push({
+      year: y,
+      grossRent: Math.round(grossRent),
+      vacancyLoss: Math.round(vacancyLoss),
+      effectiveGross: Math.round(effectiveGross),
+      operatingExpenses: Math.round(operatingExpenses),
+      noi: Math.round(noi),
+      debtService: Math.round(loan.debtService),
+      interestPaid: Math.round(loan.interest),
+      principalPaydown: Math.round(loan.principal),
+      cashFlow: Math.round(cashFlow),
+      cumulativeCashFlow: Math.round(cumulativeCashFlow),
+      loanBalance: Math.round(loan.endingBalance),
+      propertyValue: Math.round(propertyValue),
+      equity: Math.round(equity),
+      cashOnCashPercent: initialCash > 0 ? round2((cashFlow / initialCash) * 100) : null,
+      dscr: loan.debtService > 0 ? round2(noi / loan.debtService) : null,
+    });
+  }
+
+  const last = years[N - 1];
+  const salePrice = P * (1 + appreciation) ** N;
+  const sellingCosts = salePrice * (Number(sellingCostPercent) / 100);
+  const loanPayoff = amortization[N - 1].endingBalance;
+  const netSaleProceeds = salePrice - sellingCosts - loanPayoff;
+
+  const flows = [-initialCash, ...years.map((y) => y.cashFlow)];
+  flows[N] += netSaleProceeds;
+
+  const distributions = flows.slice(1).reduce((a, b) => a + b, 0);
+  const rate = initialCash > 0 ? irr(flows) : null;
+
+  return {
+    ok: true,
+    assumptions: {
+      purchasePrice: P,
+      monthlyRent: R,
+      vacancyPercent,
+      expensePercent,
+      downPaymentPercent,
+      interestRatePercent,
+      loanYears,
+      holdYears: N,
+      rentGrowthPercent,
+      expenseGrowthPercent,
+      appreciationPercent,
+      sellingCostPercent,
+      closingCostPercent,
+    },
+    acquisition: {
+      purchasePrice: P,
+      loanAmount: Math.round(loanAmount),
+      downPayment: Math.round(P * dp),
+      closingCosts: Math.round(closingCosts),
+      initialCashInvested: Math.round(initialCash),
+    },
+    years,
+    amortization: amortization.map((a) => ({
+      year: a.year,
+      beginningBalance: Math.round(a.beginningBalance),
+      principal: Math.round(a.principal),
+      interest: Math.round(a.interest),
+      endingBalance: Math.round(a.endingBalance),
+    })),
+    exit: {
+      year: N,
+      salePrice: Math.round(salePrice),
+      sellingCosts: Math.round(sellingCosts),
+      loanPayoff: Math.round(loanPayoff),
+      netSaleProceeds: Math.round(netSaleProceeds),
+    },
+    returns: {
+      irrPercent: rate !== null ? round2(rate * 100) : null,
+      equityMultiple: initialCash > 0 ? round2(distributions / initialCash) : null,
+      totalCashFlow: Math.round(last.cumulativeCashFlow),
+      totalPrincipalPaydown: Math.round(loanAmount - loanPayoff),
+      totalAppreciation: Math.round(salePrice - P),
+      totalProfit: Math.round(distributions - initialCash),
+      totalReturnPercent: initialCash > 0 ? round2(((distributions - initialCash) / initialCash) * 100) : null,
+    },
+  };
+}
+
+// Reads pro forma growth/exit assumptions from query-style params.
+function proFormaOptionsFrom(src = {}) {
+  const out = {};
+  for (const k of Object.keys(PROFORMA_DEFAULTS)) {
+    const v = Number(src[k]);
+    if (src[k] !== undefined && src[k] !== "" && Number.isFinite(v)) out[k] = v;
+  }
+  return out;
+}
+
+module.exports = { PROFORMA_DEFAULTS, computeProForma, proFormaOptionsFrom, irr, npv };
@@ -0,0 +1,275 @@
+const crypto = require("crypto");
+const path = require("path");
+const { round2, toNumberLoose } = require("./util");
+const { createJsonStore } = require("./jsonStore");
+
+// ==============================
+// Saved properties + deal pipeline
+// ==============================
+// A saved property keeps the panel parameters it was run with, our notes, a
+// pipeline status and the last panel snapshot. Re-running the panel with the
+// saved parameters is compared against that snapshot. Records carry the ID
+// of the API key that saved them (ownerKeyId); listings can be limited to one.
+
+const STATUSES = ["lead", "analyzing", "offer", "under_contract", "closed", "passed"];
+const NOTES_MAX_LENGTH = 10000;
+
+const PROPERTIES_FILE = process.env.PROPERTIES_FILE || path.join(process.cwd(), "data", "properties.json");
+const store = createJsonStore(PROPERTIES_FILE, { empty: () => ({ version: 1, properties: [] }), label: "Properties" });
+
+function properties() {
+  const data = store.load();
+  if (!Array.isArray(data.properties)) data.properties = [];
+  return data.properties;
+}
+
+// "Under contract", "under-contract" and "UNDER_CONTRACT" are all accepted.
+function normalizeStatus(v) {
+  const s = String(v ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, "_");
+  return STATUSES.includes(s) ? s : null;
+}
+
+// The numbers we compare between runs, read off a /api/property-panel response.
+function snapshotOf(panel, takenAt = new Date().toISOString()) {
+  return {
+    takenAt,
+    rentEstimateMonthly: panel?.subject?.rentEstimateMonthly ?? null,
+    purchasePriceUsed: panel?.subject?.purchasePriceUsed ?? null,
+    arv: panel?.arv?.arv ?? null,
+    arvLow: panel?.arv?.range?.low ?? null,
+    arvHigh: panel?.arv?.range?.high ?? null,
+    arvConfidence: panel?.arv?.confidence?.label ?? null,
+    avm: panel?.avm?.estimatedMarketValue ?? null,
+    noiAnnual: panel?.investment?.noi?.noiAnnual ?? null,
+    capRatePercent: panel?.investment?.metrics?.capRatePercent ?? null,
+    cashOnCashPercent: panel?.investment?.metrics?.cashOnCashPercent ?? null,
+    cashFlowMonthly: panel?.investment?.cashFlow?.monthly ?? null,
+    saleCompsCount: panel?.saleComps?.count ?? 0,
+    saleComps: (panel?.saleComps?.comps || []).map((c) => ({
+      address: c.address ?? null,
+      price: c.price ?? null,
+      sqft: c.sqft ?? null,
+      soldDate: c.soldDate ?? null,
+    })),
+    warnings: panel?.warnings || [],
+  };
+}
+
+const DIFF_FIELDS = [
+  { key: "rentEstimateMonthly", label: "Rent estimate (monthly)" },
+  { key: "arv", label: "ARV" },
+  { key: "avm", label: "AVM" },
+  { key: "purchasePriceUsed", label: "Purchase price used" },
+  { key: "noiAnnual", label: "NOI (annual)" },
+  { key: "capRatePercent", label: "Cap rate %" },
+  { key: "cashOnCashPercent", label: "Cash-on-cash %" },
+  { key: "cashFlowMonthly", label: "Cash flow (monthly)" },
+  { key: "saleCompsCount", label: "Sale comps" },
+];
+
+function compKey(c) {
+  return `${String(c.address ?? "").trim().toLowerCase().replace(/\s+/g, " ")}|${c.soldDate ?? ""}`;
+}
+
+function diffSnapshots(before, after) {
+  const fields = DIFF_FIELDS.map(({ key, label }) => {
+    const a = toNumberLoose(before?.[key]);
+    const b = toNumberLoose(after?.[key]);
+    const change = a !== null && b !== null ? round2(b - a) : null;
+    return {
+      field: key,
+      label,
+      before: a,
+      after: b,
+      change,
+      changePercent: change !== null && a ? round2((change / Math.abs(a)) * 100) : null,
+      changed: a !== b,
+    };
+  });
+
+  const beforeComps = new Map((before?.saleComps || []).map((c) => [compKey(c), c]));
+  const afterComps = new Map((after?.saleComps || []).map((c) => [compKey(c), c]));
+
+  return {
+    from: before?.takenAt ?? null,
+    to: after?.takenAt ?? null,
+    changed: fields.filter((f) => f.changed).map((f) => f.field),
+    fields,
+    saleComps: {
+      added: [...afterComps].filter(([k]) => !beforeComps.has(k)).map(([, c]) => c),
+      removed: [...beforeComps].filter(([k]) => !afterComps.has(k)).map(([, c]) => c),
+      unchanged: [...afterComps.keys()].filter((k) => beforeComps.has(k)).length,
+    },
+  };
+}
+
+// List view: everything except the stored panel.
+function summarize(record) {
+  const { panel, ...rest } = record;
+  return rest;
+}
+
+function findIndex(id) {
+  return properties().findIndex((p) => p.id === id);
+}
+
+function getProperty(id) {
+  return properties().find((p) => p.id === id) || null;
+}
+
+function validateFields({ status, notes }) {
+  if (status !== undefined && !normalizeStatus(status)) {
+    return `status must be one of: ${STATUSES.join(", ")}`;
+  }
+  if (notes !== undefined && notes !== null && typeof notes !== "string") return "notes must be a string";
+  if (typeof notes === "string" && notes.length > NOTES_MAX_LENGTH) {
+    return `notes must be at most ${NOTES_MAX_LENGTH} characters`;
+  }
+  return null;
+}
+
+function createProperty({ address, params, notes, status, panel, ownerKeyId = null }) {
+  const error = validateFields({ status, notes });
+  if (error) return { ok: false, error };
+
+  const now = new Date().toISOString();
+  const initialStatus = status !== undefined ? normalizeStatus(status) : "lead";
+
+  const record = {
+    id: crypto.randomUUID(),
+    ownerKeyId,
+    address,
+    params,
+    notes: notes || "",
+    status: initialStatus,
+    statusHistory: [{ status: initialStatus, at: now }],
+    createdAt: now,
+    updatedAt: now,
+    snapshot: snapshotOf(panel, now),
+    panel,
+  };
+
+  properties().push(record);
+  store.changed();
+  return { ok: true, property: record };
+}
+
+// `params` entries are merged into the saved panel parameters; null removes one.
+function updateProperty(id, { notes, status, params }) {
+  const record = getProperty(id);
+  if (!record) return { ok: false, notFound: true, error: "Saved property not found" };
+
+  const error = validateFields({ status, notes });
+  if (error) return { ok: false, error };
+
+  const now = new Date().toISOString();
+
+  if (notes !== undefined) record.notes = notes || "";
+
+  const nextStatus = status !== undefined ? normalizeStatus(status) : null;
+  if (nextStatus && nextStatus !== record.status) {
+    record.status = nextStatus;
+    record.statusHistory.push({ status: nextStatus, at: now });
+  }
+
+  if (params && typeof params === "object") {
+    for (const [k, v] of Object.entries(params)) {
+      if (v === null) delete record.params[k];
+      else record.params[k] = v;
+    }
+  }
+
+  record.updatedAt = now;
+  store.changed();
+  return { ok: true, property: record };
+}
+
+function replaceSnapshot(id, panel) {
+  const record = getProperty(id);
+  if (!record) return null;
+
+  const now = new Date().toISOString();
+  record.snapshot = snapshotOf(panel, now);
+  record.panel = panel;
+  record.updatedAt = now;
+  store.changed();
+  return record;
+}
+
+function deleteProperty(id) {
+  const i = findIndex(id);
+  if (i === -1) return false;
+  properties().splice(i, 1);
+  store.changed();
+  return true;
+}
+
+const SORT_KEYS = {
+  createdAt: (p) => p.createdAt,
+  updatedAt: (p) => p.updatedAt,
+  address: (p) => String(p.address || "").toLowerCase(),
+  status: (p) => STATUSES.indexOf(p.status),
+  rentEstimateMonthly: (p) => p.snapshot?.rentEstimateMonthly,
+  arv: (p) => p.snapshot?.arv,
+  purchasePriceUsed: (p) => p.snapshot?.purchasePriceUsed,
+  capRatePercent: (p) => p.snapshot?.capRatePercent,
+  cashOnCashPercent: (p) => p.snapshot?.cashOnCashPercent,
+  cashFlowMonthly: (p) => p.snapshot?.cashFlowMonthly,
+};
+
+function ownedBy(ownerKeyId) {
+  return (p) => ownerKeyId == null || p.ownerKeyId === ownerKeyId;
+}
+
+// Missing values sort last in either direction. ownerKeyId null lists everyone's.
+function listProperties({ status, q, sort = "updatedAt", order, ownerKeyId = null } = {}) {
+  const statuses = String(status ?? "")
+    .split(",")
+    .map(normalizeStatus)
+    .filter(Boolean);
+  const needle = String(q ?? "").trim().toLowerCase();
+  const read = SORT_KEYS[sort] || SORT_KEYS.updatedAt;
+  const dir = (order || (sort === "address" || sort === "status" ? "asc" : "desc")) === "asc" ? 1 : -1;
+
+  return properties()
+    .filter(ownedBy(ownerKeyId))
+    .filter((p) => !statuses.length || statuses.includes(p.status))
+    .filter(
+      (p) =>
+        !needle || String(p.address || "").toLowerCase().includes(needle) || String(p.notes || "").toLowerCase().includes(needle)
+    )
+    .sort((a, b) => {
+      const va = read(a);
+      const vb = read(b);
+      if (va == null && vb == null) return 0;
+      if (va == null) return 1;
+      if (vb == null) return -1;
+      return va < vb ? -dir : va > vb ? dir : 0;
+    })
+    .map(summarize);
+}
+
+function pipelineCounts(ownerKeyId = null) {
+  const counts = Object.fromEntries(STATUSES.map((s) => [s, 0]));
+  for (const p of properties().filter(ownedBy(ownerKeyId))) if (p.status in counts) counts[p.status]++;
+  return counts;
+}
+
+module.exports = {
+  STATUSES,
+  SORT_KEYS: Object.keys(SORT_KEYS),
+  normalizeStatus,
+  snapshotOf,
+  diffSnapshots,
+  summarize,
+  getProperty,
+  createProperty,
+  updateProperty,
+  replaceSnapshot,
+  deleteProperty,
+  listProperties,
+  pipelineCounts,
+};
@@ -0,0 +1,316 @@
+const { pickFirst, toNumberLoose, round2 } = require("./util");
+
+// ==============================
+// Canonical property record
+// ==============================
+// Merges the RentCast property record and the Realie parcel record into one
+// vendor-neutral `property`. Each field says how to read it from each vendor
+// and how to compare the two readings. The value comes from the first vendor
+// in PREFER that has one, except dated fields (sale, tax, assessment), where
+// the most recent reading wins. Every field reports its provenance, and
+// readings that disagree beyond the field's tolerance are listed as conflicts.
+
+const PREFER = ["rentcast", "realie"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SQFT_PER_ACRE = 43560;
+
+function num(obj, keys) {
+  return toNumberLoose(pickFirst(obj, keys));
+}
+
+function text(obj, keys) {
+  const v = pickFirst(obj, keys);
+  return v === null ? null : String(v).trim() || null;
+}
+
+function positive(n) {
+  return n > 0 ? n : null;
+}
+
+// ISO dates and Realie's YYYYMMDD strings -> "YYYY-MM-DD".
+function dateOnly(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const s = String(v).trim();
+  const compact = /^(\d{4})(\d{2})(\d{2})$/.exec(s);
+  const t = Date.parse(compact ? `${compact[1]}-${compact[2]}-${compact[3]}` : s);
+  return Number.isFinite(t) ? new Date(t).toISOString().slice(0, 10) : null;
+}
+
+// Newest entry of a RentCast year map ({ "2023": { year, ... } }) with a positive `field`.
+function latestByYear(map, field) {
+  if (!map || typeof map !== "object") return null;
+  return (
+    Object.values(map)
+      .filter((e) => toNumberLoose(e?.[field]) > 0)
+      .sort((a, b) => (toNumberLoose(b.year) ?? 0) - (toNumberLoose(a.year) ?? 0))[0] ?? null
+  );
+}
+
+function nonEmpty(obj) {
+  return obj && Object.values(obj).some((v) => v !== null && !(Array.isArray(v) && !v.length)) ? obj : null;
+}
+
+// ---------- comparisons ----------
+// Each returns null when the readings agree, else a description of the gap.
+
+function relative(tolerance) {
+  return (a, b) => {
+    const diff = Math.abs(a - b) / Math.max(Math.abs(a), Math.abs(b));
+    return diff > tolerance
+      ? { rule: `differs by more than ${tolerance * 100}%`, differencePercent: round2(diff * 100) }
+      : null;
+  };
+}
+
+function absolute(tolerance, unit) {
+  return (a, b) =>
+    Math.abs(a - b) > tolerance ? { rule: `differs by more than ${tolerance} ${unit}`, difference: round2(Math.abs(a - b)) } : null;
+}
+
+function exact(a, b) {
+  return a !== b ? { rule: "values differ" } : null;
+}
+
+function normalizedText(a, b) {
+  const norm = (s) => String(s).toUpperCase().replace(/[^A-Z0-9]/g, "");
+  return norm(a) !== norm(b) ? { rule: "values differ" } : null;
+}
+
+// Vendors format owner names differently ("SMITH JOHN" vs "John Smith"), so
+// they only conflict when no name token is shared.
+function ownerNames(a, b) {
+  const tokens = (o) =>
+    new Set(
+      (o.names || [])
+        .join(" ")
+        .toUpperCase()
+        .split(/[^A-Z0-9]+/)
+        .filter((t) => t.length >= 3)
+    );
+  const ta = tokens(a);
+  const tb = tokens(b);
+  if (!ta.size || !tb.size) return null;
+  return [...ta].some((t) => tb.has(t)) ? null : { rule: "no owner name in common" };
+}
+
+// Compares one part of a composite value, skipping when either side lacks it.
+function part(key, compare) {
+  return (a, b) => {
+    if (a[key] === null || a[key] === undefined || b[key] === null || b[key] === undefined) return null;
+    const gap = compare(a[key], b[key]);
+    return gap ? { ...gap, rule: `${key} ${gap.rule}` } : null;
+  };
+}
+
+// Same-year figures only: a newer year is an update, not a disagreement.
+function sameYear(compare) {
+  return (a, b) => (a.year !== null && b.year !== null && a.year !== b.year ? null : compare(a, b));
+}
+
+function lastSaleGap(a, b) {
+  if (a.date && b.date && Math.abs(Date.parse(a.date) - Date.parse(b.date)) > 31 * DAY_MS) {
+    return { rule: "sale dates more than 31 days apart" };
+  }
+  return part("price", relative(0.05))(a, b);
+}
+
+// ---------- choosing ----------
+
+function newest(key) {
+  return (candidates) => {
+    const dated = candidates.filter((c) => c.value[key] !== null && c.value[key] !== undefined);
+    if (!dated.length) return candidates[0];
+    return dated.reduce((best, c) => (String(c.value[key]) > String(best.value[key]) ? c : best));
+  };
+}
+
+// ---------- fields ----------
+
+const FIELDS = {
+  beds: {
+    rentcast: (p) => num(p, ["bedrooms", "beds"]),
+    realie: (p) => num(p, ["totalBedrooms", "bedrooms", "beds"]),
+    compare: exact,
+  },
+  baths: {
+    rentcast: (p) => num(p, ["bathrooms", "baths"]),
+    realie: (p) => num(p, ["totalBathrooms", "bathrooms", "baths"]),
+    compare: exact,
+  },
+  sqft: {
+    rentcast: (p) => num(p, ["squareFootage", "squareFeet", "sqft", "livingArea", "area", "sizeSqft"]),
+    realie: (p) => num(p, ["buildingArea", "livingArea", "squareFeet", "sqft"]),
+    compare: relative(0.1),
+  },
+  lotSizeSqft: {
+    rentcast: (p) => num(p, ["lotSize", "lotSizeSqft"]),
+    realie: (p) => {
+      const sqft = num(p, ["lotSizeSqft", "lotSquareFeet", "lotSize"]);
+      const acres = num(p, ["acres", "lotAcres"]);
+      return sqft ?? (acres !== null ? Math.round(acres * SQFT_PER_ACRE) : null);
+    },
+    compare: relative(0.1),
+  },
+  yearBuilt: {
+    rentcast: (p) => num(p, ["yearBuilt"]),
+    realie: (p) => num(p, ["yearBuilt", "effectiveYearBuilt"]),
+    compare: absolute(1, "year"),
+  },
+  // Vendor vocabularies differ ("Single Family" vs a use code), so no comparison.
+  propertyType: {
+    rentcast: (p) => text(p, ["propertyType"]),
+    realie: (p) => text(p, ["propertyType", "propertyUse", "useCode"]),
+    compare: null,
+  },
+  owner: {
+    rentcast: (p) =>
+      nonEmpty({
+        names: Array.isArray(p?.owner?.names) ? p.owner.names.filter(Boolean) : [],
+        type: p?.owner?.type ?? null,
+        mailingAddress: p?.owner?.mailingAddress?.formattedAddress ?? null,
+        ownerOccupied: typeof p?.ownerOccupied === "boolean" ? p.ownerOccupied : null,
+      }),
+    realie: (p) => {
+      const names = [text(p, ["ownerName", "owner1Name", "ownerFullName"]), text(p, ["owner2Name"])].filter(Boolean);
+      return nonEmpty({
+        names,
+        type: null,
+        mailingAddress: text(p, ["ownerAddress", "mailingAddress", "ownerMailingAddress"]),
+        ownerOccupied: typeof p?.ownerOccupied === "boolean" ? p.ownerOccupied : null,
+      });
+    },
+    compare: ownerNames,
+  },
+  taxAssessment: {
+    rentcast: (p) => {
+      const a = latestByYear(p?.taxAssessments, "value");
+      return a
+        ? nonEmpty({
+            year: toNumberLoose(a.year),
+            assessedValue: toNumberLoose(a.value),
+            landValue: toNumberLoose(a.land),
+            improvementsValue: toNumberLoose(a.improvements),
+          })
+        : null;
+    },
+    realie: (p) =>
+      nonEmpty({
+        year: num(p, ["assessedYear", "taxYear"]),
+        assessedValue: num(p, ["totalAssessedValue", "assessedValue", "taxValue"]),
+        landValue: num(p, ["totalLandValue", "landValue", "assessedLandValue"]),
+        improvementsValue: num(p, ["totalBuildingValue", "improvementValue", "assessedImprovementValue"]),
+      }),
+    compare: sameYear(part("assessedValue", relative(0.1))),
+    choose: newest("year"),
+  },
+  // Assessor's market value; only Realie carries it.
+  marketValue: {
+    rentcast: () => null,
+    realie: (p) => positive(num(p, ["totalMarketValue", "marketValue"])),
+    compare: null,
+  },
+  propertyTax: {
+    rentcast: (p) => {
+      const t = latestByYear(p?.propertyTaxes, "total");
+      return t ? { year: toNumberLoose(t.year), amount: toNumberLoose(t.total) } : null;
+    },
+    realie: (p) => {
+      const amount = num(p, ["taxAmount", "annualTaxAmount", "propertyTax", "taxBilled"]);
+      return amount > 0 ? { year: num(p, ["taxYear"]), amount } : null;
+    },
+    compare: sameYear(part("amount", relative(0.1))),
+    choose: newest("year"),
+  },
+  lastSale: {
+    rentcast: (p) => nonEmpty({ date: dateOnly(pickFirst(p, ["lastSaleDate"])), price: num(p, ["lastSalePrice", "salePrice"]) }),
+    realie: (p) =>
+      nonEmpty({
+        date: dateOnly(pickFirst(p, ["transferDate", "lastSaleDate", "recordingDate"])),
+        price: num(p, ["transferPrice", "lastSalePrice"]),
+      }),
+    compare: lastSaleGap,
+    choose: newest("date"),
+  },
+  hoaMonthly: {
+    rentcast: (p) => positive(toNumberLoose(p?.hoa?.fee)),
+    realie: (p) => positive(num(p, ["hoaFee", "hoaMonthly"])),
+    compare: relative(0.1),
+  },
+  zoning: {
+    rentcast: (p) => text(p, ["zoning"]),
+    realie: (p) => text(p, ["zoningCode", "zoning"]),
+    compare: normalizedText,
+  },
+  location: {
+    rentcast: (p) => {
+      const lat = num(p, ["latitude"]);
+      const lon = num(p, ["longitude"]);
+      return lat !== null && lon !== null ? { lat, lon } : null;
+    },
+    realie: (p) => {
+      const lat = num(p, ["latitude", "lat"]);
+      const lon = num(p, ["longitude", "lon", "lng"]);
+      return lat !== null && lon !== null ? { lat, lon } : null;
+    },
+    compare: null,
+  },
+};
+
+const PROPERTY_FIELDS = Object.keys(FIELDS);
+
+// records = { rentcast, realie } (either may be null). Returns the canonical
+// fields plus `provenance` ({ field: { source, values: { vendor: reading } } })
+// and `conflicts`.
+function mergePropertyRecords(records = {}) {
+  const property = {};
+  const provenance = {};
+  const conflicts = [];
+
+  for (const [field, spec] of Object.entries(FIELDS)) {
+    const values = {};
+    const candidates = [];
+    for (const source of PREFER) {
+      const reading = records[source] ? spec[source](records[source]) : null;
+      values[source] = reading;
+      if (reading !== null && reading !== undefined) candidates.push({ source, value: reading });
+    }
+
+    const chosen = candidates.length ? (spec.choose ? spec.choose(candidates) : candidates[0]) : null;
+    property[field] = chosen ? chosen.value : null;
+    provenance[field] = { source: chosen ? chosen.source : null, values };
+
+    if (spec.compare && candidates.length > 1) {
+      const gap = spec.compare(candidates[0].value, candidates[1].value);
+      if (gap) conflicts.push({ field, chosen: chosen.source, values, ...gap });
+    }
+  }
+
+  return {
+    ...property,
+    sources: Object.fromEntries(PREFER.map((s) => [s, Boolean(records[s])])),
+    provenance,
+    conflicts,
+  };
+}
+
+// Expense lines the underwriting models can take from the record (annual tax, monthly HOA).
+function expenseRecordsFromProperty(property) {
+  const records = {};
+
+  const tax = property?.propertyTax;
+  if (tax?.amount > 0) {
+    records.propertyTaxAnnual = {
+      value: tax.amount,
+      source: `${property.provenance.propertyTax.source} tax record${tax.year ? ` ${tax.year}` : ""}`,
+    };
+  }
+
+  if (property?.hoaMonthly > 0) {
+    records.hoaMonthly = { value: property.hoaMonthly, source: `${property.provenance.hoaMonthly.source} hoa` };
+  }
+
+  return records;
+}
+
+module.exports = { PROPERTY_FIELDS, mergePropertyRecords, expenseRecordsFromProperty };
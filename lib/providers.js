@@ -0,0 +1,304 @@
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("./logger");
+
+// ==============================
+// Upstream provider adapters
+// ==============================
+// One adapter per upstream (rentcast, realie, census, nominatim). Methods take
+// domain arguments and resolve to the provider's response body; HTTP errors
+// are thrown axios-style (`e.response.status`, `e.response.data`) so callers
+// can tell "not found" from an outage. `configured` is false when the live
+// adapter has no API key.
+//
+// PROVIDERS=http (default) talks to the real APIs through the shared upstream
+// client; PROVIDERS=mock answers from fixtures/mock/*.json.
+
+const RENTCAST_BASE = "https://api.rentcast.io";
+const REALIE_BASE = "https://app.realie.ai/api";
+const CENSUS_API_BASE = "https://api.census.gov/data";
+const CENSUS_GEOCODER_BASE = "https://geocoding.geo.census.gov/geocoder";
+const CENSUS_LAYERS = "Counties,Census Tracts,Census Block Groups";
+const NOMINATIM_BASE = "https://nominatim.openstreetmap.org";
+const NOMINATIM_UA = "RentCastPanel/1.0 (contact: your-real-email@domain.com)";
+
+// ---------- live (http) ----------
+
+// get(source, endpoint, url, config) is the shared upstream client (retries,
+// breaker, rate limit, metering).
+function rentcastAdapter({ get, apiKey, baseUrl = RENTCAST_BASE }) {
+  const call = async (endpoint, urlPath, params) => {
+    const r = await get("rentcast", endpoint, `${baseUrl}${urlPath}`, {
+      headers: { "X-Api-Key": apiKey, Accept: "application/json" },
+      params,
+    });
+    return r.data;
+  };
+
+  return {
+    name: "rentcast",
+    configured: Boolean(apiKey),
+    properties: (address) => call("properties", "/v1/properties", { address }),
+    rentEstimate: ({ address, radius, limit }) =>
+      call("avm_rent", "/v1/avm/rent/long-term", { address, maxRadius: radius, compCount: limit }),
+    rentalListings: ({ zip, propertyType, limit }) => {
+      const params = { zipCode: zip, status: "Active", limit };
+      if (propertyType) params.propertyType = propertyType;
+      return call("rental_listings", "/v1/listings/rental/long-term", params);
+    },
+  };
+}
+
+function realieAdapter({ get, apiKey, baseUrl = REALIE_BASE }) {
+  const call = async (endpoint, urlPath, params) => {
+    const r = await get("realie", endpoint, `${baseUrl}${urlPath}`, {
+      headers: { Authorization: apiKey, Accept: "application/json" },
+      params,
+    });
+    return r.data;
+  };
+
+  return {
+    name: "realie",
+    configured: Boolean(apiKey),
+    baseUrl,
+    propertyByAddress: ({ state, addressLine1, city, county, unitNumberStripped }) => {
+      const params = { state, address: addressLine1 };
+      if (unitNumberStripped) params.unitNumberStripped = unitNumberStripped;
+      if (city) params.city = city;
+      if (county) params.county = county;
+      return call("property_address", "/public/property/address/", params);
+    },
+    // Location-aware when `center` is given.
+    comparables: ({ state, county, limit, center, radiusMiles, soldWithinMonths }) => {
+      const params = { state, county, limit };
+      if (center) Object.assign(params, { latitude: center.lat, longitude: center.lon, radius: radiusMiles });
+      if (soldWithinMonths) params.timeFrame = soldWithinMonths;
+      return call("premium_comparables", "/public/premium/comparables/", params);
+    },
+    search: ({ state, county, limit, offset = 0 }) =>
+      call("property_search", "/public/property/search/", { state, county, limit, offset }),
+  };
+}
+
+function censusAdapter({ get, apiKey, apiBase = CENSUS_API_BASE, geocoderBase = CENSUS_GEOCODER_BASE }) {
+  const geographies = { benchmark: "Public_AR_Current", vintage: "Current_Current", layers: CENSUS_LAYERS, format: "json" };
+
+  return {
+    name: "census",
+    configured: true,
+    hasKey: Boolean(apiKey),
+    // ACS 5-year table rows ([header, ...values]) for `get` fields at a geography ({ for, in }).
+    acs: async (year, { fields, geography }) => {
+      const params = { get: fields.join(","), ...geography };
+      if (apiKey) params.key = apiKey;
+      const r = await get("census", "acs5", `${apiBase}/${year}/acs/acs5`, { params });
+      return r.data;
+    },
+    geocodeAddress: async (address) => {
+      const r = await get("census_geocoder", "onelineaddress", `${geocoderBase}/geographies/onelineaddress`, {
+        params: { address, ...geographies },
+      });
+      return r.data;
+    },
+    geographiesAt: async (lat, lon) => {
+      const r = await get("census_geocoder", "coordinates", `${geocoderBase}/geographies/coordinates`, {
+        params: { x: lon, y: lat, ...geographies },
+      });
+      return r.data;
+    },
+  };
+}
+
+function nominatimAdapter({ get, baseUrl = NOMINATIM_BASE, userAgent = NOMINATIM_UA }) {
+  return {
+    name: "nominatim",
+    configured: true,
+    search: async (address) => {
+      const r = await get("nominatim", "search", `${baseUrl}/search`, {
+        params: { q: address, format: "json", addressdetails: 1, limit: 1, countrycodes: "us" },
+        headers: { "User-Agent": userAgent, "Accept-Language": "en-US,en;q=0.9" },
+      });
+      return r.data;
+    },
+  };
+}
+
+function httpProviders({ get, env = process.env }) {
+  const realieBase = env.REALIE_BASE_URL || REALIE_BASE;
+  return {
+    name: "http",
+    // Upstream sources (as the client and breakers name them) for /health.
+    sources: {
+      rentcast: { configured: Boolean(env.RENTCAST_API_KEY), probeUrl: RENTCAST_BASE },
+      realie: { configured: Boolean(env.REALIE_API_KEY), probeUrl: realieBase },
+      census: { configured: true, probeUrl: CENSUS_API_BASE },
+      census_geocoder: { configured: true, probeUrl: CENSUS_GEOCODER_BASE },
+      nominatim: { configured: true, probeUrl: NOMINATIM_BASE },
+    },
+    rentcast: rentcastAdapter({ get, apiKey: env.RENTCAST_API_KEY }),
+    realie: realieAdapter({ get, apiKey: env.REALIE_API_KEY, baseUrl: realieBase }),
+    census: censusAdapter({ get, apiKey: env.CENSUS_API_KEY }),
+    nominatim: nominatimAdapter({ get, userAgent: env.NOMINATIM_USER_AGENT || NOMINATIM_UA }),
+  };
+}
+
+// ---------- mock (fixtures) ----------
+
+const DEFAULT_MOCK_DIR = path.join(__dirname, "..", "fixtures", "mock");
+
+// Fixture keys are matched case- and punctuation-insensitively.
+function fixtureKey(...parts) {
+  return parts
+    .map((p) => String(p ?? "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim())
+    .join("|");
+}
+
+// "$daysAgo:N" strings become ISO dates N days before load, so sale and
+// listing dates stay inside the recency windows.
+function resolveDates(value, now = Date.now()) {
+  if (Array.isArray(value)) return value.map((v) => resolveDates(v, now));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, resolveDates(v, now)]));
+  }
+  const m = typeof value === "string" ? /^\$daysAgo:(\d+)$/.exec(value) : null;
+  return m ? new Date(now - Number(m[1]) * 24 * 60 * 60 * 1000).toISOString() : value;
+}
+
+function httpError(status, data) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, data } });
+}
+
+// Each fixture file maps a method name to { "<key>": body }. A body of
+// { "$error": { status, data } } is thrown as that HTTP error; "*" is the
+// fallback entry. With no match, `missing()` decides (usually a 404).
+function mockTable(dir, name) {
+  let data = null;
+
+  function load() {
+    if (data) return data;
+    try {
+      const raw = resolveDates(JSON.parse(fs.readFileSync(path.join(dir, `${name}.json`), "utf8")));
+      data = Object.fromEntries(
+        Object.entries(raw).map(([method, entries]) => [
+          method,
+          Object.fromEntries(Object.entries(entries).map(([k, v]) => [k === "*" ? k : fixtureKey(...k.split("|")), v])),
+        ])
+      );
+    } catch (e) {
+      logger.warn("Mock fixture load failed", { fixture: name, err: e });
+      data = {};
+    }
+    return data;
+  }
+
+  return function respond(method, key, missing = () => Promise.reject(httpError(404, { message: "Not found (mock)" }))) {
+    const entries = load()[method] || {};
+    const body = entries[key] ?? entries["*"];
+    if (body === undefined) return missing();
+    if (body?.$error) return Promise.reject(httpError(body.$error.status, body.$error.data ?? null));
+    return Promise.resolve(structuredClone(body));
+  };
+}
+
+// meter(source, endpoint) books each call and observe(event) reports it, like
+// the live client does (one attempt, no retries).
+function mockProviders({ dir = DEFAULT_MOCK_DIR, meter = () => {}, observe = () => {} } = {}) {
+  const table = (name) => mockTable(dir, name);
+  const rentcast = table("rentcast");
+  const realie = table("realie");
+  const census = table("census");
+  const nominatim = table("nominatim");
+  const metered = async (source, endpoint, fn) => {
+    try {
+      meter(source, endpoint);
+    } catch (e) {
+      observe({ source, endpoint, attempt: 0, outcome: "refused", status: null, ms: 0, retrying: false, error: e });
+      throw e;
+    }
+    const started = Date.now();
+    const report = (outcome, status, error) =>
+      observe({ source, endpoint, attempt: 0, outcome, status, ms: Date.now() - started, retrying: false, error });
+    try {
+      const value = await fn();
+      report("ok", 200);
+      return value;
+    } catch (e) {
+      report(e.response ? "http_error" : "network_error", e.response?.status ?? null, e);
+      throw e;
+    }
+  };
+
+  return {
+    name: "mock",
+    sources: Object.fromEntries(
+      ["rentcast", "realie", "census", "census_geocoder", "nominatim"].map((source) => [
+        source,
+        { configured: true, probeUrl: null },
+      ])
+    ),
+    rentcast: {
+      name: "rentcast",
+      configured: true,
+      properties: (address) => metered("rentcast", "properties", () => rentcast("properties", fixtureKey(address))),
+      rentEstimate: ({ address }) => metered("rentcast", "avm_rent", () => rentcast("rentEstimate", fixtureKey(address))),
+      rentalListings: ({ zip }) =>
+        metered("rentcast", "rental_listings", () => rentcast("rentalListings", fixtureKey(zip), () => Promise.resolve([]))),
+    },
+    realie: {
+      name: "realie",
+      configured: true,
+      baseUrl: "mock",
+      propertyByAddress: ({ state, addressLine1 }) =>
+        metered("realie", "property_address", () => realie("propertyByAddress", fixtureKey(state, addressLine1))),
+      comparables: ({ state, county }) =>
+        metered("realie", "premium_comparables", () =>
+          realie("comparables", fixtureKey(state, county), () => Promise.resolve({ comparables: [] }))
+        ),
+      search: ({ state, county }) =>
+        metered("realie", "property_search", () =>
+          realie("search", fixtureKey(state, county), () => Promise.resolve({ results: [] }))
+        ),
+    },
+    census: {
+      name: "census",
+      configured: true,
+      hasKey: false,
+      // Fixture rows are { field: value } per geography; missing fields come back null.
+      acs: (year, { fields, geography }) =>
+        metered("census", "acs5", async () => {
+          const key = fixtureKey([geography.for, geography.in].filter(Boolean).join(" "));
+          const row = await census("acs", `${year}|${key}`, () => census("acs", key, () => Promise.resolve(null)));
+          return row ? [fields, fields.map((f) => (row[f] === undefined ? null : String(row[f])))] : [];
+        }),
+      geocodeAddress: (address) =>
+        metered("census_geocoder", "onelineaddress", () =>
+          census("geocodeAddress", fixtureKey(address), () => Promise.resolve({ result: { addressMatches: [] } }))
+        ),
+      geographiesAt: (lat, lon) =>
+        metered("census_geocoder", "coordinates", () =>
+          census("geographiesAt", fixtureKey(Number(lat).toFixed(4), Number(lon).toFixed(4)), () =>
+            Promise.resolve({ result: { geographies: {} } })
+          )
+        ),
+    },
+    nominatim: {
+      name: "nominatim",
+      configured: true,
+      search: (address) =>
+        metered("nominatim", "search", () => nominatim("search", fixtureKey(address), () => Promise.resolve([]))),
+    },
+  };
+}
+
+const PROVIDER_SETS = { http: httpProviders, mock: mockProviders };
+
+// PROVIDERS=http|mock; anything else is a configuration error.
+function createProviders(name, options = {}) {
+  const key = String(name || "http").toLowerCase();
+  const factory = PROVIDER_SETS[key];
+  if (!factory) throw new Error(`Unknown PROVIDERS=${name} (expected one of: ${Object.keys(PROVIDER_SETS).join(", ")})`);
+  return factory(options);
+}
+
+module.exports = { createProviders, httpProviders, mockProviders, fixtureKey };
@@ -0,0 +1,52 @@
+// ==============================
+// Per-upstream rate limits
+// ==============================
+// Each upstream gets one process-wide limiter, so single panels and batch
+// jobs share the same budget. Override with RATE_LIMIT_<SOURCE>_PER_SEC.
+
+const DEFAULT_PER_SECOND = {
+  nominatim: 1, // Nominatim usage policy: max 1 request/second
+  census: 5,
+  census_geocoder: 5,
+  rentcast: 5,
+  realie: 5,
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Reservation-based spacing: every call books the next free slot, so
+// concurrent callers are released one interval apart.
+function createRateLimiter({ perSecond }) {
+  const intervalMs = perSecond > 0 ? 1000 / perSecond : 0;
+  let nextSlot = 0;
+
+  return {
+    perSecond,
+    async schedule(fn) {
+      const now = Date.now();
+      const slot = Math.max(now, nextSlot);
+      nextSlot = slot + intervalMs;
+      if (slot > now) await sleep(slot - now);
+      return fn();
+    },
+  };
+}
+
+const limiters = new Map();
+
+function perSecondFor(source) {
+  const override = Number(process.env[`RATE_LIMIT_${String(source).toUpperCase()}_PER_SEC`]);
+  if (Number.isFinite(override) && override >= 0) return override;
+  return DEFAULT_PER_SECOND[source] ?? 5;
+}
+
+function limiterFor(source) {
+  if (!limiters.has(source)) limiters.set(source, createRateLimiter({ perSecond: perSecondFor(source) }));
+  return limiters.get(source);
+}
+
+function withRateLimit(source, fn) {
+  return limiterFor(source).schedule(fn);
+}
+
+module.exports = { createRateLimiter, limiterFor, withRateLimit };
@@ -0,0 +1,157 @@
+const { toNumberLoose, round2, median } = require("./util");
+
+// ==============================
+// Rental comp filters + scoring
+// ==============================
+// Comps (normalizeComp output) are filtered on beds/baths/sqft ranges,
+// property type and listing age, then scored 0-100 against the subject:
+// a weighted average of per-factor similarities, reported as points per
+// factor so the breakdown adds up to the score. Unknown values (on either
+// side) score UNKNOWN_FACTOR.
+
+const RENT_COMP_DEFAULTS = {
+  distanceScaleMiles: 1,
+  recencyScaleDays: 90,
+  sizeScalePercent: 25,
+  topN: 5,
+};
+
+const WEIGHTS = { distance: 0.3, size: 0.25, beds: 0.2, baths: 0.1, recency: 0.1, type: 0.05 };
+
+const UNKNOWN_FACTOR = 0.5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function normalizeType(v) {
+  return v ? String(v).trim().toLowerCase().replace(/[\s_-]+/g, " ") : null;
+}
+
+function daysSince(date, asOf) {
+  const t = Date.parse(date);
+  return Number.isFinite(t) ? Math.max(0, (asOf.getTime() - t) / DAY_MS) : null;
+}
+
+// Query-style params: minBeds, maxBeds, minBaths, maxBaths, minSqft, maxSqft,
+// propertyType (comma-separated), maxAgeDays.
+function rentCompFiltersFrom(src = {}) {
+  const types = String(src.propertyType || "")
+    .split(",")
+    .map(normalizeType)
+    .filter(Boolean);
+
+  return {
+    minBeds: toNumberLoose(src.minBeds),
+    maxBeds: toNumberLoose(src.maxBeds),
+    minBaths: toNumberLoose(src.minBaths),
+    maxBaths: toNumberLoose(src.maxBaths),
+    minSqft: toNumberLoose(src.minSqft),
+    maxSqft: toNumberLoose(src.maxSqft),
+    propertyTypes: types.length ? types : null,
+    maxAgeDays: toNumberLoose(src.maxAgeDays),
+  };
+}
+
+function outside(value, min, max) {
+  if (min === null && max === null) return false;
+  if (value === null) return true;
+  return (min !== null && value < min) || (max !== null && value > max);
+}
+
+// Comps missing a filtered value are excluded under that filter's reason.
+function filterRentComps(comps, filters, asOf = new Date()) {
+  const excluded = { beds: 0, baths: 0, sqft: 0, propertyType: 0, stale: 0 };
+
+  const kept = comps.filter((c) => {
+    let reason = null;
+    if (outside(c.beds, filters.minBeds, filters.maxBeds)) reason = "beds";
+    else if (outside(c.baths, filters.minBaths, filters.maxBaths)) reason = "baths";
+    else if (outside(c.sqft, filters.minSqft, filters.maxSqft)) reason = "sqft";
+    else if (filters.propertyTypes && !filters.propertyTypes.includes(normalizeType(c.type))) reason = "propertyType";
+    else if (filters.maxAgeDays !== null) {
+      const age = daysSince(c.lastSeen, asOf);
+      if (age === null || age > filters.maxAgeDays) reason = "stale";
+    }
+
+    if (reason) excluded[reason]++;
+    return !reason;
+  });
+
+  return { comps: kept, excluded };
+}
+
+function factorsFor(comp, subject, o, asOf) {
+  const both = (a, b) => a !== null && a !== undefined && b !== null && b !== undefined;
+  const age = daysSince(comp.lastSeen, asOf);
+  const subjectType = normalizeType(subject.type);
+  const compType = normalizeType(comp.type);
+
+  return {
+    distance: comp.distance !== null ? Math.exp(-comp.distance / o.distanceScaleMiles) : UNKNOWN_FACTOR,
+    size:
+      both(comp.sqft, subject.sqft) && subject.sqft > 0
+        ? Math.exp(-((Math.abs(comp.sqft - subject.sqft) / subject.sqft) * 100) / o.sizeScalePercent)
+        : UNKNOWN_FACTOR,
+    beds: both(comp.beds, subject.beds) ? 1 / (1 + Math.abs(comp.beds - subject.beds)) : UNKNOWN_FACTOR,
+    baths: both(comp.baths, subject.baths) ? 1 / (1 + Math.abs(comp.baths - subject.baths)) : UNKNOWN_FACTOR,
+    recency: age !== null ? Math.exp(-age / o.recencyScaleDays) : UNKNOWN_FACTOR,
+    type: subjectType && compType ? (subjectType === compType ? 1 : 0.25) : UNKNOWN_FACTOR,
+  };
+}
+
+function scoreRentComp(comp, subject = {}, options = {}, asOf = new Date()) {
+  const o = { ...RENT_COMP_DEFAULTS, ...options };
+  const factors = factorsFor(comp, subject || {}, o, asOf);
+  const totalWeight = Object.values(WEIGHTS).reduce((a, b) => a + b, 0);
+
+  const breakdown = {};
+  let score = 0;
+  for (const [k, w] of Object.entries(WEIGHTS)) {
+    const points = (100 * w * factors[k]) / totalWeight;
+    breakdown[k] = { factor: round2(factors[k]), weight: w, points: round2(points) };
+    score += points;
+  }
+
+  return { score: round2(score), breakdown };
+}
+
+// Rent from the top-N scored comps: the plain median, and the median $/sqft
+// applied to the subject's size.
+function estimateRentFromComps(scored, subject = {}, { topN = RENT_COMP_DEFAULTS.topN } = {}) {
+  const top = scored.filter((c) => c.listedRent > 0).slice(0, topN);
+  if (!top.length) return { ok: false, reason: scored.length ? "no comps with a rent" : "no comps", compsUsed: 0 };
+
+  const withSqft = top.filter((c) => c.sqft > 0);
+  const medianRentPerSqft = withSqft.length ? median(withSqft.map((c) => c.listedRent / c.sqft)) : null;
+  const sqftAdjusted = medianRentPerSqft !== null && subject?.sqft > 0 ? Math.round(medianRentPerSqft * subject.sqft) : null;
+
+  return {
+    ok: true,
+    median: Math.round(median(top.map((c) => c.listedRent))),
+    sqftAdjusted,
+    medianRentPerSqft: medianRentPerSqft !== null ? round2(medianRentPerSqft) : null,
+    compsUsed: top.length,
+    addresses: top.map((c) => c.address),
+  };
+}
+
+// Filter, score, sort (best first) and estimate in one pass.
+function analyzeRentComps(comps, { subject = null, filters = rentCompFiltersFrom(), topN, asOf = new Date() } = {}) {
+  const { comps: kept, excluded } = filterRentComps(comps, filters, asOf);
+  const scored = kept
+    .map((c) => {
+      const { score, breakdown } = scoreRentComp(c, subject, {}, asOf);
+      return { ...c, score, scoreBreakdown: breakdown };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  return { comps: scored, excluded, estimate: estimateRentFromComps(scored, subject, { topN }) };
+}
+
+module.exports = {
+  RENT_COMP_DEFAULTS,
+  WEIGHTS,
+  rentCompFiltersFrom,
+  filterRentComps,
+  scoreRentComp,
+  estimateRentFromComps,
+  analyzeRentComps,
+};
@@ -0,0 +1,583 @@
+const { createPdf } = require("./pdf");
+
+// ==============================
+// Deal report (PDF / HTML one-pager)
+// ==============================
+// reportModel() flattens a property panel into labelled, formatted values;
+// renderReportHtml() and renderReportPdf() lay the same model out. Both are
+// self-contained: inline CSS + SVG for HTML, core fonts and vector bars for
+// PDF, no external services.
+//
+// REPORT_BRAND_NAME and REPORT_BRAND_COLOR (#rrggbb) brand the header.
+
+const DEFAULT_BRAND = { name: "RentCast Panel", color: "#1f4e79" };
+const REPORT_MAX_COMPS = 8;
+const DASH = "—";
+
+function brandFrom(env = process.env) {
+  const color = /^#[0-9a-f]{6}$/i.test(env.REPORT_BRAND_COLOR || "") ? env.REPORT_BRAND_COLOR : DEFAULT_BRAND.color;
+  return { name: (env.REPORT_BRAND_NAME || "").trim() || DEFAULT_BRAND.name, color };
+}
+
+// ---------- formatting ----------
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+function money(v) {
+  if (!isNum(v)) return DASH;
+  const s = `$${Math.round(Math.abs(v)).toLocaleString("en-US")}`;
+  return v < 0 ? `-${s}` : s;
+}
+
+function count(v, digits = 0) {
+  return isNum(v) ? v.toLocaleString("en-US", { maximumFractionDigits: digits }) : DASH;
+}
+
+function pct(v) {
+  return isNum(v) ? `${count(v, 2)}%` : DASH;
+}
+
+function day(v) {
+  return typeof v === "string" && v.length >= 10 ? v.slice(0, 10) : DASH;
+}
+
+function perMonth(v) {
+  return isNum(v) ? `${money(v)}/mo` : DASH;
+}
+
+// "140 Main St, Dallas, TX 75201" -> "140 Main St"
+function street(address) {
+  return String(address || "").split(",")[0].trim() || DASH;
+}
+
+// ---------- model ----------
+
+function subjectFacts(panel) {
+  const p = panel.property || {};
+  const subject = panel.subject || {};
+  return [
+    ["Property type", p.propertyType || DASH],
+    ["Beds / baths", `${count(subject.beds ?? p.beds)} / ${count(subject.baths ?? p.baths, 1)}`],
+    ["Living area", isNum(subject.sqft ?? p.sqft) ? `${count(subject.sqft ?? p.sqft)} sqft` : DASH],
+    ["Lot size", isNum(p.lotSizeSqft) ? `${count(p.lotSizeSqft)} sqft` : DASH],
+    ["Year built", p.yearBuilt ? String(p.yearBuilt) : DASH],
+    ["Last sale", p.lastSale ? `${money(p.lastSale.price)} (${day(p.lastSale.date)})` : DASH],
+    [
+      "Tax assessment",
+      p.taxAssessment ? `${money(p.taxAssessment.assessedValue)} (${p.taxAssessment.year ?? DASH})` : DASH,
+    ],
+    ["Property tax", p.propertyTax ? `${money(p.propertyTax.amount)}/yr` : DASH],
+    ["HOA", perMonth(p.hoaMonthly)],
+    ["Zoning", p.zoning || DASH],
+  ];
+}
+
+function investmentRows(panel) {
+  const inv = panel.investment || {};
+  if (!inv.ok) return { rows: [], note: inv.reason || "Not enough data for the investment summary." };
+
+  const a = inv.assumptions || {};
+  return {
+    rows: [
+      ["Purchase price", money(inv.debt?.purchasePrice)],
+      ["Gross rent", perMonth(inv.gross?.monthlyRent)],
+      ["Operating expenses", `${money(inv.noi?.operatingExpensesAnnual)}/yr`],
+      ["NOI", `${money(inv.noi?.noiAnnual)}/yr`],
+      ["Loan P&I", perMonth(inv.debt?.monthlyPaymentPI)],
+      ["Cash flow", perMonth(inv.cashFlow?.monthly)],
+      ["Cap rate", pct(inv.metrics?.capRatePercent)],
+      ["Cash-on-cash", pct(inv.metrics?.cashOnCashPercent)],
+      ["DSCR", count(inv.metrics?.dscr, 2)],
+      ["GRM", count(inv.metrics?.grm, 2)],
+    ],
+    note:
+      `${pct(a.downPaymentPercent)} down, ${pct(a.interestRatePercent)} over ${count(a.loanYears)} years; ` +
+      `${pct(a.vacancyPercent)} vacancy.`,
+  };
+}
+
+function compRows(panel) {
+  const comps = panel.saleComps?.comps || [];
+  const shown = comps.slice(0, REPORT_MAX_COMPS);
+  return {
+    total: comps.length,
+    rows: shown.map((c) => ({
+      address: c.address || DASH,
+      street: street(c.address),
+      soldDate: day(c.soldDate),
+      price: money(c.price),
+      sqft: count(c.sqft),
+      bedsBaths: `${count(c.beds)} / ${count(c.baths, 1)}`,
+      ppsf: isNum(c.ppsf) ? `$${count(c.ppsf, 2)}` : DASH,
+      distance: isNum(c.distanceMiles) ? `${count(c.distanceMiles, 2)} mi` : DASH,
+    })),
+    note: !comps.length
+      ? "No sale comps found."
+      : comps.length > shown.length
+        ? `Nearest ${shown.length} of ${comps.length} shown.`
+        : null,
+  };
+}
+
+// Bars: each comp's $/sqft. Markers: the comps ARV $/sqft and the subject at
+// the purchase price used.
+function compsChart(panel) {
+  const comps = (panel.saleComps?.comps || []).slice(0, REPORT_MAX_COMPS).filter((c) => isNum(c.ppsf));
+  const markers = [];
+  if (isNum(panel.arv?.avgPpsf)) markers.push({ label: "ARV $/sqft", value: panel.arv.avgPpsf, kind: "arv" });
+  const price = panel.subject?.purchasePriceUsed;
+  const sqft = panel.subject?.sqft;
+  if (isNum(price) && isNum(sqft) && sqft > 0) {
+    markers.push({ label: "Subject at price", value: Math.round((price / sqft) * 100) / 100, kind: "subject" });
+  }
+  const bars = comps.map((c) => ({ label: street(c.address), value: c.ppsf }));
+  const max = Math.max(0, ...bars.map((b) => b.value), ...markers.map((m) => m.value));
+  return { bars, markers, max: max > 0 ? max * 1.1 : 1 };
+}
+
+function valuationRows(panel) {
+  const arv = panel.arv || {};
+  const avm = panel.avm || {};
+  const range = (r) => (r && isNum(r.low) ? `${money(r.low)} – ${money(r.high)}` : DASH);
+  return [
+    ["ARV", arv.ok ? money(arv.arv) : DASH],
+    ["ARV range", arv.ok ? range(arv.range) : DASH],
+    ["ARV confidence", arv.ok && arv.confidence ? `${arv.confidence.label} (${arv.confidence.score}/100)` : DASH],
+    ["Comps used", arv.ok ? count(arv.compsUsed) : DASH],
+    ["AVM value", money(avm.estimatedMarketValue)],
+    ["AVM range", range(avm.range)],
+    ["Vendor market value", money(panel.property?.marketValue)],
+  ];
+}
+
+const DEMOGRAPHIC_ROWS = [
+  ["Population", (d) => count(d.population)],
+  ["Median household income", (d) => money(d.medianHouseholdIncome)],
+  ["Median gross rent", (d) => perMonth(d.medianGrossRent)],
+  ["Median home value", (d) => money(d.medianHomeValueAreaProxy)],
+  ["Vacancy rate", (d) => pct(d.vacancyRatePercent)],
+  ["Renter-occupied", (d) => pct(d.renterOccupiedSharePercent)],
+];
+
+function demographicsTable(panel) {
+  const geos = [
+    panel.demographics ? { label: `ZIP ${panel.demographics.zip || ""}`.trim(), data: panel.demographics } : null,
+    panel.neighborhood?.tract ? { label: "Tract", data: panel.neighborhood.tract } : null,
+  ].filter(Boolean);
+  if (!geos.length) return { columns: [], rows: [], source: null };
+
+  const year = panel.demographics?.year ?? panel.neighborhood?.tract?.year;
+  return {
+    columns: geos.map((g) => g.label),
+    rows: DEMOGRAPHIC_ROWS.map(([label, get]) => [label, ...geos.map((g) => get(g.data))]),
+    source: `US Census ACS 5-year${year ? ` ${year}` : ""}`,
+  };
+}
+
+function reportModel(panel, { generatedAt = new Date(), brand = brandFrom() } = {}) {
+  const inputs = panel.inputs || {};
+  const subject = panel.subject || {};
+  const address =
+    inputs.normalizedAddress || inputs.fullAddress || [inputs.addressLine1, inputs.state].filter(Boolean).join(", ");
+  const cashFlow = panel.investment?.ok ? panel.investment.cashFlow?.monthly : null;
+
+  return {
+    brand,
+    title: address,
+    subtitle: [
+      panel.property?.propertyType,
+      inputs.county ? `${inputs.county} County` : null,
+      inputs.zip || panel.geocoding?.zip,
+    ]
+      .filter(Boolean)
+      .join(" · "),
+    generatedAt: generatedAt.toISOString(),
+    highlights: [
+      { label: "Purchase price", value: money(subject.purchasePriceUsed) },
+      { label: "Rent estimate", value: perMonth(subject.rentEstimateMonthly) },
+      { label: "ARV", value: panel.arv?.ok ? money(panel.arv.arv) : DASH },
+      { label: "Cash flow", value: perMonth(cashFlow), negative: isNum(cashFlow) && cashFlow < 0 },
+    ],
+    subject: subjectFacts(panel),
+    investment: investmentRows(panel),
+    comps: compRows(panel),
+    chart: compsChart(panel),
+    valuation: valuationRows(panel),
+    demographics: demographicsTable(panel),
+    warnings: panel.warnings || [],
+    disclaimer: "Estimates from vendor records, sale comps and public data; not an appraisal or offer of financing.",
+  };
+}
+
+// ---------- HTML ----------
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+function esc(v) {
+  return String(v ?? "").replace(/[&<>"']/g, (c) => HTML_ESCAPES[c]);
+}
+
+const MARKER_COLORS = { arv: "#c0392b", subject: "#27ae60" };
+
+function htmlRows(rows) {
+  return rows.map(([label, value]) => `<tr><th>${esc(label)}</th><td>${esc(value)}</td></tr>`).join("");
+}
+
+function htmlNote(text) {
+  return text ? `<p class="muted">${esc(text)}</p>` : "";
+}
+
+function htmlCards(highlights) {
+  const card = (h) =>
+    `<div class="card"><div class="label">${esc(h.label)}</div>` +
+    `<div class="value${h.negative ? " negative" : ""}">${esc(h.value)}</div></div>`;
+  return `<div class="cards">${highlights.map(card).join("")}</div>`;
+}
+
+const COMP_COLUMNS = [
+  ["address", "Address"],
+  ["soldDate", "Sold"],
+  ["price", "Price", true],
+  ["sqft", "Sqft", true],
+  ["bedsBaths", "Bd / Ba", true],
+  ["ppsf", "$/sqft", true],
+  ["distance", "Distance", true],
+];
+
+function htmlComps(comps) {
+  if (!comps.rows.length) return htmlNote(comps.note);
+  const cell = (tag, num, value) => `<${tag}${num ? ' class="num"' : ""}>${esc(value)}</${tag}>`;
+  const head = COMP_COLUMNS.map(([, label, num]) => cell("th", num, label)).join("");
+  const body = comps.rows
+    .map((r) => `<tr>${COMP_COLUMNS.map(([key, , num]) => cell("td", num, r[key])).join("")}</tr>`)
+    .join("");
+  return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>${htmlNote(comps.note)}`;
+}
+
+function htmlDemographics(demo) {
+  if (!demo.rows.length) return htmlNote("No Census data for this location.");
+  const head = demo.columns.map((c) => `<th class="num">${esc(c)}</th>`).join("");
+  const row = ([label, ...values]) =>
+    `<tr><th>${esc(label)}</th>${values.map((v) => `<td class="num">${esc(v)}</td>`).join("")}</tr>`;
+  return (
+    `<table><thead><tr><th></th>${head}</tr></thead><tbody>${demo.rows.map(row).join("")}</tbody></table>` +
+    htmlNote(demo.source)
+  );
+}
+
+// Horizontal bars of comp $/sqft with dashed markers (ARV, subject at price).
+function chartSvg(chart, color) {
+  if (!chart.bars.length) return htmlNote("No comps with $/sqft to chart.");
+  const rowH = 22;
+  const labelW = 130;
+  const plotW = 330;
+  const top = 8;
+  const bottom = top + chart.bars.length * rowH;
+  const x = (v) => labelW + (v / chart.max) * plotW;
+
+  const bars = chart.bars.map((b, i) => {
+    const y = top + i * rowH;
+    const w = (x(b.value) - labelW).toFixed(1);
+    return (
+      `<text x="${labelW - 6}" y="${y + 14}" text-anchor="end">${esc(b.label)}</text>` +
+      `<rect x="${labelW}" y="${y + 3}" width="${w}" height="${rowH - 8}" fill="${color}" />` +
+      `<text x="${(x(b.value) + 4).toFixed(1)}" y="${y + 14}">$${esc(count(b.value))}</text>`
+    );
+  });
+  const markers = chart.markers.map((m, i) => {
+    const mx = x(m.value).toFixed(1);
+    const stroke = MARKER_COLORS[m.kind];
+    return (
+      `<line x1="${mx}" y1="${top}" x2="${mx}" y2="${bottom}" stroke="${stroke}" ` +
+      `stroke-width="1.5" stroke-dasharray="4 3" />` +
+      `<text x="${labelW + i * 170}" y="${bottom + 20}" fill="${stroke}">` +
+      `- - ${esc(m.label)}: $${esc(count(m.value))}</text>`
+    );
+  });
+
+  const viewBox = `0 0 ${labelW + plotW + 70} ${bottom + 34}`;
+  return (
+    `<svg class="chart" viewBox="${viewBox}" role="img" aria-label="Sale comps price per sqft">` +
+    `${bars.join("")}${markers.join("")}</svg>`
+  );
+}
+
+function htmlStyles(color) {
+  return `
+  body { font-family: Helvetica, Arial, sans-serif; color: #222; margin: 0; font-size: 13px; }
+  .page { max-width: 820px; margin: 0 auto; padding: 0 24px 24px; }
+  header { background: ${color}; color: #fff; padding: 14px 24px; display: flex; justify-content: space-between; }
+  header .brand { font-size: 20px; font-weight: bold; }
+  h1 { font-size: 22px; margin: 18px 0 2px; }
+  h2 { font-size: 14px; color: ${color}; border-bottom: 2px solid ${color}; padding-bottom: 3px; margin: 18px 0 8px; }
+  .muted { color: #777; font-size: 11px; }
+  .cards { display: grid; grid-template-columns: repeat(4, 1fr); gap: 10px; margin-top: 14px; }
+  .card { border: 1px solid #ddd; border-top: 4px solid ${color}; padding: 8px 10px; }
+  .card .label { font-size: 11px; color: #777; text-transform: uppercase; }
+  .card .value { font-size: 18px; font-weight: bold; margin-top: 4px; }
+  .negative { color: #c0392b; }
+  .cols { display: grid; grid-template-columns: 1fr 1fr; gap: 24px; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; padding: 3px 6px; border-bottom: 1px solid #eee; }
+  th { font-weight: normal; color: #555; }
+  thead th { font-weight: bold; color: #222; border-bottom: 1px solid #bbb; }
+  .num { text-align: right; }
+  .chart { width: 100%; font-size: 11px; }
+  ul.warnings { margin: 0; padding-left: 18px; color: #8a6d3b; }
+  footer { margin-top: 20px; }
+  @media print {
+    header { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    .page { max-width: none; }
+  }`;
+}
+
+function renderReportHtml(model) {
+  const { brand, investment } = model;
+  const warnings = model.warnings.length
+    ? `<h2>Warnings</h2><ul class="warnings">${model.warnings.map((w) => `<li>${esc(w)}</li>`).join("")}</ul>`
+    : "";
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${esc(`Deal report: ${model.title}`)}</title>
+<style>${htmlStyles(brand.color)}
+</style>
+</head>
+<body>
+<header><span class="brand">${esc(brand.name)}</span><span>Deal report · ${esc(day(model.generatedAt))}</span></header>
+<div class="page">
+<h1>${esc(model.title)}</h1>
+<div class="muted">${esc(model.subtitle)}</div>
+${htmlCards(model.highlights)}
+<div class="cols">
+<section><h2>Subject</h2><table>${htmlRows(model.subject)}</table></section>
+<section><h2>Investment</h2><table>${htmlRows(investment.rows)}</table>${htmlNote(investment.note)}</section>
+</div>
+<h2>Sale comps</h2>
+${htmlComps(model.comps)}
+<div class="cols">
+<section><h2>Comps $/sqft</h2>${chartSvg(model.chart, brand.color)}</section>
+<section><h2>ARV / AVM</h2><table>${htmlRows(model.valuation)}</table></section>
+</div>
+<h2>Demographics</h2>
+${htmlDemographics(model.demographics)}
+${warnings}
+<footer class="muted">Generated ${esc(model.generatedAt)}. ${esc(model.disclaimer)}</footer>
+</div>
+</body>
+</html>
+`;
+}
+
+// ---------- PDF ----------
+
+const PDF = { margin: 36, gutter: 20, rowH: 13, font: 8.5, muted: "#777777", rule: "#dddddd", ink: "#222222" };
+
+function renderReportPdf(model) {
+  const doc = createPdf({ title: `Deal report: ${model.title}`, author: model.brand.name });
+  const { margin, gutter, rowH, font, muted, rule, ink } = PDF;
+  const color = model.brand.color;
+  const contentW = doc.width - margin * 2;
+  const colW = (contentW - gutter) / 2;
+  const bottomLimit = doc.height - margin - 18;
+  let y = 0;
+
+  function header() {
+    doc.rect(0, 0, doc.width, 44, { fill: color });
+    doc.text(margin, 14, model.brand.name, { font: "bold", size: 15, color: "#ffffff", maxWidth: contentW - 160 });
+    doc.text(doc.width - margin, 17, `Deal report · ${day(model.generatedAt)}`, {
+      size: 9,
+      color: "#ffffff",
+      align: "right",
+    });
+    y = 58;
+  }
+
+  // Starts a new page when `h` more points don't fit.
+  function ensure(h) {
+    if (y + h <= bottomLimit) return;
+    doc.addPage();
+    header();
+  }
+
+  function heading(x, top, w, label) {
+    doc.text(x, top, label, { font: "bold", size: 10, color });
+    doc.line(x, top + 13, x + w, top + 13, { color, lineWidth: 1.2 });
+    return top + 19;
+  }
+
+  // Two-column label/value rows; returns the y below them.
+  function rows(x, top, w, list) {
+    let ry = top;
+    for (const [label, value] of list) {
+      doc.text(x, ry, label, { size: font, color: "#555555", maxWidth: w * 0.45 });
+      doc.text(x + w, ry, value, { size: font, color: ink, align: "right", maxWidth: w * 0.55 - 4 });
+      doc.line(x, ry + rowH - 2.5, x + w, ry + rowH - 2.5, { color: "#eeeeee", lineWidth: 0.5 });
+      ry += rowH;
+    }
+    return ry;
+  }
+
+  function note(x, top, w, text) {
+    if (!text) return top;
+    doc.text(x, top, text, { size: 7.5, color: muted, maxWidth: w });
+    return top + 11;
+  }
+
+  header();
+
+  // Title + highlight cards
+  doc.text(margin, y, model.title, { font: "bold", size: 16, color: ink, maxWidth: contentW });
+  y += 20;
+  if (model.subtitle) doc.text(margin, y, model.subtitle, { size: 9, color: muted, maxWidth: contentW });
+  y += 18;
+
+  const cardW = (contentW - 3 * 10) / 4;
+  model.highlights.forEach((h, i) => {
+    const x = margin + i * (cardW + 10);
+    doc.rect(x, y, cardW, 42, { stroke: rule, lineWidth: 0.75 });
+    doc.rect(x, y, cardW, 3, { fill: color });
+    doc.text(x + 8, y + 9, h.label.toUpperCase(), { size: 7, color: muted, maxWidth: cardW - 16 });
+    doc.text(x + 8, y + 21, h.value, {
+      font: "bold",
+      size: 13,
+      color: h.negative ? "#c0392b" : ink,
+      maxWidth: cardW - 16,
+    });
+  });
+  y += 54;
+
+  // Subject | Investment
+  const left = margin;
+  const right = margin + colW + gutter;
+  ensure(19 + 10 * rowH + 12);
+  const ly = rows(left, heading(left, y, colW, "Subject"), colW, model.subject);
+  let ry = heading(right, y, colW, "Investment");
+  ry = rows(right, ry, colW, model.investment.rows);
+  ry = note(right, ry + 2, colW, model.investment.note);
+  y = Math.max(ly, ry) + 8;
+
+  // Sale comps table
+  const cols = [
+    { key: "address", label: "Address", w: 0.34 },
+    { key: "soldDate", label: "Sold", w: 0.12 },
+    { key: "price", label: "Price", w: 0.12, num: true },
+    { key: "sqft", label: "Sqft", w: 0.09, num: true },
+    { key: "bedsBaths", label: "Bd / Ba", w: 0.1, num: true },
+    { key: "ppsf", label: "$/sqft", w: 0.11, num: true },
+    { key: "distance", label: "Distance", w: 0.12, num: true },
+  ];
+  ensure(19 + (model.comps.rows.length + 1) * rowH + 12);
+  y = heading(margin, y, contentW, "Sale comps");
+  if (model.comps.rows.length) {
+    const drawRow = (cells, bold) => {
+      let x = margin;
+      cols.forEach((c) => {
+        const w = c.w * contentW;
+        doc.text(c.num ? x + w - 4 : x, y, cells[c.key], {
+          size: font,
+          font: bold ? "bold" : "regular",
+          color: ink,
+          align: c.num ? "right" : "left",
+          maxWidth: w - 6,
+        });
+        x += w;
+      });
+      const ruleColor = bold ? "#bbbbbb" : "#eeeeee";
+      doc.line(margin, y + rowH - 2.5, margin + contentW, y + rowH - 2.5, { color: ruleColor, lineWidth: 0.5 });
+      y += rowH;
+    };
+    drawRow(Object.fromEntries(cols.map((c) => [c.key, c.label])), true);
+    model.comps.rows.forEach((r) => drawRow(r, false));
+  }
+  y = note(margin, y + 2, contentW, model.comps.note) + 6;
+
+  // Chart | ARV / AVM
+  const chart = model.chart;
+  const barH = 14;
+  const chartH = Math.max(chart.bars.length * barH, 14) + 30;
+  ensure(19 + Math.max(chartH, model.valuation.length * rowH));
+  let cy = heading(left, y, colW, "Comps $/sqft");
+  if (chart.bars.length) {
+    const labelW = 82;
+    const plotW = colW - labelW - 40;
+    const x = (v) => left + labelW + (v / chart.max) * plotW;
+    const plotTop = cy;
+    chart.bars.forEach((b, i) => {
+      const by = plotTop + i * barH;
+      doc.text(left + labelW - 4, by + 2, b.label, {
+        size: 7.5,
+        color: "#555555",
+        align: "right",
+        maxWidth: labelW - 6,
+      });
+      doc.rect(left + labelW, by + 1.5, x(b.value) - left - labelW, barH - 4, { fill: color });
+      doc.text(x(b.value) + 3, by + 2, `$${count(b.value)}`, { size: 7.5, color: ink });
+    });
+    const plotBottom = plotTop + chart.bars.length * barH;
+    chart.markers.forEach((m, i) => {
+      const markerColor = MARKER_COLORS[m.kind];
+      doc.line(x(m.value), plotTop, x(m.value), plotBottom, { color: markerColor, lineWidth: 1.2, dash: [3, 2] });
+      doc.text(left + labelW + i * 120, plotBottom + 6, `- - ${m.label}: $${count(m.value)}`, {
+        size: 7.5,
+        color: markerColor,
+      });
+    });
+    cy = plotBottom + 20;
+  } else {
+    cy = note(left, cy, colW, "No comps with $/sqft to chart.");
+  }
+  const vy = rows(right, heading(right, y, colW, "ARV / AVM"), colW, model.valuation);
+  y = Math.max(cy, vy) + 8;
+
+  // Demographics
+  const demo = model.demographics;
+  ensure(19 + (demo.rows.length + 2) * rowH);
+  y = heading(margin, y, contentW, "Demographics");
+  if (demo.rows.length) {
+    const labelW = contentW * 0.4;
+    const valueW = (contentW - labelW) / demo.columns.length;
+    const drawRow = ([label, ...values], bold) => {
+      doc.text(margin, y, label, { size: font, color: bold ? ink : "#555555", font: bold ? "bold" : "regular" });
+      values.forEach((v, i) => {
+        doc.text(margin + labelW + (i + 1) * valueW - 4, y, v, {
+          size: font,
+          color: ink,
+          font: bold ? "bold" : "regular",
+          align: "right",
+        });
+      });
+      doc.line(margin, y + rowH - 2.5, margin + contentW, y + rowH - 2.5, { color: "#eeeeee", lineWidth: 0.5 });
+      y += rowH;
+    };
+    drawRow(["", ...demo.columns], true);
+    demo.rows.forEach((r) => drawRow(r, false));
+    y = note(margin, y + 2, contentW, demo.source) + 6;
+  } else {
+    y = note(margin, y, contentW, "No Census data for this location.") + 6;
+  }
+
+  // Warnings
+  if (model.warnings.length) {
+    ensure(19 + rowH * Math.min(model.warnings.length, 3));
+    y = heading(margin, y, contentW, "Warnings");
+    for (const w of model.warnings) {
+      ensure(rowH);
+      doc.text(margin, y, `• ${w}`, { size: font, color: "#8a6d3b", maxWidth: contentW });
+      y += rowH;
+    }
+  }
+
+  // Footer (last page)
+  doc.text(margin, doc.height - margin - 6, `Generated ${model.generatedAt}. ${model.disclaimer}`, {
+    size: 7,
+    color: muted,
+    maxWidth: contentW,
+  });
+
+  return doc.toBuffer();
+}
+
+module.exports = { reportModel, renderReportHtml, renderReportPdf, brandFrom, REPORT_MAX_COMPS };
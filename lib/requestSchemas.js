@@ -0,0 +1,206 @@
+const s = require("./schema");
+const { PROFORMA_DEFAULTS } = require("./proforma");
+const { STRATEGY_DEFAULTS } = require("./strategies");
+const { STR_DEFAULTS } = require("./str");
+const { ARV_DEFAULTS } = require("./arv");
+const { TARGET_METRICS } = require("./solver");
+const { VARIABLES } = require("./sensitivity");
+const { MIN_YEAR: MIN_ACS_YEAR } = require("./acs");
+const { COLUMN_KEYS } = require("./export");
+
+// ==============================
+// Shared request field groups
+// ==============================
+// Field groups reused across routes (spread into schema.object()). Bounds are
+// what the models can meaningfully take; defaults are the ones the *From()
+// helpers apply and are listed for the OpenAPI document.
+
+const percent = (description, opts = {}) => s.number({ min: 0, max: 100, description, ...opts });
+const amount = (description, opts = {}) => s.number({ min: 0, description, ...opts });
+const growth = (description, opts = {}) => s.number({ min: -50, max: 50, description, ...opts });
+
+const ADDRESS_FIELDS = {
+  fullAddress: s.string({ maxLength: 200, description: "One-line address", example: "123 Main St, Dallas, TX 75201" }),
+  address: s.string({ maxLength: 200, description: "Alias of fullAddress" }),
+  state: s.string({
+    uppercase: true,
+    pattern: /^[A-Z]{2}$/,
+    patternMessage: "must be a two-letter state code",
+    description: "Two-letter state (with addressLine1, instead of fullAddress)",
+  }),
+  addressLine1: s.string({ maxLength: 200, description: "Street line 1" }),
+  city: s.string({ maxLength: 100 }),
+  county: s.string({ maxLength: 100 }),
+};
+
+const PRICE_FIELDS = {
+  purchasePrice: s.number({ exclusiveMin: 0, description: "Purchase price ($)" }),
+  monthlyRent: s.number({ exclusiveMin: 0, description: "Monthly rent ($)" }),
+};
+
+const FINANCING_FIELDS = {
+  vacancyPercent: percent("Vacancy allowance, % of gross rent", { default: 5 }),
+  expensePercent: percent("Operating expenses, % of effective gross (when not itemized)", { default: 35 }),
+  downPaymentPercent: percent("Down payment, % of price", { default: 20 }),
+  interestRatePercent: s.number({ min: 0, max: 30, default: 7.5, description: "Loan interest rate %" }),
+  loanYears: s.integer({ min: 1, max: 50, default: 30 }),
+};
+
+const EXPENSE_FIELDS = {
+  propertyTaxAnnual: amount("Annual property tax ($); defaults to the vendor tax record"),
+  insuranceAnnual: amount("Annual insurance ($)"),
+  hoaMonthly: amount("Monthly HOA ($); defaults to the vendor record"),
+  managementPercent: percent("Management, % of effective gross"),
+  maintenancePercent: percent("Maintenance, % of effective gross"),
+  capexPercent: percent("CapEx reserve, % of effective gross"),
+  utilitiesMonthly: amount("Owner-paid utilities per month ($)"),
+};
+
+const PROFORMA_FIELDS = {
+  holdYears: s.integer({ min: 1, max: 30, default: PROFORMA_DEFAULTS.holdYears }),
+  rentGrowthPercent: growth("Annual rent growth %", { default: PROFORMA_DEFAULTS.rentGrowthPercent }),
+  expenseGrowthPercent: growth("Annual expense growth %", { default: PROFORMA_DEFAULTS.expenseGrowthPercent }),
+  appreciationPercent: growth("Annual appreciation %", { default: PROFORMA_DEFAULTS.appreciationPercent }),
+  sellingCostPercent: percent("Selling costs, % of sale price (pro forma default 6, flip/BRRRR default 8)"),
+  closingCostPercent: percent("Purchase closing costs, % of price", { default: PROFORMA_DEFAULTS.closingCostPercent }),
+};
+
+const STRATEGY_FIELDS = {
+  holdingMonths: s.number({ min: 0, max: 120, default: STRATEGY_DEFAULTS.holdingMonths }),
+  purchaseClosingCostPercent: percent("Purchase closing costs, % of price", {
+    default: STRATEGY_DEFAULTS.purchaseClosingCostPercent,
+  }),
+  sellingCostPercent: PROFORMA_FIELDS.sellingCostPercent,
+  monthlyHoldingCosts: amount("Taxes, insurance and utilities while holding ($/month)", {
+    default: STRATEGY_DEFAULTS.monthlyHoldingCosts,
+  }),
+  hardMoneyLoanToCostPercent: percent("Hard money loan-to-cost %", { default: STRATEGY_DEFAULTS.hardMoneyLoanToCostPercent }),
+  hardMoneyRatePercent: percent("Hard money interest rate %", { default: STRATEGY_DEFAULTS.hardMoneyRatePercent }),
+  hardMoneyPoints: s.number({ min: 0, max: 20, default: STRATEGY_DEFAULTS.hardMoneyPoints }),
+  financeRehab: s.boolean({ default: STRATEGY_DEFAULTS.financeRehab, description: "Draw the rehab from the hard money lender" }),
+  maxOfferRulePercent: percent("Max offer rule, % of ARV", { default: STRATEGY_DEFAULTS.maxOfferRulePercent }),
+  refinanceLtvPercent: percent("BRRRR refinance LTV %", { default: STRATEGY_DEFAULTS.refinanceLtvPercent }),
+  refinanceRatePercent: s.number({ min: 0, max: 30, default: STRATEGY_DEFAULTS.refinanceRatePercent }),
+  refinanceLoanYears: s.integer({ min: 1, max: 50, default: STRATEGY_DEFAULTS.refinanceLoanYears }),
+  refinanceClosingCostPercent: percent("Refinance closing costs, % of the new loan", {
+    default: STRATEGY_DEFAULTS.refinanceClosingCostPercent,
+  }),
+};
+
+const REHAB_FIELDS = {
+  arv: s.number({ exclusiveMin: 0, description: "After-repair value ($)" }),
+  rehabBudget: amount("Rehab budget ($)"),
+};
+
+// Panel query names (arvTrim, adjPerBed, ...); arvOptionsFrom maps them.
+const ARV_FIELDS = {
+  arvTrim: s.string({ lowercase: true, enum: ["iqr", "mad", "none"], default: ARV_DEFAULTS.trim }),
+  adjPerBed: amount("ARV adjustment per bedroom ($)", { default: ARV_DEFAULTS.adjustmentPerBed }),
+  adjPerBath: amount("ARV adjustment per bathroom ($)", { default: ARV_DEFAULTS.adjustmentPerBath }),
+  appreciationPercent: PROFORMA_FIELDS.appreciationPercent,
+  distanceScaleMiles: s.number({ exclusiveMin: 0, max: 50, default: ARV_DEFAULTS.distanceScaleMiles }),
+  recencyScaleMonths: s.number({ exclusiveMin: 0, max: 120, default: ARV_DEFAULTS.recencyScaleMonths }),
+};
+
+const STR_FIELDS = {
+  nightlyRate: s.number({ exclusiveMin: 0, description: "Average nightly rate ($); defaults to the market provider" }),
+  occupancyPercent: s.number({ exclusiveMin: 0, max: 100, default: STR_DEFAULTS.occupancyPercent }),
+  averageStayNights: s.number({ min: 1, max: 365, default: STR_DEFAULTS.averageStayNights }),
+  cleaningFeePerStay: amount("Cleaning fee charged per stay ($)", { default: STR_DEFAULTS.cleaningFeePerStay }),
+  cleaningCostPerStay: amount("Cleaning cost per stay ($); defaults to the cleaning fee"),
+  platformFeePercent: percent("Platform fees, % of gross", { default: STR_DEFAULTS.platformFeePercent }),
+  furnishingCost: amount("Up-front furnishing ($)", { default: STR_DEFAULTS.furnishingCost }),
+  strManagementPercent: percent("STR management, % of gross", { default: STR_DEFAULTS.strManagementPercent }),
+  strMaintenancePercent: percent("Maintenance, % of gross", { default: STR_DEFAULTS.strMaintenancePercent }),
+  strCapexPercent: percent("CapEx reserve, % of gross", { default: STR_DEFAULTS.strCapexPercent }),
+  strUtilitiesMonthly: amount("Utilities + internet ($/month)", { default: STR_DEFAULTS.strUtilitiesMonthly }),
+  strSuppliesMonthly: amount("Supplies ($/month)", { default: STR_DEFAULTS.strSuppliesMonthly }),
+};
+
+const RENT_COMP_FILTER_FIELDS = {
+  minBeds: s.number({ min: 0, max: 20 }),
+  maxBeds: s.number({ min: 0, max: 20 }),
+  minBaths: s.number({ min: 0, max: 20 }),
+  maxBaths: s.number({ min: 0, max: 20 }),
+  minSqft: s.number({ min: 0 }),
+  maxSqft: s.number({ min: 0 }),
+  propertyType: s.string({ maxLength: 200, description: "Comma-separated property types" }),
+  maxAgeDays: s.number({ min: 0, max: 3650, description: "Drop listings last seen more than this many days ago" }),
+};
+
+const ACS_FIELDS = {
+  acsYear: s.integer({ min: MIN_ACS_YEAR, max: new Date().getFullYear() - 1, description: "ACS 5-year vintage" }),
+  acsCompare: s.boolean({ default: true, description: "Include the year-over-year comparison" }),
+};
+
+const EXPORT_FIELDS = {
+  format: s.string({ lowercase: true, enum: ["json", "csv", "xlsx"], default: "json" }),
+  columns: s.array(s.string({ enum: COLUMN_KEYS }), { csv: true, description: "Export columns (comma-separated)" }),
+};
+
+// Max-offer targets: { cashOnCashPercent, monthlyCashFlow, dscr, capRatePercent }.
+const TARGETS = s.object(
+  Object.fromEntries(Object.keys(TARGET_METRICS).map((k) => [k, s.number({ description: TARGET_METRICS[k].label })])),
+  {
+    check: (t) =>
+      Object.keys(TARGET_METRICS).some((k) => t[k] !== undefined)
+        ? null
+        : `must set at least one of: ${Object.keys(TARGET_METRICS).join(", ")}`,
+  }
+);
+
+// Sensitivity axis: { variable, values } or { variable, from, to, step }.
+const SENSITIVITY_AXIS = s.object(
+  {
+    variable: s.string({ required: true, enum: Object.keys(VARIABLES) }),
+    values: s.array(s.number(), { minItems: 1, maxItems: 25 }),
+    from: s.number(),
+    to: s.number(),
+    step: s.number({ exclusiveMin: 0 }),
+  },
+  {
+    check: (axis) =>
+      axis.values || (axis.from !== undefined && axis.to !== undefined && axis.step !== undefined)
+        ? null
+        : "must have values or from/to/step",
+  }
+);
+
+// Scenario values are absolute numbers, or "+1" / "-0.5" strings relative to the base.
+const scenarioValue = s.anyOf([s.string({ pattern: /^[+-](\d+\.?\d*|\.\d+)$/ }), s.number()], {
+  message: 'must be a number or a relative change like "+1"',
+});
+
+const SCENARIO = s.object({
+  name: s.string({ maxLength: 50 }),
+  ...Object.fromEntries(Object.keys(VARIABLES).map((k) => [k, scenarioValue])),
+});
+
+// Object-level check that each [min, max] pair is ordered.
+function orderedPairs(pairs) {
+  return (value) => {
+    for (const [lo, hi] of pairs) {
+      if (value[lo] !== undefined && value[hi] !== undefined && value[lo] > value[hi]) return `${lo} must not exceed ${hi}`;
+    }
+    return null;
+  };
+}
+
+module.exports = {
+  ADDRESS_FIELDS,
+  PRICE_FIELDS,
+  FINANCING_FIELDS,
+  EXPENSE_FIELDS,
+  PROFORMA_FIELDS,
+  STRATEGY_FIELDS,
+  REHAB_FIELDS,
+  ARV_FIELDS,
+  STR_FIELDS,
+  RENT_COMP_FILTER_FIELDS,
+  ACS_FIELDS,
+  EXPORT_FIELDS,
+  TARGETS,
+  SENSITIVITY_AXIS,
+  SCENARIO,
+  orderedPairs,
+};
@@ -0,0 +1,257 @@
+// ==============================
+// Request schemas
+// ==============================
+// Small declarative schemas for query strings and JSON bodies. parse() coerces
+// (query values arrive as strings: "1200", "$1,200", "true"), checks bounds
+// and returns { value, issues }; toJSONSchema() feeds the OpenAPI document.
+//
+// Conventions:
+//   - "" and null count as missing, like an absent key. "" is dropped from
+//     the parsed object; null is kept (PATCH bodies use it to clear a value).
+//   - `default` is documentation only; the handlers' *From() helpers apply
+//     defaults, so batch rows and saved params get the same ones.
+//   - Object keys a schema doesn't declare pass through untouched.
+
+function isMissing(v) {
+  return v === undefined || v === null || v === "";
+}
+
+function issue(path, message) {
+  return { path, message };
+}
+
+// Records an issue; parsers return its result (undefined) for the bad value.
+function fail(issues, path, message) {
+  issues.push(issue(path, message));
+  return undefined;
+}
+
+// ---------- builders ----------
+// Shared options: description, default, example, required, nullable (JSON
+// null is accepted and kept as null).
+
+function number(opts = {}) {
+  return { kind: "number", ...opts };
+}
+
+function integer(opts = {}) {
+  return { kind: "number", integer: true, ...opts };
+}
+
+// opts: enum, pattern (RegExp), minLength, maxLength, lowercase, uppercase,
+// normalize(s) (runs after trimming and case folding, before the checks)
+function string(opts = {}) {
+  return { kind: "string", ...opts };
+}
+
+// Accepts booleans and 1/0, true/false, yes/no, on/off.
+function boolean(opts = {}) {
+  return { kind: "boolean", ...opts };
+}
+
+// opts: minItems, maxItems, csv (a query string "a,b" is split into items)
+function array(items, opts = {}) {
+  return { kind: "array", items, ...opts };
+}
+
+// opts: check(value) -> message | null, run after the fields parse cleanly.
+function object(fields, opts = {}) {
+  return { kind: "object", fields, ...opts };
+}
+
+// The first option that parses without issues wins. When none does, the
+// issues come from the first option that got past the top-level type check
+// (e.g. a bad field inside an object), else opts.message.
+function anyOf(options, opts = {}) {
+  return { kind: "anyOf", options, ...opts };
+}
+
+// ---------- parsing ----------
+
+const TRUE_WORDS = ["1", "true", "yes", "on"];
+const FALSE_WORDS = ["0", "false", "no", "off"];
+
+function parseNumber(schema, v, path, issues) {
+  let n = null;
+  if (typeof v === "number") n = v;
+  else if (typeof v === "string") {
+    const cleaned = v.trim().replace(/[$,\s]/g, "");
+    if (/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(cleaned)) n = Number(cleaned);
+  }
+
+  if (n === null || !Number.isFinite(n)) return fail(issues, path, "must be a number");
+  if (schema.integer && !Number.isInteger(n)) return fail(issues, path, "must be a whole number");
+  if (schema.min !== undefined && n < schema.min) return fail(issues, path, `must be at least ${schema.min}`);
+  if (schema.exclusiveMin !== undefined && n <= schema.exclusiveMin) {
+    return fail(issues, path, `must be greater than ${schema.exclusiveMin}`);
+  }
+  if (schema.max !== undefined && n > schema.max) return fail(issues, path, `must be at most ${schema.max}`);
+  return n;
+}
+
+function parseString(schema, v, path, issues) {
+  if (typeof v !== "string" && typeof v !== "number") return fail(issues, path, "must be a string");
+
+  let s = String(v).trim();
+  if (schema.lowercase) s = s.toLowerCase();
+  if (schema.uppercase) s = s.toUpperCase();
+  if (schema.normalize) s = schema.normalize(s);
+
+  if (schema.enum && !schema.enum.includes(s)) {
+    return fail(issues, path, `must be one of: ${schema.enum.join(", ")}`);
+  }
+  if (schema.minLength !== undefined && s.length < schema.minLength) {
+    return fail(issues, path, `must be at least ${schema.minLength} characters`);
+  }
+  if (schema.maxLength !== undefined && s.length > schema.maxLength) {
+    return fail(issues, path, `must be at most ${schema.maxLength} characters`);
+  }
+  if (schema.pattern && !schema.pattern.test(s)) {
+    return fail(issues, path, schema.patternMessage || `must match ${schema.pattern.source}`);
+  }
+  return s;
+}
+
+function parseBoolean(schema, v, path, issues) {
+  if (typeof v === "boolean") return v;
+  const s = String(v).trim().toLowerCase();
+  if (TRUE_WORDS.includes(s)) return true;
+  if (FALSE_WORDS.includes(s)) return false;
+  return fail(issues, path, "must be a boolean (true/false or 1/0)");
+}
+
+function parseArray(schema, v, path, issues) {
+  const list = Array.isArray(v)
+    ? v
+    : schema.csv && typeof v === "string"
+      ? v.split(",").map((x) => x.trim()).filter(Boolean)
+      : null;
+  if (!list) return fail(issues, path, "must be an array");
+
+  if (schema.minItems !== undefined && list.length < schema.minItems) {
+    return fail(issues, path, `must have at least ${schema.minItems} item${schema.minItems === 1 ? "" : "s"}`);
+  }
+  if (schema.maxItems !== undefined && list.length > schema.maxItems) {
+    return fail(issues, path, `must have at most ${schema.maxItems} items`);
+  }
+  return list.map((item, i) => parseValue(schema.items, item, `${path}[${i}]`, issues));
+}
+
+function parseObject(schema, v, path, issues) {
+  if (!v || typeof v !== "object" || Array.isArray(v)) return fail(issues, path, "must be an object");
+
+  const out = { ...v };
+  const before = issues.length;
+  for (const [key, field] of Object.entries(schema.fields)) {
+    const fieldPath = path ? `${path}.${key}` : key;
+    if (isMissing(v[key])) {
+      if (field.required) issues.push(issue(fieldPath, "is required"));
+      if (v[key] === "") delete out[key];
+      continue;
+    }
+    out[key] = parseValue(field, v[key], fieldPath, issues);
+  }
+
+  if (issues.length === before && schema.check) {
+    const message = schema.check(out);
+    if (message) issues.push(issue(path, message));
+  }
+  return out;
+}
+
+function parseAnyOf(schema, v, path, issues) {
+  let nested = null;
+  for (const option of schema.options) {
+    const attempt = [];
+    const value = parseValue(option, v, path, attempt);
+    if (!attempt.length) return value;
+    if (!nested && attempt.some((i) => i.path !== path)) nested = attempt;
+  }
+  if (nested) {
+    issues.push(...nested);
+    return undefined;
+  }
+  return fail(issues, path, schema.message || `must be one of: ${schema.options.map(describeKind).join(", ")}`);
+}
+
+const PARSERS = {
+  number: parseNumber,
+  string: parseString,
+  boolean: parseBoolean,
+  array: parseArray,
+  object: parseObject,
+  anyOf: parseAnyOf,
+};
+
+function parseValue(schema, v, path, issues) {
+  return PARSERS[schema.kind](schema, v, path, issues);
+}
+
+// Returns { value, issues: [{ path, message }] }; `path` prefixes issue paths ("query", "body").
+function parse(schema, value, path = "") {
+  const issues = [];
+  if (isMissing(value)) {
+    if (schema.required) issues.push(issue(path, "is required"));
+    return { value: undefined, issues };
+  }
+  return { value: parseValue(schema, value, path, issues), issues };
+}
+
+// ---------- JSON Schema (OpenAPI 3.1 dialect) ----------
+
+function describeKind(schema) {
+  if (schema.kind === "number") return schema.integer ? "integer" : "number";
+  return schema.kind;
+}
+
+function annotations(schema, type) {
+  const out = {};
+  if (schema.nullable && type) out.type = [type, "null"];
+  if (schema.description) out.description = schema.description;
+  if (schema.default !== undefined) out.default = schema.default;
+  if (schema.example !== undefined) out.examples = [schema.example];
+  return out;
+}
+
+function toJSONSchema(schema) {
+  switch (schema.kind) {
+    case "number": {
+      const out = { type: schema.integer ? "integer" : "number" };
+      if (schema.min !== undefined) out.minimum = schema.min;
+      if (schema.exclusiveMin !== undefined) out.exclusiveMinimum = schema.exclusiveMin;
+      if (schema.max !== undefined) out.maximum = schema.max;
+      return { ...out, ...annotations(schema, out.type) };
+    }
+    case "string": {
+      const out = { type: "string" };
+      if (schema.enum) out.enum = schema.enum;
+      if (schema.pattern) out.pattern = schema.pattern.source;
+      if (schema.minLength !== undefined) out.minLength = schema.minLength;
+      if (schema.maxLength !== undefined) out.maxLength = schema.maxLength;
+      return { ...out, ...annotations(schema, out.type) };
+    }
+    case "boolean":
+      return { type: "boolean", ...annotations(schema) };
+    case "array": {
+      const out = { type: "array", items: toJSONSchema(schema.items) };
+      if (schema.minItems !== undefined) out.minItems = schema.minItems;
+      if (schema.maxItems !== undefined) out.maxItems = schema.maxItems;
+      return { ...out, ...annotations(schema) };
+    }
+    case "object": {
+      const properties = {};
+      const required = [];
+      for (const [key, field] of Object.entries(schema.fields)) {
+        properties[key] = toJSONSchema(field);
+        if (field.required) required.push(key);
+      }
+      return { type: "object", properties, ...(required.length ? { required } : {}), ...annotations(schema) };
+    }
+    case "anyOf":
+      return { anyOf: schema.options.map(toJSONSchema), ...annotations(schema) };
+    default:
+      throw new Error(`Unknown schema kind: ${schema.kind}`);
+  }
+}
+
+module.exports = { number, integer, string, boolean, array, object, anyOf, parse, toJSONSchema };
@@ -0,0 +1,171 @@
+const { toNumberLoose } = require("./util");
+const { computeInvestmentSummary } = require("./underwriting");
+
+// ==============================
+// Sensitivity grids + named scenarios
+// ==============================
+// Variables are either absolute assumptions (interest rate, vacancy, ...) or
+// percentage changes applied to the base rent / price.
+const VARIABLES = {
+  interestRatePercent: { label: "Interest rate %", apply: (b, v) => ({ ...b, interestRatePercent: v }) },
+  vacancyPercent: { label: "Vacancy %", apply: (b, v) => ({ ...b, vacancyPercent: v }) },
+  expensePercent: { label: "Expense %", apply: (b, v) => ({ ...b, expensePercent: v }) },
+  downPaymentPercent: { label: "Down payment %", apply: (b, v) => ({ ...b, downPaymentPercent: v }) },
+  loanYears: { label: "Loan years", apply: (b, v) => ({ ...b, loanYears: v }) },
+  rentChangePercent: {
+    label: "Rent change %",
+    apply: (b, v) => ({ ...b, monthlyRent: b.monthlyRent * (1 + v / 100) }),
+  },
+  priceChangePercent: {
+    label: "Price change %",
+    apply: (b, v) => ({ ...b, purchasePrice: b.purchasePrice * (1 + v / 100) }),
+  },
+};
+
+const OUTPUT_METRICS = {
+  monthlyCashFlow: (s) => s.cashFlow.monthly,
+  cashOnCashPercent: (s) => s.metrics.cashOnCashPercent,
+  capRatePercent: (s) => s.metrics.capRatePercent,
+  dscr: (s) => s.metrics.dscr,
+  noiAnnual: (s) => s.noi.noiAnnual,
+};
+
+const MAX_AXIS_VALUES = 25;
+
+const DEFAULT_SCENARIOS = [
+  { name: "bear", rentChangePercent: -10, vacancyPercent: 10, interestRatePercent: "+1" },
+  { name: "base" },
+  { name: "bull", rentChangePercent: 5, vacancyPercent: 3, interestRatePercent: "-0.5" },
+];
+
+// Axis: { variable, values: [...] } or { variable, from, to, step }.
+function axisValues(axis) {
+  if (!axis || !VARIABLES[axis.variable]) {
+    return { error: `axis variable must be one of: ${Object.keys(VARIABLES).join(", ")}` };
+  }
+
+  let values;
+  if (Array.isArray(axis.values)) {
+    values = axis.values.map(toNumberLoose).filter((v) => v !== null);
+  } else {
+    const from = toNumberLoose(axis.from);
+    const to = toNumberLoose(axis.to);
+    const step = Math.abs(toNumberLoose(axis.step) ?? 0);
+    if (from === null || to === null || !step) return { error: `${axis.variable}: provide values or from/to/step` };
+
+    const dir = to >= from ? 1 : -1;
+    values = [];
+    for (let v = from; dir > 0 ? v <= to + 1e-9 : v >= to - 1e-9; v += dir * step) {
+      values.push(Math.round(v * 1e6) / 1e6);
+      if (values.length > MAX_AXIS_VALUES) break;
+    }
+  }
+
+  if (!values.length) return { error: `${axis.variable}: no values` };
+  if (values.length > MAX_AXIS_VALUES) return { error: `${axis.variable}: at most ${MAX_AXIS_VALUES} values per axis` };
+  return { values };
+}
+
+// expensePercent only drives the percent-of-EGI expense method; itemized
+// expenses (or county tax/insurance records) replace it, so varying it would
+// return the same numbers in every cell.
+function itemizedExpenseError(baseSummary) {
+  return baseSummary.noi.expenseMethod === "itemized"
+    ? { ok: false, error: "expensePercent can't be varied when expenses are itemized; vary the base inputs instead" }
+    : null;
+}
+
+function pickMetrics(summary) {
+  if (!summary.ok) return { ok: false, error: summary.error };
+  return Object.fromEntries(Object.entries(OUTPUT_METRICS).map(([k, read]) => [k, read(summary)]));
+}
+
+function sensitivityGrid({ base, x, y }) {
+  const xs = axisValues(x);
+  if (xs.error) return { ok: false, error: `x: ${xs.error}` };
+  const ys = axisValues(y);
+  if (ys.error) return { ok: false, error: `y: ${ys.error}` };
+  if (x.variable === y.variable) return { ok: false, error: "x and y must vary different assumptions" };
+
+  const baseSummary = computeInvestmentSummary(base);
+  if (!baseSummary.ok) return baseSummary;
+  if (x.variable === "expensePercent" || y.variable === "expensePercent") {
+    const itemized = itemizedExpenseError(baseSummary);
+    if (itemized) return itemized;
+  }
+
+  // cells[i][j] = outcome at y.values[i], x.values[j]
+  const cells = ys.values.map((yv) =>
+    xs.values.map((xv) => {
+      const inputs = VARIABLES[x.variable].apply(VARIABLES[y.variable].apply(base, yv), xv);
+      return pickMetrics(computeInvestmentSummary(inputs));
+    })
+  );
+
+  const grids = Object.fromEntries(
+    Object.keys(OUTPUT_METRICS).map((m) => [m, cells.map((row) => row.map((c) => c[m] ?? null))])
+  );
+
+  return {
+    ok: true,
+    x: { variable: x.variable, label: VARIABLES[x.variable].label, values: xs.values },
+    y: { variable: y.variable, label: VARIABLES[y.variable].label, values: ys.values },
+    base: pickMetrics(baseSummary),
+    grids,
+  };
+}
+
+// Scenario values are absolute, or relative to the base when given as "+1" / "-0.5".
+function applyScenario(base, scenario) {
+  let inputs = { ...base };
+  for (const [k, raw] of Object.entries(scenario)) {
+    if (k === "name" || !VARIABLES[k]) continue;
+
+    const relative = typeof raw === "string" && /^[+-]/.test(raw.trim());
+    const v = toNumberLoose(raw);
+    if (v === null) continue;
+
+    const isChange = k === "rentChangePercent" || k === "priceChangePercent";
+    const value = relative && !isChange ? Number(base[k] ?? 0) + v : v;
+    inputs = VARIABLES[k].apply(inputs, value);
+  }
+  return inputs;
+}
+
+function runScenarios({ base, scenarios }) {
+  const list = Array.isArray(scenarios) && scenarios.length ? scenarios : DEFAULT_SCENARIOS;
+  if (list.length > 10) return { ok: false, error: "At most 10 scenarios" };
+
+  const baseSummary = computeInvestmentSummary(base);
+  if (!baseSummary.ok) return baseSummary;
+  if (list.some((sc) => sc?.expensePercent !== undefined)) {
+    const itemized = itemizedExpenseError(baseSummary);
+    if (itemized) return itemized;
+  }
+
+  return {
+    ok: true,
+    scenarios: list.map((sc, i) => {
+      const inputs = applyScenario(base, sc || {});
+      const summary = computeInvestmentSummary(inputs);
+      return {
+        name: sc?.name || `scenario ${i + 1}`,
+        changes: Object.fromEntries(Object.entries(sc || {}).filter(([k]) => k !== "name")),
+        inputs: {
+          purchasePrice: Math.round(inputs.purchasePrice),
+          monthlyRent: Math.round(inputs.monthlyRent),
+          vacancyPercent: inputs.vacancyPercent,
+          expenseMethod: baseSummary.noi.expenseMethod,
+          expensePercent: inputs.expensePercent,
+          downPaymentPercent: inputs.downPaymentPercent,
+          interestRatePercent: inputs.interestRatePercent,
+          loanYears: inputs.loanYears,
+        },
+        results: pickMetrics(summary),
+        summary: summary.ok ? summary : null,
+      };
+    }),
+  };
+}
+
+module.exports = { VARIABLES, OUTPUT_METRICS, DEFAULT_SCENARIOS, sensitivityGrid, runScenarios };
@@ -0,0 +1,117 @@
+const { toNumberLoose } = require("./util");
+const { computeInvestmentSummary } = require("./underwriting");
+
+// ==============================
+// Reverse underwriting: max offer for target returns
+// ==============================
+// Every supported metric falls as the purchase price rises, so each target
+// is solved independently by bisection and the lowest price wins.
+
+const TARGET_METRICS = {
+  cashOnCashPercent: { label: "cash-on-cash %", read: (s) => s.metrics.cashOnCashPercent },
+  monthlyCashFlow: { label: "monthly cash flow", read: (s) => s.cashFlow.monthly },
+  dscr: { label: "DSCR", read: (s) => s.metrics.dscr },
+  capRatePercent: { label: "cap rate %", read: (s) => s.metrics.capRatePercent },
+};
+
+const MIN_PRICE = 1000;
+const PRICE_TOLERANCE = 1;
+
+function targetsFrom(src = {}) {
+  const out = {};
+  for (const k of Object.keys(TARGET_METRICS)) {
+    const v = toNumberLoose(src?.[k]);
+    if (v !== null) out[k] = v;
+  }
+  return out;
+}
+
+function solveOne(evaluate, read, target, upperStart) {
+  const meets = (price) => {
+    const v = read(evaluate(price));
+    return v !== null && v !== undefined && v >= target;
+  };
+
+  if (!meets(MIN_PRICE)) return null;
+
+  let lo = MIN_PRICE;
+  let hi = upperStart;
+  while (meets(hi)) {
+    lo = hi;
+    hi *= 2;
+    if (hi > 1e10) return Infinity;
+  }
+
+  while (hi - lo > PRICE_TOLERANCE) {
+    const mid = (lo + hi) / 2;
+    if (meets(mid)) lo = mid;
+    else hi = mid;
+  }
+  return Math.floor(lo);
+}
+
+function solveMaxOffer({ targets = {}, monthlyRent, ...financing }) {
+  const R = Number(monthlyRent);
+  if (!Number.isFinite(R) || R <= 0) return { ok: false, error: "monthlyRent missing/invalid" };
+
+  const active = Object.entries(targets).filter(([k, v]) => TARGET_METRICS[k] && Number.isFinite(v));
+  if (!active.length) {
+    return { ok: false, error: `Provide at least one target: ${Object.keys(TARGET_METRICS).join(", ")}` };
+  }
+
+  const evaluate = (purchasePrice) => computeInvestmentSummary({ ...financing, purchasePrice, monthlyRent: R });
+  const upperStart = R * 12 * 20;
+
+  const constraints = active.map(([metric, target]) => {
+    const maxPurchasePrice = solveOne(evaluate, TARGET_METRICS[metric].read, target, upperStart);
+    return {
+      metric,
+      label: TARGET_METRICS[metric].label,
+      target,
+      feasible: maxPurchasePrice !== null,
+      maxPurchasePrice: maxPurchasePrice === Infinity ? null : maxPurchasePrice,
+      unbounded: maxPurchasePrice === Infinity,
+    };
+  });
+
+  const infeasible = constraints.filter((c) => !c.feasible);
+  if (infeasible.length) {
+    return {
+      ok: true,
+      feasible: false,
+      maxPurchasePrice: null,
+      bindingConstraint: infeasible[0].metric,
+      reason: `No purchase price reaches the ${infeasible.map((c) => c.label).join(", ")} target with this rent and financing.`,
+      constraints,
+    };
+  }
+
+  const bounded = constraints.filter((c) => !c.unbounded);
+  const binding = bounded.sort((a, b) => a.maxPurchasePrice - b.maxPurchasePrice)[0] || null;
+  const maxPurchasePrice = binding ? binding.maxPurchasePrice : null;
+  const atMax = maxPurchasePrice ? evaluate(maxPurchasePrice) : null;
+
+  return {
+    ok: true,
+    feasible: true,
+    maxPurchasePrice,
+    bindingConstraint: binding ? binding.metric : null,
+    constraints: constraints.map((c) => ({
+      ...c,
+      headroom: maxPurchasePrice && c.maxPurchasePrice ? c.maxPurchasePrice - maxPurchasePrice : null,
+    })),
+    atMaxPrice: atMax?.ok
+      ? {
+          capRatePercent: atMax.metrics.capRatePercent,
+          cashOnCashPercent: atMax.metrics.cashOnCashPercent,
+          dscr: atMax.metrics.dscr,
+          monthlyCashFlow: atMax.cashFlow.monthly,
+          grm: atMax.metrics.grm,
+          downPayment: Math.round(maxPurchasePrice - atMax.debt.loanAmount),
+          loanAmount: atMax.debt.loanAmount,
+        }
+      : null,
+  };
+}
+
+module.exports = { TARGET_METRICS, solveMaxOffer, targetsFrom };
@@ -0,0 +1,282 @@
+const fs = require("fs");
+const path = require("path");
+const { round2, toNumberLoose } = require("./util");
+const { monthlyPayment, itemizeExpenses } = require("./underwriting");
+const { logger } = require("./logger");
+
+// ==============================
+// Short-term rental (STR) underwriting
+// ==============================
+// Revenue comes from nightly rate x booked nights plus guest cleaning fees.
+// Tax, insurance and HOA are itemized the same way as the long-term summary
+// (inputs, then vendor records, then defaults); the other lines are
+// STR-specific. Market inputs (rate, occupancy, stay length, cleaning fee)
+// can come from a provider; explicit inputs always win.
+
+const STR_DEFAULTS = {
+  nightlyRate: null,
+  occupancyPercent: 65,
+  averageStayNights: 3,
+  cleaningFeePerStay: 0,
+  cleaningCostPerStay: null, // defaults to the cleaning fee (pass-through)
+  platformFeePercent: 3,
+  furnishingCost: 0,
+  strManagementPercent: 20,
+  strMaintenancePercent: 5,
+  strCapexPercent: 5,
+  strUtilitiesMonthly: 250,
+  strSuppliesMonthly: 100,
+};
+
+// Fields a market data provider may fill in.
+const MARKET_FIELDS = ["nightlyRate", "occupancyPercent", "averageStayNights", "cleaningFeePerStay"];
+
+function strOptionsFrom(src = {}) {
+  const out = {};
+  for (const k of Object.keys(STR_DEFAULTS)) {
+    const v = toNumberLoose(src[k]);
+    if (v !== null && v >= 0) out[k] = v;
+  }
+  return out;
+}
+
+// Explicit options > provider estimate > defaults, with the source of each market field.
+function resolveStrInputs(options = {}, market = null) {
+  const o = { ...STR_DEFAULTS };
+  const sources = {};
+  for (const k of Object.keys(STR_DEFAULTS)) {
+    if (options[k] !== undefined) {
+      o[k] = options[k];
+      if (MARKET_FIELDS.includes(k)) sources[k] = "input";
+    } else if (MARKET_FIELDS.includes(k) && market?.[k] != null) {
+      o[k] = market[k];
+      sources[k] = market.provider || "provider";
+    } else if (MARKET_FIELDS.includes(k)) {
+      sources[k] = "default";
+    }
+  }
+  if (o.cleaningCostPerStay === null) o.cleaningCostPerStay = o.cleaningFeePerStay;
+  return { options: o, sources };
+}
+
+function computeStrSummary({
+  purchasePrice,
+  downPaymentPercent = 20,
+  interestRatePercent = 7.5,
+  loanYears = 30,
+  expenses = null,
+  expenseRecords = null,
+  ...rest
+}) {
+  const o = { ...STR_DEFAULTS, ...rest };
+  if (o.cleaningCostPerStay === null || o.cleaningCostPerStay === undefined) o.cleaningCostPerStay = o.cleaningFeePerStay;
+
+  const P = Number(purchasePrice);
+  const rate = Number(o.nightlyRate);
+  const occupancy = Number(o.occupancyPercent) / 100;
+  const stayNights = Number(o.averageStayNights);
+
+  if (!Number.isFinite(P) || P <= 0) return { ok: false, error: "purchasePrice missing/invalid" };
+  if (!Number.isFinite(rate) || rate <= 0) return { ok: false, error: "nightlyRate missing/invalid" };
+  if (!(occupancy > 0 && occupancy <= 1)) return { ok: false, error: "occupancyPercent must be between 0 and 100" };
+  if (!(stayNights >= 1)) return { ok: false, error: "averageStayNights must be at least 1" };
+
+  const bookedNights = 365 * occupancy;
+  const stays = bookedNights / stayNights;
+  const bookingRevenue = rate * bookedNights;
+  const cleaningFees = stays * o.cleaningFeePerStay;
+  const gross = bookingRevenue + cleaningFees;
+
+  // Tax / insurance / HOA from the shared itemization; percent lines here are of gross revenue.
+  const fixed = itemizeExpenses({ purchasePrice: P, effectiveGross: gross, inputs: expenses || {}, records: expenseRecords || {} })
+    .lines.filter((l) => ["propertyTax", "insurance", "hoa"].includes(l.key));
+
+  const percentLine = (key, label, percent) => ({
+    key,
+    label,
+    annual: Math.round(gross * (percent / 100)),
+    input: percent,
+    basis: `${percent}% of gross revenue`,
+    source: "str",
+    record: null,
+  });
+  const monthlyLine = (key, label, monthly) => ({
+    key,
+    label,
+    annual: Math.round(monthly * 12),
+    input: monthly,
+    basis: "monthly × 12",
+    source: "str",
+    record: null,
+  });
+
+  const lines = [
+    ...fixed,
+    percentLine("platformFees", "Platform fees", o.platformFeePercent),
+    percentLine("management", "STR management", o.strManagementPercent),
+    {
+      key: "cleaning",
+      label: "Cleaning",
+      annual: Math.round(stays * o.cleaningCostPerStay),
+      input: o.cleaningCostPerStay,
+      basis: "per stay",
+      source: "str",
+      record: null,
+    },
+    percentLine("maintenance", "Maintenance", o.strMaintenancePercent),
+    percentLine("capex", "CapEx reserve", o.strCapexPercent),
+    monthlyLine("utilities", "Utilities + internet", o.strUtilitiesMonthly),
+    monthlyLine("supplies", "Supplies", o.strSuppliesMonthly),
+  ];
+
+  const operatingExpenses = lines.reduce((sum, l) => sum + l.annual, 0);
+  const noi = gross - operatingExpenses;
+
+  const dp = Number(downPaymentPercent) / 100;
+  const loanAmount = P * (1 - dp);
+  const monthlyDebt = monthlyPayment(loanAmount, interestRatePercent, loanYears);
+  const annualDebt = monthlyDebt * 12;
+  const cashFlowAnnual = noi - annualDebt;
+
+  const cashInvested = P * dp + Number(o.furnishingCost);
+  const coc = cashInvested > 0 ? (cashFlowAnnual / cashInvested) * 100 : null;
+
+  // Occupancy at which cash flow is zero: per booked night, revenue less the
+  // revenue-linked costs must cover the fixed costs and debt.
+  const variablePercent = (o.platformFeePercent + o.strManagementPercent + o.strMaintenancePercent + o.strCapexPercent) / 100;
+  const perNight = (rate + o.cleaningFeePerStay / stayNights) * (1 - variablePercent) - o.cleaningCostPerStay / stayNights;
+  const fixedAnnual =
+    fixed.reduce((sum, l) => sum + l.annual, 0) + (o.strUtilitiesMonthly + o.strSuppliesMonthly) * 12 + annualDebt;
+  const breakEvenOccupancy = perNight > 0 ? (fixedAnnual / perNight / 365) * 100 : null;
+
+  return {
+    ok: true,
+    assumptions: {
+      nightlyRate: rate,
+      occupancyPercent: o.occupancyPercent,
+      averageStayNights: stayNights,
+      cleaningFeePerStay: o.cleaningFeePerStay,
+      cleaningCostPerStay: o.cleaningCostPerStay,
+      platformFeePercent: o.platformFeePercent,
+      furnishingCost: o.furnishingCost,
+      downPaymentPercent,
+      interestRatePercent,
+      loanYears,
+    },
+    gross: {
+      bookedNights: Math.round(bookedNights),
+      stays: round2(stays),
+      bookingRevenueAnnual: Math.round(bookingRevenue),
+      cleaningFeesAnnual: Math.round(cleaningFees),
+      grossAnnual: Math.round(gross),
+      monthlyEquivalent: Math.round(gross / 12),
+    },
+    noi: {
+      operatingExpensesAnnual: Math.round(operatingExpenses),
+      noiAnnual: Math.round(noi),
+      expenses: lines,
+    },
+    metrics: {
+      capRatePercent: round2((noi / P) * 100),
+      cashOnCashPercent: coc !== null ? round2(coc) : null,
+      dscr: annualDebt > 0 ? round2(noi / annualDebt) : null,
+      breakEvenOccupancyPercent: breakEvenOccupancy !== null ? round2(breakEvenOccupancy) : null,
+    },
+    debt: {
+      purchasePrice: P,
+      loanAmount: Math.round(loanAmount),
+      monthlyPaymentPI: Math.round(monthlyDebt),
+      annualDebtService: Math.round(annualDebt),
+    },
+    cashInvested: Math.round(cashInvested),
+    cashFlow: {
+      monthly: Math.round(cashFlowAnnual / 12),
+      annual: Math.round(cashFlowAnnual),
+    },
+  };
+}
+
+// Side-by-side of the long-term summary and the STR summary (STR minus LTR).
+function compareLtrStr(ltr, str) {
+  if (!ltr?.ok || !str?.ok) return null;
+
+  const row = (label, a, b) => ({ metric: label, ltr: a, str: b, difference: a !== null && b !== null ? round2(b - a) : null });
+  const ltrCashInvested = ltr.debt.purchasePrice - ltr.debt.loanAmount;
+
+  const rows = [
+    row("effectiveGrossAnnual", ltr.gross.effectiveGrossAnnual, str.gross.grossAnnual),
+    row("operatingExpensesAnnual", ltr.noi.operatingExpensesAnnual, str.noi.operatingExpensesAnnual),
+    row("noiAnnual", ltr.noi.noiAnnual, str.noi.noiAnnual),
+    row("cashFlowAnnual", ltr.cashFlow.annual, str.cashFlow.annual),
+    row("cashInvested", Math.round(ltrCashInvested), str.cashInvested),
+    row("capRatePercent", ltr.metrics.capRatePercent, str.metrics.capRatePercent),
+    row("cashOnCashPercent", ltr.metrics.cashOnCashPercent, str.metrics.cashOnCashPercent),
+    row("dscr", ltr.metrics.dscr, str.metrics.dscr),
+  ];
+
+  return { better: str.cashFlow.annual > ltr.cashFlow.annual ? "str" : "ltr", rows };
+}
+
+// ==============================
+// STR market data providers
+// ==============================
+// A provider is { name, estimate({ zip, beds, lat, lon }) } resolving to
+// { nightlyRate, occupancyPercent, averageStayNights, cleaningFeePerStay } or
+// null. Only the fixture provider ships here; a paid data source plugs in
+// with the same shape.
+
+const DEFAULT_FIXTURE_FILE = path.join(__dirname, "..", "fixtures", "str-markets.json");
+
+// Fixture file: { "default": {...}, "zips": { "75201": { "nightlyRateByBeds": { "2": 140 }, ... } } }
+function fixtureStrProvider({ file = DEFAULT_FIXTURE_FILE } = {}) {
+  let data = null;
+
+  function load() {
+    if (data) return data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (e) {
+      logger.warn("STR fixture load failed", { file, err: e });
+      data = {};
+    }
+    return data;
+  }
+
+  return {
+    name: "fixture",
+    async estimate({ zip, beds } = {}) {
+      const d = load();
+      const market = (zip && d.zips?.[zip]) || d.default;
+      if (!market) return null;
+
+      const byBeds = market.nightlyRateByBeds || {};
+      const bedKey = beds !== null && beds !== undefined ? String(Math.min(Math.max(Math.round(beds), 0), 5)) : null;
+
+      return {
+        nightlyRate: (bedKey && byBeds[bedKey]) ?? market.nightlyRate ?? null,
+        occupancyPercent: market.occupancyPercent ?? null,
+        averageStayNights: market.averageStayNights ?? null,
+        cleaningFeePerStay: market.cleaningFeePerStay ?? null,
+        market: zip && d.zips?.[zip] ? zip : "default",
+      };
+    },
+  };
+}
+
+const STR_PROVIDERS = { fixture: fixtureStrProvider };
+
+// STR_PROVIDER=fixture|none; returns null for none/unknown.
+function createStrProvider(name, options = {}) {
+  const factory = STR_PROVIDERS[String(name || "").toLowerCase()];
+  return factory ? factory(options) : null;
+}
+
+module.exports = {
+  STR_DEFAULTS,
+  strOptionsFrom,
+  resolveStrInputs,
+  computeStrSummary,
+  compareLtrStr,
+  fixtureStrProvider,
+  createStrProvider,
+};
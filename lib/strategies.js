@@ -0,0 +1,238 @@
+const { round2, toNumberLoose } = require("./util");
+const { computeInvestmentSummary } = require("./underwriting");
+
+// ==============================
+// Fix-and-flip + BRRRR calculators
+// ==============================
+const STRATEGY_DEFAULTS = {
+  holdingMonths: 6,
+  purchaseClosingCostPercent: 2,
+  sellingCostPercent: 8,
+  monthlyHoldingCosts: 0,
+  // Hard money: loan-to-cost on the purchase; rehab is drawn from the same lender when financeRehab.
+  hardMoneyLoanToCostPercent: 90,
+  hardMoneyRatePercent: 12,
+  hardMoneyPoints: 2,
+  financeRehab: true,
+  maxOfferRulePercent: 70,
+  // BRRRR refinance
+  refinanceLtvPercent: 75,
+  refinanceRatePercent: 7.5,
+  refinanceLoanYears: 30,
+  refinanceClosingCostPercent: 2,
+};
+
+function pct(v) {
+  return Number(v) / 100;
+}
+
+// Acquisition + rehab + holding under hard money, shared by both strategies.
+function acquisitionPhase({
+  purchasePrice,
+  rehabBudget,
+  holdingMonths,
+  purchaseClosingCostPercent,
+  monthlyHoldingCosts,
+  hardMoneyLoanToCostPercent,
+  hardMoneyRatePercent,
+  hardMoneyPoints,
+  financeRehab,
+}) {
+  const purchaseClosingCosts = purchasePrice * pct(purchaseClosingCostPercent);
+  const loanOnPurchase = purchasePrice * pct(hardMoneyLoanToCostPercent);
+  const loanOnRehab = financeRehab ? rehabBudget : 0;
+  const loanAmount = loanOnPurchase + loanOnRehab;
+
+  const points = loanAmount * pct(hardMoneyPoints);
+  // Interest-only; rehab draws are assumed to average half-drawn over the hold.
+  const interest =
+    (loanOnPurchase + loanOnRehab / 2) * pct(hardMoneyRatePercent) * (Number(holdingMonths) / 12);
+  const holdingCosts = Number(monthlyHoldingCosts) * Number(holdingMonths);
+
+  const downPayment = purchasePrice - loanOnPurchase;
+  const rehabCash = rehabBudget - loanOnRehab;
+
+  return {
+    purchaseClosingCosts,
+    holdingCosts,
+    loanAmount,
+    points,
+    interest,
+    totalCost: purchasePrice + rehabBudget + purchaseClosingCosts + points + interest + holdingCosts,
+    cashInvested: downPayment + rehabCash + purchaseClosingCosts + points + interest + holdingCosts,
+  };
+}
+
+function acquisitionSummary(acq, { purchasePrice, rehabBudget, o }) {
+  return {
+    purchasePrice,
+    rehabBudget,
+    holdingMonths: o.holdingMonths,
+    purchaseClosingCosts: Math.round(acq.purchaseClosingCosts),
+    holdingCosts: Math.round(acq.holdingCosts),
+    financing: {
+      loanAmount: Math.round(acq.loanAmount),
+      points: Math.round(acq.points),
+      interest: Math.round(acq.interest),
+      ratePercent: o.hardMoneyRatePercent,
+      loanToCostPercent: o.hardMoneyLoanToCostPercent,
+      financeRehab: o.financeRehab,
+    },
+    totalProjectCost: Math.round(acq.totalCost),
+    cashInvested: Math.round(acq.cashInvested),
+  };
+}
+
+const FLIP_ONLY = ["sellingCostPercent", "maxOfferRulePercent"];
+const BRRRR_ONLY = ["refinanceLtvPercent", "refinanceRatePercent", "refinanceLoanYears", "refinanceClosingCostPercent"];
+
+function without(o, keys) {
+  return Object.fromEntries(Object.entries(o).filter(([k]) => !keys.includes(k)));
+}
+
+function resolve(options) {
+  const o = { ...STRATEGY_DEFAULTS };
+  for (const [k, v] of Object.entries(options || {})) {
+    if (v !== undefined && v !== null) o[k] = v;
+  }
+  return o;
+}
+
+function computeFlip({ purchasePrice, arv, rehabBudget, ...options }) {
+  const P = Number(purchasePrice);
+  const ARV = Number(arv);
+  const rehab = Number(rehabBudget);
+
+  if (!Number.isFinite(P) || P <= 0) return { ok: false, error: "purchasePrice missing/invalid" };
+  if (!Number.isFinite(ARV) || ARV <= 0) return { ok: false, error: "arv missing/invalid" };
+  if (!Number.isFinite(rehab) || rehab < 0) return { ok: false, error: "rehabBudget missing/invalid" };
+
+  const o = resolve(options);
+  const acq = acquisitionPhase({ ...o, purchasePrice: P, rehabBudget: rehab });
+
+  const sellingCosts = ARV * pct(o.sellingCostPercent);
+  const loanPayoff = acq.loanAmount;
+  const netProceeds = ARV - sellingCosts - loanPayoff;
+  const profit = ARV - sellingCosts - acq.totalCost;
+
+  const roi = acq.cashInvested > 0 ? profit / acq.cashInvested : null;
+  const annualizedRoi = roi !== null && o.holdingMonths > 0 ? roi * (12 / o.holdingMonths) : null;
+
+  const maxAllowableOffer = ARV * pct(o.maxOfferRulePercent) - rehab;
+
+  return {
+    ok: true,
+    assumptions: { arv: ARV, ...without(o, BRRRR_ONLY) },
+    acquisition: acquisitionSummary(acq, { purchasePrice: P, rehabBudget: rehab, o }),
+    sale: {
+      salePrice: ARV,
+      sellingCosts: Math.round(sellingCosts),
+      loanPayoff: Math.round(loanPayoff),
+      netProceeds: Math.round(netProceeds),
+    },
+    profit: Math.round(profit),
+    metrics: {
+      roiPercent: roi !== null ? round2(roi * 100) : null,
+      annualizedRoiPercent: annualizedRoi !== null ? round2(annualizedRoi * 100) : null,
+      profitMarginPercent: round2((profit / ARV) * 100),
+      allInCostToArvPercent: round2((acq.totalCost / ARV) * 100),
+    },
+    rule: {
+      name: `${o.maxOfferRulePercent}% rule`,
+      maxAllowableOffer: Math.round(maxAllowableOffer),
+      meetsRule: P <= maxAllowableOffer,
+    },
+  };
+}
+
+function computeBrrrr({
+  purchasePrice,
+  arv,
+  rehabBudget,
+  monthlyRent,
+  vacancyPercent = 5,
+  expensePercent = 35,
+  expenses = null,
+  expenseRecords = null,
+  ...options
+}) {
+  const P = Number(purchasePrice);
+  const ARV = Number(arv);
+  const rehab = Number(rehabBudget);
+  const R = Number(monthlyRent);
+
+  if (!Number.isFinite(P) || P <= 0) return { ok: false, error: "purchasePrice missing/invalid" };
+  if (!Number.isFinite(ARV) || ARV <= 0) return { ok: false, error: "arv missing/invalid" };
+  if (!Number.isFinite(rehab) || rehab < 0) return { ok: false, error: "rehabBudget missing/invalid" };
+  if (!Number.isFinite(R) || R <= 0) return { ok: false, error: "monthlyRent missing/invalid" };
+
+  const o = resolve(options);
+  const acq = acquisitionPhase({ ...o, purchasePrice: P, rehabBudget: rehab });
+
+  const refinanceLoan = ARV * pct(o.refinanceLtvPercent);
+  const refinanceClosingCosts = refinanceLoan * pct(o.refinanceClosingCostPercent);
+  const cashOut = refinanceLoan - refinanceClosingCosts - acq.loanAmount;
+  const cashLeftInDeal = acq.cashInvested - cashOut;
+
+  // Post-refi operations: valued at ARV with the refinance loan.
+  const rental = computeInvestmentSummary({
+    purchasePrice: ARV,
+    monthlyRent: R,
+    vacancyPercent,
+    expensePercent,
+    downPaymentPercent: 100 - Number(o.refinanceLtvPercent),
+    interestRatePercent: o.refinanceRatePercent,
+    loanYears: o.refinanceLoanYears,
+    expenses,
+    expenseRecords,
+  });
+
+  const annualCashFlow = rental.ok ? rental.cashFlow.annual : null;
+  const cashOnCash =
+    annualCashFlow === null ? null : cashLeftInDeal > 0 ? round2((annualCashFlow / cashLeftInDeal) * 100) : null;
+
+  return {
+    ok: true,
+    assumptions: { arv: ARV, monthlyRent: R, vacancyPercent, expensePercent, ...without(o, FLIP_ONLY) },
+    acquisition: acquisitionSummary(acq, { purchasePrice: P, rehabBudget: rehab, o }),
+    refinance: {
+      loanAmount: Math.round(refinanceLoan),
+      ltvPercent: o.refinanceLtvPercent,
+      ratePercent: o.refinanceRatePercent,
+      loanYears: o.refinanceLoanYears,
+      closingCosts: Math.round(refinanceClosingCosts),
+      payoffOfAcquisitionLoan: Math.round(acq.loanAmount),
+      cashOut: Math.round(cashOut),
+    },
+    cashLeftInDeal: Math.round(cashLeftInDeal),
+    allCashRecovered: cashLeftInDeal <= 0,
+    equityAfterRefinance: Math.round(ARV - refinanceLoan),
+    postRefinance: rental.ok
+      ? {
+          noiAnnual: rental.noi.noiAnnual,
+          monthlyPaymentPI: rental.debt.monthlyPaymentPI,
+          cashFlowMonthly: rental.cashFlow.monthly,
+          cashFlowAnnual: rental.cashFlow.annual,
+          cashOnCashPercent: cashOnCash,
+          cashOnCashNote: cashLeftInDeal <= 0 ? "No cash left in deal (infinite return)" : null,
+        }
+      : rental,
+  };
+}
+
+// Reads strategy options from query/body params.
+function strategyOptionsFrom(src = {}) {
+  const out = {};
+  for (const k of Object.keys(STRATEGY_DEFAULTS)) {
+    if (src[k] === undefined || src[k] === "") continue;
+    if (k === "financeRehab") {
+      out[k] = !["0", "false", "no"].includes(String(src[k]).toLowerCase());
+      continue;
+    }
+    const v = toNumberLoose(src[k]);
+    if (v !== null) out[k] = v;
+  }
+  return out;
+}
+
+module.exports = { STRATEGY_DEFAULTS, computeFlip, computeBrrrr, strategyOptionsFrom };
@@ -0,0 +1,243 @@
+const { round2, toNumberLoose } = require("./util");
+
+// ==============================
+// Financing
+// ==============================
+function monthlyPayment(loanAmount, interestRatePercent, loanYears) {
+  const monthlyRate = (Number(interestRatePercent) / 100) / 12;
+  const n = Number(loanYears) * 12;
+
+  if (loanAmount > 0 && monthlyRate > 0 && n > 0) {
+    return (loanAmount * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -n));
+  }
+  if (loanAmount > 0 && n > 0) return loanAmount / n;
+  return 0;
+}
+
+// ==============================
+// Operating expenses
+// ==============================
+// Itemized lines are used when the caller or a vendor record supplies any of
+// them; the remaining lines fall back to these defaults. With nothing
+// itemized we keep the flat expensePercent of effective gross.
+const EXPENSE_DEFAULTS = {
+  propertyTaxPercentOfPrice: 1.1,
+  insurancePercentOfPrice: 0.5,
+  hoaMonthly: 0,
+  managementPercent: 8,
+  maintenancePercent: 5,
+  capexPercent: 5,
+  utilitiesMonthly: 0,
+};
+
+const EXPENSE_FIELDS = [
+  "propertyTaxAnnual",
+  "insuranceAnnual",
+  "hoaMonthly",
+  "managementPercent",
+  "maintenancePercent",
+  "capexPercent",
+  "utilitiesMonthly",
+];
+
+// Reads itemized expense inputs from query/body params (strings allowed).
+function expenseInputsFrom(src = {}) {
+  const out = {};
+  for (const k of EXPENSE_FIELDS) {
+    const v = toNumberLoose(src[k]);
+    if (v !== null && v >= 0) out[k] = v;
+  }
+  return out;
+}
+
+// records: { propertyTaxAnnual: { value, source }, hoaMonthly: { value, source } }
+function hasItemizedExpenses(inputs = {}, records = {}) {
+  return (
+    EXPENSE_FIELDS.some((k) => inputs?.[k] !== undefined && inputs?.[k] !== null) ||
+    Object.values(records || {}).some((r) => r?.value != null)
+  );
+}
+
+function itemizeExpenses({ purchasePrice, effectiveGross, inputs = {}, records = {} }) {
+  const pick = (key, defaultValue, defaultBasis) => {
+    if (inputs?.[key] !== undefined && inputs?.[key] !== null) return { value: inputs[key], source: "input" };
+    if (records?.[key]?.value != null) return { value: records[key].value, source: "record", record: records[key].source };
+    return { value: defaultValue, source: "default", basis: defaultBasis };
+  };
+
+  const tax = pick(
+    "propertyTaxAnnual",
+    purchasePrice * (EXPENSE_DEFAULTS.propertyTaxPercentOfPrice / 100),
+    `${EXPENSE_DEFAULTS.propertyTaxPercentOfPrice}% of purchase price`
+  );
+  const insurance = pick(
+    "insuranceAnnual",
+    purchasePrice * (EXPENSE_DEFAULTS.insurancePercentOfPrice / 100),
+    `${EXPENSE_DEFAULTS.insurancePercentOfPrice}% of purchase price`
+  );
+  const hoa = pick("hoaMonthly", EXPENSE_DEFAULTS.hoaMonthly);
+  const utilities = pick("utilitiesMonthly", EXPENSE_DEFAULTS.utilitiesMonthly);
+  const management = pick("managementPercent", EXPENSE_DEFAULTS.managementPercent);
+  const maintenance = pick("maintenancePercent", EXPENSE_DEFAULTS.maintenancePercent);
+  const capex = pick("capexPercent", EXPENSE_DEFAULTS.capexPercent);
+
+  const percentOfEgi = (line) => ({ ...line, basis: `${line.value}% of effective gross` });
+
+  const lines = [
+    { key: "propertyTax", label: "Property tax", annual: tax.value, ...tax },
+    { key: "insurance", label: "Insurance", annual: insurance.value, ...insurance },
+    { key: "hoa", label: "HOA", annual: hoa.value * 12, ...hoa, basis: "monthly × 12" },
+    {
+      key: "management",
+      label: "Property management",
+      annual: effectiveGross * (management.value / 100),
+      ...percentOfEgi(management),
+    },
+    {
+      key: "maintenance",
+      label: "Maintenance",
+      annual: effectiveGross * (maintenance.value / 100),
+      ...percentOfEgi(maintenance),
+    },
+    { key: "capex", label: "CapEx reserve", annual: effectiveGross * (capex.value / 100), ...percentOfEgi(capex) },
+    { key: "utilities", label: "Utilities", annual: utilities.value * 12, ...utilities, basis: "monthly × 12" },
+  ].map(({ key, label, annual, value, source, record, basis }) => ({
+    key,
+    label,
+    annual: Math.round(annual),
+    input: value,
+    basis: basis ?? null,
+    source,
+    record: record ?? null,
+  }));
+
+  return {
+    lines,
+    total: lines.reduce((sum, l) => sum + l.annual, 0),
+    percentOfEffectiveGross: management.value + maintenance.value + capex.value,
+  };
+}
+
+// Year-1 operating expenses shared by the summary and the pro forma.
+// percentOfEffectiveGross is the share of the total set as a percent of
+// effective gross, which the pro forma recomputes from each year's EGI.
+function operatingExpensesFor({ purchasePrice, effectiveGross, expensePercent, expenses, expenseRecords }) {
+  if (hasItemizedExpenses(expenses, expenseRecords)) {
+    const { lines, total, percentOfEffectiveGross } = itemizeExpenses({
+      purchasePrice,
+      effectiveGross,
+      inputs: expenses,
+      records: expenseRecords,
+    });
+    return { method: "itemized", total, lines, percentOfEffectiveGross };
+  }
+
+  return {
+    method: "percent",
+    total: effectiveGross * (Number(expensePercent) / 100),
+    percentOfEffectiveGross: Number(expensePercent),
+    lines: [
+      {
+        key: "operatingExpenses",
+        label: "Operating expenses",
+        annual: Math.round(effectiveGross * (Number(expensePercent) / 100)),
+        input: expensePercent,
+        basis: `${expensePercent}% of effective gross`,
+        source: "input",
+        record: null,
+      },
+    ],
+  };
+}
+
+// ==============================
+// Single-year investment summary
+// ==============================
+function computeInvestmentSummary({
+  purchasePrice,
+  monthlyRent,
+  vacancyPercent = 5,
+  expensePercent = 35,
+  downPaymentPercent = 20,
+  interestRatePercent = 7.5,
+  loanYears = 30,
+  expenses = null,
+  expenseRecords = null,
+}) {
+  const P = Number(purchasePrice);
+  const R = Number(monthlyRent);
+
+  if (!Number.isFinite(P) || P <= 0) return { ok: false, error: "purchasePrice missing/invalid" };
+  if (!Number.isFinite(R) || R <= 0) return { ok: false, error: "monthlyRent missing/invalid" };
+
+  const vacancy = Number(vacancyPercent) / 100;
+  const dp = Number(downPaymentPercent) / 100;
+
+  const grossAnnual = R * 12;
+  const effectiveGross = grossAnnual * (1 - vacancy);
+  const opex = operatingExpensesFor({ purchasePrice: P, effectiveGross, expensePercent, expenses, expenseRecords });
+  const operatingExpenses = opex.total;
+  const noi = effectiveGross - operatingExpenses;
+
+  const grm = P / grossAnnual;
+  const capRate = (noi / P) * 100;
+
+  const loanAmount = P * (1 - dp);
+
+  const monthlyDebt = monthlyPayment(loanAmount, interestRatePercent, loanYears);
+
+  const annualDebt = monthlyDebt * 12;
+  const cashFlowAnnual = noi - annualDebt;
+  const cashFlowMonthly = cashFlowAnnual / 12;
+
+  const cashInvested = P * dp;
+  const coc = cashInvested > 0 ? (cashFlowAnnual / cashInvested) * 100 : null;
+
+  return {
+    ok: true,
+    assumptions: {
+      vacancyPercent,
+      expensePercent,
+      downPaymentPercent,
+      interestRatePercent,
+      loanYears,
+    },
+    gross: {
+      monthlyRent: R,
+      grossAnnual,
+      effectiveGrossAnnual: Math.round(effectiveGross),
+    },
+    noi: {
+      operatingExpensesAnnual: Math.round(operatingExpenses),
+      noiAnnual: Math.round(noi),
+      expenseMethod: opex.method,
+      expenses: opex.lines,
+    },
+    metrics: {
+      grm: round2(grm),
+      capRatePercent: round2(capRate),
+      cashOnCashPercent: coc != null ? round2(coc) : null,
+      dscr: annualDebt > 0 ? round2(noi / annualDebt) : null,
+    },
+    debt: {
+      purchasePrice: P,
+      loanAmount: Math.round(loanAmount),
+      monthlyPaymentPI: Math.round(monthlyDebt),
+      annualDebtService: Math.round(annualDebt),
+    },
+    cashFlow: {
+      monthly: Math.round(cashFlowMonthly),
+      annual: Math.round(cashFlowAnnual),
+    },
+  };
+}
+
+module.exports = {
+  EXPENSE_DEFAULTS,
+  EXPENSE_FIELDS,
+  monthlyPayment,
+  expenseInputsFrom,
+  itemizeExpenses,
+  operatingExpensesFor,
+  computeInvestmentSummary,
+};
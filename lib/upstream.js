@@ -0,0 +1,309 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const { toNumberLoose } = require("./util");
+
+// ==============================
+// Upstream HTTP client
+// ==============================
+// Every provider call goes through request(): per-source rate limit and
+// usage metering on each attempt, retries on 429/5xx/network errors with
+// exponential backoff (Retry-After wins when the provider sends it), a
+// per-source circuit breaker, and the caller's deadline (see withDeadline)
+// capping both the per-attempt timeout and any backoff.
+
+const UPSTREAM_DEFAULTS = {
+  timeoutMs: toNumberLoose(process.env.UPSTREAM_TIMEOUT_MS) ?? 20000,
+  maxRetries: toNumberLoose(process.env.UPSTREAM_MAX_RETRIES) ?? 2,
+  baseDelayMs: 300,
+  maxDelayMs: 5000,
+  maxRetryAfterMs: toNumberLoose(process.env.UPSTREAM_MAX_RETRY_AFTER_MS) ?? 30000,
+  breakerFailureThreshold: toNumberLoose(process.env.BREAKER_FAILURE_THRESHOLD) ?? 5,
+  breakerCooldownMs: toNumberLoose(process.env.BREAKER_COOLDOWN_MS) ?? 30000,
+};
+
+const RETRYABLE_STATUS = [429, 500, 502, 503, 504];
+const NETWORK_CODES = ["ECONNRESET", "ECONNREFUSED", "ECONNABORTED", "ETIMEDOUT", "EAI_AGAIN", "ENOTFOUND", "ERR_NETWORK"];
+
+// ---------- deadlines ----------
+
+const deadlines = new AsyncLocalStorage();
+
+// Runs fn with a deadline `ms` from now; a nested deadline never extends an outer one.
+function withDeadline(ms, fn, now = Date.now()) {
+  const outer = deadlines.getStore()?.deadlineAt ?? Infinity;
+  const deadlineAt = ms > 0 ? Math.min(outer, now + ms) : outer;
+  return deadlines.run({ deadlineAt }, fn);
+}
+
+function remainingMs(now = Date.now()) {
+  const at = deadlines.getStore()?.deadlineAt;
+  return at === undefined || at === Infinity ? Infinity : at - now;
+}
+
+function upstreamError(message, props) {
+  return Object.assign(new Error(message), props);
+}
+
+// ---------- errors + backoff ----------
+
+function isNetworkError(e) {
+  return !e.response && (NETWORK_CODES.includes(e.code) || /timeout/i.test(e.message || ""));
+}
+
+function isRetryable(e) {
+  return RETRYABLE_STATUS.includes(e.response?.status) || isNetworkError(e);
+}
+
+// Breaker failures are the provider being down, not us being throttled or asking for something missing.
+function isBreakerFailure(e) {
+  return (e.response?.status >= 500 && e.response?.status !== 501) || isNetworkError(e);
+}
+
+// Retry-After is delta-seconds or an HTTP date.
+function retryAfterMs(e, now = Date.now()) {
+  const header = e.response?.headers?.["retry-after"];
+  if (header === undefined || header === null || header === "") return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(header);
+  return Number.isFinite(at) ? Math.max(0, at - now) : null;
+}
+
+function backoffMs(attempt, o, random) {
+  const exp = Math.min(o.maxDelayMs, o.baseDelayMs * 2 ** attempt);
+  return Math.round(exp / 2 + random() * (exp / 2));
+}
+
+// ---------- circuit breaker ----------
+
+// closed -> open after `threshold` consecutive failures; open -> half_open
+// after `cooldownMs`, when one trial call is let through.
+function createBreaker({ threshold, cooldownMs }) {
+  let state = "closed";
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+
+  return {
+    // Returns false when the call must be rejected without trying.
+    allow(now) {
+      if (state === "open" && now - openedAt >= cooldownMs) state = "half_open";
+      if (state === "open") return false;
+      if (state === "half_open") {
+        if (trialInFlight) return false;
+        trialInFlight = true;
+      }
+      return true;
+    },
+    success() {
+      state = "closed";
+      failures = 0;
+      openedAt = null;
+      trialInFlight = false;
+    },
+    failure(now) {
+      trialInFlight = false;
+      failures++;
+      if (state === "half_open" || failures >= threshold) {
+        state = "open";
+        openedAt = now;
+      }
+    },
+    // A non-failure outcome (e.g. a 404) still ends a half-open trial.
+    neutral() {
+      if (state === "half_open") this.success();
+    },
+    // The call was allowed but never sent: hand the half-open trial back.
+    release() {
+      trialInFlight = false;
+    },
+    status(now) {
+      return {
+        state: state === "open" && now - openedAt >= cooldownMs ? "half_open" : state,
+        consecutiveFailures: failures,
+        openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+        retryAt: state === "open" ? new Date(openedAt + cooldownMs).toISOString() : null,
+      };
+    },
+  };
+}
+
+// ---------- client ----------
+
+// http(config) performs one axios-style request; limit(source, fn) applies the
+// rate limit; meter(source, endpoint) books the call and may throw to refuse it
+// (e.g. a used-up quota), in which case nothing is sent and the error is
+// rethrown as is. observe(event) sees every attempt ({ source, endpoint,
+// attempt, outcome, status, ms, retrying }; outcome is ok, http_error,
+// network_error, circuit_open, deadline or refused) for logs and metrics.
+// requestId() is sent to the provider as X-Request-Id when set.
+function createUpstreamClient({
+  http,
+  limit = (source, fn) => fn(),
+  meter = () => {},
+  observe = () => {},
+  requestId = () => null,
+  options = {},
+  clock = { now: () => Date.now(), sleep: (ms) => new Promise((r) => setTimeout(r, ms)) },
+  random = Math.random,
+}) {
+  const o = { ...UPSTREAM_DEFAULTS, ...options };
+  const breakers = new Map();
+
+  function breakerFor(source) {
+    if (!breakers.has(source)) {
+      breakers.set(source, createBreaker({ threshold: o.breakerFailureThreshold, cooldownMs: o.breakerCooldownMs }));
+    }
+    return breakers.get(source);
+  }
+
+  async function request(source, endpoint, config) {
+    const breaker = breakerFor(source);
+    const attempts = [];
+    const deadlineExceeded = () =>
+      upstreamError(`${source} ${endpoint}: request deadline exceeded`, {
+        code: "DEADLINE_EXCEEDED",
+        source,
+        endpoint,
+        attempts,
+      });
+
+    for (let attempt = 0; ; attempt++) {
+      if (remainingMs(clock.now()) <= 0) {
+        observe({ source, endpoint, attempt, outcome: "deadline", status: null, ms: 0, retrying: false });
+        throw deadlineExceeded();
+      }
+      if (!breaker.allow(clock.now())) {
+        observe({ source, endpoint, attempt, outcome: "circuit_open", status: null, ms: 0, retrying: false });
+        throw upstreamError(`${source} circuit is open; not calling ${endpoint}`, {
+          code: "CIRCUIT_OPEN",
+          source,
+          endpoint,
+          attempts,
+        });
+      }
+
+      const id = requestId();
+      const headers = id ? { ...config.headers, "X-Request-Id": id } : config.headers;
+      let started = clock.now();
+      let refused = null;
+      try {
+        const response = await limit(source, () => {
+          started = clock.now();
+          // Time spent queued behind the rate limiter counts against the deadline.
+          const left = remainingMs(started);
+          if (left <= 0) {
+            refused = "deadline";
+            throw deadlineExceeded();
+          }
+          try {
+            meter(source, endpoint);
+          } catch (e) {
+            refused = "refused";
+            throw e;
+          }
+          const timeout = Math.max(1, Math.min(config.timeout ?? o.timeoutMs, left));
+          return http({ method: "get", ...config, headers, timeout });
+        });
+        breaker.success();
+        observe({
+          source,
+          endpoint,
+          attempt,
+          outcome: "ok",
+          status: response.status ?? null,
+          ms: clock.now() - started,
+          retrying: false,
+        });
+        return response;
+      } catch (e) {
+        if (refused) {
+          breaker.release();
+          observe({ source, endpoint, attempt, outcome: refused, status: null, ms: 0, retrying: false, error: e });
+          throw e;
+        }
+        const ms = clock.now() - started;
+        attempts.push({ status: e.response?.status ?? null, error: e.code || e.message, ms });
+        if (isBreakerFailure(e)) breaker.failure(clock.now());
+        else breaker.neutral();
+
+        const retryAfter = retryAfterMs(e, clock.now());
+        const wait = retryAfter ?? backoffMs(attempt, o, random);
+        const canRetry =
+          attempt < o.maxRetries &&
+          isRetryable(e) &&
+          breaker.status(clock.now()).state === "closed" &&
+          (retryAfter === null || retryAfter <= o.maxRetryAfterMs) &&
+          wait < remainingMs(clock.now());
+
+        observe({
+          source,
+          endpoint,
+          attempt,
+          outcome: e.response ? "http_error" : "network_error",
+          status: e.response?.status ?? null,
+          ms,
+          retrying: canRetry,
+          error: e,
+        });
+        if (!canRetry) {
+          e.upstream = { source, endpoint, attempts };
+          throw e;
+        }
+        await clock.sleep(wait);
+      }
+    }
+  }
+
+  function status() {
+    const now = clock.now();
+    return Object.fromEntries([...breakers].map(([source, b]) => [source, b.status(now)]));
+  }
+
+  return { request, status, options: o };
+}
+
+// ---------- per-step timings ----------
+
+// run(name, fn) never throws: it resolves to { ok, value, error } and records
+// the step's start offset, duration and outcome for the response.
+function createStepTimer(now = () => Date.now()) {
+  const t0 = now();
+  const steps = [];
+
+  async function run(name, fn) {
+    const step = { name, status: "running", startMs: now() - t0, ms: null, cached: false, error: null };
+    steps.push(step);
+    try {
+      const value = await fn();
+      step.status = value === null || value === undefined || value?.value === null ? "empty" : "ok";
+      step.cached = Boolean(value?.cached);
+      return { ok: true, value };
+    } catch (e) {
+      step.status = e.code === "CIRCUIT_OPEN" ? "circuit_open" : e.code === "DEADLINE_EXCEEDED" ? "deadline" : "error";
+      step.error = e.response?.status ? `HTTP ${e.response.status}` : e.message;
+      return { ok: false, error: e };
+    } finally {
+      step.ms = now() - t0 - step.startMs;
+    }
+  }
+
+  function skip(name, reason) {
+    steps.push({ name, status: "skipped", startMs: now() - t0, ms: 0, cached: false, error: reason });
+  }
+
+  function report() {
+    return { totalMs: now() - t0, steps };
+  }
+
+  return { run, skip, report };
+}
+
+module.exports = {
+  UPSTREAM_DEFAULTS,
+  withDeadline,
+  remainingMs,
+  retryAfterMs,
+  createBreaker,
+  createUpstreamClient,
+  createStepTimer,
+};
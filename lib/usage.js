@@ -0,0 +1,111 @@
+const path = require("path");
+const { AsyncLocalStorage } = require("async_hooks");
+const { createJsonStore } = require("./jsonStore");
+
+// ==============================
+// Usage ledger
+// ==============================
+// Each request runs inside an AsyncLocalStorage context carrying the API key,
+// so upstream fetchers can attribute the calls they make (including those of
+// async batch jobs started by the request). Watch samples run under the key
+// that owns the watch; other work outside any request is booked to "system".
+//
+// Ledger: usage[keyId][YYYY-MM-DD] = { requests, errors, upstream: { source: { endpoint: n } } }
+
+const USAGE_FILE = process.env.USAGE_FILE || path.join(process.cwd(), "data", "usage.json");
+const SYSTEM_KEY_ID = "system";
+
+const context = new AsyncLocalStorage();
+const store = createJsonStore(USAGE_FILE, { empty: () => ({ version: 1, usage: {} }), label: "Usage" });
+
+function ledger() {
+  const data = store.load();
+  if (!data.usage || typeof data.usage !== "object") data.usage = {};
+  return data.usage;
+}
+
+function dayOf(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function bucket(keyId, day) {
+  const byDay = (ledger()[keyId] ||= {});
+  return (byDay[day] ||= { requests: 0, errors: 0, upstream: {} });
+}
+
+function runWithUsage(ctx, fn) {
+  return context.run({ ...ctx }, fn);
+}
+
+function currentUsage() {
+  return context.getStore() || null;
+}
+
+// Called by fetchers right before a billable upstream request (not on cache hits).
+function meter(source, endpoint) {
+  const ctx = currentUsage();
+  const keyId = ctx?.keyId || SYSTEM_KEY_ID;
+  const b = bucket(keyId, dayOf());
+  const bySource = (b.upstream[source] ||= {});
+  bySource[endpoint] = (bySource[endpoint] || 0) + 1;
+  store.changed();
+}
+
+function recordRequest(keyId, { error = false } = {}) {
+  const b = bucket(keyId, dayOf());
+  b.requests++;
+  if (error) b.errors++;
+  store.changed();
+}
+
+function upstreamTotal(b) {
+  return Object.values(b.upstream).reduce((sum, eps) => sum + Object.values(eps).reduce((a, n) => a + n, 0), 0);
+}
+
+// Counters the quota checks need.
+function countsFor(keyId, now = Date.now()) {
+  const byDay = ledger()[keyId] || {};
+  const today = dayOf(now);
+  const month = today.slice(0, 7);
+
+  let upstreamCallsThisMonth = 0;
+  for (const [day, b] of Object.entries(byDay)) {
+    if (day.startsWith(month)) upstreamCallsThisMonth += upstreamTotal(b);
+  }
+
+  return { requestsToday: byDay[today]?.requests || 0, upstreamCallsThisMonth };
+}
+
+function addUpstream(into, upstream) {
+  for (const [source, eps] of Object.entries(upstream)) {
+    const target = (into[source] ||= {});
+    for (const [ep, n] of Object.entries(eps)) target[ep] = (target[ep] || 0) + n;
+  }
+}
+
+// Report for one key (or all when keyId is omitted) over [from, to] (YYYY-MM-DD, inclusive).
+function usageReport({ keyId, from, to } = {}) {
+  const all = ledger();
+  const keyIds = keyId ? [keyId] : Object.keys(all);
+
+  const byKey = keyIds.map((id) => {
+    const days = Object.entries(all[id] || {})
+      .filter(([day]) => (!from || day >= from) && (!to || day <= to))
+      .sort(([a], [b]) => (a < b ? -1 : 1))
+      .map(([day, b]) => ({ day, requests: b.requests, errors: b.errors, upstreamCalls: upstreamTotal(b), upstream: b.upstream }));
+
+    const totals = { requests: 0, errors: 0, upstreamCalls: 0, upstream: {} };
+    for (const d of days) {
+      totals.requests += d.requests;
+      totals.errors += d.errors;
+      totals.upstreamCalls += d.upstreamCalls;
+      addUpstream(totals.upstream, d.upstream);
+    }
+
+    return { keyId: id, totals, days };
+  });
+
+  return { from: from || null, to: to || null, keys: byKey };
+}
+
+module.exports = { SYSTEM_KEY_ID, runWithUsage, currentUsage, meter, recordRequest, countsFor, usageReport, dayOf };
@@ -0,0 +1,51 @@
+// ==============================
+// Shared helpers
+// ==============================
+function pickFirst(obj, keys) {
+  for (const k of keys) {
+    const v = obj?.[k];
+    if (v !== undefined && v !== null && v !== "") return v;
+  }
+  return null;
+}
+
+function toNumberLoose(v) {
+  if (v === undefined || v === null) return null;
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  if (typeof v === "string") {
+    const cleaned = v.replace(/[^0-9.\-]/g, "");
+    if (!cleaned) return null;
+    const n = Number(cleaned);
+    return Number.isFinite(n) ? n : null;
+  }
+  return null;
+}
+
+function round2(n) {
+  if (!Number.isFinite(n)) return null;
+  return Math.round(n * 100) / 100;
+}
+
+// Linear-interpolated quantile of an ascending array (q in 0..1).
+function quantile(sorted, q) {
+  if (!sorted.length) return null;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// Median of an unsorted array of numbers; null when empty.
+function median(values) {
+  return quantile([...values].sort((a, b) => a - b), 0.5);
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function monthsSince(date, asOf = new Date()) {
+  const t = Date.parse(date);
+  if (!Number.isFinite(t)) return null;
+  return Math.max(0, (asOf.getTime() - t) / DAY_MS / 30.4375);
+}
+
+module.exports = { pickFirst, toNumberLoose, round2, quantile, median, monthsSince };
@@ -0,0 +1,101 @@
+const defaultHistory = require("./history");
+const { logger } = require("./logger");
+
+// ==============================
+// Watchlist scheduler (in-process)
+// ==============================
+// Polls for due watches and samples them one at a time. The clock, the
+// sampler and the notifier are injected so the loop can be driven with a fake
+// clock and stubbed upstreams.
+
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (t) => clearTimeout(t),
+};
+
+const DEFAULT_POLL_MS = 60 * 1000;
+
+// sample(watch) resolves to the metrics to record; notify(payload) delivers alerts.
+function createWatcher({ sample, notify = null, history = defaultHistory, clock = systemClock, pollMs = DEFAULT_POLL_MS }) {
+  let timer = null;
+  let stopped = true;
+  let inFlight = null;
+
+  async function deliver(watch, alerts) {
+    if (!notify) return { delivered: false, reason: "no webhook configured" };
+    try {
+      await notify({ type: "history.alert", watchId: watch.id, address: watch.address, alerts });
+      return { delivered: true };
+    } catch (e) {
+      logger.warn("Watch webhook failed", { watchId: watch.id, err: e });
+      return { delivered: false, error: e.message };
+    }
+  }
+
+  async function runWatch(watch) {
+    const now = clock.now();
+
+    let metrics;
+    try {
+      metrics = await sample(watch);
+    } catch (e) {
+      history.markRun(watch, { error: e.message }, now);
+      return { id: watch.id, address: watch.address, ok: false, error: e.message };
+    }
+
+    const point = { at: new Date(now).toISOString(), ...metrics };
+    const previous = history.getSeries(watch.address).at(-1) || null;
+    history.recordSample(watch.address, point);
+    history.markRun(watch, {}, now);
+
+    const alerts = history.alertsFor(previous, point, watch.thresholds);
+    const webhook = alerts.length ? await deliver(watch, alerts) : null;
+
+    return { id: watch.id, address: watch.address, ok: true, sample: point, alerts, webhook };
+  }
+
+  // Runs every due watch once; overlapping calls share the same pass.
+  function runDue() {
+    if (inFlight) return inFlight;
+
+    inFlight = (async () => {
+      const results = [];
+      for (const watch of history.dueWatches(clock.now())) results.push(await runWatch(watch));
+      return results;
+    })().finally(() => {
+      inFlight = null;
+    });
+
+    return inFlight;
+  }
+
+  function schedule(ms) {
+    if (stopped) return;
+    timer = clock.setTimeout(async () => {
+      try {
+        await runDue();
+      } catch (e) {
+        logger.warn("Watch scheduler pass failed", { err: e });
+      }
+      schedule(pollMs);
+    }, ms);
+    timer?.unref?.();
+  }
+
+  function start() {
+    if (!stopped) return;
+    stopped = false;
+    schedule(0);
+  }
+
+  function stop() {
+    stopped = true;
+    if (timer) clock.clearTimeout(timer);
+    timer = null;
+  }
+
+  return { start, stop, runDue, runWatch, isRunning: () => !stopped };
+}
+
+module.exports = { createWatcher, systemClock };
@@ -0,0 +1,24 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseAddress, parseStreetLine } = require("../lib/address");
+
+const parts = (p) => [p.number, p.preDirectional, p.streetName, p.suffix, p.postDirectional];
+
+test("a leading directional is a prefix when a street name follows it", () => {
+  assert.deepEqual(parts(parseStreetLine("N Park Ave")), [null, "N", "Park", "AVE", null]);
+  assert.deepEqual(parts(parseStreetLine("123 North Main Street")), ["123", "N", "Main", "ST", null]);
+  assert.deepEqual(parts(parseStreetLine("123 North St")), ["123", null, "North", "ST", null]);
+  assert.deepEqual(parts(parseStreetLine("123 E St")), ["123", null, "E", "ST", null]);
+});
+
+test("comma-less addresses split at a known city, else after the suffix", () => {
+  const known = parseAddress("123 Main St Fort Worth TX 76102");
+  assert.equal(known.addressLine1, "123 Main St");
+  assert.equal(known.city, "Fort Worth");
+
+  const unknown = parseAddress("123 N Park Ave Apt 4 Zzyzxville TX 75201");
+  assert.equal(unknown.addressLine1, "123 N Park Ave Apt 4");
+  assert.equal(unknown.preDirectional, "N");
+  assert.equal(unknown.city, "Zzyzxville");
+  assert.equal(unknown.formatted, "123 N Park Ave Apt 4, Zzyzxville, TX 75201");
+});
@@ -0,0 +1,73 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { valueFromComps } = require("../lib/arv");
+
+const subject = { sqft: 1000, beds: 3, baths: 2 };
+
+// Same size, rooms and spot as the subject, no sale date: every factor but
+// recency (0.5 when unknown) is 1, so the used comps weigh the same.
+const twin = (ppsf) => ({ address: `$${ppsf}/sqft`, price: ppsf * 1000, sqft: 1000, beds: 3, baths: 2, distanceMiles: 0 });
+const comps = [twin(95), twin(100), twin(105), twin(110), twin(300)];
+
+test("IQR trimming drops the $/sqft outlier and the rest are weighted equally", () => {
+  const result = valueFromComps({ subject, comps });
+  assert.equal(result.ok, true);
+
+  // Q1 = 100, Q3 = 110, fences 85..125: only $300/sqft falls outside.
+  const outlier = result.adjustmentGrid.at(-1);
+  assert.equal(outlier.excluded, true);
+  assert.equal(outlier.excludeReason, "$/sqft outlier (iqr)");
+  assert.equal(outlier.weight, 0);
+  assert.deepEqual(result.adjustmentGrid.slice(0, 4).map((g) => g.weight), [0.25, 0.25, 0.25, 0.25]);
+  assert.equal(result.compsUsed, 4);
+  assert.equal(result.compsExcluded, 1);
+
+  // Mean of 95k..110k; sd = sqrt((7500² + 2500² + 2500² + 7500²) / 4) = 5590.17.
+  assert.equal(result.value, 102500);
+  assert.deepEqual(result.range, { low: 96910, mid: 102500, high: 108090 });
+  assert.equal(result.pricePerSqft, 102.5);
+
+  // cv 0.0545 → dispersion 1 - 0.0545 / 0.25 = 0.782; depth 4 / 5 → score 63.
+  assert.deepEqual(result.confidence, { score: 63, label: "medium", coefficientOfVariation: 0.05 });
+});
+
+test("MAD trimming catches the same outlier; trim=none keeps it", () => {
+  // Median 105, MAD 5: |0.6745 × 195 / 5| = 26.3 > 3.5.
+  const mad = valueFromComps({ subject, comps, options: { trim: "mad" } });
+  assert.deepEqual(mad.adjustmentGrid.map((g) => g.excluded), [false, false, false, false, true]);
+  assert.equal(mad.value, 102500);
+
+  const none = valueFromComps({ subject, comps, options: { trim: "none" } });
+  assert.equal(none.compsUsed, 5);
+  assert.equal(none.value, 142000);
+});
+
+test("the adjustment grid moves a comp toward the subject", () => {
+  const asOf = new Date("2026-01-01T00:00:00Z");
+  const soldDate = new Date(asOf.getTime() - 365.25 * 24 * 60 * 60 * 1000).toISOString();
+  const comp = { price: 160000, sqft: 800, beds: 2, baths: 1, soldDate, distanceMiles: 1 };
+
+  const [row] = valueFromComps({ subject, comps: [comp], asOf }).adjustmentGrid;
+  // 12 months at 4%/yr: +6,400. Size at the time-adjusted $208/sqft: 1000 × 208 − 166,400.
+  // One bed short (+7,500) and one bath short (+5,000).
+  assert.deepEqual(row.adjustments, { time: 6400, size: 41600, beds: 7500, baths: 5000, net: 60500 });
+  assert.equal(row.indicatedValue, 220500);
+  assert.equal(row.monthsSinceSale, 12);
+  // e^-1 for a mile and a year; size 20% off: e^-0.8; rooms 1 + 0.5 off: 1 / 2.5.
+  assert.deepEqual(row.factors, { distance: 0.37, recency: 0.37, size: 0.45, rooms: 0.4 });
+});
+
+test("closer comps weigh more", () => {
+  const near = { ...twin(100), distanceMiles: 0 };
+  const far = { ...twin(120), distanceMiles: 1 };
+  const result = valueFromComps({ subject, comps: [near, far] });
+
+  // Weights 1 : e^-1 → 0.7311 / 0.2689; the far comp adds 20,000 × e^-1 / (1 + e^-1) = 5,379.
+  assert.deepEqual(result.adjustmentGrid.map((g) => g.weight), [0.7311, 0.2689]);
+  assert.equal(result.value, 105379);
+});
+
+test("no subject size or no usable comps is not a value", () => {
+  assert.equal(valueFromComps({ subject: {}, comps }).reason, "subjectSqft missing");
+  assert.equal(valueFromComps({ subject, comps: [{ price: 0, sqft: 1000 }] }).reason, "no valid sale comps");
+});
@@ -0,0 +1,122 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rentcast-backend-cache-"));
+const CACHE_FILE = path.join(dir, "upstream-cache.json");
+Object.assign(process.env, { CACHE_FILE, CACHE_MAX_ENTRIES: "4", LOG_LEVEL: "silent" });
+delete process.env.CACHE_DISABLED;
+const cache = require("../lib/cache");
+
+const iso = (ms) => new Date(Date.now() + ms).toISOString();
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Written before the first lookup loads the file.
+fs.writeFileSync(
+  CACHE_FILE,
+  JSON.stringify({
+    version: 1,
+    entries: [
+      { source: "realie", key: "expired", fetchedAt: iso(-3 * DAY_MS), expiresAt: iso(-1000), value: 1 },
+      ...[5, 4, 3, 2, 1].map((n) => ({
+        source: "realie",
+        key: `fresh ${n}`,
+        fetchedAt: iso(-n * 1000),
+        expiresAt: iso(DAY_MS),
+        value: n,
+      })),
+    ],
+  })
+);
+
+function savedKeys() {
+  cache.flushNow();
+  return JSON.parse(fs.readFileSync(CACHE_FILE, "utf8")).entries.map((e) => e.key);
+}
+
+after(() => {
+  cache.flushNow();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("loading drops expired entries and the oldest fetches past the cap", () => {
+  assert.deepEqual(cache.list().map((e) => e.key), ["fresh 4", "fresh 3", "fresh 2", "fresh 1"]);
+  assert.deepEqual(savedKeys(), ["fresh 4", "fresh 3", "fresh 2", "fresh 1"]);
+});
+
+test("new entries evict the oldest fetch, and expired ones are not written back", async () => {
+  process.env.CACHE_TTL_CENSUS = "0";
+  await cache.getOrFetch("census", "expires at once", async () => ({ rows: 1 }));
+  delete process.env.CACHE_TTL_CENSUS;
+  assert.deepEqual(savedKeys(), ["fresh 4", "fresh 3", "fresh 2", "fresh 1"]);
+
+  // A refetch moves the entry to the back of the eviction order.
+  await cache.getOrFetch("realie", "fresh 0", async () => 0);
+  await cache.withMaxAge(0, () => cache.getOrFetch("realie", "fresh 3", async () => 3));
+  assert.deepEqual(savedKeys(), ["fresh 2", "fresh 1", "fresh 0", "fresh 3"]);
+  assert.equal(cache.stats().maxEntries, 4);
+});
+
+test("list and purge match whole addresses, not substrings", async () => {
+  await cache.getOrFetch("rentcast", "1 Main St, Dallas, TX 75201", async () => ({ id: 1 }), {
+    address: "1 Main St, Dallas, TX 75201",
+  });
+  await cache.getOrFetch("realie", "TX|11 Main St|Austin", async () => ({ id: 2 }), { address: "11 Main St" });
+
+  assert.equal(cache.list({ address: "1 Main" }).length, 0);
+  assert.equal(cache.list({ address: "TX" }).length, 0);
+  assert.equal(cache.purge({ address: "Main St" }), 0);
+  assert.equal(cache.purge({ address: "11 main st" }), 1);
+  assert.equal(cache.purge({ address: "1 Main St,  Dallas, TX 75201" }), 1);
+});
+
+test("entries are tagged with one canonical address whatever form the fetcher was given", async () => {
+  await cache.getOrFetch("rentcast", "200 Elm St Apt 2, Dallas, TX 75201", async () => ({ id: 1 }), {
+    address: "200 Elm St Apt 2, Dallas, TX 75201",
+  });
+  await cache.getOrFetch("census_geocoder", "200 elm st, dallas, tx 75201", async () => ({ id: 2 }), {
+    address: "200 Elm St, Dallas, TX 75201",
+  });
+  await cache.getOrFetch("realie", "TX|200 Elm St|Dallas", async () => ({ id: 3 }), {
+    address: "200 Elm Street Dallas Texas 75201",
+  });
+
+  const entries = cache.list({ address: "200 ELM STREET, DALLAS, TX 75201" });
+  assert.deepEqual(entries.map((e) => e.source).sort(), ["census_geocoder", "realie", "rentcast"]);
+  assert.ok(entries.every((e) => e.address === "200 elm st, dallas, tx 75201"));
+  assert.equal(cache.purge({ address: "200 Elm St #2, Dallas, TX 75201" }), 3);
+});
+
+function counter(value) {
+  const fetcher = async () => {
+    fetcher.calls++;
+    return value;
+  };
+  fetcher.calls = 0;
+  return fetcher;
+}
+
+test("withMaxAge refetches entries older than the limit, for the listed sources only", async () => {
+  const rent = counter({ rent: 1850 });
+  const geo = counter({ lat: 32.7 });
+  await cache.getOrFetch("rentcast_rent", "1 Elm St", rent);
+  await cache.getOrFetch("nominatim", "1 Elm St", geo);
+
+  const reused = await cache.withMaxAge(3600, () => cache.getOrFetch("rentcast_rent", "1 Elm St", rent));
+  assert.equal(reused.cached, true);
+  assert.equal(rent.calls, 1);
+
+  await cache.withMaxAge(0, async () => {
+    const fresh = await cache.getOrFetch("rentcast_rent", "1 Elm St", rent);
+    const geocoded = await cache.getOrFetch("nominatim", "1 Elm St", geo);
+    assert.equal(fresh.cached, false);
+    assert.equal(geocoded.cached, true);
+  }, ["rentcast_rent"]);
+  assert.equal(rent.calls, 2);
+  assert.equal(geo.calls, 1);
+
+  // Outside withMaxAge the normal TTL applies again.
+  assert.equal((await cache.getOrFetch("rentcast_rent", "1 Elm St", rent)).cached, true);
+});
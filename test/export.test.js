@@ -0,0 +1,38 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const ExcelJS = require("exceljs");
+const { parseCsv } = require("../lib/csv");
+const { resolveColumns, rowsToCsv, rowsToXlsx } = require("../lib/export");
+
+const { columns } = resolveColumns(["address", "rentEstimateMonthly", "cashFlowMonthly", "warnings"]);
+
+const rows = [
+  {
+    address: '=HYPERLINK("http://evil.example","click")',
+    ok: true,
+    warnings: ["-2+3", "@SUM(A1)"],
+    panel: { subject: { rentEstimateMonthly: 1850 }, investment: { cashFlow: { monthly: -120 } } },
+  },
+  { address: "+1 Main St", ok: true, warnings: ["\tTabbed"], panel: { subject: {}, investment: {} } },
+];
+
+test("CSV and XLSX share the column headers; formula-like text stays inert without altering XLSX values", async () => {
+  const csv = parseCsv(rowsToCsv(rows, columns));
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await rowsToXlsx(rows, columns));
+  const sheet = workbook.worksheets[0];
+  const xlsx = [1, 2, 3].map((n) => sheet.getRow(n).values.slice(1));
+
+  const headers = columns.map((c) => c.header);
+  assert.deepEqual(csv[0], headers);
+  assert.deepEqual(xlsx[0], headers);
+
+  assert.deepEqual(csv[1], [`'${rows[0].address}`, "1850", "-120", "'-2+3; @SUM(A1)"]);
+  assert.equal(csv[2][0], "'+1 Main St");
+
+  // XLSX strings are text cells, never formulas, so they are written unchanged.
+  assert.deepEqual(xlsx[1], [rows[0].address, 1850, -120, "-2+3; @SUM(A1)"]);
+  assert.equal(xlsx[2][3], "\tTabbed");
+  assert.equal(sheet.getRow(2).getCell(1).type, ExcelJS.ValueType.String);
+});
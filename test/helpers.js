@@ -0,0 +1,62 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// ==============================
+// Integration test harness
+// ==============================
+// Boots the app on an ephemeral port with the fixture providers, auth off and
+// every JSON store in a fresh temp dir. Env is read when app.js loads, so this
+// must run before anything requires it (node --test runs each file in its own
+// process).
+
+async function startApp(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rentcast-backend-test-"));
+  Object.assign(process.env, {
+    PROVIDERS: "mock",
+    AUTH_DISABLED: "1",
+    WATCH_SCHEDULER_DISABLED: "1",
+    LOG_LEVEL: "silent",
+    CACHE_FILE: path.join(dir, "upstream-cache.json"),
+    USAGE_FILE: path.join(dir, "usage.json"),
+    PROPERTIES_FILE: path.join(dir, "properties.json"),
+    HISTORY_FILE: path.join(dir, "history.json"),
+    API_KEYS_FILE: path.join(dir, "api-keys.json"),
+    ...env,
+  });
+
+  const { app } = require("../app");
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // JSON responses are parsed; anything else (e.g. /metrics) comes back as text.
+  async function bodyOf(res) {
+    return (res.headers.get("content-type") || "").includes("json") ? res.json() : res.text();
+  }
+
+  async function get(urlPath, headers = {}) {
+    const res = await fetch(`${base}${urlPath}`, { headers });
+    return { status: res.status, headers: res.headers, body: await bodyOf(res) };
+  }
+
+  // `body` is sent as JSON unless it is already a string.
+  async function post(urlPath, body, headers = { "Content-Type": "application/json" }) {
+    const res = await fetch(`${base}${urlPath}`, {
+      method: "POST",
+      headers,
+      body: typeof body === "string" ? body : JSON.stringify(body),
+    });
+    return { status: res.status, headers: res.headers, body: await bodyOf(res) };
+  }
+
+  async function close() {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  return { base, get, post, close };
+}
+
+module.exports = { startApp };
@@ -0,0 +1,71 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers");
+
+const rentalsPath = (address, extra = "") => `/api/nearby-rentals?address=${encodeURIComponent(address)}${extra}`;
+
+let api;
+
+before(async () => {
+  api = await startApp();
+});
+
+after(async () => {
+  await api.close();
+});
+
+test("nearby-rentals requires an address", async () => {
+  const { status, body } = await api.get("/api/nearby-rentals");
+  assert.equal(status, 400);
+  assert.equal(body.ok, false);
+});
+
+test("nearby-rentals scores comps against the subject, best first", async () => {
+  const { status, body } = await api.get(rentalsPath("123 Main St, Dallas, TX 75201"));
+  assert.equal(status, 200);
+  assert.equal(body.ok, true);
+  assert.equal(body.count, 4);
+
+  assert.deepEqual(body.subject, { beds: 3, baths: 2, sqft: 1500, type: "Single Family" });
+  assert.deepEqual(body.rentcastEstimate, { rent: 1850, rangeLow: 1700, rangeHigh: 2000 });
+  assert.equal(body.derivedEstimate.ok, true);
+  assert.equal(body.derivedEstimate.compsUsed, 4);
+
+  const scores = body.comps.map((c) => c.score);
+  assert.deepEqual(scores, [...scores].sort((a, b) => b - a));
+  assert.equal(body.comps[0].address, "131 Main St, Dallas, TX 75201");
+  assert.equal(body.comps[0].listedRent, 1825);
+});
+
+test("nearby-rentals applies filters and reports exclusions", async () => {
+  const { body } = await api.get(rentalsPath("123 Main St, Dallas, TX 75201", "&minBeds=3&maxAgeDays=90"));
+  assert.equal(body.count, 2);
+  assert.equal(body.excluded.beds, 1);
+  assert.equal(body.excluded.stale, 1);
+  assert.ok(body.comps.every((c) => c.beds >= 3));
+});
+
+for (const [status, address] of [
+  [400, "400 Bad Request Rd, Dallas, TX 75201"],
+  [404, "404 Missing Ln, Dallas, TX 75201"],
+  [422, "422 Rural Route, Dallas, TX 75201"],
+]) {
+  test(`nearby-rentals returns an empty comp set when RentCast answers ${status}`, async () => {
+    const res = await api.get(rentalsPath(address));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.ok, true);
+    assert.equal(res.body.count, 0);
+    assert.deepEqual(res.body.comps, []);
+    assert.equal(res.body.note, "No comps found");
+    assert.equal(res.body.rentcastStatus, status);
+    assert.equal(res.body.derivedEstimate.ok, false);
+  });
+}
+
+test("nearby-rentals maps other upstream errors without leaking the provider body", async () => {
+  const { status, body } = await api.get(rentalsPath("500 Outage Blvd, Dallas, TX 75201"));
+  assert.equal(status, 502);
+  assert.equal(body.ok, false);
+  assert.equal(body.code, "UPSTREAM_ERROR");
+  assert.deepEqual(body.details, { provider: "rentcast", upstreamStatus: 500 });
+});
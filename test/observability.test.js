@@ -0,0 +1,82 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers");
+const { createLogger, withRequestContext } = require("../lib/logger");
+
+const ADDRESS = "123 Main St, Dallas, TX 75201";
+const METRICS_TOKEN = "scrape-secret";
+
+let api;
+
+before(async () => {
+  api = await startApp({ METRICS_TOKEN });
+});
+
+after(async () => {
+  await api.close();
+});
+
+const scrape = () => api.get("/metrics", { Authorization: `Bearer ${METRICS_TOKEN}` });
+
+test("every response carries a request ID, keeping the caller's when valid", async () => {
+  const own = await api.get("/ping", { "X-Request-Id": "trace-42" });
+  assert.equal(own.headers.get("x-request-id"), "trace-42");
+
+  const generated = await api.get("/ping");
+  assert.match(generated.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+
+  const rejected = await api.get("/ping", { "X-Request-Id": "not ok\tid" });
+  assert.notEqual(rejected.headers.get("x-request-id"), "not ok\tid");
+});
+
+test("log lines written inside a request context carry its ID", () => {
+  const lines = [];
+  const log = createLogger({ level: "info", write: (level, line) => lines.push(JSON.parse(line)) });
+
+  withRequestContext({ requestId: "req-1" }, () => log.warn("lookup failed", { source: "census", err: new Error("boom") }));
+  log.debug("dropped below the level");
+
+  assert.equal(lines.length, 1);
+  assert.equal(lines[0].level, "warn");
+  assert.equal(lines[0].requestId, "req-1");
+  assert.equal(lines[0].source, "census");
+  assert.equal(lines[0].err.message, "boom");
+});
+
+test("/metrics needs the token when METRICS_TOKEN is set", async () => {
+  const { status, body } = await api.get("/metrics");
+  assert.equal(status, 401);
+  assert.equal(body.code, "UNAUTHORIZED");
+});
+
+test("/metrics exposes request, upstream and quota series", async () => {
+  await api.get(`/api/property?address=${encodeURIComponent(ADDRESS)}`);
+  await api.get(`/api/property?address=${encodeURIComponent("1 Nowhere Rd, Dallas, TX 75201")}`);
+
+  const { status, headers, body } = await scrape();
+  assert.equal(status, 200);
+  assert.match(headers.get("content-type"), /^text\/plain;.*version=0\.0\.4/);
+
+  assert.match(body, /# TYPE http_request_duration_seconds histogram/);
+  assert.match(body, /http_request_duration_seconds_count\{method="GET",route="\/api\/property",status="200"\} 1/);
+  assert.match(
+    body,
+    /upstream_request_duration_seconds_count\{source="rentcast",endpoint="properties",outcome="ok",status="200"\} 1/
+  );
+  assert.match(body, /upstream_request_duration_seconds_count\{[^}]*outcome="http_error",status="404"\} 1/);
+  assert.match(body, /quota_upstream_calls_total\{key_id="anonymous",source="rentcast"\} 2/);
+  assert.match(body, /upstream_circuit_state\{source="rentcast"\} 0/);
+});
+
+test("/health reports each upstream's reachability and circuit", async () => {
+  await api.get(`/api/property?address=${encodeURIComponent(ADDRESS)}`);
+
+  const { status, body } = await api.get("/health");
+  assert.equal(status, 200);
+  assert.equal(body.status, "ok");
+  assert.equal(body.providers, "mock");
+  assert.deepEqual(Object.keys(body.upstreams).sort(), ["census", "census_geocoder", "nominatim", "realie", "rentcast"]);
+  assert.equal(body.upstreams.rentcast.circuit.state, "closed");
+  assert.equal(body.upstreams.rentcast.reachable, true);
+  assert.equal(body.upstreams.realie.reachable, null);
+});
@@ -0,0 +1,136 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers");
+
+const ADDRESS = "123 Main St, Dallas, TX 75201";
+const ADMIN = "admin-test-key";
+const METRICS_TOKEN = "scrape-secret";
+
+let api;
+let alice;
+let bob;
+
+const as = (key) => ({ "Content-Type": "application/json", "X-Api-Key": key });
+
+async function send(method, urlPath, key) {
+  const res = await fetch(`${api.base}${urlPath}`, { method, headers: as(key) });
+  return { status: res.status, body: await res.json() };
+}
+
+before(async () => {
+  api = await startApp({ AUTH_DISABLED: "", ADMIN_API_KEY: ADMIN, METRICS_TOKEN });
+  alice = (await api.post("/api/admin/keys", { name: "alice" }, as(ADMIN))).body.key;
+  bob = (await api.post("/api/admin/keys", { name: "bob" }, as(ADMIN))).body.key;
+});
+
+after(async () => {
+  await api.close();
+});
+
+test("batch jobs are only visible to the key that started them and admins", async () => {
+  const started = await api.post("/api/property-panel/batch", { addresses: [ADDRESS], async: true }, as(alice));
+  assert.equal(started.status, 202);
+  const statusUrl = started.body.statusUrl;
+
+  assert.equal((await api.get(statusUrl, as(alice))).status, 200);
+  assert.equal((await api.get(statusUrl, as(ADMIN))).status, 200);
+
+  const other = await api.get(statusUrl, as(bob));
+  assert.equal(other.status, 404);
+  assert.equal(other.body.code, "NOT_FOUND");
+  assert.equal((await api.get(`${statusUrl}?format=csv`, as(bob))).status, 404);
+});
+
+test("saved properties are scoped to the key that saved them", async () => {
+  const created = await api.post("/api/properties", { fullAddress: ADDRESS, status: "offer" }, as(alice));
+  assert.equal(created.status, 201);
+  const id = created.body.property.id;
+
+  const mine = await api.get("/api/properties", as(alice));
+  assert.deepEqual(mine.body.properties.map((p) => p.id), [id]);
+  assert.equal(mine.body.pipeline.offer, 1);
+
+  const theirs = await api.get("/api/properties", as(bob));
+  assert.equal(theirs.body.count, 0);
+  assert.equal(theirs.body.pipeline.offer, 0);
+
+  assert.equal((await api.get(`/api/properties/${id}`, as(bob))).status, 404);
+  assert.equal((await send("POST", `/api/properties/${id}/refresh`, bob)).status, 404);
+  assert.equal((await send("DELETE", `/api/properties/${id}`, bob)).status, 404);
+  assert.equal((await api.get(`/api/properties/${id}`, as(ADMIN))).status, 200);
+  assert.equal((await send("DELETE", `/api/properties/${id}`, alice)).status, 200);
+});
+
+test("watches and their history are scoped to the key that created them", async () => {
+  const created = await api.post("/api/watchlist", { fullAddress: ADDRESS }, as(alice));
+  assert.equal(created.status, 201);
+  const id = created.body.watch.id;
+  const historyUrl = `/api/history?address=${encodeURIComponent(ADDRESS)}`;
+
+  assert.equal((await api.get("/api/watchlist", as(alice))).body.count, 1);
+  assert.equal((await api.get("/api/watchlist", as(bob))).body.count, 0);
+  assert.equal((await api.get(historyUrl, as(alice))).body.count, 1);
+  assert.equal((await api.get(historyUrl, as(bob))).status, 404);
+  assert.equal((await send("POST", `/api/watchlist/${id}/run`, bob)).status, 404);
+  assert.equal((await send("DELETE", `/api/watchlist/${id}`, bob)).status, 404);
+
+  // Another client can watch the same address without seeing the first watch.
+  const second = await api.post("/api/watchlist", { fullAddress: ADDRESS }, as(bob));
+  assert.equal(second.status, 201);
+  assert.equal((await api.get(historyUrl, as(bob))).body.watch.id, second.body.watch.id);
+  assert.equal((await api.get("/api/watchlist", as(ADMIN))).body.count, 2);
+});
+
+test("/health?probe=1 needs an admin key or the metrics token", async () => {
+  assert.equal((await api.get("/health")).status, 200);
+
+  const anonymous = await api.get("/health?probe=1");
+  assert.equal(anonymous.status, 401);
+  assert.equal(anonymous.body.code, "UNAUTHORIZED");
+  assert.equal((await api.get("/health?probe=1", as(alice))).status, 401);
+
+  assert.equal((await api.get("/health?probe=1", as(ADMIN))).status, 200);
+  assert.equal((await api.get("/health?probe=1", { Authorization: `Bearer ${METRICS_TOKEN}` })).status, 200);
+});
+
+async function upstreamCallsOf(keyId) {
+  const report = await api.get(`/api/usage?keyId=${keyId}`, as(ADMIN));
+  return report.body.keys[0]?.totals.upstreamCalls ?? 0;
+}
+
+test("the monthly upstream quota is checked on every call, so a batch stops once it is used up", async () => {
+  const created = await api.post("/api/admin/keys", { name: "carol", limits: { upstreamCallsPerMonth: 1 } }, as(ADMIN));
+  const carol = created.body.key;
+  await send("DELETE", "/api/admin/cache?all=1", ADMIN);
+
+  const batch = await api.post(
+    "/api/property-panel/batch",
+    { addresses: [ADDRESS, "9 Quota Ln, Austin, TX 78701"], concurrency: 1, async: false },
+    as(carol)
+  );
+  assert.equal(batch.status, 200);
+  assert.equal(batch.body.failed, 2);
+  for (const row of batch.body.results) {
+    assert.equal(row.ok, false);
+    assert.match(row.error, /Monthly upstream call quota exceeded \(1\)/);
+  }
+  assert.equal(await upstreamCallsOf(created.body.apiKey.id), 1);
+
+  const next = await api.get(`/api/property-panel?fullAddress=${encodeURIComponent(ADDRESS)}`, as(carol));
+  assert.equal(next.status, 429);
+  assert.equal(next.body.code, "QUOTA_EXCEEDED");
+});
+
+test("watch samples are billed to the key that owns the watch", async () => {
+  const created = await api.post("/api/admin/keys", { name: "dave" }, as(ADMIN));
+  const dave = created.body.key;
+  const watch = (await api.post("/api/watchlist", { fullAddress: ADDRESS }, as(dave))).body.watch;
+
+  await send("DELETE", "/api/admin/cache?all=1", ADMIN);
+  const before = await upstreamCallsOf(created.body.apiKey.id);
+  const adminBefore = await upstreamCallsOf("env-admin");
+
+  assert.equal((await send("POST", `/api/watchlist/${watch.id}/run`, ADMIN)).status, 200);
+  assert.ok((await upstreamCallsOf(created.body.apiKey.id)) > before);
+  assert.equal(await upstreamCallsOf("env-admin"), adminBefore);
+});
@@ -0,0 +1,24 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { computeProForma } = require("../lib/proforma");
+const { computeInvestmentSummary } = require("../lib/underwriting");
+
+const base = { purchasePrice: 200000, monthlyRent: 1800, holdYears: 3, rentGrowthPercent: 10, expenseGrowthPercent: 2 };
+
+test("percent-of-EGI expense lines follow each year's EGI; fixed lines grow at the expense rate", () => {
+  const expenses = { propertyTaxAnnual: 3000, insuranceAnnual: 1000 };
+  const { years } = computeProForma({ ...base, expenses });
+
+  const summary = computeInvestmentSummary({ ...base, expenses });
+  assert.equal(years[0].operatingExpenses, Math.round(summary.noi.operatingExpensesAnnual));
+
+  // Management 8% + maintenance 5% + CapEx 5% of effective gross, plus $4,000 growing 2%/yr.
+  const expected = (y) => Math.round(years[y].effectiveGross * 0.18 + 4000 * 1.02 ** y);
+  assert.equal(years[1].operatingExpenses, expected(1));
+  assert.equal(years[2].operatingExpenses, expected(2));
+});
+
+test("a flat expensePercent stays that share of each year's EGI", () => {
+  const { years } = computeProForma({ ...base, expensePercent: 35 });
+  for (const y of years) assert.ok(Math.abs(y.operatingExpenses - y.effectiveGross * 0.35) <= 1);
+});
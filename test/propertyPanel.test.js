@@ -0,0 +1,137 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers");
+
+const ADDRESS = "123 Main St, Dallas, TX 75201";
+const panelPath = (extra = "") => `/api/property-panel?fullAddress=${encodeURIComponent(ADDRESS)}${extra}`;
+
+let api;
+
+before(async () => {
+  api = await startApp();
+});
+
+after(async () => {
+  await api.close();
+});
+
+test("property-panel requires an address", async () => {
+  const { status, body } = await api.get("/api/property-panel");
+  assert.equal(status, 400);
+  assert.equal(body.ok, false);
+  assert.match(body.error, /fullAddress/);
+});
+
+test("property-panel assembles every section from the providers", async () => {
+  const { status, body } = await api.get(panelPath());
+  assert.equal(status, 200);
+  assert.equal(body.ok, true);
+
+  assert.equal(body.geocoding.provider, "census");
+  assert.equal(body.geocoding.zip, "75201");
+  assert.deepEqual(body.geocoding.fips, { state: "48", county: "113", tract: "001800", blockGroup: "2" });
+  assert.equal(body.inputs.county, "Dallas");
+
+  assert.equal(body.demographics.zip, "75201");
+  assert.equal(body.demographics.medianGrossRent, 1640);
+  assert.equal(body.demographics.yearOverYear.priorYear, 2021);
+  assert.equal(body.neighborhood.tract.geography.id, "48113001800");
+  assert.equal(body.neighborhood.blockGroup.geography.id, "481130018002");
+
+  assert.equal(body.subject.sqft, 1500);
+  assert.equal(body.subject.beds, 3);
+  assert.equal(body.subject.rentEstimateMonthly, 1850);
+  assert.equal(body.subject.purchasePriceUsed, 215000);
+
+  assert.equal(body.saleComps.ok, true);
+  assert.equal(body.saleComps.source, "realie_premium_comparables");
+  assert.equal(body.saleComps.count, 5);
+  assert.equal(body.arv.ok, true);
+  assert.ok(body.arv.arv > 0);
+  assert.equal(body.investment.ok, true);
+
+  const steps = Object.fromEntries(body.timings.steps.map((s) => [s.name, s.status]));
+  assert.deepEqual(steps, {
+    rentcast: "ok",
+    geocode: "ok",
+    realie: "ok",
+    census: "ok",
+    neighborhood: "ok",
+    saleComps: "ok",
+  });
+});
+
+test("property-panel merges vendor records into the canonical property", async () => {
+  const { body } = await api.get(panelPath());
+  const { property } = body;
+
+  assert.equal(property.sqft, 1500);
+  assert.equal(property.provenance.sqft.source, "rentcast");
+  assert.deepEqual(property.provenance.sqft.values, { rentcast: 1500, realie: 1540 });
+  assert.equal(property.lotSizeSqft, 6000);
+  assert.deepEqual(property.propertyTax, { year: 2023, amount: 5420 });
+  assert.equal(property.marketValue, 268000);
+  assert.deepEqual(property.conflicts, []);
+
+  const taxLine = body.investment.noi.expenses.find((l) => l.key === "propertyTax");
+  assert.equal(taxLine.source, "record");
+  assert.equal(taxLine.annual, 5420);
+});
+
+test("property-panel only returns raw vendor payloads with includeRaw=1", async () => {
+  const plain = (await api.get(panelPath())).body;
+  assert.equal("rentcast" in plain, false);
+  assert.equal("realie" in plain, false);
+  assert.equal("raw" in plain.geocoding, false);
+
+  const raw = (await api.get(panelPath("&includeRaw=1"))).body;
+  assert.equal(raw.rentcast[0].formattedAddress, ADDRESS);
+  assert.equal(raw.realie.buildingArea, 1540);
+  assert.ok(raw.geocoding.raw);
+});
+
+test("property-panel serves repeat lookups from the cache", async () => {
+  const { body } = await api.get(panelPath());
+  assert.equal(body.cache.rentcast.cached, true);
+  assert.equal(body.cache.realie.cached, true);
+  assert.equal(body.cache.demographics.cached, true);
+});
+
+test("property-panel degrades with warnings when a vendor has no record", async () => {
+  const { status, body } = await api.get(
+    `/api/property-panel?fullAddress=${encodeURIComponent("999 Unknown St, Dallas, TX 75201")}`
+  );
+  assert.equal(status, 200);
+  assert.equal(body.ok, true);
+  assert.ok(body.warnings.some((w) => w.startsWith("RentCast /v1/properties failed: 404")));
+  assert.ok(body.warnings.some((w) => w.startsWith("Realie address lookup failed: 404")));
+  assert.equal(body.subject.rentEstimateMonthly, null);
+  assert.equal(body.investment.ok, false);
+});
+
+test("sale comps fall back to a ZIP centroid only when nothing better is known, and say so", async () => {
+  const { body } = await api.get(
+    `/api/property-panel?fullAddress=${encodeURIComponent("999 Unknown St, Dallas, TX 75201")}&county=Dallas`
+  );
+  assert.equal(body.geocoding.precision, "zip_centroid");
+  assert.deepEqual(body.saleComps.filters.center, { lat: body.geocoding.lat, lon: body.geocoding.lon });
+  assert.ok(body.warnings.includes("Subject located only by its ZIP centroid; sale-comp distances are measured from there."));
+
+  const located = await api.get(panelPath());
+  assert.equal(located.body.geocoding.precision, "address_range");
+  assert.ok(!located.body.warnings.some((w) => w.includes("centroid")));
+});
+
+test("max-offer runs the panel for a street line + state address and explains a missing rent", async () => {
+  const target = { targets: { capRatePercent: 6 } };
+
+  const full = await api.post("/api/underwrite/max-offer", { fullAddress: ADDRESS, ...target });
+  assert.equal(full.status, 200);
+  assert.equal(full.body.rentSource, "rentcast_rent_estimate");
+
+  // RentCast needs the full address, so the panel has no rent to offer; the error says why.
+  const parts = await api.post("/api/underwrite/max-offer", { addressLine1: "123 Main St", state: "TX", ...target });
+  assert.equal(parts.status, 400);
+  assert.match(parts.body.error, /no rent estimate for this address/);
+  assert.ok(parts.body.details.warnings.includes("No fullAddress provided, so RentCast lookup skipped."));
+});
@@ -0,0 +1,100 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+const { startApp } = require("./helpers");
+const { reportModel, renderReportHtml } = require("../lib/report");
+
+const ADDRESS = "123 Main St, Dallas, TX 75201";
+const reportPath = (extra = "") => `/api/property-panel/report?address=${encodeURIComponent(ADDRESS)}${extra}`;
+
+let api;
+
+before(async () => {
+  api = await startApp({ REPORT_BRAND_NAME: "Acme Capital" });
+});
+
+after(async () => {
+  await api.close();
+});
+
+// Checks the xref table points at each object and returns the inflated page content.
+function pdfContent(buf) {
+  const text = buf.toString("latin1");
+  const startxref = Number(/startxref\n(\d+)\n%%EOF\n$/.exec(text)[1]);
+  assert.equal(text.slice(startxref, startxref + 4), "xref");
+
+  const offsets = [...text.slice(startxref).matchAll(/^(\d{10}) 00000 n $/gm)].map((m) => Number(m[1]));
+  assert.ok(offsets.length > 0);
+  offsets.forEach((offset, i) => assert.equal(text.slice(offset, offset + `${i + 1} 0 obj`.length), `${i + 1} 0 obj`));
+
+  const streams = [];
+  const re = /<< \/Length (\d+) \/Filter \/FlateDecode >>\nstream\n/g;
+  for (let m; (m = re.exec(text)); ) {
+    const start = m.index + m[0].length;
+    streams.push(zlib.inflateSync(buf.subarray(start, start + Number(m[1]))).toString("latin1"));
+  }
+  return streams.join("\n");
+}
+
+test("report renders the panel as a PDF", async () => {
+  const res = await fetch(`${api.base}${reportPath()}`);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("content-type"), "application/pdf");
+  assert.match(res.headers.get("content-disposition"), /^inline; filename="deal-report-123-main-st-dallas-tx-75201\.pdf"$/);
+
+  const buf = Buffer.from(await res.arrayBuffer());
+  assert.equal(buf.subarray(0, 8).toString(), "%PDF-1.4");
+  const content = pdfContent(buf);
+  for (const text of [ADDRESS, "Acme Capital", "Sale comps", "140 Main St", "$164.14", "ARV / AVM", "Demographics"]) {
+    assert.ok(content.includes(`(${text}`), `PDF should contain ${text}`);
+  }
+});
+
+test("report renders the panel as HTML with an inline comps chart", async () => {
+  const { status, headers, body } = await api.get(reportPath("&format=html&download=1"));
+  assert.equal(status, 200);
+  assert.match(headers.get("content-type"), /^text\/html/);
+  assert.match(headers.get("content-disposition"), /^attachment; filename="deal-report-[a-z0-9-]+\.html"$/);
+
+  assert.match(body, /<h1>123 Main St, Dallas, TX 75201<\/h1>/);
+  assert.match(body, /Acme Capital/);
+  assert.equal((body.match(/<rect /g) || []).length, 5);
+  assert.match(body, /ARV \$\/sqft/);
+  assert.match(body, /<td class="num">\$164\.14<\/td>/);
+  assert.match(body, /US Census ACS 5-year 2022/);
+  assert.match(body, /county was not provided/);
+  assert.ok(!/https?:\/\//.test(body), "no external resources");
+});
+
+test("report validates its query like the panel", async () => {
+  const missing = await api.get("/api/property-panel/report");
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.code, "VALIDATION_ERROR");
+
+  const badFormat = await api.get(reportPath("&format=docx"));
+  assert.equal(badFormat.status, 400);
+  assert.match(badFormat.body.error, /query\.format must be one of: pdf, html/);
+});
+
+test("report model degrades and escapes vendor text", () => {
+  const model = reportModel(
+    {
+      inputs: { fullAddress: "9 <b>Bold</b> Way, Austin, TX 78701" },
+      investment: { ok: false, reason: "Need purchase price + monthly rent estimate." },
+      saleComps: { comps: [] },
+      arv: { ok: false },
+      warnings: ["<script>alert(1)</script>"],
+    },
+    { generatedAt: new Date("2026-01-02T03:04:05Z"), brand: { name: "Test", color: "#123456" } }
+  );
+
+  assert.equal(model.investment.note, "Need purchase price + monthly rent estimate.");
+  assert.equal(model.comps.note, "No sale comps found.");
+  assert.deepEqual(model.chart.bars, []);
+  assert.equal(model.highlights.find((h) => h.label === "ARV").value, "—");
+
+  const html = renderReportHtml(model);
+  assert.ok(!html.includes("<script>"));
+  assert.match(html, /&lt;script&gt;/);
+  assert.match(html, /9 &lt;b&gt;Bold&lt;\/b&gt; Way/);
+});
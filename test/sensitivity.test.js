@@ -0,0 +1,50 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { sensitivityGrid, runScenarios } = require("../lib/sensitivity");
+
+const base = {
+  purchasePrice: 200000,
+  monthlyRent: 1800,
+  vacancyPercent: 5,
+  expensePercent: 35,
+  downPaymentPercent: 20,
+  interestRatePercent: 7,
+  loanYears: 30,
+  expenses: {},
+};
+const itemized = { ...base, expenses: { propertyTaxAnnual: 3000, insuranceAnnual: 1000 } };
+
+test("expensePercent varies NOI on a percent-of-EGI base", () => {
+  const grid = sensitivityGrid({
+    base,
+    x: { variable: "expensePercent", values: [30, 40] },
+    y: { variable: "vacancyPercent", values: [5] },
+  });
+  assert.equal(grid.ok, true);
+  // EGI = 1800 * 12 * 0.95 = 20,520; 10 points of it is 2,052.
+  const [[low, high]] = grid.grids.noiAnnual;
+  assert.equal(low - high, 2052);
+});
+
+test("expensePercent is rejected when expenses are itemized", () => {
+  const grid = sensitivityGrid({
+    base: itemized,
+    x: { variable: "expensePercent", values: [30, 40] },
+    y: { variable: "vacancyPercent", values: [5] },
+  });
+  assert.equal(grid.ok, false);
+  assert.match(grid.error, /expensePercent can't be varied when expenses are itemized/);
+
+  const scenarios = runScenarios({ base: itemized, scenarios: [{ name: "lean", expensePercent: 25 }] });
+  assert.equal(scenarios.ok, false);
+  assert.match(scenarios.error, /itemized/);
+});
+
+test("scenarios report which expense method their inputs used", () => {
+  const percent = runScenarios({ base, scenarios: [{ name: "lean", expensePercent: 25 }] });
+  assert.equal(percent.scenarios[0].inputs.expenseMethod, "percent");
+  assert.equal(percent.scenarios[0].inputs.expensePercent, 25);
+
+  const items = runScenarios({ base: itemized });
+  assert.deepEqual(items.scenarios.map((sc) => sc.inputs.expenseMethod), ["itemized", "itemized", "itemized"]);
+});
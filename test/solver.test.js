@@ -0,0 +1,77 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { solveMaxOffer } = require("../lib/solver");
+const { computeInvestmentSummary } = require("../lib/underwriting");
+
+// NOI is a flat $7,200/yr ($1,000 × 12 less 40%); an interest-free 30-year loan
+// for 80% of the price costs 0.8P / 30 a year.
+const deal = {
+  monthlyRent: 1000,
+  vacancyPercent: 0,
+  expensePercent: 40,
+  downPaymentPercent: 20,
+  interestRatePercent: 0,
+  loanYears: 30,
+};
+
+// The bisection stops within $1 of the boundary, rounded down.
+const near = (actual, boundary) => assert.ok(actual <= boundary && actual >= boundary - 2, `${actual} vs ${boundary}`);
+
+test("each target is solved by bisection and the lowest price binds", () => {
+  const result = solveMaxOffer({ ...deal, targets: { capRatePercent: 6, dscr: 1.25, monthlyCashFlow: 100 } });
+  assert.equal(result.ok, true);
+  assert.equal(result.feasible, true);
+
+  const [capRate, dscr, cashFlow] = result.constraints;
+  // Metrics are rounded to cents / whole dollars, so the cut-offs sit half a unit low:
+  // cap rate 7200 / P ≥ 5.995%  → P ≤ 120,100
+  near(capRate.maxPurchasePrice, 120100);
+  // DSCR 7200 / (0.8P / 30) = 270,000 / P ≥ 1.245  → P ≤ 216,867
+  near(dscr.maxPurchasePrice, 216867);
+  // cash flow 600 − P / 450 ≥ 99.5  → P ≤ 225,225
+  near(cashFlow.maxPurchasePrice, 225225);
+
+  assert.equal(result.bindingConstraint, "capRatePercent");
+  assert.equal(result.maxPurchasePrice, capRate.maxPurchasePrice);
+  assert.equal(capRate.headroom, 0);
+  assert.equal(dscr.headroom, dscr.maxPurchasePrice - result.maxPurchasePrice);
+  assert.equal(result.atMaxPrice.capRatePercent, 6);
+
+  // Two dollars past the bisection's answer misses the binding target.
+  const over = computeInvestmentSummary({ ...deal, purchasePrice: result.maxPurchasePrice + 2 });
+  assert.ok(over.metrics.capRatePercent < 6);
+});
+
+test("a target no price can reach makes the offer infeasible and names it", () => {
+  // Even a free property only throws off $600/month.
+  const result = solveMaxOffer({ ...deal, targets: { capRatePercent: 6, monthlyCashFlow: 700 } });
+  assert.equal(result.ok, true);
+  assert.equal(result.feasible, false);
+  assert.equal(result.maxPurchasePrice, null);
+  assert.equal(result.bindingConstraint, "monthlyCashFlow");
+  assert.match(result.reason, /monthly cash flow target/);
+  assert.deepEqual(
+    result.constraints.map((c) => [c.metric, c.feasible]),
+    [
+      ["capRatePercent", true],
+      ["monthlyCashFlow", false],
+    ]
+  );
+});
+
+test("a target every price meets is unbounded and never binds", () => {
+  // All cash: cash flow is NOI / 12 = $600 whatever the price.
+  const cash = { ...deal, downPaymentPercent: 100 };
+  const result = solveMaxOffer({ ...cash, targets: { monthlyCashFlow: 500, capRatePercent: 8 } });
+  assert.equal(result.feasible, true);
+  assert.equal(result.constraints[0].unbounded, true);
+  assert.equal(result.constraints[0].maxPurchasePrice, null);
+  assert.equal(result.bindingConstraint, "capRatePercent");
+  // 7200 / P ≥ 7.995%  → P ≤ 90,056
+  near(result.maxPurchasePrice, 90056);
+});
+
+test("rent and at least one target are required", () => {
+  assert.equal(solveMaxOffer({ ...deal, monthlyRent: 0, targets: { dscr: 1.2 } }).error, "monthlyRent missing/invalid");
+  assert.match(solveMaxOffer({ ...deal, targets: {} }).error, /Provide at least one target/);
+});
@@ -0,0 +1,91 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { computeFlip, computeBrrrr, strategyOptionsFrom } = require("../lib/strategies");
+const { computeInvestmentSummary } = require("../lib/underwriting");
+
+// Defaults: 6-month hold, 2% closing, hard money at 90% LTC + rehab, 12%, 2 points.
+const deal = { purchasePrice: 100000, arv: 200000, rehabBudget: 30000, monthlyHoldingCosts: 500 };
+
+test("flip: hard-money carry, selling costs, profit and the 70% rule", () => {
+  const flip = computeFlip(deal);
+  assert.equal(flip.ok, true);
+
+  // Loan 90,000 + 30,000 rehab; points 2% = 2,400; interest on 90k + half the rehab
+  // for half a year at 12% = 6,300; holding 6 × 500 = 3,000; closing 2% = 2,000.
+  assert.deepEqual(flip.acquisition.financing, {
+    loanAmount: 120000,
+    points: 2400,
+    interest: 6300,
+    ratePercent: 12,
+    loanToCostPercent: 90,
+    financeRehab: true,
+  });
+  assert.equal(flip.acquisition.totalProjectCost, 143700);
+  // 10,000 down + closing, points, interest and holding (the rehab is financed).
+  assert.equal(flip.acquisition.cashInvested, 23700);
+
+  // Sale: 8% selling costs, the 120,000 loan paid off.
+  assert.deepEqual(flip.sale, { salePrice: 200000, sellingCosts: 16000, loanPayoff: 120000, netProceeds: 64000 });
+  assert.equal(flip.profit, 40300);
+  assert.deepEqual(flip.metrics, {
+    roiPercent: 170.04,
+    annualizedRoiPercent: 340.08,
+    profitMarginPercent: 20.15,
+    allInCostToArvPercent: 71.85,
+  });
+
+  // 70% of ARV less rehab.
+  assert.deepEqual(flip.rule, { name: "70% rule", maxAllowableOffer: 110000, meetsRule: true });
+  assert.equal(computeFlip({ ...deal, purchasePrice: 115000 }).rule.meetsRule, false);
+});
+
+test("flip: an unfinanced rehab is paid in cash, with no points or interest on it", () => {
+  const flip = computeFlip({ ...deal, financeRehab: false });
+  // Interest on 90,000 only: 5,400; points on 90,000: 1,800.
+  assert.equal(flip.acquisition.financing.interest, 5400);
+  assert.equal(flip.acquisition.financing.points, 1800);
+  assert.equal(flip.acquisition.cashInvested, 10000 + 30000 + 2000 + 1800 + 5400 + 3000);
+});
+
+test("BRRRR: a refinance that repays the hard money and more leaves no cash in the deal", () => {
+  const brrrr = computeBrrrr({ ...deal, monthlyRent: 2000 });
+  assert.equal(brrrr.ok, true);
+
+  // 75% of ARV = 150,000, less 2% closing (3,000) and the 120,000 payoff.
+  assert.equal(brrrr.refinance.loanAmount, 150000);
+  assert.equal(brrrr.refinance.cashOut, 27000);
+  assert.equal(brrrr.cashLeftInDeal, 23700 - 27000);
+  assert.equal(brrrr.allCashRecovered, true);
+  assert.equal(brrrr.equityAfterRefinance, 50000);
+  assert.equal(brrrr.postRefinance.cashOnCashPercent, null);
+  assert.equal(brrrr.postRefinance.cashOnCashNote, "No cash left in deal (infinite return)");
+});
+
+test("BRRRR: cash-on-cash is post-refinance cash flow over the cash left in", () => {
+  const brrrr = computeBrrrr({ ...deal, monthlyRent: 2000, financeRehab: false, refinanceLtvPercent: 60 });
+
+  // Invested 52,200 (as the unfinanced flip); refinance 120,000 − 2,400 − 90,000 = 27,600 out.
+  assert.equal(brrrr.refinance.cashOut, 27600);
+  assert.equal(brrrr.cashLeftInDeal, 24600);
+  assert.equal(brrrr.allCashRecovered, false);
+
+  // Operations are valued at the ARV with the refinance loan (40% equity, 7.5%, 30 years).
+  const rental = computeInvestmentSummary({
+    purchasePrice: 200000,
+    monthlyRent: 2000,
+    downPaymentPercent: 40,
+    interestRatePercent: 7.5,
+    loanYears: 30,
+  });
+  assert.equal(brrrr.postRefinance.cashFlowAnnual, rental.cashFlow.annual);
+  assert.equal(brrrr.postRefinance.cashOnCashPercent, Math.round((rental.cashFlow.annual / 24600) * 10000) / 100);
+});
+
+test("invalid inputs and string options", () => {
+  assert.equal(computeFlip({ ...deal, arv: 0 }).error, "arv missing/invalid");
+  assert.equal(computeBrrrr(deal).error, "monthlyRent missing/invalid");
+  assert.deepEqual(strategyOptionsFrom({ holdingMonths: "9", financeRehab: "no", sellingCostPercent: "" }), {
+    holdingMonths: 9,
+    financeRehab: false,
+  });
+});
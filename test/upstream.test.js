@@ -0,0 +1,168 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createUpstreamClient, withDeadline } = require("../lib/upstream");
+
+function fakeClock(start = 1_000_000) {
+  let t = start;
+  const slept = [];
+  return {
+    slept,
+    now: () => t,
+    sleep: async (ms) => {
+      slept.push(ms);
+      t += ms;
+    },
+    advance: (ms) => (t += ms),
+  };
+}
+
+// http stub answering from a script: a number is an error status, an object
+// { status, retryAfter } an error with a Retry-After header, anything else 200.
+function scripted(...replies) {
+  const calls = [];
+  const http = async (config) => {
+    calls.push(config);
+    const reply = replies.shift();
+    const status = typeof reply === "number" ? reply : reply?.status;
+    if (status >= 400) {
+      const headers = reply.retryAfter !== undefined ? { "retry-after": String(reply.retryAfter) } : {};
+      throw Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+    }
+    return { status: 200, data: reply ?? null };
+  };
+  return { http, calls };
+}
+
+function clientWith(http, clock, options = {}, extra = {}) {
+  const events = [];
+  const metered = [];
+  const client = createUpstreamClient({
+    http,
+    clock,
+    random: () => 0,
+    meter: (source, endpoint) => metered.push(`${source}.${endpoint}`),
+    observe: (e) => events.push(e),
+    options: { maxRetries: 2, baseDelayMs: 100, breakerFailureThreshold: 5, breakerCooldownMs: 1000, ...options },
+    ...extra,
+  });
+  return { client, events, metered };
+}
+
+test("429 and 5xx are retried, waiting for Retry-After when the provider sends it", async () => {
+  const clock = fakeClock();
+  const { http, calls } = scripted({ status: 429, retryAfter: 2 }, 503, { id: 1 });
+  const { client, events, metered } = clientWith(http, clock);
+
+  const response = await client.request("rentcast", "properties", { url: "/p" });
+  assert.deepEqual(response.data, { id: 1 });
+  assert.equal(calls.length, 3);
+  // Retry-After: 2 → 2000ms; then backoff for attempt 1 with no jitter: min(5000, 100 * 2) / 2.
+  assert.deepEqual(clock.slept, [2000, 100]);
+  assert.deepEqual(
+    events.map((e) => [e.outcome, e.status, e.retrying]),
+    [
+      ["http_error", 429, true],
+      ["http_error", 503, true],
+      ["ok", 200, false],
+    ]
+  );
+  assert.equal(metered.length, 3);
+});
+
+test("a Retry-After past maxRetryAfterMs and a 404 are not retried", async () => {
+  const clock = fakeClock();
+  const { http, calls } = scripted({ status: 429, retryAfter: 60 }, 404);
+  const { client } = clientWith(http, clock, { maxRetryAfterMs: 30000 });
+
+  await assert.rejects(client.request("rentcast", "properties", {}), (e) => e.response.status === 429);
+  await assert.rejects(client.request("rentcast", "properties", {}), (e) => e.response.status === 404);
+  assert.equal(calls.length, 2);
+  assert.deepEqual(clock.slept, []);
+});
+
+test("the breaker opens after consecutive failures and closes after a successful trial", async () => {
+  const clock = fakeClock();
+  const { http, calls } = scripted(500, 502, 500, { id: 1 });
+  const { client } = clientWith(http, clock, { maxRetries: 0, breakerFailureThreshold: 2 });
+
+  await assert.rejects(client.request("realie", "property_address", {}));
+  await assert.rejects(client.request("realie", "property_address", {}));
+  assert.equal(client.status().realie.state, "open");
+
+  await assert.rejects(client.request("realie", "property_address", {}), { code: "CIRCUIT_OPEN" });
+  assert.equal(calls.length, 2);
+
+  // After the cooldown one trial goes through; a failed trial reopens at once.
+  clock.advance(1000);
+  assert.equal(client.status().realie.state, "half_open");
+  await assert.rejects(client.request("realie", "property_address", {}), (e) => e.response.status === 500);
+  assert.equal(client.status().realie.state, "open");
+
+  clock.advance(1000);
+  await client.request("realie", "property_address", {});
+  assert.deepEqual(client.status().realie, { state: "closed", consecutiveFailures: 0, openedAt: null, retryAt: null });
+  assert.equal(calls.length, 4);
+});
+
+test("no retry is scheduled past the deadline", async () => {
+  const clock = fakeClock();
+  const { http, calls } = scripted({ status: 503, retryAfter: 1 }, { id: 1 });
+  const { client } = clientWith(http, clock);
+
+  await assert.rejects(
+    withDeadline(500, () => client.request("census", "acs5", {}), clock.now()),
+    (e) => e.response.status === 503 && e.upstream.attempts.length === 1
+  );
+  assert.equal(calls.length, 1);
+  assert.deepEqual(clock.slept, []);
+});
+
+test("time queued behind the rate limiter counts against the deadline", async () => {
+  const clock = fakeClock();
+  const { http, calls } = scripted({ id: 1 }, { id: 2 });
+  const limit = async (source, fn) => {
+    clock.advance(400);
+    return fn();
+  };
+  const { client, events, metered } = clientWith(http, clock, { timeoutMs: 20000 }, { limit });
+
+  // 400ms in the queue leaves 600ms of a 1000ms deadline for the attempt itself.
+  await withDeadline(1000, () => client.request("nominatim", "search", {}), clock.now());
+  assert.equal(calls[0].timeout, 600);
+
+  // Queued past the deadline: nothing is sent or metered.
+  await assert.rejects(
+    withDeadline(300, () => client.request("nominatim", "search", {}), clock.now()),
+    { code: "DEADLINE_EXCEEDED" }
+  );
+  assert.equal(calls.length, 1);
+  assert.equal(metered.length, 1);
+  assert.equal(events.at(-1).outcome, "deadline");
+  assert.equal(client.status().nominatim.consecutiveFailures, 0);
+});
+
+test("a call the meter refuses is not sent and does not count against the breaker", async () => {
+  const clock = fakeClock();
+  const { http, calls } = scripted(500, { id: 1 });
+  const refusal = Object.assign(new Error("quota used up"), { code: "QUOTA_EXCEEDED" });
+  let refuse = false;
+  const meter = () => {
+    if (refuse) throw refusal;
+  };
+  const { client, events } = clientWith(http, clock, { maxRetries: 0, breakerFailureThreshold: 1 }, { meter });
+
+  await assert.rejects(client.request("rentcast", "avm_rent", {}));
+  clock.advance(1000);
+  assert.equal(client.status().rentcast.state, "half_open");
+
+  // The refused call hands the half-open trial back instead of holding it.
+  refuse = true;
+  await assert.rejects(client.request("rentcast", "avm_rent", {}), (e) => e === refusal);
+  assert.equal(events.at(-1).outcome, "refused");
+  assert.equal(client.status().rentcast.state, "half_open");
+
+  refuse = false;
+  await client.request("rentcast", "avm_rent", {});
+  assert.equal(client.status().rentcast.state, "closed");
+  assert.equal(calls.length, 2);
+});
@@ -0,0 +1,101 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers");
+
+const ADDRESS = "123 Main St, Dallas, TX 75201";
+const q = encodeURIComponent;
+
+let api;
+
+before(async () => {
+  api = await startApp();
+});
+
+after(async () => {
+  await api.close();
+});
+
+test("non-numeric query values are rejected instead of becoming NaN", async () => {
+  const { status, body } = await api.get(`/api/nearby-rentals?address=${q(ADDRESS)}&radius=abc`);
+  assert.equal(status, 400);
+  assert.equal(body.ok, false);
+  assert.equal(body.code, "VALIDATION_ERROR");
+  assert.deepEqual(body.details.issues, [{ path: "query.radius", message: "must be a number" }]);
+});
+
+test("out-of-range values are rejected, not replaced by defaults", async () => {
+  const { status, body } = await api.get(`/api/property-panel?fullAddress=${q(ADDRESS)}&cap=0`);
+  assert.equal(status, 400);
+  assert.equal(body.code, "VALIDATION_ERROR");
+  assert.match(body.error, /^query\.cap must be greater than 0/);
+});
+
+test("JSON bodies are validated with every issue listed", async () => {
+  const { status, body } = await api.post("/api/underwrite/proforma", {
+    purchasePrice: "$250,000",
+    monthlyRent: 2100,
+    vacancyPercent: 150,
+    loanYears: 0,
+  });
+  assert.equal(status, 400);
+  assert.equal(body.code, "VALIDATION_ERROR");
+  const paths = body.details.issues.map((i) => i.path);
+  assert.ok(paths.includes("body.vacancyPercent"));
+  assert.ok(paths.includes("body.loanYears"));
+  assert.ok(!paths.includes("body.purchasePrice"));
+});
+
+test("malformed JSON gets the same envelope", async () => {
+  const { status, body } = await api.post("/api/underwrite/proforma", "{not json");
+  assert.equal(status, 400);
+  assert.deepEqual(body, { ok: false, code: "VALIDATION_ERROR", error: "Request body is not valid JSON" });
+});
+
+test("an upstream 404 maps to UPSTREAM_NOT_FOUND without the provider body", async () => {
+  const { status, body } = await api.get(`/api/property?address=${q("1 Nowhere Rd, Dallas, TX 75201")}`);
+  assert.equal(status, 404);
+  assert.equal(body.code, "UPSTREAM_NOT_FOUND");
+  assert.deepEqual(body.details, { provider: "rentcast", upstreamStatus: 404 });
+  assert.ok(!JSON.stringify(body).includes("(mock)"));
+});
+
+test("the saved-property list takes several statuses, each checked against the pipeline", async () => {
+  for (const status of ["lead", "offer", "passed"]) {
+    const created = await api.post("/api/properties", { fullAddress: ADDRESS, status });
+    assert.equal(created.status, 201);
+  }
+
+  const list = await api.get("/api/properties?status=lead,OFFER");
+  assert.equal(list.status, 200);
+  assert.deepEqual(list.body.properties.map((p) => p.status).sort(), ["lead", "offer"]);
+
+  const repeated = await api.get("/api/properties?status=lead&status=passed");
+  assert.deepEqual(repeated.body.properties.map((p) => p.status).sort(), ["lead", "passed"]);
+
+  const bad = await api.get("/api/properties?status=lead,sold");
+  assert.equal(bad.status, 400);
+  assert.equal(bad.body.details.issues[0].path, "query.status[1]");
+});
+
+test("unknown API routes answer NOT_FOUND", async () => {
+  const { status, body } = await api.get("/api/no-such-route");
+  assert.equal(status, 404);
+  assert.equal(body.code, "NOT_FOUND");
+});
+
+test("the OpenAPI document is generated from the route schemas", async () => {
+  const { status, body } = await api.get("/api/openapi.json");
+  assert.equal(status, 200);
+  assert.equal(body.openapi, "3.1.0");
+
+  const rentals = body.paths["/api/nearby-rentals"].get;
+  const radius = rentals.parameters.find((p) => p.name === "radius");
+  assert.equal(radius.in, "query");
+  assert.equal(radius.schema.type, "number");
+  assert.equal(radius.schema.maximum, 50);
+
+  assert.ok(body.paths["/api/properties/{id}"].patch);
+  assert.ok(body.paths["/api/underwrite/proforma"].post.requestBody.content["application/json"]);
+  assert.ok(body.components.schemas.Error.properties.code.enum.includes("UPSTREAM_RATE_LIMITED"));
+  assert.deepEqual(body.paths["/api/openapi.json"], undefined);
+});
@@ -0,0 +1,112 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rentcast-backend-watcher-"));
+Object.assign(process.env, { HISTORY_FILE: path.join(dir, "history.json"), LOG_LEVEL: "silent" });
+const history = require("../lib/history");
+const { flushAll } = require("../lib/jsonStore");
+const { createWatcher } = require("../lib/watcher");
+
+after(() => {
+  flushAll();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const HOUR = 60 * 60 * 1000;
+
+// Timers only fire when the test advances the clock; tick() waits for the callbacks.
+function fakeClock(start) {
+  let now = start;
+  let timers = [];
+  return {
+    now: () => now,
+    setTimeout(fn, ms) {
+      const t = { fn, at: now + ms };
+      timers.push(t);
+      return t;
+    },
+    clearTimeout(t) {
+      timers = timers.filter((x) => x !== t);
+    },
+    async tick(ms) {
+      now += ms;
+      const due = timers.filter((t) => t.at <= now);
+      timers = timers.filter((t) => t.at > now);
+      for (const t of due) await t.fn();
+    },
+  };
+}
+
+test("the scheduler samples due watches, alerts on moves and records webhook failures", async () => {
+  const clock = fakeClock(Date.parse("2026-01-01T00:00:00Z"));
+  const { watch } = history.addWatch(
+    { address: "5 Oak St, Dallas, TX 75201", params: {}, intervalHours: 1, thresholds: { rentEstimateMonthly: 5 } },
+    clock.now()
+  );
+
+  const rents = [2000, 2010, 2200];
+  const sampled = [];
+  const sample = async (w) => {
+    sampled.push(w.id);
+    return { rentEstimateMonthly: rents[sampled.length - 1] };
+  };
+  const notified = [];
+  const notify = async (payload) => {
+    notified.push(payload);
+    throw new Error("webhook returned 500");
+  };
+
+  const watcher = createWatcher({ sample, notify, history, clock, pollMs: 15 * 60 * 1000 });
+  watcher.start();
+
+  // The first pass runs immediately and takes the baseline.
+  await clock.tick(0);
+  assert.deepEqual(sampled, [watch.id]);
+  assert.equal(history.getWatch(watch.id).nextRunAt, new Date(clock.now() + HOUR).toISOString());
+
+  // Polls before the interval is up sample nothing.
+  await clock.tick(30 * 60 * 1000);
+  assert.equal(sampled.length, 1);
+
+  // A 0.5% move stays under the 5% threshold.
+  await clock.tick(30 * 60 * 1000);
+  assert.equal(sampled.length, 2);
+  assert.equal(notified.length, 0);
+  watcher.stop();
+
+  // A 9.5% move alerts; the failing webhook is reported, not thrown.
+  await clock.tick(HOUR);
+  const [result] = await watcher.runDue();
+  assert.equal(result.ok, true);
+  assert.deepEqual(
+    result.alerts.map((a) => [a.metric, a.before, a.after, a.changePercent]),
+    [["rentEstimateMonthly", 2010, 2200, 9.45]]
+  );
+  assert.deepEqual(result.webhook, { delivered: false, error: "webhook returned 500" });
+  assert.equal(notified.length, 1);
+  assert.equal(notified[0].type, "history.alert");
+  assert.equal(history.getSeries(watch.address).length, 3);
+  assert.equal(history.getWatch(watch.id).lastError, null);
+  history.removeWatch(watch.id);
+});
+
+test("a failed sample is recorded on the watch and retried next interval", async () => {
+  const clock = fakeClock(Date.parse("2026-02-01T00:00:00Z"));
+  const { watch } = history.addWatch({ address: "9 Pine St, Dallas, TX 75201", params: {} }, clock.now());
+  const watcher = createWatcher({
+    sample: async () => {
+      throw new Error("RentCast unavailable");
+    },
+    history,
+    clock,
+  });
+
+  const [result] = await watcher.runDue();
+  assert.deepEqual(result, { id: watch.id, address: watch.address, ok: false, error: "RentCast unavailable" });
+  assert.equal(history.getWatch(watch.id).lastError, "RentCast unavailable");
+  assert.equal(history.getSeries(watch.address).length, 0);
+  assert.deepEqual(await watcher.runDue(), []);
+});